@@ -0,0 +1,291 @@
+/**
+ * Finance Scenario Simulator - Actuals Module
+ * Recorded transactions: clearing projected entries, rolling balances forward and variance
+ */
+
+var FSS = window.FSS || {};
+
+FSS.Actuals = (function() {
+  'use strict';
+
+  const { DateTime } = luxon;
+
+  /**
+   * Key linking an actual to the projected entry it clears
+   * Rule occurrences are keyed by their original scheduled date, so moving an
+   * occurrence with an exception keeps it cleared.
+   * @param {Object} item - An actual, or a transaction from generateTransactions()
+   * @returns {string|null} Key, or null for unexpected transactions and entries that cannot be cleared
+   */
+  function getEntryKey(item) {
+    if (item.ruleId && item.occurrenceDate) return `rule:${item.ruleId}:${item.occurrenceDate}`;
+    if (item.oneOffId) return `oneoff:${item.oneOffId}`;
+    return null;
+  }
+
+  function getActuals(model) {
+    return model.actuals || [];
+  }
+
+  /**
+   * Find the actual that cleared a projected entry
+   * @param {Object} model - The financial model
+   * @param {Object} entry - { ruleId, occurrenceDate } or { oneOffId }
+   * @returns {Object|null} Actual
+   */
+  function findForEntry(model, entry) {
+    const key = getEntryKey(entry);
+    if (!key) return null;
+    return getActuals(model).find(a => getEntryKey(a) === key) || null;
+  }
+
+  /**
+   * Get the projected transaction for a rule occurrence or one-off
+   * Amounts are positive, with the kind giving the direction
+   * @param {Object} model - The financial model
+   * @param {Object} entry - { ruleId, occurrenceDate } or { oneOffId }
+   * @returns {Object|null} Transaction, or null if the entry is not scheduled
+   */
+  function getPlannedEntry(model, entry) {
+    if (entry.oneOffId) {
+      const oneOff = (model.oneOffs || []).find(o => o.id === entry.oneOffId);
+      if (!oneOff) return null;
+      return {
+        date: oneOff.date,
+        oneOffId: oneOff.id,
+        name: oneOff.name,
+        accountId: oneOff.accountId,
+        kind: oneOff.amount >= 0 ? 'income' : 'expense',
+        amount: Math.abs(oneOff.amount),
+        category: oneOff.category || 'one-off'
+      };
+    }
+
+    const rule = (model.rules || []).find(r => r.id === entry.ruleId);
+    if (!rule || !entry.occurrenceDate) return null;
+
+    // Expand across the occurrence's original date and any date it was moved to
+    const moveTo = (rule.exceptions || []).find(e => e.date === entry.occurrenceDate)?.moveTo;
+    const range = [entry.occurrenceDate, moveTo || entry.occurrenceDate].sort();
+    const occurrence = FSS.Recurrence.expandRule(rule, range[0], range[1], model)
+      .find(o => o.occurrenceDate === entry.occurrenceDate);
+    if (!occurrence) return null;
+
+    const planned = FSS.BusinessDay.adjustTransaction(occurrence, model.settings || {});
+    return { ...planned, amount: Math.abs(planned.amount) };
+  }
+
+  /**
+   * Convert an actual into a ledger transaction
+   * @param {Object} actual - The actual
+   * @param {Object} planned - The projected transaction it cleared, if any
+   * @returns {Object} Transaction marked isActual, with the planned date and amount
+   */
+  function toTransaction(actual, planned = null) {
+    return {
+      date: actual.date,
+      ruleId: actual.ruleId || null,
+      occurrenceDate: actual.occurrenceDate,
+      oneOffId: actual.oneOffId,
+      actualId: actual.id,
+      name: actual.name,
+      accountId: actual.accountId,
+      toAccountId: actual.toAccountId,
+      kind: actual.kind,
+      amount: actual.amount,
+      category: actual.category,
+      tags: [],
+      priority: planned?.priority ?? 50,
+      note: actual.note,
+      isActual: true,
+      planned: planned ? { date: planned.date, amount: Math.abs(planned.amount) } : null
+    };
+  }
+
+  /**
+   * Replace cleared entries with their actuals
+   * Projected transactions that an actual cleared are dropped wherever the
+   * actual falls, and every actual dated within the range is added.
+   * @param {Object} model - The financial model
+   * @param {Array} transactions - Projected transactions
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Array} Transactions (the same array if the model has no actuals)
+   */
+  function applyToTransactions(model, transactions, startDate, endDate) {
+    const actuals = getActuals(model);
+    if (actuals.length === 0) return transactions;
+
+    const cleared = new Set(actuals.map(getEntryKey).filter(Boolean));
+    const plannedByKey = new Map();
+    const result = transactions.filter(tx => {
+      const key = getEntryKey(tx);
+      if (!key || !cleared.has(key)) return true;
+      plannedByKey.set(key, tx);
+      return false;
+    });
+
+    actuals
+      .filter(a => a.date >= startDate && a.date <= endDate)
+      .forEach(actual => {
+        const key = getEntryKey(actual);
+        const planned = key ? (plannedByKey.get(key) || getPlannedEntry(model, actual)) : null;
+        result.push(toTransaction(actual, planned));
+      });
+
+    return result;
+  }
+
+  /**
+   * Net change to an account from actuals dated on or after one date and before another
+   * Used to roll a start-of-day starting balance forward to the start of a ledger
+   * @param {Object} model - The financial model
+   * @param {string} accountId - Account ID
+   * @param {string} fromDate - First date counted (YYYY-MM-DD, '' for all earlier actuals)
+   * @param {string} toDate - Date the balance is needed on (not counted)
+   * @returns {number} Signed change
+   */
+  function getBalanceChange(model, accountId, fromDate, toDate) {
+    const change = getActuals(model)
+      .filter(a => a.date >= fromDate && a.date < toDate)
+      .flatMap(a => FSS.Ledger.postTransaction(toTransaction(a)))
+      .filter(p => p.accountId === accountId)
+      .reduce((sum, p) => sum + p.amount, 0);
+    return round(change);
+  }
+
+  /**
+   * List projected entries in a range alongside the actuals that cleared them
+   * Unexpected transactions and actuals whose projected entry falls outside
+   * the range are included when the actual is dated within it. Variance is
+   * actual minus planned as it affects the balance, so spending more than
+   * planned is negative.
+   * @param {Object} model - The financial model
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Array} Rows { date, name, kind, accountId, category, planned, actual, variance } in date order
+   */
+  function getReconciliation(model, startDate, endDate) {
+    const actualsByKey = new Map();
+    getActuals(model).forEach(a => {
+      const key = getEntryKey(a);
+      if (key) actualsByKey.set(key, a);
+    });
+
+    const rows = [];
+    const listed = new Set();
+    FSS.Ledger.generateTransactions({ ...model, actuals: [] }, startDate, endDate).forEach(tx => {
+      const key = getEntryKey(tx);
+      if (!key) return;
+      listed.add(key);
+      rows.push(buildRow({ ...tx, amount: Math.abs(tx.amount) }, actualsByKey.get(key) || null));
+    });
+
+    getActuals(model)
+      .filter(a => a.date >= startDate && a.date <= endDate && !listed.has(getEntryKey(a)))
+      .forEach(actual => {
+        rows.push(buildRow(getEntryKey(actual) ? getPlannedEntry(model, actual) : null, actual));
+      });
+
+    return rows.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  function buildRow(planned, actual) {
+    const source = planned || actual;
+    const sign = source.kind === 'income' ? 1 : -1;
+    return {
+      date: planned?.date || actual.date,
+      name: source.name,
+      kind: source.kind,
+      accountId: source.accountId,
+      category: source.category || '',
+      ruleId: source.ruleId || null,
+      occurrenceDate: source.occurrenceDate || null,
+      oneOffId: source.oneOffId || null,
+      planned,
+      actual,
+      variance: planned && actual ? round(sign * (actual.amount - planned.amount)) : null
+    };
+  }
+
+  /**
+   * Compare planned and actual amounts by category for one month
+   * Planned amounts come from the forecast without any actuals, so each
+   * cleared entry counts at its scheduled amount in the month it was
+   * scheduled. Amounts are signed as they affect the balance, and transfers
+   * between accounts cancel out unless one account is measured.
+   * @param {Object} model - The financial model
+   * @param {string} month - Month (YYYY-MM)
+   * @param {Object} options - { accountId: one account, or 'all' / omitted for every account }
+   * @returns {Object} { month, rows: [{ category, planned, actual, variance }], totals: { planned, actual, variance } }
+   */
+  function getVarianceByCategory(model, month, options = {}) {
+    const start = DateTime.fromISO(`${month}-01`);
+    const startDate = start.toISODate();
+    const endDate = start.endOf('month').toISODate();
+    const accountId = options.accountId && options.accountId !== FSS.Ledger.ALL_ACCOUNTS ? options.accountId : null;
+
+    const byCategory = {};
+    const add = (transactions, field) => {
+      transactions
+        .filter(tx => !tx.isStatement)
+        .flatMap(tx => FSS.Ledger.postTransaction(tx))
+        .filter(p => !accountId || p.accountId === accountId)
+        .forEach(p => {
+          const category = p.category || 'uncategorized';
+          byCategory[category] = byCategory[category] || { planned: 0, actual: 0 };
+          byCategory[category][field] += p.amount;
+        });
+    };
+
+    add(FSS.Ledger.generateTransactions({ ...model, actuals: [] }, startDate, endDate), 'planned');
+    add(getActuals(model).filter(a => a.date >= startDate && a.date <= endDate).map(a => toTransaction(a)), 'actual');
+
+    const rows = Object.entries(byCategory)
+      .map(([category, values]) => ({
+        category,
+        planned: round(values.planned),
+        actual: round(values.actual),
+        variance: round(values.actual - values.planned)
+      }))
+      .filter(row => row.planned !== 0 || row.actual !== 0)
+      .sort((a, b) => Math.abs(b.variance) - Math.abs(a.variance));
+
+    const totals = rows.reduce((sum, row) => ({
+      planned: round(sum.planned + row.planned),
+      actual: round(sum.actual + row.actual),
+      variance: round(sum.variance + row.variance)
+    }), { planned: 0, actual: 0, variance: 0 });
+
+    return { month, rows, totals };
+  }
+
+  /**
+   * Months before the current one that have recorded actuals, latest first
+   * @returns {Array<string>} Months (YYYY-MM)
+   */
+  function getPastMonths(model) {
+    const currentMonth = DateTime.now().toFormat('yyyy-MM');
+    const months = new Set(getActuals(model).map(a => a.date.substring(0, 7)));
+    return [...months].filter(m => m < currentMonth).sort().reverse();
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Public API
+  return {
+    getEntryKey,
+    findForEntry,
+    getPlannedEntry,
+    toTransaction,
+    applyToTransactions,
+    getBalanceChange,
+    getReconciliation,
+    getVarianceByCategory,
+    getPastMonths
+  };
+})();
+
+window.FSS = FSS;
@@ -70,10 +70,10 @@ FSS.App = (function() {
   }
 
   /**
-   * Check for scenario draft and show banner if present
+   * Check for an active scenario and show banner if present
    */
   function checkScenarioBanner() {
-    if (FSS.Storage.hasScenarioDraft() && currentPage !== 'scenarios') {
+    if (FSS.Storage.hasActiveScenario() && currentPage !== 'scenarios') {
       const banner = document.getElementById('scenario-banner');
       if (banner) {
         banner.style.display = 'flex';
@@ -81,6 +81,37 @@ FSS.App = (function() {
     }
   }
 
+  /**
+   * Get the account view shared by the Dashboard and Timeline
+   * @param {Object} model - The model being viewed
+   * @returns {string} Account ID, or 'all' for the consolidated view
+   */
+  function getAccountView(model) {
+    const saved = FSS.Storage.loadUIState().accountView;
+    if (saved === FSS.Ledger.ALL_ACCOUNTS || (model.accounts || []).some(a => a.id === saved)) {
+      return saved;
+    }
+    return FSS.Ledger.getDefaultAccountId(model);
+  }
+
+  /**
+   * Remember the selected account view
+   */
+  function setAccountView(accountId) {
+    FSS.Storage.updateUIState('accountView', accountId);
+  }
+
+  /**
+   * Build <option> markup for an account view selector
+   */
+  function getAccountViewOptions(model, selected) {
+    const options = [{ value: FSS.Ledger.ALL_ACCOUNTS, label: 'All Accounts (combined)' }]
+      .concat((model.accounts || []).map(a => ({ value: a.id, label: a.name })));
+    return options
+      .map(o => `<option value="${o.value}" ${o.value === selected ? 'selected' : ''}>${o.label}</option>`)
+      .join('');
+  }
+
   /**
    * Format currency amount
    */
@@ -295,6 +326,9 @@ FSS.App = (function() {
     init,
     detectPage,
     getModel,
+    getAccountView,
+    setAccountView,
+    getAccountViewOptions,
     formatCurrency,
     formatDate,
     showToast,
@@ -1,6 +1,6 @@
 /**
  * Finance Scenario Simulator - Business Day Module
- * Weekend detection and business day adjustment logic
+ * Weekend detection, holiday calendars and business day adjustment logic
  */
 
 var FSS = window.FSS || {};
@@ -10,6 +10,69 @@ FSS.BusinessDay = (function() {
 
   const { DateTime } = luxon;
 
+  /**
+   * Built-in rule-based holiday calendars
+   *
+   * Each holiday is either a fixed date ({ month, day }), the nth weekday of a
+   * month ({ month, weekday, nth }, Luxon weekday 1-7, nth -1 = last) or an
+   * offset from Easter Sunday ({ easterOffset }). The calendar's observance
+   * decides how holidays landing on a weekend are shifted.
+   */
+  const HOLIDAY_CALENDARS = {
+    us_federal_reserve: {
+      name: 'US Federal Reserve',
+      // Sunday holidays close the following Monday; Saturday holidays are not moved
+      observance: 'sunday_to_monday',
+      holidays: [
+        { name: "New Year's Day", month: 1, day: 1 },
+        { name: 'Martin Luther King Jr. Day', month: 1, weekday: 1, nth: 3 },
+        { name: "Washington's Birthday", month: 2, weekday: 1, nth: 3 },
+        { name: 'Memorial Day', month: 5, weekday: 1, nth: -1 },
+        { name: 'Juneteenth', month: 6, day: 19, since: 2022 },
+        { name: 'Independence Day', month: 7, day: 4 },
+        { name: 'Labor Day', month: 9, weekday: 1, nth: 1 },
+        { name: 'Columbus Day', month: 10, weekday: 1, nth: 2 },
+        { name: 'Veterans Day', month: 11, day: 11 },
+        { name: 'Thanksgiving Day', month: 11, weekday: 4, nth: 4 },
+        { name: 'Christmas Day', month: 12, day: 25 }
+      ]
+    },
+    us_nyse: {
+      name: 'US Stock Market (NYSE)',
+      observance: 'nearest_weekday',
+      holidays: [
+        { name: "New Year's Day", month: 1, day: 1, noSaturdayObservance: true },
+        { name: 'Martin Luther King Jr. Day', month: 1, weekday: 1, nth: 3 },
+        { name: "Washington's Birthday", month: 2, weekday: 1, nth: 3 },
+        { name: 'Good Friday', easterOffset: -2 },
+        { name: 'Memorial Day', month: 5, weekday: 1, nth: -1 },
+        { name: 'Juneteenth', month: 6, day: 19, since: 2022 },
+        { name: 'Independence Day', month: 7, day: 4 },
+        { name: 'Labor Day', month: 9, weekday: 1, nth: 1 },
+        { name: 'Thanksgiving Day', month: 11, weekday: 4, nth: 4 },
+        { name: 'Christmas Day', month: 12, day: 25 }
+      ]
+    },
+    uk_england_wales: {
+      name: 'UK Bank Holidays (England & Wales)',
+      // Weekend holidays get a substitute day on the next free weekday
+      observance: 'next_weekday',
+      holidays: [
+        { name: "New Year's Day", month: 1, day: 1 },
+        { name: 'Good Friday', easterOffset: -2 },
+        { name: 'Easter Monday', easterOffset: 1 },
+        { name: 'Early May Bank Holiday', month: 5, weekday: 1, nth: 1 },
+        { name: 'Spring Bank Holiday', month: 5, weekday: 1, nth: -1 },
+        { name: 'Summer Bank Holiday', month: 8, weekday: 1, nth: -1 },
+        { name: 'Christmas Day', month: 12, day: 25 },
+        { name: 'Boxing Day', month: 12, day: 26 }
+      ]
+    }
+  };
+
+  // Generated holiday lists keyed by "calendarId:year"
+  const holidayCache = {};
+
   /**
    * Check if a date is a weekend
    * @param {string|DateTime} date - Date to check
@@ -34,8 +97,236 @@ FSS.BusinessDay = (function() {
       return false;
     }
     
-    // V1: No holiday support
-    return true;
+    return !isHoliday(date, settings);
+  }
+
+  /**
+   * Check if a date is a holiday in the configured calendar or custom list
+   * @param {string|DateTime} date - Date to check
+   * @param {Object} settings - Business day settings
+   * @returns {boolean}
+   */
+  function isHoliday(date, settings = {}) {
+    return getHolidayName(date, settings) !== null;
+  }
+
+  /**
+   * Get the name of the holiday on a date
+   * @param {string|DateTime} date - Date to check
+   * @param {Object} settings - Business day settings
+   * @returns {string|null} Holiday name, or null if not a holiday
+   */
+  function getHolidayName(date, settings = {}) {
+    const dt = typeof date === 'string' ? DateTime.fromISO(date) : date;
+    const isoDate = dt.toISODate();
+
+    const custom = (settings.customHolidays || []).find(h => h.date === isoDate);
+    if (custom) {
+      return custom.name || 'Holiday';
+    }
+
+    if (!settings.holidayCalendar || settings.holidayCalendar === 'none') {
+      return null;
+    }
+
+    const holiday = getCalendarHolidays(settings.holidayCalendar, dt.year)
+      .find(h => h.date === isoDate);
+    return holiday ? holiday.name : null;
+  }
+
+  /**
+   * Get all holidays for a year, built-in calendar plus custom holidays
+   * @param {number} year - Year
+   * @param {Object} settings - Business day settings
+   * @returns {Array} Array of { date, name, observed, custom } sorted by date
+   */
+  function getHolidays(year, settings = {}) {
+    const holidays = settings.holidayCalendar && settings.holidayCalendar !== 'none'
+      ? getCalendarHolidays(settings.holidayCalendar, year).map(h => ({ ...h }))
+      : [];
+
+    for (const custom of settings.customHolidays || []) {
+      if (custom.date && custom.date.startsWith(`${year}-`)) {
+        holidays.push({
+          date: custom.date,
+          name: custom.name || 'Holiday',
+          observed: false,
+          custom: true
+        });
+      }
+    }
+
+    return holidays.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Get all holidays within a date range
+   * @param {string} startDate - Start date
+   * @param {string} endDate - End date
+   * @param {Object} settings - Business day settings
+   * @returns {Array} Array of { date, name, observed, custom }
+   */
+  function getHolidaysInRange(startDate, endDate, settings = {}) {
+    const startYear = DateTime.fromISO(startDate).year;
+    const endYear = DateTime.fromISO(endDate).year;
+    const holidays = [];
+
+    for (let year = startYear; year <= endYear; year++) {
+      holidays.push(...getHolidays(year, settings).filter(h =>
+        h.date >= startDate && h.date <= endDate
+      ));
+    }
+
+    return holidays;
+  }
+
+  /**
+   * Get holidays of a built-in calendar that fall within a year (cached)
+   * Observed dates can cross year boundaries, so neighbouring years are generated too
+   */
+  function getCalendarHolidays(calendarId, year) {
+    const key = `${calendarId}:${year}`;
+    if (holidayCache[key]) return holidayCache[key];
+
+    const calendar = HOLIDAY_CALENDARS[calendarId];
+    if (!calendar) return [];
+
+    const holidays = [year - 1, year, year + 1]
+      .flatMap(y => generateCalendarYear(calendar, y))
+      .filter(h => h.date.startsWith(`${year}-`));
+
+    holidayCache[key] = holidays;
+    return holidays;
+  }
+
+  /**
+   * Generate observed holiday dates for one calendar year of a calendar
+   */
+  function generateCalendarYear(calendar, year) {
+    const actual = calendar.holidays
+      .filter(def => !def.since || year >= def.since)
+      .map(def => ({ def, date: resolveHolidayDate(def, year) }))
+      .sort((a, b) => a.date < b.date ? -1 : 1);
+
+    const taken = new Set();
+    const result = [];
+
+    // Holidays already on a weekday claim their date before substitutes are placed
+    for (const { def, date } of actual) {
+      if (!isWeekend(date)) {
+        taken.add(date.toISODate());
+        result.push({ date: date.toISODate(), name: def.name, observed: false });
+      }
+    }
+
+    for (const { def, date } of actual) {
+      if (!isWeekend(date)) continue;
+
+      const observedDate = getObservedDate(date, def, calendar.observance, taken);
+      if (observedDate) {
+        taken.add(observedDate.toISODate());
+      }
+      const dt = observedDate || date;
+      result.push({
+        date: dt.toISODate(),
+        name: observedDate ? `${def.name} (observed)` : def.name,
+        observed: !!observedDate
+      });
+    }
+
+    return result.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Resolve a holiday definition to its actual date in a year
+   */
+  function resolveHolidayDate(def, year) {
+    if (typeof def.easterOffset === 'number') {
+      return getEasterSunday(year).plus({ days: def.easterOffset });
+    }
+    if (def.weekday) {
+      return nthWeekdayOfMonth(year, def.month, def.weekday, def.nth);
+    }
+    return DateTime.local(year, def.month, def.day);
+  }
+
+  /**
+   * Get the observed (shifted) date of a weekend holiday
+   * @returns {DateTime|null} Observed date, or null if the holiday is not shifted
+   */
+  function getObservedDate(date, def, observance, taken) {
+    switch (observance) {
+      case 'sunday_to_monday':
+        return date.weekday === 7 ? date.plus({ days: 1 }) : null;
+      case 'nearest_weekday':
+        if (date.weekday === 6) {
+          return def.noSaturdayObservance ? null : date.minus({ days: 1 });
+        }
+        return date.plus({ days: 1 });
+      case 'next_weekday': {
+        let observed = date.plus({ days: 1 });
+        while (isWeekend(observed) || taken.has(observed.toISODate())) {
+          observed = observed.plus({ days: 1 });
+        }
+        return observed;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get the nth weekday of a month
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @param {number} weekday - Luxon weekday (1 = Monday, 7 = Sunday)
+   * @param {number} nth - 1-5 from the start of the month, -1 for the last
+   * @returns {DateTime|null} Date, or null if the month has no such weekday
+   */
+  function nthWeekdayOfMonth(year, month, weekday, nth) {
+    const monthStart = DateTime.local(year, month, 1);
+
+    if (nth < 0) {
+      const monthEnd = monthStart.endOf('month').startOf('day');
+      const back = (monthEnd.weekday - weekday + 7) % 7;
+      return monthEnd.minus({ days: back + (Math.abs(nth) - 1) * 7 });
+    }
+
+    const forward = (weekday - monthStart.weekday + 7) % 7;
+    const date = monthStart.plus({ days: forward + (nth - 1) * 7 });
+    return date.month === month ? date : null;
+  }
+
+  /**
+   * Get Easter Sunday (Gregorian calendar, anonymous algorithm)
+   */
+  function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return DateTime.local(year, month, day);
+  }
+
+  /**
+   * Get holiday calendar options for select inputs
+   * @returns {Array} Array of { value, label }
+   */
+  function getCalendarOptions() {
+    return [
+      { value: 'none', label: 'None (weekends only)' },
+      ...Object.entries(HOLIDAY_CALENDARS).map(([id, cal]) => ({ value: id, label: cal.name }))
+    ];
   }
 
   /**
@@ -152,6 +443,34 @@ FSS.BusinessDay = (function() {
     return count;
   }
 
+  /**
+   * Get the nth business day of a month
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @param {number} nth - 1-based from the start of the month, -1 for the last
+   * @param {Object} settings - Business day settings
+   * @returns {DateTime|null} Date, or null if the month has fewer business days
+   */
+  function nthBusinessDayOfMonth(year, month, nth, settings = {}) {
+    const start = DateTime.local(year, month, 1);
+    const end = start.endOf('month').startOf('day');
+    const step = nth < 0 ? -1 : 1;
+    let current = nth < 0 ? end : start;
+    let count = 0;
+    
+    while (current >= start && current <= end) {
+      if (isBusinessDay(current, settings)) {
+        count++;
+        if (count === Math.abs(nth)) {
+          return current;
+        }
+      }
+      current = current.plus({ days: step });
+    }
+    
+    return null;
+  }
+
   /**
    * Get all business days in a date range
    * @param {string} startDate - Start date
@@ -193,13 +512,21 @@ FSS.BusinessDay = (function() {
 
   // Public API
   return {
+    HOLIDAY_CALENDARS,
     isWeekend,
     isBusinessDay,
+    isHoliday,
+    getHolidayName,
+    getHolidays,
+    getHolidaysInRange,
+    getCalendarOptions,
+    nthWeekdayOfMonth,
     nextBusinessDay,
     prevBusinessDay,
     adjustDate,
     adjustTransaction,
     businessDaysInMonth,
+    nthBusinessDayOfMonth,
     getBusinessDaysInRange,
     describeAdjustment
   };
@@ -10,6 +10,27 @@ FSS.Debt = (function() {
 
   const { DateTime } = luxon;
 
+  // Ledger-driven projections try this many months before the full window
+  const LEDGER_FIRST_WINDOW_MONTHS = 60;
+
+  /**
+   * Multi-debt payoff strategies
+   * MINIMUM pays each debt its own minimum with no rollover (the baseline)
+   */
+  const STRATEGIES = {
+    AVALANCHE: 'avalanche',
+    SNOWBALL: 'snowball',
+    CUSTOM: 'custom',
+    MINIMUM: 'minimum'
+  };
+
+  const STRATEGY_LABELS = {
+    avalanche: 'Avalanche (highest APR first)',
+    snowball: 'Snowball (smallest balance first)',
+    custom: 'Custom order',
+    minimum: 'Minimum payments only'
+  };
+
   /**
    * Calculate monthly interest rate from APR
    * @param {number} apr - Annual Percentage Rate (e.g., 16.5 for 16.5%)
@@ -28,6 +49,96 @@ FSS.Debt = (function() {
     return (apr / 100) / 365;
   }
 
+  /**
+   * Get the APR in effect on a date
+   * A promotional rate applies from its start date through its end date;
+   * otherwise the latest APR schedule step on or before the date wins, and
+   * the debt's own apr applies before any step.
+   * @param {Object} debt - Debt object
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {number} APR
+   */
+  function getAprOnDate(debt, date) {
+    const promo = debt.promo;
+    if (promo && date >= (promo.startDate || '') && date <= promo.endDate) {
+      return promo.apr;
+    }
+
+    let apr = debt.apr || 0;
+    for (const step of debt.aprSchedule || []) {
+      if (step.effectiveDate <= date) {
+        apr = step.apr;
+      }
+    }
+    return apr;
+  }
+
+  /**
+   * Get the balance-transfer fee charged within a projection
+   * The fee is a percentage of the balance, charged on the promo start date.
+   * A promo that started before the projection is assumed to be in the balance.
+   * @param {Object} debt - Debt object
+   * @param {string} startDate - Projection start date (YYYY-MM-DD)
+   * @returns {Object|null} { date, amount } or null
+   */
+  function getTransferFee(debt, startDate) {
+    const promo = debt.promo;
+    if (!promo || !(promo.transferFeePercent > 0) || !promo.startDate || promo.startDate < startDate) {
+      return null;
+    }
+    return {
+      date: promo.startDate,
+      amount: Math.round(debt.principal * promo.transferFeePercent) / 100
+    };
+  }
+
+  /**
+   * Get a debt's extra payments within a date range
+   * Combines one-off lump sums with occurrences of recurring extra payments
+   * (expanded with the same recurrence types as rules)
+   * @param {Object} debt - Debt object
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {Array} lumpSums - Lump sums to use instead of the debt's own
+   * @returns {Array} [{ date, amount, name, note, recurring }] sorted by date
+   */
+  function getExtraPayments(debt, startDate, endDate, lumpSums = debt.lumpSums || []) {
+    const payments = lumpSums
+      .filter(ls => ls.date >= startDate && ls.date <= endDate && ls.amount > 0)
+      .map(ls => ({ date: ls.date, amount: ls.amount, name: 'Lump sum', note: ls.note, recurring: false }));
+
+    if (FSS.Recurrence) {
+      for (const extra of debt.recurringExtras || []) {
+        if (!(extra.amount > 0)) continue;
+        const rule = { ...extra, enabled: true, kind: 'expense' };
+        FSS.Recurrence.expandRule(rule, startDate, endDate).forEach(occurrence => {
+          payments.push({ date: occurrence.date, amount: extra.amount, name: extra.name, recurring: true });
+        });
+      }
+    }
+
+    return payments.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Apply extra payments to a balance in order, each capped at what is left
+   * @returns {Object} { balance, total, applied: [{ date, name, amount, recurring }] }
+   */
+  function applyExtraPayments(payments, balance) {
+    const applied = [];
+    let total = 0;
+
+    for (const payment of payments) {
+      const amount = Math.round(Math.min(payment.amount, balance) * 100) / 100;
+      if (amount <= 0) continue;
+      balance = Math.round((balance - amount) * 100) / 100;
+      total += amount;
+      applied.push({ date: payment.date, name: payment.name, amount, recurring: payment.recurring });
+    }
+
+    return { balance, total: Math.round(total * 100) / 100, applied };
+  }
+
   /**
    * Calculate interest accrued for a period
    * @param {number} principal - Current principal balance
@@ -58,10 +169,183 @@ FSS.Debt = (function() {
     return Math.min(principal, Math.max(25, calculated));
   }
 
+  /**
+   * Check if a debt is a fixed-term amortizing loan
+   * @param {Object} debt - Debt object
+   * @returns {boolean}
+   */
+  function isInstallment(debt) {
+    return !!(debt && debt.type === 'installment' && debt.loan);
+  }
+
+  /**
+   * Calculate the standard payment for an amortizing loan
+   * @param {number} principal - Loan balance
+   * @param {number} apr - Annual Percentage Rate
+   * @param {number} termMonths - Number of monthly payments
+   * @returns {number} Monthly principal and interest payment
+   */
+  function calculateAmortizedPayment(principal, apr, termMonths) {
+    if (principal <= 0 || !(termMonths > 0)) return 0;
+
+    const rate = getMonthlyRate(apr);
+    const payment = rate === 0
+      ? principal / termMonths
+      : principal * rate / (1 - Math.pow(1 + rate, -termMonths));
+    return Math.round(payment * 100) / 100;
+  }
+
+  /**
+   * Build the full amortization schedule of an installment loan
+   * Payments fall monthly from the first payment date. Lump sums are applied
+   * in the payment period they fall in, before that period's payment, and
+   * extra principal is paid with each payment. On a recast date the payment is recomputed from the
+   * remaining balance over the remaining term.
+   * @param {Object} debt - Installment debt (principal is the original loan amount)
+   * @param {Object} options - extraMonthly and lumpSums overrides
+   * @returns {Array} Schedule rows
+   */
+  function buildAmortizationSchedule(debt, options = {}) {
+    const {
+      extraMonthly = debt.extraMonthlyPayment || 0,
+      lumpSums = debt.lumpSums || []
+    } = options;
+
+    const loan = debt.loan || {};
+    const termMonths = loan.termMonths || 0;
+    const escrow = loan.escrow || 0;
+    const firstPayment = DateTime.fromISO(loan.firstPaymentDate);
+    const extraPayments = getExtraPayments(debt,
+      firstPayment.minus({ months: 1 }).plus({ days: 1 }).toISODate(),
+      firstPayment.plus({ months: termMonths }).toISODate(), lumpSums);
+    const recastDates = (loan.recasts || []).map(r => r.date).sort();
+
+    const schedule = [];
+    let apr = getAprOnDate(debt, loan.firstPaymentDate);
+    let payment = calculateAmortizedPayment(debt.principal, apr, termMonths);
+    let balance = debt.principal;
+    let totalInterest = 0;
+    let totalPaid = 0;
+    let previousDate = '';
+
+    for (let month = 1; month <= termMonths && balance > 0; month++) {
+      const date = firstPayment.plus({ months: month - 1 }).toISODate();
+      const inPeriod = d => d > previousDate && d <= date;
+
+      // A rate change re-amortizes the balance over the remaining term
+      const periodApr = getAprOnDate(debt, date);
+      if (periodApr !== apr) {
+        apr = periodApr;
+        payment = calculateAmortizedPayment(balance, apr, termMonths - month + 1);
+      }
+
+      const interest = Math.round(balance * getMonthlyRate(apr) * 100) / 100;
+      balance = Math.round((balance + interest) * 100) / 100;
+
+      const extras = applyExtraPayments(extraPayments.filter(p => inPeriod(p.date)), balance);
+      const lumpSum = extras.total;
+      balance = extras.balance;
+
+      // The last payment clears whatever is left, including rounding
+      const scheduled = month === termMonths ? balance : Math.min(payment, balance);
+      balance = Math.round((balance - scheduled) * 100) / 100;
+
+      const extra = Math.min(extraMonthly, balance);
+      balance = Math.round((balance - extra) * 100) / 100;
+
+      const recast = balance > 0 && recastDates.some(inPeriod);
+      if (recast) {
+        payment = calculateAmortizedPayment(balance, apr, termMonths - month);
+      }
+
+      totalInterest += interest;
+      totalPaid += scheduled + extra + lumpSum;
+
+      schedule.push({
+        month,
+        date,
+        payment: scheduled,
+        escrow,
+        extra,
+        lumpSum,
+        extraPayments: extras.applied,
+        interest,
+        principal: Math.round((scheduled - interest + extra + lumpSum) * 100) / 100,
+        balance,
+        totalPaid,
+        totalInterest,
+        recast,
+        nextPayment: payment
+      });
+
+      previousDate = date;
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Get the balance of a debt on a date
+   * Installment loans follow their amortization schedule (payments before the
+   * date have been made); other debts use their principal as the current balance
+   * @param {Object} debt - Debt object
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {number} Balance
+   */
+  function getBalanceOnDate(debt, date) {
+    if (!isInstallment(debt)) return debt.principal;
+
+    const paid = buildAmortizationSchedule(debt).filter(row => row.date < date);
+    return paid.length > 0 ? paid[paid.length - 1].balance : debt.principal;
+  }
+
+  /**
+   * Project an installment loan's payoff from its amortization schedule
+   * @param {Object} debt - Installment debt
+   * @param {Object} options - extraMonthly and lumpSums overrides
+   * @returns {Object} Payoff projection
+   */
+  function projectLoanPayoff(debt, options = {}) {
+    const schedule = buildAmortizationSchedule(debt, options);
+    const termMonths = debt.loan.termMonths;
+
+    if (schedule.length === 0) {
+      return {
+        isPaidOff: false,
+        message: 'No payments configured',
+        schedule: []
+      };
+    }
+
+    const lastEntry = schedule[schedule.length - 1];
+    const isPaidOff = lastEntry.balance <= 0;
+
+    return {
+      isPaidOff,
+      payoffDate: isPaidOff ? lastEntry.date : null,
+      payoffMonths: isPaidOff ? schedule.length : null,
+      totalInterest: lastEntry.totalInterest,
+      totalPaid: lastEntry.totalPaid,
+      originalPrincipal: debt.principal,
+      finalBalance: lastEntry.balance,
+      monthlyPayment: schedule[0].payment,
+      escrow: debt.loan.escrow || 0,
+      termMonths,
+      monthsSaved: termMonths - schedule.length,
+      schedule,
+      message: isPaidOff
+        ? `Paid off in ${schedule.length} of ${termMonths} months (${DateTime.fromISO(lastEntry.date).toFormat('MMMM yyyy')})`
+        : `Not paid off within ${termMonths} months`
+    };
+  }
+
   /**
    * Project debt payoff timeline
+   * Installment loans follow their amortization schedule. Debts that generate
+   * payments are projected from the payments the ledger
+   * posts; other debts use a standalone monthly simulation.
    * @param {Object} debt - Debt object with principal, apr, etc.
-   * @param {Object} options - Options like extra payments
+   * @param {Object} options - Options like extra payments, or the model to run the ledger on
    * @returns {Object} Payoff projection
    */
   function projectPayoff(debt, options = {}) {
@@ -72,14 +356,37 @@ FSS.Debt = (function() {
       lumpSums = debt.lumpSums || []
     } = options;
 
+    let projection;
+    const model = options.model || FSS.Model?.get();
+    if (isInstallment(debt)) {
+      projection = projectLoanPayoff(debt, { extraMonthly, lumpSums });
+    } else if (debt.generatePayments && model && FSS.Ledger) {
+      const ledgerDebt = { ...debt, extraMonthlyPayment: extraMonthly, lumpSums };
+      projection = projectPayoffFromLedger(ledgerDebt, model, startDate, maxMonths);
+    } else {
+      projection = simulatePayoff(debt, { startDate, maxMonths, extraMonthly, lumpSums });
+    }
+
+    return addPromoSummary(debt, projection, startDate);
+  }
+
+  /**
+   * Simulate a revolving debt's payoff month by month
+   * Interest uses the APR in effect each month, charged on the whole balance
+   * unless the debt uses average-daily-balance accrual
+   */
+  function simulatePayoff(debt, options) {
+    const { startDate, maxMonths, extraMonthly, lumpSums } = options;
+    const startingApr = getAprOnDate(debt, startDate);
+
     // Get minimum payment from linked rule or calculate
     let minPayment = 0;
     if (debt.minPaymentRuleId) {
       const rule = FSS.Model?.getRule(debt.minPaymentRuleId);
-      minPayment = rule?.amount || 0;
+      minPayment = rule && rule.enabled !== false ? rule.amount : 0;
     }
     if (!minPayment) {
-      minPayment = calculateMinPayment(debt.principal, debt.apr);
+      minPayment = calculateMinPayment(debt.principal, startingApr);
     }
 
     const totalMonthlyPayment = minPayment + extraMonthly;
@@ -92,6 +399,10 @@ FSS.Debt = (function() {
       };
     }
 
+    if (debt.interestMethod === 'daily_balance') {
+      return simulateDailyBalancePayoff(debt, { ...options, totalMonthlyPayment });
+    }
+
     const schedule = [];
     let balance = debt.principal;
     let currentDate = DateTime.fromISO(startDate);
@@ -99,27 +410,32 @@ FSS.Debt = (function() {
     let totalPaid = 0;
     let month = 0;
 
-    // Sort lump sums by date
-    const sortedLumpSums = [...lumpSums].sort((a, b) => a.date.localeCompare(b.date));
+    const endDate = DateTime.fromISO(startDate).plus({ months: maxMonths }).endOf('month').toISODate();
+    const extraPayments = getExtraPayments(debt, startDate, endDate, lumpSums);
+    let transferFee = getTransferFee(debt, startDate);
 
     while (balance > 0 && month < maxMonths) {
       month++;
       
+      // Balance-transfer fee joins the balance in the month it is charged
+      let fee = 0;
+      if (transferFee && transferFee.date <= currentDate.endOf('month').toISODate()) {
+        fee = transferFee.amount;
+        balance += fee;
+        transferFee = null;
+      }
+
       // Calculate monthly interest
-      const interest = balance * getMonthlyRate(debt.apr);
+      const interest = balance * getMonthlyRate(getAprOnDate(debt, currentDate.toISODate()));
       totalInterest += interest;
       balance += interest;
 
-      // Check for lump sum payments this month
+      // Apply every lump sum and recurring extra payment this month
       const monthStr = currentDate.toFormat('yyyy-MM');
-      const lumpSum = sortedLumpSums.find(ls => ls.date.startsWith(monthStr));
-      let lumpSumAmount = 0;
-      
-      if (lumpSum) {
-        lumpSumAmount = Math.min(lumpSum.amount, balance);
-        balance -= lumpSumAmount;
-        totalPaid += lumpSumAmount;
-      }
+      const extras = applyExtraPayments(extraPayments.filter(p => p.date.startsWith(monthStr)), balance);
+      const lumpSumAmount = extras.total;
+      balance = extras.balance;
+      totalPaid += lumpSumAmount;
 
       // Regular payment
       const payment = Math.min(totalMonthlyPayment, balance);
@@ -134,8 +450,10 @@ FSS.Debt = (function() {
         date: currentDate.toISODate(),
         payment,
         lumpSum: lumpSumAmount,
+        extraPayments: extras.applied,
         interest,
-        principal: payment - interest + lumpSumAmount,
+        fee,
+        principal: payment - interest - fee + lumpSumAmount,
         balance,
         totalPaid,
         totalInterest
@@ -144,18 +462,27 @@ FSS.Debt = (function() {
       currentDate = currentDate.plus({ months: 1 });
     }
 
+    return summarizeSchedule(debt, schedule, maxMonths, totalMonthlyPayment);
+  }
+
+  /**
+   * Build a payoff projection from a simulated schedule
+   */
+  function summarizeSchedule(debt, schedule, maxMonths, monthlyPayment) {
     const lastEntry = schedule[schedule.length - 1];
+    const balance = lastEntry ? lastEntry.balance : debt.principal;
+    const month = schedule.length;
     const payoffDate = balance <= 0 ? lastEntry?.date : null;
 
     return {
       isPaidOff: balance <= 0,
       payoffDate,
       payoffMonths: balance <= 0 ? month : null,
-      totalInterest,
-      totalPaid,
+      totalInterest: lastEntry ? lastEntry.totalInterest : 0,
+      totalPaid: lastEntry ? lastEntry.totalPaid : 0,
       originalPrincipal: debt.principal,
       finalBalance: balance,
-      monthlyPayment: totalMonthlyPayment,
+      monthlyPayment,
       schedule,
       message: balance <= 0 
         ? `Paid off in ${month} months (${DateTime.fromISO(payoffDate).toFormat('MMMM yyyy')})`
@@ -163,6 +490,229 @@ FSS.Debt = (function() {
     };
   }
 
+  /**
+   * Get the statement closing date on or after a date
+   * @param {DateTime} date - Date to start from
+   * @param {number} closingDay - Day of month the statement closes (clamped to month length)
+   * @returns {DateTime} Closing date
+   */
+  function getNextClosingDate(date, closingDay) {
+    let closing = date.set({ day: Math.min(closingDay, date.daysInMonth) });
+    if (closing < date.startOf('day')) {
+      const nextMonth = date.plus({ months: 1 });
+      closing = nextMonth.set({ day: Math.min(closingDay, nextMonth.daysInMonth) });
+    }
+    return closing;
+  }
+
+  /**
+   * Simulate a revolving debt's payoff with average-daily-balance interest
+   * Interest for each statement cycle is the average daily balance times the
+   * daily rate times the days in the cycle, charged on the closing day. The
+   * regular payment falls monthly from the start date and lump sums on their
+   * own dates, so money paid earlier in a cycle saves more interest. One
+   * schedule row per statement cycle.
+   */
+  function simulateDailyBalancePayoff(debt, options) {
+    const { startDate, maxMonths, lumpSums, totalMonthlyPayment } = options;
+    const start = DateTime.fromISO(startDate);
+    const closingDay = debt.statementDay || 1;
+
+    const endDate = start.plus({ months: maxMonths + 1 }).toISODate();
+    const extrasByDate = {};
+    getExtraPayments(debt, startDate, endDate, lumpSums).forEach(p => {
+      (extrasByDate[p.date] = extrasByDate[p.date] || []).push(p);
+    });
+    let transferFee = getTransferFee(debt, startDate);
+
+    const schedule = [];
+    let balance = debt.principal;
+    let totalInterest = 0;
+    let totalPaid = 0;
+    let nextPaymentDate = start;
+    let paymentNumber = 0;
+    let cycleStart = start;
+
+    while (balance > 0 && schedule.length < maxMonths) {
+      const cycleEnd = getNextClosingDate(cycleStart, closingDay);
+      let dailyBalanceSum = 0;
+      let payment = 0;
+      let lumpSum = 0;
+      let fee = 0;
+      const applied = [];
+
+      for (let day = cycleStart; day <= cycleEnd; day = day.plus({ days: 1 })) {
+        const iso = day.toISODate();
+
+        if (transferFee && transferFee.date <= iso) {
+          fee = transferFee.amount;
+          balance += fee;
+          transferFee = null;
+        }
+        if (extrasByDate[iso]) {
+          const extras = applyExtraPayments(extrasByDate[iso], balance);
+          balance = extras.balance;
+          lumpSum += extras.total;
+          applied.push(...extras.applied);
+        }
+        if (day.hasSame(nextPaymentDate, 'day')) {
+          const amount = Math.min(totalMonthlyPayment, balance);
+          balance -= amount;
+          payment += amount;
+          paymentNumber++;
+          nextPaymentDate = start.plus({ months: paymentNumber });
+        }
+
+        // End-of-day balance counts toward the cycle's average
+        dailyBalanceSum += balance;
+      }
+
+      const apr = getAprOnDate(debt, cycleEnd.toISODate());
+      const interest = Math.round(dailyBalanceSum * getDailyRate(apr) * 100) / 100;
+      balance = Math.max(0, Math.round((balance + interest) * 100) / 100);
+      totalInterest += interest;
+      totalPaid += payment + lumpSum;
+
+      const days = Math.round(cycleEnd.diff(cycleStart, 'days').days) + 1;
+      schedule.push({
+        month: schedule.length + 1,
+        date: cycleEnd.toISODate(),
+        payment,
+        lumpSum,
+        extraPayments: applied,
+        interest,
+        fee,
+        principal: payment - interest - fee + lumpSum,
+        balance,
+        averageDailyBalance: Math.round(dailyBalanceSum / days * 100) / 100,
+        totalPaid,
+        totalInterest
+      });
+
+      cycleStart = cycleEnd.plus({ days: 1 });
+    }
+
+    return summarizeSchedule(debt, schedule, maxMonths, totalMonthlyPayment);
+  }
+
+  /**
+   * Project a debt's payoff from the payments posted by the ledger
+   * Runs a short window first and only extends to maxMonths if the debt is
+   * still open, since most debts pay off well within it.
+   * @param {Object} debt - Debt object that generates payments
+   * @param {Object} model - The financial model
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {number} maxMonths - Longest window to project
+   * @returns {Object} Payoff projection
+   */
+  function projectPayoffFromLedger(debt, model, startDate, maxMonths) {
+    const ledgerModel = {
+      ...model,
+      debts: [debt]
+    };
+    const start = DateTime.fromISO(startDate);
+
+    let payments = [];
+    for (const months of [Math.min(LEDGER_FIRST_WINDOW_MONTHS, maxMonths), maxMonths]) {
+      const endDate = start.plus({ months }).minus({ days: 1 }).toISODate();
+      payments = FSS.Ledger.generateTransactions(ledgerModel, startDate, endDate)
+        .filter(tx => tx.isDebtPayment && tx.debtId === debt.id);
+      const last = payments[payments.length - 1];
+      if (last && last.debtBalance <= 0) break;
+    }
+
+    if (payments.length === 0) {
+      return {
+        isPaidOff: false,
+        message: 'No payments configured',
+        schedule: []
+      };
+    }
+
+    // Group payments into one schedule row per month
+    const schedule = [];
+    let totalInterest = 0;
+    let totalPaid = 0;
+
+    for (const tx of payments) {
+      const monthIndex = Math.round(DateTime.fromISO(tx.date).startOf('month')
+        .diff(start.startOf('month'), 'months').months) + 1;
+      let row = schedule[schedule.length - 1];
+      if (!row || row.month !== monthIndex) {
+        row = { month: monthIndex, date: tx.date, payment: 0, lumpSum: 0, extraPayments: [], interest: 0, principal: 0, balance: 0, totalPaid: 0, totalInterest: 0 };
+        schedule.push(row);
+      }
+
+      if (tx.debtPaymentType === 'lump_sum' || tx.debtPaymentType === 'recurring_extra') {
+        row.lumpSum += tx.amount;
+        row.extraPayments.push({ date: tx.date, name: tx.name, amount: tx.amount, recurring: tx.debtPaymentType === 'recurring_extra' });
+      } else {
+        row.payment += tx.amount;
+      }
+      row.interest += tx.debtInterest;
+      row.principal = Math.round((row.principal + tx.amount - tx.debtInterest) * 100) / 100;
+      row.balance = tx.debtBalance;
+      row.date = tx.date;
+
+      totalInterest += tx.debtInterest;
+      totalPaid += tx.amount;
+      row.totalPaid = totalPaid;
+      row.totalInterest = totalInterest;
+    }
+
+    const lastEntry = schedule[schedule.length - 1];
+    const isPaidOff = lastEntry.balance <= 0;
+    const payoffDate = isPaidOff ? lastEntry.date : null;
+    const payoffMonths = isPaidOff ? lastEntry.month : null;
+
+    return {
+      isPaidOff,
+      payoffDate,
+      payoffMonths,
+      totalInterest,
+      totalPaid,
+      originalPrincipal: debt.principal,
+      finalBalance: lastEntry.balance,
+      monthlyPayment: schedule[0].payment,
+      schedule,
+      fromLedger: true,
+      message: isPaidOff
+        ? `Paid off in ${payoffMonths} months (${DateTime.fromISO(payoffDate).toFormat('MMMM yyyy')})`
+        : `Not paid off within ${maxMonths} months`
+    };
+  }
+
+  /**
+   * Add the promotional rate outcome to a payoff projection
+   * Flags the balance still owed when the promo ends, which then accrues at
+   * the go-to rate.
+   * @param {Object} debt - Debt object
+   * @param {Object} projection - Payoff projection
+   * @param {string} startDate - Projection start date (YYYY-MM-DD)
+   * @returns {Object} The projection, with promo details when a promo is still running
+   */
+  function addPromoSummary(debt, projection, startDate) {
+    const promo = debt.promo;
+    if (!promo || promo.endDate < startDate || !projection.schedule) {
+      return projection;
+    }
+
+    const beforeExpiry = projection.schedule.filter(row => row.date <= promo.endDate);
+    const balanceAtExpiry = beforeExpiry.length > 0
+      ? beforeExpiry[beforeExpiry.length - 1].balance
+      : debt.principal;
+    const goToApr = getAprOnDate(debt, DateTime.fromISO(promo.endDate).plus({ days: 1 }).toISODate());
+
+    projection.promo = {
+      apr: promo.apr,
+      endDate: promo.endDate,
+      goToApr,
+      balanceAtExpiry,
+      paidOffBeforeExpiry: balanceAtExpiry <= 0
+    };
+    return projection;
+  }
+
   /**
    * Compare different payoff strategies
    * @param {Object} debt - Debt object
@@ -263,6 +813,364 @@ FSS.Debt = (function() {
     };
   }
 
+  /**
+   * Get a debt's minimum payment for the current balance
+   * Installment loans use the next scheduled payment on or after the date from
+   * their amortization schedule (so rate changes and recasts are followed);
+   * other debts use the linked minimum payment rule's amount, or the
+   * calculated minimum
+   * @param {Object} debt - Debt object
+   * @param {number} balance - Current balance
+   * @param {Object} model - Model to look up the linked rule in (optional)
+   * @param {string} date - Date for the APR in effect (defaults to today)
+   * @returns {number} Minimum payment, capped at the balance
+   */
+  function getMinimumPayment(debt, balance, model = null, date = DateTime.now().toISODate()) {
+    if (balance <= 0) return 0;
+
+    if (isInstallment(debt)) {
+      const row = buildAmortizationSchedule(debt).find(r => r.date >= date);
+      return row ? Math.min(row.payment, balance) : balance;
+    }
+
+    let minPayment = 0;
+    if (debt.minPaymentRuleId) {
+      const rule = model
+        ? model.rules?.find(r => r.id === debt.minPaymentRuleId)
+        : FSS.Model?.getRule(debt.minPaymentRuleId);
+      minPayment = rule && rule.enabled !== false ? rule.amount : 0;
+    }
+    if (!minPayment) {
+      minPayment = calculateMinPayment(balance, getAprOnDate(debt, date));
+    }
+    return Math.min(minPayment, balance);
+  }
+
+  function isDailyBalance(debt) {
+    return debt.interestMethod === 'daily_balance' && !isInstallment(debt);
+  }
+
+  /**
+   * Order debts for a payoff strategy
+   * Avalanche: highest APR first (smaller balance breaks ties)
+   * Snowball: smallest balance first (higher APR breaks ties)
+   * Custom: the given debt IDs first, then any remaining debts in model order
+   * APRs are the rates in effect on the date, including any promo rate
+   * @param {Array} debts - Array of debt objects
+   * @param {string} strategy - One of STRATEGIES
+   * @param {Array} order - Debt IDs for the custom strategy
+   * @param {Object} balances - Current balance by debt ID (defaults to each principal)
+   * @param {string} date - Date to rank APRs on (defaults to today)
+   * @returns {Array} Debts in payoff priority order
+   */
+  function orderDebts(debts, strategy, order = [], balances = {}, date = DateTime.now().toISODate()) {
+    const sorted = [...debts];
+    const balanceOf = debt => balances[debt.id] ?? debt.principal;
+    const aprOf = debt => getAprOnDate(debt, date);
+
+    switch (strategy) {
+      case STRATEGIES.AVALANCHE:
+        return sorted.sort((a, b) => (aprOf(b) - aprOf(a)) || (balanceOf(a) - balanceOf(b)));
+      case STRATEGIES.SNOWBALL:
+        return sorted.sort((a, b) => (balanceOf(a) - balanceOf(b)) || (aprOf(b) - aprOf(a)));
+      case STRATEGIES.CUSTOM: {
+        const rank = id => {
+          const index = order.indexOf(id);
+          return index === -1 ? order.length + debts.findIndex(d => d.id === id) : index;
+        };
+        return sorted.sort((a, b) => rank(a.id) - rank(b.id));
+      }
+      default:
+        return sorted;
+    }
+  }
+
+  /**
+   * Get the default monthly budget for a set of debts
+   * The sum of each debt's current minimum and extra monthly payment
+   * @param {Array} debts - Array of debt objects
+   * @param {Object} model - Model to look up minimum payment rules in (optional)
+   * @returns {number} Monthly budget
+   */
+  function getDefaultBudget(debts, model = null) {
+    const budget = (debts || []).reduce((sum, debt) =>
+      sum + getMinimumPayment(debt, debt.principal, model) + (debt.extraMonthlyPayment || 0), 0);
+    return Math.round(budget * 100) / 100;
+  }
+
+  /**
+   * Plan the payoff of several debts from one monthly budget
+   * Each month every open debt accrues interest and receives its minimum,
+   * then whatever is left of the budget goes to the first open debt in
+   * strategy order, ranked again each month on that month's balances and
+   * APRs (so a debt moves up when its promo rate ends). A paid-off debt's
+   * minimum stays in the budget, so it rolls into the next debt. Each debt's
+   * lump sums and recurring extra payments are paid on top of the budget in
+   * their month, after interest, as in projectPayoff(). Average-daily-balance
+   * debts instead take extras on their own dates and are charged interest on
+   * each statement closing day from the daily balances since the last one.
+   * @param {Array} debts - Array of debt objects
+   * @param {Object} options - strategy, monthlyBudget, order (custom debt IDs), startDate, maxMonths, model
+   * @returns {Object} Plan with a combined schedule and per-debt results
+   */
+  function planPayoff(debts, options = {}) {
+    const {
+      strategy = STRATEGIES.AVALANCHE,
+      order = [],
+      startDate = DateTime.now().toISODate(),
+      maxMonths = 360,
+      model = null
+    } = options;
+
+    const startingBalances = {};
+    (debts || []).forEach(debt => {
+      startingBalances[debt.id] = getBalanceOnDate(debt, startDate);
+    });
+
+    const openDebts = (debts || []).filter(d => startingBalances[d.id] > 0);
+    if (openDebts.length === 0) {
+      return {
+        strategy,
+        isPaidOff: true,
+        message: 'No debts',
+        order: [],
+        debts: [],
+        schedule: []
+      };
+    }
+
+    const monthlyBudget = typeof options.monthlyBudget === 'number'
+      ? options.monthlyBudget
+      : getDefaultBudget(openDebts, model);
+    const ordered = orderDebts(openDebts, strategy, order, startingBalances, startDate);
+    const transferFees = {};
+    const extraPayments = {};
+    const horizonEnd = DateTime.fromISO(startDate).plus({ months: maxMonths }).endOf('month').toISODate();
+    ordered.forEach(debt => {
+      const fee = getTransferFee(debt, startDate);
+      if (fee) transferFees[debt.id] = fee;
+      extraPayments[debt.id] = getExtraPayments(debt, startDate, horizonEnd);
+    });
+
+    const balances = {};
+    const results = {};
+    const dailySums = {};
+    ordered.forEach(debt => {
+      balances[debt.id] = startingBalances[debt.id];
+      dailySums[debt.id] = 0;
+      results[debt.id] = {
+        id: debt.id,
+        name: debt.name,
+        apr: debt.apr,
+        principal: startingBalances[debt.id],
+        payoffDate: null,
+        payoffMonths: null,
+        totalInterest: 0,
+        totalPaid: 0
+      };
+    });
+
+    const schedule = [];
+    let currentDate = DateTime.fromISO(startDate);
+    let totalInterest = 0;
+    let totalPaid = 0;
+    let hasShortfall = false;
+    let month = 0;
+
+    const totalBalance = () => ordered.reduce((sum, d) => sum + balances[d.id], 0);
+
+    while (totalBalance() > 0 && month < maxMonths) {
+      month++;
+      const startingBalance = totalBalance();
+      const byDebt = {};
+      let remaining = monthlyBudget;
+      let monthInterest = 0;
+      let monthPayment = 0;
+      let minimumsDue = 0;
+      let monthFees = 0;
+
+      // Balance-transfer fees join the balance in the month they are charged
+      const monthEnd = currentDate.endOf('month').toISODate();
+      for (const debt of ordered) {
+        const fee = transferFees[debt.id];
+        if (fee && fee.date <= monthEnd) {
+          balances[debt.id] = Math.round((balances[debt.id] + fee.amount) * 100) / 100;
+          monthFees += fee.amount;
+          delete transferFees[debt.id];
+        }
+      }
+
+      // Accrue interest on every open debt (average-daily-balance debts are charged below)
+      for (const debt of ordered) {
+        const apr = getAprOnDate(debt, currentDate.toISODate());
+        const interest = isDailyBalance(debt) ? 0 : Math.round(balances[debt.id] * getMonthlyRate(apr) * 100) / 100;
+        balances[debt.id] = Math.round((balances[debt.id] + interest) * 100) / 100;
+        byDebt[debt.id] = { payment: 0, lumpSum: 0, interest, balance: balances[debt.id] };
+        results[debt.id].totalInterest += interest;
+        monthInterest += interest;
+      }
+
+      // Lump sums and recurring extras come on top of the budget
+      const payExtras = (debt, payments) => {
+        const extras = applyExtraPayments(payments, balances[debt.id]);
+        if (extras.total <= 0) return;
+        balances[debt.id] = extras.balance;
+        byDebt[debt.id].lumpSum += extras.total;
+        byDebt[debt.id].balance = extras.balance;
+        results[debt.id].totalPaid += extras.total;
+        monthPayment += extras.total;
+      };
+      const monthStr = currentDate.toFormat('yyyy-MM');
+      for (const debt of ordered) {
+        if (isDailyBalance(debt)) continue;
+        payExtras(debt, extraPayments[debt.id].filter(p => p.date.startsWith(monthStr)));
+      }
+
+      const pay = (debt, amount) => {
+        amount = Math.round(Math.min(amount, balances[debt.id]) * 100) / 100;
+        if (amount <= 0) return;
+        balances[debt.id] = Math.round((balances[debt.id] - amount) * 100) / 100;
+        byDebt[debt.id].payment += amount;
+        byDebt[debt.id].balance = balances[debt.id];
+        results[debt.id].totalPaid += amount;
+        monthPayment += amount;
+        remaining -= amount;
+      };
+
+      const priority = orderDebts(ordered, strategy, order, balances, currentDate.toISODate());
+
+      // Minimums first, in priority order
+      for (const debt of priority) {
+        const minimum = getMinimumPayment(debt, balances[debt.id], model, currentDate.toISODate());
+        minimumsDue += minimum;
+        pay(debt, strategy === STRATEGIES.MINIMUM ? minimum : Math.min(minimum, Math.max(0, remaining)));
+      }
+
+      const shortfall = strategy === STRATEGIES.MINIMUM ? 0 : Math.max(0, Math.round((minimumsDue - monthlyBudget) * 100) / 100);
+      if (shortfall > 0) hasShortfall = true;
+
+      // The rest of the budget goes to debts in priority order
+      if (strategy !== STRATEGIES.MINIMUM) {
+        for (const debt of priority) {
+          if (remaining <= 0) break;
+          pay(debt, remaining);
+        }
+      }
+
+      // Average-daily-balance debts: walk the days to the next payment, adding
+      // each end-of-day balance and charging interest on the closing day
+      const nextDate = currentDate.plus({ months: 1 });
+      for (const debt of ordered.filter(isDailyBalance)) {
+        const closingDay = debt.statementDay || 1;
+        for (let day = currentDate; day < nextDate; day = day.plus({ days: 1 })) {
+          const iso = day.toISODate();
+          payExtras(debt, extraPayments[debt.id].filter(p => p.date === iso));
+          dailySums[debt.id] += balances[debt.id];
+
+          if (day.day === Math.min(closingDay, day.daysInMonth)) {
+            const interest = Math.round(dailySums[debt.id] * getDailyRate(getAprOnDate(debt, iso)) * 100) / 100;
+            dailySums[debt.id] = 0;
+            balances[debt.id] = Math.round((balances[debt.id] + interest) * 100) / 100;
+            byDebt[debt.id].interest += interest;
+            byDebt[debt.id].balance = balances[debt.id];
+            results[debt.id].totalInterest += interest;
+            monthInterest += interest;
+          }
+        }
+      }
+
+      for (const debt of ordered) {
+        const paid = byDebt[debt.id].payment + byDebt[debt.id].lumpSum;
+        if (balances[debt.id] <= 0 && !results[debt.id].payoffDate && paid > 0) {
+          results[debt.id].payoffDate = currentDate.toISODate();
+          results[debt.id].payoffMonths = month;
+        }
+      }
+
+      totalInterest += monthInterest;
+      totalPaid += monthPayment;
+
+      schedule.push({
+        month,
+        date: currentDate.toISODate(),
+        payment: Math.round(monthPayment * 100) / 100,
+        interest: Math.round(monthInterest * 100) / 100,
+        balance: Math.round(totalBalance() * 100) / 100,
+        totalPaid,
+        totalInterest,
+        shortfall,
+        byDebt
+      });
+
+      // A budget that no longer reduces the balance will never pay it off
+      // (fees charged this month are one-off, so they do not count against progress)
+      if (totalBalance() - monthFees >= startingBalance) {
+        break;
+      }
+
+      currentDate = currentDate.plus({ months: 1 });
+    }
+
+    const isPaidOff = totalBalance() <= 0;
+    const debtFreeDate = isPaidOff ? schedule[schedule.length - 1].date : null;
+
+    let message;
+    if (isPaidOff) {
+      message = `Debt-free in ${month} months (${DateTime.fromISO(debtFreeDate).toFormat('MMMM yyyy')})`;
+    } else if (month < maxMonths) {
+      message = hasShortfall
+        ? 'The monthly budget does not cover the minimum payments'
+        : 'The monthly budget does not cover the interest';
+    } else {
+      message = `Not paid off within ${maxMonths} months`;
+    }
+
+    return {
+      strategy,
+      name: STRATEGY_LABELS[strategy] || strategy,
+      monthlyBudget,
+      isPaidOff,
+      debtFreeDate,
+      payoffMonths: isPaidOff ? month : null,
+      totalInterest,
+      totalPaid,
+      hasShortfall,
+      order: ordered.map(d => d.id),
+      debts: ordered.map(d => results[d.id]),
+      schedule,
+      message
+    };
+  }
+
+  /**
+   * Compare multi-debt payoff strategies side by side
+   * Savings are measured against paying only the minimums
+   * @param {Array} debts - Array of debt objects
+   * @param {Object} options - monthlyBudget, order (adds the custom strategy), startDate, maxMonths, model
+   * @returns {Array} One entry per strategy, including its full plan
+   */
+  function compareDebtStrategies(debts, options = {}) {
+    const strategies = [STRATEGIES.MINIMUM, STRATEGIES.AVALANCHE, STRATEGIES.SNOWBALL];
+    if (options.order && options.order.length > 0) {
+      strategies.push(STRATEGIES.CUSTOM);
+    }
+
+    const plans = strategies.map(strategy => planPayoff(debts, { ...options, strategy }));
+    const baseline = plans[0];
+
+    return plans.map(plan => ({
+      strategy: plan.strategy,
+      name: plan.name,
+      payment: plan.strategy === STRATEGIES.MINIMUM ? plan.schedule[0]?.payment || 0 : plan.monthlyBudget,
+      months: plan.payoffMonths,
+      totalInterest: plan.totalInterest,
+      debtFreeDate: plan.debtFreeDate,
+      interestSaved: plan === baseline ? 0 : baseline.totalInterest - plan.totalInterest,
+      monthsSaved: plan === baseline ? 0 : (baseline.payoffMonths || 360) - (plan.payoffMonths || 360),
+      plan
+    }));
+  }
+
   /**
    * Get debt summary for display
    * @param {Object} debt - Debt object
@@ -280,7 +1188,9 @@ FSS.Debt = (function() {
       payoffMonths: projection.payoffMonths,
       totalInterest: projection.totalInterest,
       totalCost: debt.principal + projection.totalInterest,
-      isPaidOff: projection.isPaidOff
+      isPaidOff: projection.isPaidOff,
+      promo: projection.promo || null,
+      schedule: projection.schedule || []
     };
   }
 
@@ -298,19 +1208,36 @@ FSS.Debt = (function() {
       totalCostFormatted: FSS.App.formatCurrency(summary.totalCost),
       payoffDateFormatted: summary.payoffDate 
         ? DateTime.fromISO(summary.payoffDate).toFormat('MMMM yyyy')
-        : 'N/A'
+        : 'N/A',
+      promoBalanceFormatted: summary.promo
+        ? FSS.App.formatCurrency(summary.promo.balanceAtExpiry)
+        : null
     };
   }
 
   // Public API
   return {
+    STRATEGIES,
+    STRATEGY_LABELS,
     getMonthlyRate,
     getDailyRate,
+    getAprOnDate,
+    getTransferFee,
+    getExtraPayments,
     calculateInterest,
     calculateMinPayment,
     projectPayoff,
     compareStrategies,
     projectAllDebts,
+    isInstallment,
+    calculateAmortizedPayment,
+    buildAmortizationSchedule,
+    getBalanceOnDate,
+    getMinimumPayment,
+    orderDebts,
+    getDefaultBudget,
+    planPayoff,
+    compareDebtStrategies,
     getDebtSummary,
     formatDebtInfo
   };
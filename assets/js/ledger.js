@@ -10,6 +10,13 @@ FSS.Ledger = (function() {
 
   const { DateTime } = luxon;
 
+  // Account selector value for the consolidated all-accounts view
+  const ALL_ACCOUNTS = 'all';
+
+  // Credit card minimum payment: a percentage of the statement balance, with a floor
+  const CARD_MIN_PAYMENT_PERCENT = 2;
+  const CARD_MIN_PAYMENT_FLOOR = 25;
+
   /**
    * Generate all transactions for a model within a date range
    * @param {Object} model - The financial model
@@ -53,10 +60,50 @@ FSS.Ledger = (function() {
     
     adjustedTransactions.push(...oneOffs);
 
-    // 4. Sort by date, then priority, then kind order
-    const kindOrder = { income: 0, transfer: 1, expense: 2 };
+    // 4. Replace entries cleared by recorded actuals with the actuals
+    if (FSS.Actuals) {
+      const withActuals = FSS.Actuals.applyToTransactions(model, adjustedTransactions, startDate, endDate);
+      if (withActuals !== adjustedTransactions) {
+        adjustedTransactions.length = 0;
+        adjustedTransactions.push(...withActuals);
+      }
+    }
+
+    // 5. Sort by date, then priority, then kind order
+    sortTransactions(adjustedTransactions);
+
+    // 6. Post debt payments (capped at each debt's simulated balance)
+    const withDebts = applyDebtPayments(model, adjustedTransactions, startDate, endDate);
+    if (withDebts !== adjustedTransactions) {
+      adjustedTransactions.length = 0;
+      adjustedTransactions.push(...withDebts);
+      sortTransactions(adjustedTransactions);
+    }
+
+    // 7. Close credit card statements and schedule their autopay payments
+    const cardTransactions = generateCardTransactions(model, adjustedTransactions, startDate, endDate);
+    if (cardTransactions.length > 0) {
+      adjustedTransactions.push(...cardTransactions);
+      sortTransactions(adjustedTransactions);
+    }
+
+    // 8. Credit interest to interest-bearing accounts from their simulated balances
+    const interest = generateInterestTransactions(model, adjustedTransactions, startDate, endDate);
+    if (interest.length > 0) {
+      adjustedTransactions.push(...interest);
+      sortTransactions(adjustedTransactions);
+    }
+
+    return adjustedTransactions;
+  }
+
+  /**
+   * Sort transactions by date, then priority, then kind order
+   */
+  function sortTransactions(transactions) {
+    const kindOrder = { interest: 0, income: 0, transfer: 1, expense: 2, statement: 3 };
     
-    adjustedTransactions.sort((a, b) => {
+    transactions.sort((a, b) => {
       // Primary: date
       if (a.date !== b.date) {
         return a.date.localeCompare(b.date);
@@ -68,15 +115,476 @@ FSS.Ledger = (function() {
       // Tertiary: kind order
       return (kindOrder[a.kind] || 0) - (kindOrder[b.kind] || 0);
     });
+  }
 
-    return adjustedTransactions;
+  /**
+   * Post payments for debts that generate them
+   * The minimum payment comes from the linked minPaymentRuleId occurrences (or
+   * a calculated minimum on the payment day if no enabled rule is linked), plus the
+   * extra monthly payment and each lump sum. Interest accrues monthly on the
+   * payment day at the APR in effect (or, for average-daily-balance debts, on
+   * the statement closing day from the daily balances since the previous
+   * closing), and a balance-transfer fee joins the balance on the promo start
+   * date. Each payment is capped at the remaining balance, so rule
+   * occurrences after payoff are dropped. Payments carry debtId, the balance
+   * after the payment (debtBalance) and the interest accrued since the
+   * previous payment (debtInterest). The debt's principal is its balance at
+   * the start of the range.
+   * @param {Object} model - The financial model
+   * @param {Array} transactions - Sorted transactions
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Array} Transactions with debt payments applied (the same array if no debt posts payments)
+   */
+  function applyDebtPayments(model, transactions, startDate, endDate) {
+    const debts = (model.debts || []).filter(d => d.generatePayments && d.principal > 0);
+    if (debts.length === 0) return transactions;
+
+    let result = transactions;
+    for (const debt of debts) {
+      result = applyPaymentsForDebt(model, debt, result, startDate, endDate);
+    }
+    return result;
+  }
+
+  /**
+   * Simulate one debt's balance and post its payments
+   */
+  function applyPaymentsForDebt(model, debt, transactions, startDate, endDate) {
+    if (FSS.Debt && FSS.Debt.isInstallment(debt)) {
+      return applyLoanPayments(model, debt, transactions, startDate, endDate);
+    }
+
+    const accountId = debt.paymentAccountId || getDefaultAccountId(model);
+    const paymentDay = debt.paymentDay || 1;
+    const aprOn = date => FSS.Debt ? FSS.Debt.getAprOnDate(debt, date) : (debt.apr || 0);
+    const dailyBalance = debt.interestMethod === 'daily_balance';
+    const start = DateTime.fromISO(startDate);
+
+    // A deleted or disabled linked rule falls back to the calculated minimum
+    const linkedRuleId = (model.rules || []).some(r => r.id === debt.minPaymentRuleId && r.enabled !== false)
+      ? debt.minPaymentRuleId
+      : null;
+    const end = DateTime.fromISO(endDate);
+
+    // Scheduled events: interest accrual and payments, in date order
+    const events = [];
+    const ruleOccurrences = new Set();
+
+    let month = start.startOf('month');
+    while (month <= end) {
+      const date = month.set({ day: Math.min(paymentDay, month.daysInMonth) }).toISODate();
+      if (dailyBalance) {
+        // Average-daily-balance interest is charged after the closing day's payments
+        const closingDate = month.set({ day: Math.min(debt.statementDay || 1, month.daysInMonth) }).toISODate();
+        if (closingDate >= startDate && closingDate <= endDate) {
+          events.push({ date: closingDate, order: 4, type: 'interest' });
+        }
+      }
+      if (date >= startDate && date <= endDate) {
+        if (!dailyBalance) {
+          events.push({ date, order: 0, type: 'interest' });
+        }
+        if (!linkedRuleId) {
+          events.push({ date, order: 1, type: 'minimum' });
+        }
+        if (debt.extraMonthlyPayment > 0) {
+          events.push({ date, order: 2, type: 'extra', amount: debt.extraMonthlyPayment });
+        }
+      }
+      month = month.plus({ months: 1 });
+    }
+
+    if (linkedRuleId) {
+      transactions.forEach(tx => {
+        if (tx.ruleId === linkedRuleId) {
+          ruleOccurrences.add(tx);
+          events.push({ date: tx.date, order: 1, type: 'minimum', tx });
+        }
+      });
+    }
+
+    const transferFee = FSS.Debt ? FSS.Debt.getTransferFee(debt, startDate) : null;
+    if (transferFee && transferFee.date <= endDate) {
+      events.push({ date: transferFee.date, order: -1, type: 'fee', amount: transferFee.amount });
+    }
+
+    // Lump sums and recurring extra payments
+    if (FSS.Debt) {
+      FSS.Debt.getExtraPayments(debt, startDate, endDate).forEach(extra => {
+        events.push({
+          date: extra.date,
+          order: 3,
+          type: extra.recurring ? 'recurring_extra' : 'lump_sum',
+          amount: extra.amount,
+          extraName: extra.name,
+          note: extra.note
+        });
+      });
+    }
+
+    events.sort((a, b) => a.date.localeCompare(b.date) || a.order - b.order);
+
+    let balance = debt.principal;
+    let accruedInterest = 0;
+    const payments = [];
+
+    // Sum of end-of-day balances since the last closing day (daily balance mode)
+    let dailyBalanceSum = 0;
+    let sumThrough = start;
+    const sumBalanceTo = (date, inclusive) => {
+      const until = DateTime.fromISO(date).plus({ days: inclusive ? 1 : 0 });
+      const days = Math.round(until.diff(sumThrough, 'days').days);
+      if (days > 0) {
+        dailyBalanceSum += balance * days;
+        sumThrough = until;
+      }
+    };
+
+    for (const event of events) {
+      if (dailyBalance) {
+        sumBalanceTo(event.date, event.type === 'interest');
+      }
+
+      if (event.type === 'interest') {
+        let interest;
+        if (dailyBalance) {
+          interest = Math.round(dailyBalanceSum * aprOn(event.date) / 100 / 365 * 100) / 100;
+          dailyBalanceSum = 0;
+        } else {
+          interest = Math.round(balance * aprOn(event.date) / 100 / 12 * 100) / 100;
+        }
+        balance += interest;
+        accruedInterest += interest;
+        continue;
+      }
+      if (event.type === 'fee') {
+        balance = Math.round((balance + event.amount) * 100) / 100;
+        continue;
+      }
+
+      let requested = event.amount;
+      if (event.tx) {
+        requested = Math.abs(event.tx.amount);
+      } else if (event.type === 'minimum') {
+        requested = FSS.Debt ? FSS.Debt.calculateMinPayment(balance, aprOn(event.date)) : 0;
+      }
+
+      const amount = Math.round(Math.min(requested, balance) * 100) / 100;
+      if (amount <= 0) continue;
+
+      balance = Math.round((balance - amount) * 100) / 100;
+      const debtFields = {
+        debtId: debt.id,
+        debtPaymentType: event.type,
+        debtBalance: balance,
+        debtInterest: accruedInterest,
+        isDebtPayment: true
+      };
+      accruedInterest = 0;
+
+      if (event.tx) {
+        payments.push({ ...event.tx, amount, ...debtFields });
+      } else {
+        const label = { minimum: 'minimum payment', extra: 'extra payment', lump_sum: 'lump sum' }[event.type];
+        payments.push({
+          date: event.date,
+          ruleId: null,
+          name: event.type === 'recurring_extra' ? `${debt.name}: ${event.extraName}` : `${debt.name} ${label}`,
+          accountId,
+          kind: 'expense',
+          amount,
+          category: 'debt payment',
+          tags: [],
+          priority: 100,
+          note: event.note,
+          ...debtFields
+        });
+      }
+    }
+
+    // Replace the linked rule's occurrences with the capped payments
+    return transactions.filter(tx => !ruleOccurrences.has(tx)).concat(payments);
+  }
+
+  /**
+   * Post an installment loan's payments from its amortization schedule
+   * Each scheduled payment (principal and interest, extra principal and
+   * escrow) is one outflow; lump sums and recurring extras post on their own
+   * dates. Occurrences of a linked minimum payment rule are replaced by the
+   * schedule.
+   */
+  function applyLoanPayments(model, debt, transactions, startDate, endDate) {
+    const accountId = debt.paymentAccountId || getDefaultAccountId(model);
+    const schedule = FSS.Debt.buildAmortizationSchedule(debt);
+    const payments = [];
+
+    const basePayment = {
+      ruleId: null,
+      accountId,
+      kind: 'expense',
+      category: 'debt payment',
+      tags: [],
+      priority: 100,
+      debtId: debt.id,
+      isDebtPayment: true
+    };
+
+    for (const row of schedule) {
+      if (row.date >= startDate && row.date <= endDate) {
+        payments.push({
+          ...basePayment,
+          date: row.date,
+          name: `${debt.name} payment`,
+          amount: Math.round((row.payment + row.extra + row.escrow) * 100) / 100,
+          debtPaymentType: 'minimum',
+          debtBalance: row.balance,
+          debtInterest: row.interest,
+          debtEscrow: row.escrow
+        });
+      }
+
+      // Lump sums and recurring extras the schedule applied in this payment period
+      let balanceAfter = row.balance + row.payment + row.extra + row.lumpSum;
+      row.extraPayments.forEach(extra => {
+        balanceAfter = Math.round((balanceAfter - extra.amount) * 100) / 100;
+        if (extra.date < startDate || extra.date > endDate) return;
+        payments.push({
+          ...basePayment,
+          date: extra.date,
+          name: extra.recurring ? `${debt.name}: ${extra.name}` : `${debt.name} lump sum`,
+          amount: extra.amount,
+          debtPaymentType: extra.recurring ? 'recurring_extra' : 'lump_sum',
+          debtBalance: balanceAfter,
+          debtInterest: 0
+        });
+      });
+    }
+
+    const linkedRuleId = debt.minPaymentRuleId;
+    return transactions
+      .filter(tx => !(linkedRuleId && tx.ruleId === linkedRuleId))
+      .concat(payments);
+  }
+
+  /**
+   * Generate credit card statements, interest charges and autopay payments
+   * Card balances are negative while money is owed: charges post against the
+   * card and payments are transfers into it. On each closing day a statement
+   * entry (amount 0) records the balance owed, and the autopay amount is
+   * transferred from the paying account on the due date. If the previous
+   * statement was not paid in full, APR interest on the cycle's average daily
+   * balance is charged at closing.
+   * @param {Object} model - The financial model
+   * @param {Array} transactions - Sorted transactions from generateTransactions()
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Array} Statement, interest and payment transactions
+   */
+  function generateCardTransactions(model, transactions, startDate, endDate) {
+    const cards = (model.accounts || []).filter(a => a.type === 'credit_card' && a.card);
+    if (cards.length === 0) return [];
+
+    const postings = transactions.flatMap(postTransaction);
+    const generated = [];
+    const end = DateTime.fromISO(endDate);
+
+    for (const account of cards) {
+      const card = account.card;
+      const payFromAccountId = card.payFromAccountId || getDefaultAccountId(model);
+
+      const netByDate = {};
+      postings
+        .filter(p => p.accountId === account.id)
+        .forEach(p => { netByDate[p.date] = (netByDate[p.date] || 0) + p.amount; });
+
+      let balance = getStartingBalanceForAccount(model, account.id, startDate);
+      let lastStatement = null;
+      let owedSum = 0;
+      const payments = {};
+      let day = DateTime.fromISO(startDate);
+
+      while (day <= end) {
+        const iso = day.toISODate();
+        const net = (netByDate[iso] || 0) + (payments[iso] || 0);
+        balance += net;
+        if (lastStatement && net > 0) {
+          lastStatement.paid += net;
+        }
+        owedSum += Math.max(0, -balance);
+
+        if (day.day === Math.min(card.closingDay || 1, day.daysInMonth)) {
+          // Interest only when the previous statement was carried over
+          if (lastStatement && lastStatement.paid < lastStatement.balance && card.apr > 0) {
+            const interest = Math.round(owedSum * card.apr / 100 / 365 * 100) / 100;
+            if (interest > 0) {
+              balance -= interest;
+              generated.push({
+                date: iso,
+                ruleId: null,
+                name: `Interest charge: ${account.name}`,
+                accountId: account.id,
+                kind: 'expense',
+                amount: interest,
+                category: 'card interest',
+                tags: [],
+                priority: 100,
+                isCardInterest: true
+              });
+            }
+          }
+
+          const statementBalance = Math.round(Math.max(0, -balance) * 100) / 100;
+          const dueDate = day.plus({ days: card.dueDays || 21 }).toISODate();
+          const paymentAmount = getAutopayAmount(card, statementBalance);
+
+          generated.push({
+            date: iso,
+            ruleId: null,
+            name: `Statement: ${account.name}`,
+            accountId: account.id,
+            kind: 'statement',
+            amount: 0,
+            category: 'statement',
+            tags: [],
+            priority: 100,
+            isStatement: true,
+            accountName: account.name,
+            statementBalance,
+            dueDate,
+            paymentAmount,
+            autopay: card.autopay
+          });
+
+          if (paymentAmount > 0 && dueDate <= endDate) {
+            payments[dueDate] = (payments[dueDate] || 0) + paymentAmount;
+            generated.push({
+              date: dueDate,
+              ruleId: null,
+              name: `Card payment: ${account.name}`,
+              accountId: payFromAccountId,
+              toAccountId: account.id,
+              kind: 'transfer',
+              amount: paymentAmount,
+              category: 'card payment',
+              tags: [],
+              priority: 100,
+              isCardPayment: true,
+              statementDate: iso,
+              statementBalance
+            });
+          }
+
+          lastStatement = { balance: statementBalance, paid: 0 };
+          owedSum = 0;
+        }
+
+        day = day.plus({ days: 1 });
+      }
+    }
+
+    return generated;
+  }
+
+  /**
+   * Get the autopay amount for a statement balance
+   */
+  function getAutopayAmount(card, statementBalance) {
+    if (statementBalance <= 0) return 0;
+
+    const minimum = Math.min(
+      statementBalance,
+      Math.max(CARD_MIN_PAYMENT_FLOOR, Math.round(statementBalance * CARD_MIN_PAYMENT_PERCENT) / 100)
+    );
+
+    if (card.autopay === 'minimum') return minimum;
+    if (card.autopay === 'fixed') {
+      return Math.min(statementBalance, Math.max(minimum, card.fixedAmount || 0));
+    }
+    return statementBalance;
+  }
+
+  /**
+   * Generate interest credits for accounts with an APY
+   * Interest accrues on each day's closing balance and is credited monthly on
+   * the account's credit day. Daily compounding accrues on the balance plus
+   * interest accrued so far; monthly compounding spreads the monthly rate
+   * over the days of the month. Accrual starts at the ledger start date.
+   * @param {Object} model - The financial model
+   * @param {Array} transactions - Sorted transactions from generateTransactions()
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Array} Interest transactions
+   */
+  function generateInterestTransactions(model, transactions, startDate, endDate) {
+    const accounts = (model.accounts || []).filter(a => a.interest && a.interest.apy > 0);
+    if (accounts.length === 0) return [];
+
+    const postings = transactions.flatMap(postTransaction);
+    const credits = [];
+
+    for (const account of accounts) {
+      const { apy, compounding = 'monthly', creditDay = 1 } = account.interest;
+      const annualFactor = 1 + apy / 100;
+      const dailyRate = Math.pow(annualFactor, 1 / 365) - 1;
+      const monthlyRate = Math.pow(annualFactor, 1 / 12) - 1;
+
+      // Net posted amount per day for this account
+      const netByDate = {};
+      postings
+        .filter(p => p.accountId === account.id)
+        .forEach(p => { netByDate[p.date] = (netByDate[p.date] || 0) + p.amount; });
+
+      let balance = getStartingBalanceForAccount(model, account.id, startDate);
+      let accrued = 0;
+      let day = DateTime.fromISO(startDate);
+      const end = DateTime.fromISO(endDate);
+
+      while (day <= end) {
+        const iso = day.toISODate();
+
+        // Credit interest accrued through the previous day
+        if (day > DateTime.fromISO(startDate) && day.day === Math.min(creditDay, day.daysInMonth)) {
+          const amount = Math.round(accrued * 100) / 100;
+          if (amount > 0) {
+            credits.push({
+              date: iso,
+              ruleId: null,
+              name: `Interest: ${account.name}`,
+              accountId: account.id,
+              kind: 'interest',
+              amount,
+              category: 'interest',
+              tags: [],
+              priority: 100,
+              isInterest: true
+            });
+            balance += amount;
+          }
+          accrued -= amount;
+        }
+
+        balance += netByDate[iso] || 0;
+
+        if (balance > 0) {
+          accrued += compounding === 'daily'
+            ? (balance + accrued) * dailyRate
+            : balance * monthlyRate / day.daysInMonth;
+        }
+
+        day = day.plus({ days: 1 });
+      }
+    }
+
+    return credits;
   }
 
   /**
    * Run the ledger and compute running balances
    * @param {Object} model - The financial model
    * @param {Object} options - Options { startDate, endDate, accountId }
-   * @returns {Object} Ledger results
+   * @returns {Object} Ledger results, with every card's projected statements in
+   *   cardStatements (statementBalance, dueDate and paymentAmount)
    */
   function runLedger(model, options = {}) {
     const settings = model.settings || {};
@@ -95,7 +603,7 @@ FSS.Ledger = (function() {
     
     // Filter to account if specified
     const accountTransactions = accountId 
-      ? transactions.filter(t => t.accountId === accountId || t.toAccountId === accountId)
+      ? transactions.filter(t => t.accountId === accountId || (t.kind === 'transfer' && t.toAccountId === accountId))
       : transactions;
 
     // Run ledger
@@ -105,6 +613,7 @@ FSS.Ledger = (function() {
     let minBalanceDate = startDate;
     let maxBalanceDate = startDate;
     let totalIncome = 0;
+    let totalInterest = 0;
     let totalExpenses = 0;
     let totalTransfersIn = 0;
     let totalTransfersOut = 0;
@@ -124,25 +633,25 @@ FSS.Ledger = (function() {
     });
 
     for (const tx of accountTransactions) {
-      let amount = tx.amount;
-      
-      // Handle transfers (negative from source, positive to destination)
+      // Transfers post negative from the source, positive to the destination
+      const posting = postTransaction(tx).find(p => p.accountId === accountId);
+      if (!posting) continue;
+      const amount = posting.amount;
+
       if (tx.kind === 'transfer') {
-        if (tx.accountId === accountId) {
-          // Outgoing transfer
-          amount = -Math.abs(amount);
+        if (amount < 0) {
           totalTransfersOut += Math.abs(amount);
-        } else if (tx.toAccountId === accountId) {
-          // Incoming transfer
-          amount = Math.abs(amount);
+        } else {
           totalTransfersIn += Math.abs(amount);
         }
       } else if (tx.kind === 'expense') {
-        amount = -Math.abs(amount);
         totalExpenses += Math.abs(amount);
       } else if (tx.kind === 'income') {
-        amount = Math.abs(amount);
         totalIncome += Math.abs(amount);
+      } else if (tx.kind === 'interest') {
+        // Interest counts as income and is also totalled on its own
+        totalIncome += Math.abs(amount);
+        totalInterest += Math.abs(amount);
       }
 
       balance += amount;
@@ -158,7 +667,8 @@ FSS.Ledger = (function() {
       }
 
       entries.push({
-        ...tx,
+        ...posting,
+        accountId: tx.accountId,
         amount: amount,
         balance: balance,
         daysSinceLast: daysBetween(prevDate, tx.date)
@@ -173,6 +683,7 @@ FSS.Ledger = (function() {
       endDate,
       startingBalance,
       entries,
+      cardStatements: transactions.filter(t => t.isStatement),
       summary: {
         endBalance: balance,
         minBalance,
@@ -180,6 +691,7 @@ FSS.Ledger = (function() {
         minBalanceDate,
         maxBalanceDate,
         totalIncome,
+        totalInterest,
         totalExpenses,
         totalTransfersIn,
         totalTransfersOut,
@@ -189,15 +701,227 @@ FSS.Ledger = (function() {
     };
   }
 
+  /**
+   * Run the ledger across all accounts
+   * Every transfer is posted as a debit on the source and a credit on the
+   * destination. Each entry carries the running balance of its own account
+   * (accountBalance), of every account (balances) and the combined total
+   * (balance), so summaries and charts built on entry.balance see the total.
+   * @param {Object} model - The financial model
+   * @param {Object} options - Options { startDate, endDate }
+   * @returns {Object} Ledger results with per-account summaries and cardStatements
+   */
+  function runConsolidatedLedger(model, options = {}) {
+    const settings = model.settings || {};
+    const horizonDays = settings.forecastHorizonDays || 180;
+
+    const today = DateTime.now().toISODate();
+    const startDate = options.startDate || today;
+    const endDate = options.endDate || DateTime.fromISO(today).plus({ days: horizonDays }).toISODate();
+
+    const transactions = generateTransactions(model, startDate, endDate);
+    const postings = transactions.flatMap(postTransaction);
+
+    // Model accounts first, then any account only referenced by a transaction
+    const accountNames = {};
+    (model.accounts || []).forEach(a => { accountNames[a.id] = a.name; });
+    postings.forEach(p => {
+      if (!(p.accountId in accountNames)) accountNames[p.accountId] = p.accountId;
+    });
+
+    const accounts = {};
+    const balances = {};
+    for (const id of Object.keys(accountNames)) {
+      const startingBalance = getStartingBalanceForAccount(model, id, startDate);
+      balances[id] = startingBalance;
+      accounts[id] = {
+        accountId: id,
+        name: accountNames[id],
+        startingBalance,
+        endBalance: startingBalance,
+        minBalance: startingBalance,
+        minBalanceDate: startDate
+      };
+    }
+
+    const startingBalance = sumBalances(balances);
+    let total = startingBalance;
+    let minBalance = total;
+    let maxBalance = total;
+    let minBalanceDate = startDate;
+    let maxBalanceDate = startDate;
+    let totalIncome = 0;
+    let totalInterest = 0;
+    let totalExpenses = 0;
+    let totalTransfers = 0;
+
+    const entries = [{
+      date: startDate,
+      name: 'Starting Balance',
+      amount: startingBalance,
+      balance: startingBalance,
+      balances: { ...balances },
+      kind: 'balance',
+      category: 'starting',
+      isStartingBalance: true
+    }];
+    let prevDate = startDate;
+
+    for (const posting of postings) {
+      const account = accounts[posting.accountId];
+      balances[posting.accountId] += posting.amount;
+      total += posting.amount;
+
+      account.endBalance = balances[posting.accountId];
+      if (account.endBalance < account.minBalance) {
+        account.minBalance = account.endBalance;
+        account.minBalanceDate = posting.date;
+      }
+
+      if (posting.kind === 'income') {
+        totalIncome += Math.abs(posting.amount);
+      } else if (posting.kind === 'interest') {
+        totalIncome += Math.abs(posting.amount);
+        totalInterest += Math.abs(posting.amount);
+      } else if (posting.kind === 'expense') {
+        totalExpenses += Math.abs(posting.amount);
+      } else if (posting.kind === 'transfer' && posting.amount < 0) {
+        totalTransfers += Math.abs(posting.amount);
+      }
+
+      if (total < minBalance) {
+        minBalance = total;
+        minBalanceDate = posting.date;
+      }
+      if (total > maxBalance) {
+        maxBalance = total;
+        maxBalanceDate = posting.date;
+      }
+
+      entries.push({
+        ...posting,
+        accountName: account.name,
+        accountBalance: balances[posting.accountId],
+        balances: { ...balances },
+        balance: total,
+        daysSinceLast: daysBetween(prevDate, posting.date)
+      });
+
+      prevDate = posting.date;
+    }
+
+    return {
+      accountId: null,
+      isConsolidated: true,
+      accounts,
+      startDate,
+      endDate,
+      startingBalance,
+      entries,
+      cardStatements: transactions.filter(t => t.isStatement),
+      summary: {
+        endBalance: total,
+        minBalance,
+        maxBalance,
+        minBalanceDate,
+        maxBalanceDate,
+        totalIncome,
+        totalInterest,
+        totalExpenses,
+        totalTransfersIn: totalTransfers,
+        totalTransfersOut: totalTransfers,
+        netSurplus: totalIncome - totalExpenses,
+        transactionCount: transactions.length
+      }
+    };
+  }
+
+  /**
+   * Split a transaction into signed postings per account
+   * Income and expenses post once; transfers post a debit on the source
+   * account and a credit on the destination, linked by transferId
+   * @param {Object} tx - Transaction from generateTransactions()
+   * @returns {Array} Postings with signed amounts
+   */
+  function postTransaction(tx) {
+    const amount = Math.abs(tx.amount);
+
+    if (tx.kind === 'transfer') {
+      const transferId = `${tx.ruleId || tx.oneOffId || 'transfer'}:${tx.date}`;
+      const postings = [{ ...tx, amount: -amount, transferSide: 'debit', transferId }];
+      if (tx.toAccountId && tx.toAccountId !== tx.accountId) {
+        postings.push({
+          ...tx,
+          accountId: tx.toAccountId,
+          fromAccountId: tx.accountId,
+          amount,
+          transferSide: 'credit',
+          transferId
+        });
+      }
+      return postings;
+    }
+
+    if (tx.kind === 'expense') {
+      return [{ ...tx, amount: -amount }];
+    }
+    if (tx.kind === 'income' || tx.kind === 'interest') {
+      return [{ ...tx, amount }];
+    }
+    return [{ ...tx }];
+  }
+
+  function sumBalances(balances) {
+    return Object.values(balances).reduce((sum, b) => sum + b, 0);
+  }
+
+  /**
+   * Run the ledger for one account, or all accounts when accountId is 'all'
+   * @param {Object} model - The financial model
+   * @param {Object} options - Options { startDate, endDate, accountId }
+   * @returns {Object} Ledger results
+   */
+  function runLedgerView(model, options = {}) {
+    if (options.accountId === ALL_ACCOUNTS) {
+      return runConsolidatedLedger(model, options);
+    }
+    return runLedger(model, options);
+  }
+
+  /**
+   * End-of-day balance on each sample date (entries are in date order)
+   */
+  function sampleBalances(entries, dates) {
+    const balances = [];
+    let index = 0;
+    let balance = entries[0]?.balance || 0;
+
+    for (const date of dates) {
+      while (index < entries.length && entries[index].date <= date) {
+        balance = entries[index].balance;
+        index++;
+      }
+      balances.push(balance);
+    }
+    return balances;
+  }
+
   /**
    * Get the starting balance for an account at a given date
+   * Entered balances are start-of-day: nothing dated that day, planned or
+   * recorded, is in them yet. The latest balance entered on or before the
+   * date is rolled forward by the actuals recorded from its date up to (not
+   * including) the given date.
    */
   function getStartingBalanceForAccount(model, accountId, date) {
     const balances = (model.startingBalances || [])
       .filter(b => b.accountId === accountId && b.date <= date)
       .sort((a, b) => b.date.localeCompare(a.date));
     
-    return balances.length > 0 ? balances[0].amount : 0;
+    const amount = balances.length > 0 ? balances[0].amount : 0;
+    if (!FSS.Actuals) return amount;
+    const change = FSS.Actuals.getBalanceChange(model, accountId, balances[0]?.date || '', date);
+    return Math.round((amount + change) * 100) / 100;
   }
 
   /**
@@ -311,6 +1035,7 @@ FSS.Ledger = (function() {
    */
   function exportToCSV(entries, options = {}) {
     const headers = ['Date', 'Description', 'Category', 'Amount', 'Balance', 'Type', 'Source'];
+    if (options.includeAccount) headers.splice(1, 0, 'Account');
     const rows = [headers.join(',')];
     
     for (const entry of entries) {
@@ -325,6 +1050,9 @@ FSS.Ledger = (function() {
         entry.kind || '',
         entry.ruleId || entry.oneOffId || ''
       ];
+      if (options.includeAccount) {
+        row.splice(1, 0, `"${(entry.accountName || entry.accountId || '').replace(/"/g, '""')}"`);
+      }
       rows.push(row.join(','));
     }
     
@@ -333,8 +1061,13 @@ FSS.Ledger = (function() {
 
   // Public API
   return {
+    ALL_ACCOUNTS,
     generateTransactions,
     runLedger,
+    runConsolidatedLedger,
+    runLedgerView,
+    sampleBalances,
+    postTransaction,
     getStartingBalanceForAccount,
     getDefaultAccountId,
     groupByMonth,
@@ -1,6 +1,6 @@
 /**
  * Finance Scenario Simulator - Model Module
- * Base model CRUD operations for accounts, rules, one-offs, debts
+ * Base model CRUD operations for accounts, rules, one-offs, actuals, debts
  */
 
 var FSS = window.FSS || {};
@@ -198,6 +198,38 @@ FSS.Model = (function() {
     return true;
   }
 
+  /**
+   * Add or replace the exception for one occurrence of a rule
+   * @param {string} id - Rule ID
+   * @param {Object} data - Exception data keyed by original occurrence date
+   */
+  function setRuleException(id, data) {
+    const rule = getRule(id);
+    if (!rule) return null;
+    const exception = FSS.Schema.createRuleException(data);
+    rule.exceptions = (rule.exceptions || []).filter(e => e.date !== exception.date);
+    rule.exceptions.push(exception);
+    rule.exceptions.sort((a, b) => a.date.localeCompare(b.date));
+    markDirty();
+    return exception;
+  }
+
+  /**
+   * Remove the exception for one occurrence, restoring the scheduled occurrence
+   */
+  function clearRuleException(id, date) {
+    const rule = getRule(id);
+    if (!rule || !rule.exceptions) return false;
+    const count = rule.exceptions.length;
+    rule.exceptions = rule.exceptions.filter(e => e.date !== date);
+    if (rule.exceptions.length === 0) {
+      delete rule.exceptions;
+    }
+    if ((rule.exceptions?.length || 0) === count) return false;
+    markDirty();
+    return true;
+  }
+
   function getIncomeRules() {
     return getRules('income');
   }
@@ -257,6 +289,42 @@ FSS.Model = (function() {
     return true;
   }
 
+  // === Actual Operations ===
+
+  function getActuals() {
+    return get().actuals || [];
+  }
+
+  function getActual(id) {
+    return getActuals().find(a => a.id === id);
+  }
+
+  function addActual(data) {
+    const model = get();
+    const actual = FSS.Schema.createActual(data);
+    if (!model.actuals) model.actuals = [];
+    model.actuals.push(actual);
+    markDirty();
+    return actual;
+  }
+
+  function updateActual(id, updates) {
+    const actual = getActual(id);
+    if (!actual) return null;
+    Object.assign(actual, updates);
+    markDirty();
+    return actual;
+  }
+
+  function deleteActual(id) {
+    const model = get();
+    const index = getActuals().findIndex(a => a.id === id);
+    if (index === -1) return false;
+    model.actuals.splice(index, 1);
+    markDirty();
+    return true;
+  }
+
   // === Debt Operations ===
 
   function getDebts() {
@@ -387,6 +455,8 @@ FSS.Model = (function() {
     addRule,
     updateRule,
     deleteRule,
+    setRuleException,
+    clearRuleException,
     getIncomeRules,
     getExpenseRules,
     getTransferRules,
@@ -400,6 +470,13 @@ FSS.Model = (function() {
     updateOneOff,
     deleteOneOff,
 
+    // Actuals
+    getActuals,
+    getActual,
+    addActual,
+    updateActual,
+    deleteActual,
+
     // Debts
     getDebts,
     getDebt,
@@ -0,0 +1,244 @@
+/**
+ * Finance Scenario Simulator - Monte Carlo Module
+ * Repeated ledger runs with variable rule amounts and timing
+ */
+
+var FSS = window.FSS || {};
+
+FSS.MonteCarlo = (function() {
+  'use strict';
+
+  const { DateTime } = luxon;
+
+  const DEFAULT_RUNS = 200;
+  const DEFAULT_SEED = 1;
+  const PERCENTILES = [10, 50, 90];
+
+  /**
+   * Create a seeded random number generator (mulberry32)
+   * The same seed always gives the same sequence, so a forecast is repeatable
+   * @param {number} seed - Integer seed
+   * @returns {Function} Returns a number in [0, 1) on each call
+   */
+  function createRandom(seed = DEFAULT_SEED) {
+    let state = seed >>> 0;
+    return function() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Draw from a standard normal distribution (Box-Muller)
+   */
+  function randomNormal(random) {
+    const u = 1 - random(); // (0, 1], so the log is finite
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Draw one occurrence amount from a rule's distribution
+   * Amounts never go below zero; the rule's kind sets the direction
+   * @param {Object} variability - The rule's variability
+   * @param {number} amount - Scheduled amount for the occurrence
+   * @param {Function} random - Random number generator
+   * @returns {number} Amount
+   */
+  function sampleAmount(variability, amount, random) {
+    let value;
+    switch (variability?.type) {
+      case 'range':
+        value = variability.min + random() * (variability.max - variability.min);
+        break;
+      case 'normal':
+        value = amount + randomNormal(random) * variability.stdDev;
+        break;
+      case 'samples':
+        value = variability.samples.length > 0
+          ? variability.samples[Math.floor(random() * variability.samples.length)]
+          : amount;
+        break;
+      default:
+        return amount;
+    }
+    return Math.max(0, Math.round(value * 100) / 100);
+  }
+
+  /**
+   * Check whether any enabled rule in the model varies
+   */
+  function hasVariability(model) {
+    return (model.rules || []).some(r => r.enabled && r.variability);
+  }
+
+  /**
+   * Build one random outcome of the model
+   * Each occurrence of a variable rule in the range gets an exception with a
+   * drawn amount and a jittered date. Exceptions the user set keep their
+   * amount or date; skipped occurrences stay skipped.
+   * @param {Object} model - The model (not modified)
+   * @param {string} startDate - Range start (YYYY-MM-DD)
+   * @param {string} endDate - Range end (YYYY-MM-DD)
+   * @param {Function} random - Random number generator
+   * @returns {Object} New model
+   */
+  function sampleModel(model, startDate, endDate, random) {
+    const trial = FSS.Schema.cloneModel(model);
+
+    for (const rule of trial.rules || []) {
+      if (!rule.enabled || !rule.variability) continue;
+
+      // Widen the range so occurrences jittered across the boundaries are kept
+      const jitterDays = rule.variability.jitterDays || 0;
+      const occurrences = FSS.Recurrence.expandRule(
+        rule,
+        DateTime.fromISO(startDate).minus({ days: jitterDays }).toISODate(),
+        DateTime.fromISO(endDate).plus({ days: jitterDays }).toISODate(),
+        trial
+      );
+
+      const exceptions = rule.exceptions || [];
+      for (const occurrence of occurrences) {
+        let exception = exceptions.find(e => e.date === occurrence.occurrenceDate);
+        if (!exception) {
+          exception = { date: occurrence.occurrenceDate };
+          exceptions.push(exception);
+        }
+
+        if (typeof exception.amount !== 'number') {
+          exception.amount = sampleAmount(rule.variability, occurrence.amount, random);
+        }
+        if (jitterDays && !exception.moveTo) {
+          const shift = Math.floor(random() * (2 * jitterDays + 1)) - jitterDays;
+          if (shift) exception.moveTo = DateTime.fromISO(occurrence.date).plus({ days: shift }).toISODate();
+        }
+      }
+      rule.exceptions = exceptions;
+    }
+
+    return trial;
+  }
+
+  /**
+   * Get a percentile of a list of numbers (linear interpolation)
+   * @param {Array<number>} values - Values (any order)
+   * @param {number} p - Percentile (0-100)
+   */
+  function percentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  /**
+   * Run the ledger many times with random amounts and timing
+   * @param {Object} model - The model (base or scenario-applied)
+   * @param {Object} options - {
+   *   runs: number of simulations (default 200),
+   *   seed: random seed (default 1),
+   *   accountId: account, or 'all' for the consolidated view,
+   *   startDate, endDate: range (default today through the forecast horizon),
+   *   dates: dates to report balance bands on (default weekly),
+   *   floor: balance floor (default the safe surplus floor),
+   *   minFrom: measure each run's lowest balance from this date on (default startDate)
+   * }
+   * @returns {Object} { runs, seed, dates, bands: { p10, p50, p90 }, minBalance: { p10, p50, p90 }, minBalances, floor, probabilityBelowFloor }
+   */
+  function simulate(model, options = {}) {
+    const runs = options.runs || DEFAULT_RUNS;
+    const seed = options.seed ?? DEFAULT_SEED;
+    const horizonDays = model.settings?.forecastHorizonDays || 180;
+    const startDate = options.startDate || DateTime.now().toISODate();
+    const endDate = options.endDate || DateTime.fromISO(startDate).plus({ days: horizonDays }).toISODate();
+    const floor = options.floor ?? model.settings?.safeSurplus?.floor ?? 0;
+    const dates = options.dates || getWeeklyDates(startDate, endDate);
+
+    const random = createRandom(seed);
+    const balancesByDate = dates.map(() => []);
+    const minBalances = [];
+
+    for (let run = 0; run < runs; run++) {
+      const trial = sampleModel(model, startDate, endDate, random);
+      const ledger = FSS.Ledger.runLedgerView(trial, { startDate, endDate, accountId: options.accountId });
+
+      minBalances.push(options.minFrom ? getMinBalanceFrom(ledger.entries, options.minFrom) : ledger.summary.minBalance);
+      FSS.Ledger.sampleBalances(ledger.entries, dates).forEach((balance, i) => {
+        balancesByDate[i].push(balance);
+      });
+    }
+
+    const bands = {};
+    const minBalance = {};
+    PERCENTILES.forEach(p => {
+      bands[`p${p}`] = balancesByDate.map(values => round(percentile(values, p)));
+      minBalance[`p${p}`] = round(percentile(minBalances, p));
+    });
+
+    return {
+      runs,
+      seed,
+      dates,
+      bands,
+      minBalance,
+      minBalances,
+      floor,
+      probabilityBelowFloor: minBalances.filter(b => b < floor).length / runs
+    };
+  }
+
+  /**
+   * Lowest balance from a date on, counting the balance carried into that date
+   */
+  function getMinBalanceFrom(entries, fromDate) {
+    let balance = entries[0]?.balance || 0;
+    let min = Infinity;
+    for (const entry of entries) {
+      if (entry.date < fromDate) {
+        balance = entry.balance;
+        continue;
+      }
+      min = Math.min(min, balance, entry.balance);
+      balance = entry.balance;
+    }
+    return min === Infinity ? balance : min;
+  }
+
+  /**
+   * Weekly dates from start to end, always including the end
+   */
+  function getWeeklyDates(startDate, endDate) {
+    const dates = [];
+    let date = DateTime.fromISO(startDate);
+    const end = DateTime.fromISO(endDate);
+    while (date < end) {
+      dates.push(date.toISODate());
+      date = date.plus({ days: 7 });
+    }
+    dates.push(endDate);
+    return dates;
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Public API
+  return {
+    DEFAULT_RUNS,
+    createRandom,
+    sampleAmount,
+    hasVariability,
+    sampleModel,
+    percentile,
+    simulate
+  };
+})();
+
+window.FSS = FSS;
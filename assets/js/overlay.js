@@ -18,8 +18,17 @@ FSS.Overlay = (function() {
     RULE_AMOUNT_DELTA: 'rule_amount_delta',
     RULE_DISABLE: 'rule_disable',
     RULE_RECURRENCE_SET: 'rule_recurrence_set',
+    RULE_AMOUNT_PERCENT: 'rule_amount_percent',
+    RULE_ACCOUNT_SET: 'rule_account_set',
+    RULE_VALIDITY_SET: 'rule_validity_set',
+    RULE_DATE_SHIFT: 'rule_date_shift',
+    ADD_RULE: 'add_rule',
+    DELETE_RULE: 'delete_rule',
     ADD_ONEOFF: 'add_oneoff',
     REMOVE_ONEOFF: 'remove_oneoff',
+    ADD_DEBT: 'add_debt',
+    DEBT_UPDATE: 'debt_update',
+    STARTING_BALANCE_DELTA: 'starting_balance_delta',
     SETTINGS_SET: 'settings_set'
   };
 
@@ -28,6 +37,7 @@ FSS.Overlay = (function() {
    */
   function createScenario(name = '') {
     return {
+      id: FSS.Schema.generateId('scenario'),
       meta: {
         name: name,
         createdAt: DateTime.now().toISO()
@@ -36,6 +46,15 @@ FSS.Overlay = (function() {
     };
   }
 
+  /**
+   * Copy a scenario under a new ID and name
+   */
+  function duplicateScenario(scenario, name = null) {
+    const copy = createScenario(name ?? `${scenario.meta?.name || 'Unnamed'} (copy)`);
+    copy.ops = JSON.parse(JSON.stringify(scenario.ops || []));
+    return copy;
+  }
+
   /**
    * Add an operation to a scenario
    */
@@ -44,20 +63,38 @@ FSS.Overlay = (function() {
       scenario.ops = [];
     }
     
-    // For certain ops, replace existing rather than duplicate
-    const replaceOps = [OPS.RULE_AMOUNT_SET, OPS.RULE_AMOUNT_DELTA, OPS.RULE_DISABLE];
-    
-    if (replaceOps.includes(op.op) && op.ruleId) {
-      // Remove existing op for same rule
-      scenario.ops = scenario.ops.filter(o => 
-        !(o.op === op.op && o.ruleId === op.ruleId)
-      );
+    scenario.ops = scenario.ops.filter(o => !isSameTarget(o, op));
+    scenario.ops.push(op);
+    return scenario;
+  }
+
+  /**
+   * Replace the operation at an index, keeping its position
+   */
+  function replaceOperation(scenario, index, op) {
+    if (!scenario.ops || index < 0 || index >= scenario.ops.length) {
+      return addOperation(scenario, op);
     }
     
-    scenario.ops.push(op);
+    scenario.ops[index] = op;
+    scenario.ops = scenario.ops.filter((o, i) => i === index || !isSameTarget(o, op));
     return scenario;
   }
 
+  /**
+   * For certain ops, a new op replaces an existing one of the same type for
+   * the same rule or debt rather than duplicating it
+   */
+  function isSameTarget(existing, op) {
+    const replaceOps = [
+      OPS.RULE_AMOUNT_SET, OPS.RULE_AMOUNT_DELTA, OPS.RULE_DISABLE, OPS.RULE_AMOUNT_PERCENT,
+      OPS.RULE_ACCOUNT_SET, OPS.RULE_VALIDITY_SET, OPS.RULE_DATE_SHIFT, OPS.DEBT_UPDATE
+    ];
+    
+    return replaceOps.includes(op.op) && !!(op.ruleId || op.debtId) &&
+      existing.op === op.op && existing.ruleId === op.ruleId && existing.debtId === op.debtId;
+  }
+
   /**
    * Remove an operation from a scenario
    */
@@ -105,12 +142,39 @@ FSS.Overlay = (function() {
       case OPS.RULE_RECURRENCE_SET:
         applyRuleRecurrenceSet(model, op);
         break;
+      case OPS.RULE_AMOUNT_PERCENT:
+        applyRuleAmountPercent(model, op);
+        break;
+      case OPS.RULE_ACCOUNT_SET:
+        applyRuleAccountSet(model, op);
+        break;
+      case OPS.RULE_VALIDITY_SET:
+        applyRuleValiditySet(model, op);
+        break;
+      case OPS.RULE_DATE_SHIFT:
+        applyRuleDateShift(model, op);
+        break;
+      case OPS.ADD_RULE:
+        applyAddRule(model, op);
+        break;
+      case OPS.DELETE_RULE:
+        applyDeleteRule(model, op);
+        break;
       case OPS.ADD_ONEOFF:
         applyAddOneOff(model, op);
         break;
       case OPS.REMOVE_ONEOFF:
         applyRemoveOneOff(model, op);
         break;
+      case OPS.ADD_DEBT:
+        applyAddDebt(model, op);
+        break;
+      case OPS.DEBT_UPDATE:
+        applyDebtUpdate(model, op);
+        break;
+      case OPS.STARTING_BALANCE_DELTA:
+        applyStartingBalanceDelta(model, op);
+        break;
       case OPS.SETTINGS_SET:
         applySettingsSet(model, op);
         break;
@@ -119,21 +183,28 @@ FSS.Overlay = (function() {
 
   /**
    * Set rule amount to specific value
+   * Replaces any amount schedule and escalation with the flat amount
    */
   function applyRuleAmountSet(model, op) {
     const rule = model.rules?.find(r => r.id === op.ruleId);
     if (rule && typeof op.amount === 'number') {
       rule.amount = op.amount;
+      delete rule.amountSchedule;
+      delete rule.escalation;
     }
   }
 
   /**
    * Adjust rule amount by delta
+   * Scheduled amount steps are shifted by the same delta
    */
   function applyRuleAmountDelta(model, op) {
     const rule = model.rules?.find(r => r.id === op.ruleId);
     if (rule && typeof op.delta === 'number') {
       rule.amount = (rule.amount || 0) + op.delta;
+      (rule.amountSchedule || []).forEach(step => {
+        step.amount = (step.amount || 0) + op.delta;
+      });
     }
   }
 
@@ -156,6 +227,106 @@ FSS.Overlay = (function() {
       rule.recurrence = op.recurrence;
       // Clear followsRuleId if setting own recurrence
       delete rule.followsRuleId;
+      delete rule.followOffset;
+    }
+  }
+
+  /**
+   * Scale rule amount by a percentage (e.g., -10 for a 10% cut)
+   * Scheduled amount steps are scaled by the same percentage
+   */
+  function applyRuleAmountPercent(model, op) {
+    const rule = model.rules?.find(r => r.id === op.ruleId);
+    if (rule && typeof op.percent === 'number') {
+      const scale = amount => Math.round((amount || 0) * (1 + op.percent / 100) * 100) / 100;
+      rule.amount = scale(rule.amount);
+      (rule.amountSchedule || []).forEach(step => {
+        step.amount = scale(step.amount);
+      });
+    }
+  }
+
+  /**
+   * Move a rule to another account (and destination, for transfers)
+   */
+  function applyRuleAccountSet(model, op) {
+    const rule = model.rules?.find(r => r.id === op.ruleId);
+    if (!rule) return;
+    
+    if (op.accountId) rule.accountId = op.accountId;
+    if (op.toAccountId && rule.kind === 'transfer') rule.toAccountId = op.toAccountId;
+  }
+
+  /**
+   * Change the dates a rule is active; an empty date removes that bound
+   */
+  function applyRuleValiditySet(model, op) {
+    const rule = model.rules?.find(r => r.id === op.ruleId);
+    if (!rule) return;
+    
+    ['validFrom', 'validTo'].forEach(key => {
+      if (op[key]) {
+        rule[key] = op[key];
+      } else {
+        delete rule[key];
+      }
+    });
+  }
+
+  /**
+   * Move every occurrence of a rule by a number of days (e.g., 3 for a late paycheck)
+   * Each occurrence in the op's startDate..endDate range (the forecast horizon
+   * from today if not given) gets a move exception; skipped occurrences stay
+   * skipped and already-moved ones move again
+   */
+  function applyRuleDateShift(model, op) {
+    const rule = model.rules?.find(r => r.id === op.ruleId);
+    if (!rule || !Number.isInteger(op.days) || op.days === 0) return;
+    
+    const horizonDays = model.settings?.forecastHorizonDays || 180;
+    const start = op.startDate ? DateTime.fromISO(op.startDate) : DateTime.now();
+    const end = op.endDate ? DateTime.fromISO(op.endDate) : start.plus({ days: horizonDays });
+    const margin = Math.abs(op.days);
+    const occurrences = FSS.Recurrence.expandRule(
+      rule,
+      start.minus({ days: margin }).toISODate(),
+      end.plus({ days: margin }).toISODate(),
+      model
+    );
+    
+    const exceptions = rule.exceptions || [];
+    occurrences.forEach(occurrence => {
+      const moveTo = DateTime.fromISO(occurrence.date).plus({ days: op.days }).toISODate();
+      const existing = exceptions.find(e => e.date === occurrence.occurrenceDate);
+      if (existing) {
+        existing.moveTo = moveTo;
+      } else {
+        exceptions.push({ date: occurrence.occurrenceDate, moveTo });
+      }
+    });
+    rule.exceptions = exceptions;
+  }
+
+  /**
+   * Add a new recurring rule
+   */
+  function applyAddRule(model, op) {
+    if (!op.rule) return;
+    if (!model.rules) {
+      model.rules = [];
+    }
+    
+    const rule = FSS.Schema.createRule({ tags: ['scenario'], ...op.rule });
+    model.rules = model.rules.filter(r => r.id !== rule.id);
+    model.rules.push(rule);
+  }
+
+  /**
+   * Delete a rule
+   */
+  function applyDeleteRule(model, op) {
+    if (model.rules && op.ruleId) {
+      model.rules = model.rules.filter(r => r.id !== op.ruleId);
     }
   }
 
@@ -190,6 +361,57 @@ FSS.Overlay = (function() {
     }
   }
 
+  /**
+   * Add a new debt
+   */
+  function applyAddDebt(model, op) {
+    if (!op.debt) return;
+    if (!model.debts) {
+      model.debts = [];
+    }
+    
+    const debt = FSS.Schema.createDebt(op.debt);
+    model.debts = model.debts.filter(d => d.id !== debt.id);
+    model.debts.push(debt);
+  }
+
+  /**
+   * Change fields of an existing debt (e.g., APR or extra payment)
+   */
+  function applyDebtUpdate(model, op) {
+    const debt = model.debts?.find(d => d.id === op.debtId);
+    if (debt && op.changes) {
+      Object.assign(debt, JSON.parse(JSON.stringify(op.changes)));
+    }
+  }
+
+  /**
+   * Shift an account's starting balance
+   * Every starting balance entry for the account moves by the same amount, so
+   * the change holds whichever entry the ledger starts from
+   */
+  function applyStartingBalanceDelta(model, op) {
+    if (!op.accountId || typeof op.delta !== 'number') return;
+    if (!model.startingBalances) {
+      model.startingBalances = [];
+    }
+    
+    const balances = model.startingBalances.filter(b => b.accountId === op.accountId);
+    if (balances.length === 0) {
+      model.startingBalances.push(FSS.Schema.createStartingBalance({
+        accountId: op.accountId,
+        date: op.date,
+        amount: op.delta,
+        note: 'Scenario adjustment'
+      }));
+      return;
+    }
+    
+    balances.forEach(b => {
+      b.amount = (b.amount || 0) + op.delta;
+    });
+  }
+
   /**
    * Update settings
    */
@@ -236,6 +458,44 @@ FSS.Overlay = (function() {
       recurrence
     }),
     
+    ruleAmountPercent: (ruleId, percent) => ({
+      op: OPS.RULE_AMOUNT_PERCENT,
+      ruleId,
+      percent
+    }),
+    
+    ruleAccountSet: (ruleId, accountId, toAccountId = null) => ({
+      op: OPS.RULE_ACCOUNT_SET,
+      ruleId,
+      accountId,
+      ...(toAccountId ? { toAccountId } : {})
+    }),
+    
+    ruleValiditySet: (ruleId, validFrom = null, validTo = null) => ({
+      op: OPS.RULE_VALIDITY_SET,
+      ruleId,
+      validFrom,
+      validTo
+    }),
+    
+    ruleDateShift: (ruleId, days, startDate = null, endDate = null) => ({
+      op: OPS.RULE_DATE_SHIFT,
+      ruleId,
+      days,
+      ...(startDate ? { startDate } : {}),
+      ...(endDate ? { endDate } : {})
+    }),
+    
+    addRule: (rule) => ({
+      op: OPS.ADD_RULE,
+      rule: { ...rule, id: rule.id || FSS.Schema.generateId('scenario_rule') }
+    }),
+    
+    deleteRule: (ruleId) => ({
+      op: OPS.DELETE_RULE,
+      ruleId
+    }),
+    
     addOneOff: (date, name, amount, accountId = 'checking', category = 'scenario') => ({
       op: OPS.ADD_ONEOFF,
       oneOffId: FSS.Schema.generateId('scenario_oneoff'),
@@ -251,6 +511,24 @@ FSS.Overlay = (function() {
       oneOffId
     }),
     
+    addDebt: (debt) => ({
+      op: OPS.ADD_DEBT,
+      debt: { ...debt, id: debt.id || FSS.Schema.generateId('scenario_debt') }
+    }),
+    
+    debtUpdate: (debtId, changes) => ({
+      op: OPS.DEBT_UPDATE,
+      debtId,
+      changes
+    }),
+    
+    startingBalanceDelta: (accountId, delta, date = null) => ({
+      op: OPS.STARTING_BALANCE_DELTA,
+      accountId,
+      delta,
+      ...(date ? { date } : {})
+    }),
+    
     settingsSet: (path, value) => ({
       op: OPS.SETTINGS_SET,
       path,
@@ -264,6 +542,9 @@ FSS.Overlay = (function() {
   function describeOperation(op, model) {
     const rule = model?.rules?.find(r => r.id === op.ruleId);
     const ruleName = rule?.name || op.ruleId || 'Unknown';
+    const accountName = id => model?.accounts?.find(a => a.id === id)?.name || id;
+    const debtName = model?.debts?.find(d => d.id === op.debtId)?.name || op.debtId || 'Unknown';
+    const formatDate = date => date ? FSS.App.formatDate(date) : 'open';
 
     switch (op.op) {
       case OPS.RULE_AMOUNT_SET:
@@ -274,47 +555,127 @@ FSS.Overlay = (function() {
       case OPS.RULE_DISABLE:
         return op.disabled ? `Disable "${ruleName}"` : `Enable "${ruleName}"`;
       case OPS.RULE_RECURRENCE_SET:
-        return `Change schedule of "${ruleName}"`;
+        return `Change schedule of "${ruleName}" to ${FSS.Recurrence.describeRecurrence(op.recurrence)}`;
+      case OPS.RULE_AMOUNT_PERCENT:
+        return `Change "${ruleName}" by ${op.percent >= 0 ? '+' : ''}${op.percent}%`;
+      case OPS.RULE_ACCOUNT_SET:
+        return `Move "${ruleName}" to ${accountName(op.accountId)}${op.toAccountId ? ` → ${accountName(op.toAccountId)}` : ''}`;
+      case OPS.RULE_VALIDITY_SET:
+        return `Run "${ruleName}" from ${formatDate(op.validFrom)} to ${formatDate(op.validTo)}`;
+      case OPS.RULE_DATE_SHIFT: {
+        const days = Math.abs(op.days);
+        return `Move "${ruleName}" ${days} day${days === 1 ? '' : 's'} ${op.days < 0 ? 'earlier' : 'later'}`;
+      }
+      case OPS.ADD_RULE:
+        return `Add ${op.rule?.kind || 'rule'}: ${op.rule?.name} (${FSS.App.formatCurrency(op.rule?.amount || 0)}, ${FSS.Recurrence.describeRecurrence(op.rule?.recurrence)})`;
+      case OPS.DELETE_RULE:
+        return `Delete "${ruleName}"`;
       case OPS.ADD_ONEOFF:
         return `Add one-off: ${op.name} (${FSS.App.formatCurrency(op.amount)}) on ${op.date}`;
-      case OPS.REMOVE_ONEOFF:
-        return `Remove one-off: ${op.oneOffId}`;
+      case OPS.REMOVE_ONEOFF: {
+        const oneOff = model?.oneOffs?.find(o => o.id === op.oneOffId);
+        return oneOff
+          ? `Remove one-off: ${oneOff.name} (${FSS.App.formatCurrency(oneOff.amount)}) on ${oneOff.date}`
+          : `Remove one-off: ${op.oneOffId}`;
+      }
+      case OPS.ADD_DEBT:
+        return `Add debt: ${op.debt?.name} (${FSS.App.formatCurrency(op.debt?.principal || 0)} at ${op.debt?.apr || 0}% APR)`;
+      case OPS.DEBT_UPDATE:
+        return `Change debt "${debtName}": ${describeDebtChanges(op.changes)}`;
+      case OPS.STARTING_BALANCE_DELTA:
+        return `Adjust ${accountName(op.accountId)} starting balance by ${op.delta >= 0 ? '+' : ''}${FSS.App.formatCurrency(op.delta)}`;
       case OPS.SETTINGS_SET:
-        return `Change setting: ${op.path}`;
+        return `Change setting: ${op.path} to ${op.value}`;
       default:
         return `Unknown operation: ${op.op}`;
     }
   }
 
+  /**
+   * Describe the fields changed by a debt update
+   */
+  function describeDebtChanges(changes = {}) {
+    return Object.entries(changes).map(([key, value]) => {
+      switch (key) {
+        case 'apr':
+          return `APR ${value}%`;
+        case 'principal':
+          return `balance ${FSS.App.formatCurrency(value)}`;
+        case 'extraMonthlyPayment':
+          return `extra ${FSS.App.formatCurrency(value)}/mo`;
+        default:
+          return `${key} ${value}`;
+      }
+    }).join(', ');
+  }
+
+  /**
+   * Metrics compared between the base model and scenarios
+   */
+  const METRICS = ['endBalance', 'minBalance', 'totalIncome', 'totalExpenses', 'netSurplus'];
+
+  function getMetrics(ledger) {
+    return Object.fromEntries(METRICS.map(key => [key, ledger.summary[key]]));
+  }
+
+  function getDifference(metrics, baseMetrics) {
+    return Object.fromEntries(METRICS.map(key => [key, metrics[key] - baseMetrics[key]]));
+  }
+
   /**
    * Compare two models and return differences
    */
   function compareModels(baseModel, scenarioModel) {
-    const baseLedger = FSS.Ledger.runLedger(baseModel);
-    const scenarioLedger = FSS.Ledger.runLedger(scenarioModel);
+    const base = getMetrics(FSS.Ledger.runLedger(baseModel));
+    const scenario = getMetrics(FSS.Ledger.runLedger(scenarioModel));
 
     return {
-      base: {
-        endBalance: baseLedger.summary.endBalance,
-        minBalance: baseLedger.summary.minBalance,
-        totalIncome: baseLedger.summary.totalIncome,
-        totalExpenses: baseLedger.summary.totalExpenses,
-        netSurplus: baseLedger.summary.netSurplus
-      },
-      scenario: {
-        endBalance: scenarioLedger.summary.endBalance,
-        minBalance: scenarioLedger.summary.minBalance,
-        totalIncome: scenarioLedger.summary.totalIncome,
-        totalExpenses: scenarioLedger.summary.totalExpenses,
-        netSurplus: scenarioLedger.summary.netSurplus
-      },
-      difference: {
-        endBalance: scenarioLedger.summary.endBalance - baseLedger.summary.endBalance,
-        minBalance: scenarioLedger.summary.minBalance - baseLedger.summary.minBalance,
-        totalIncome: scenarioLedger.summary.totalIncome - baseLedger.summary.totalIncome,
-        totalExpenses: scenarioLedger.summary.totalExpenses - baseLedger.summary.totalExpenses,
-        netSurplus: scenarioLedger.summary.netSurplus - baseLedger.summary.netSurplus
-      }
+      base,
+      scenario,
+      difference: getDifference(scenario, base)
+    };
+  }
+
+  /**
+   * Compare the base model with any number of scenarios at once
+   * Every ledger covers the same dates, so balances share one set of
+   * weekly sample dates for an overlaid chart.
+   * @param {Object} baseModel - The base model
+   * @param {Array} scenarios - Scenarios to apply to the base model
+   * @param {Object} options - Options { startDate, endDate, sampleDays }
+   * @returns {Object} { labels, base, scenarios: [{ id, name, metrics, difference, balances }] }
+   */
+  function compareScenarios(baseModel, scenarios, options = {}) {
+    const horizonDays = baseModel.settings?.forecastHorizonDays || 180;
+    const startDate = options.startDate || DateTime.now().toISODate();
+    const endDate = options.endDate || DateTime.fromISO(startDate).plus({ days: horizonDays }).toISODate();
+    const sampleDays = options.sampleDays || 7;
+
+    const labels = [];
+    for (let date = DateTime.fromISO(startDate); date.toISODate() < endDate; date = date.plus({ days: sampleDays })) {
+      labels.push(date.toISODate());
+    }
+    labels.push(endDate);
+
+    const run = model => {
+      const ledger = FSS.Ledger.runLedger(model, { startDate, endDate });
+      return { metrics: getMetrics(ledger), balances: FSS.Ledger.sampleBalances(ledger.entries, labels) };
+    };
+
+    const base = { id: null, name: 'Base', ...run(baseModel) };
+
+    return {
+      labels,
+      base,
+      scenarios: scenarios.map(scenario => {
+        const result = run(applyScenario(baseModel, scenario));
+        return {
+          id: scenario.id,
+          name: scenario.meta?.name || 'Unnamed',
+          ...result,
+          difference: getDifference(result.metrics, base.metrics)
+        };
+      })
     };
   }
 
@@ -330,14 +691,18 @@ FSS.Overlay = (function() {
   // Public API
   return {
     OPS,
+    METRICS,
     createScenario,
+    duplicateScenario,
     addOperation,
+    replaceOperation,
     removeOperation,
     applyScenario,
     applyOperation,
     createOp,
     describeOperation,
     compareModels,
+    compareScenarios,
     commitToBase
   };
 })();
@@ -12,6 +12,9 @@ FSS.Recurrence = (function() {
 
   /**
    * Expand a rule into dated occurrences within a date range
+   * Per-occurrence exceptions (skip, move, amount override) are applied here,
+   * before business day adjustment in the ledger. A following rule with an
+   * offset is shifted from the leader's business-day adjusted dates
    * @param {Object} rule - The rule to expand
    * @param {string} startDate - Start date (YYYY-MM-DD)
    * @param {string} endDate - End date (YYYY-MM-DD)
@@ -21,6 +24,10 @@ FSS.Recurrence = (function() {
   function expandRule(rule, startDate, endDate, model = null) {
     if (!rule || !rule.enabled) return [];
 
+    // Exceptions can move occurrences across the validity window, so keep the requested range
+    const rangeStart = startDate;
+    const rangeEnd = endDate;
+
     // Check validity period
     if (rule.validFrom && startDate < rule.validFrom) {
       startDate = rule.validFrom;
@@ -30,49 +37,322 @@ FSS.Recurrence = (function() {
     }
     if (startDate > endDate) return [];
 
-    // Get recurrence (either from rule or from followed rule)
-    let recurrence = rule.recurrence;
-    if (rule.followsRuleId && model) {
-      const followedRule = model.rules?.find(r => r.id === rule.followsRuleId);
-      if (followedRule) {
-        recurrence = followedRule.recurrence;
-      }
+    const recurrence = resolveRecurrence(rule, model);
+    if (!recurrence) return [];
+
+    const occurrences = expandOccurrences(rule, DateTime.fromISO(startDate), DateTime.fromISO(endDate), model);
+
+    // Pull in occurrences moved into the range from outside it
+    const exceptions = rule.exceptions || [];
+    for (const exception of exceptions) {
+      if (exception.skip || !exception.moveTo) continue;
+      if (exception.date >= startDate && exception.date <= endDate) continue;
+      if (exception.moveTo < rangeStart || exception.moveTo > rangeEnd) continue;
+      if ((rule.validFrom && exception.date < rule.validFrom) || (rule.validTo && exception.date > rule.validTo)) continue;
+
+      const original = DateTime.fromISO(exception.date);
+      occurrences.push(...expandOccurrences(rule, original, original, model));
     }
 
-    if (!recurrence) return [];
+    const exceptionsByDate = {};
+    exceptions.forEach(e => { exceptionsByDate[e.date] = e; });
 
-    const start = DateTime.fromISO(startDate);
-    const end = DateTime.fromISO(endDate);
-    const occurrences = [];
+    return occurrences
+      .map(({ date, installment }) => buildOccurrence(rule, date.toISODate(), installment, exceptionsByDate))
+      .filter(o => o && o.date >= rangeStart && o.date <= rangeEnd)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
 
-    switch (recurrence.type) {
-      case 'monthly_day':
-        occurrences.push(...expandMonthlyDay(recurrence, start, end));
-        break;
-      case 'semimonthly_days':
-        occurrences.push(...expandSemimonthlyDays(recurrence, start, end));
-        break;
-      case 'biweekly_anchor':
-        occurrences.push(...expandBiweeklyAnchor(recurrence, start, end));
-        break;
-      case 'weekly_dow':
-        occurrences.push(...expandWeeklyDow(recurrence, start, end));
-        break;
+  /**
+   * Expand a rule's schedule into { date, installment } pairs within a range
+   */
+  function expandOccurrences(rule, start, end, model) {
+    if (hasOccurrenceLimit(rule)) {
+      // Count from the rule's own start so numbering is stable for any range
+      const total = rule.maxOccurrences;
+      return expandRuleDates(rule, DateTime.fromISO(rule.validFrom), end, model)
+        .slice(0, total)
+        .map((date, i) => ({ date, installment: { number: i + 1, total } }))
+        .filter(o => o.date >= start);
     }
 
-    return occurrences.map(date => ({
-      date: date.toISODate(),
+    return expandRuleDates(rule, start, end, model)
+      .map(date => ({ date }));
+  }
+
+  /**
+   * Expand a rule's schedule into unadjusted dates within a range
+   * A following rule takes its leader's dates; with an offset they are taken
+   * after the leader's business day adjustment and then shifted
+   * @returns {Array<DateTime>} Sorted dates
+   */
+  function expandRuleDates(rule, start, end, model = null, visited = new Set()) {
+    const businessDaySettings = model?.settings?.businessDays || {};
+    const leader = rule.followsRuleId ? model?.rules?.find(r => r.id === rule.followsRuleId) : null;
+
+    if (!leader) {
+      return rule.recurrence ? expandRecurrenceDates(rule.recurrence, start, end, businessDaySettings) : [];
+    }
+
+    // Follow cycles produce no dates (reported by validateModel)
+    if (visited.has(rule.id)) return [];
+    visited.add(rule.id);
+
+    const offset = getFollowOffset(rule);
+    if (!offset) {
+      return expandRuleDates(leader, start, end, model, visited);
+    }
+
+    // Widen the leader's range so dates shifted across the boundaries are kept
+    const margin = Math.ceil(Math.abs(offset.days) * (offset.unit === 'business' ? 7 / 5 : 1)) + 10;
+    const dates = expandRuleDates(leader, start.minus({ days: margin }), end.plus({ days: margin }), model, visited)
+      .map(date => DateTime.fromISO(
+        FSS.BusinessDay.adjustDate(date, leader.businessDayAdjustment || 'none', businessDaySettings)
+      ))
+      .map(date => applyFollowOffset(date, offset, businessDaySettings))
+      .filter(date => date >= start && date <= end);
+
+    // Drop dates that collapse together after adjustment
+    return dates.filter((date, i) => i === 0 || !date.hasSame(dates[i - 1], 'day'));
+  }
+
+  /**
+   * Get a following rule's offset, or null if it has none
+   */
+  function getFollowOffset(rule) {
+    const days = rule.followOffset?.days;
+    if (!rule.followsRuleId || !days) return null;
+    return { days, unit: rule.followOffset.unit === 'business' ? 'business' : 'calendar' };
+  }
+
+  /**
+   * Shift a date by a follow offset in calendar or business days
+   */
+  function applyFollowOffset(date, offset, businessDaySettings) {
+    if (offset.unit !== 'business') {
+      return date.plus({ days: offset.days });
+    }
+
+    const step = offset.days > 0 ? FSS.BusinessDay.nextBusinessDay : FSS.BusinessDay.prevBusinessDay;
+    let shifted = date;
+    for (let i = 0; i < Math.abs(offset.days); i++) {
+      shifted = step(shifted, businessDaySettings);
+    }
+    return shifted;
+  }
+
+  /**
+   * Build a transaction occurrence, applying any exception for its original date
+   * @returns {Object|null} Occurrence, or null if the exception skips it
+   */
+  function buildOccurrence(rule, occurrenceDate, installment, exceptionsByDate) {
+    const exception = exceptionsByDate[occurrenceDate];
+    if (exception?.skip) return null;
+
+    const occurrence = {
+      date: exception?.moveTo || occurrenceDate,
+      occurrenceDate, // Original scheduled date, used to key exceptions
       ruleId: rule.id,
       name: rule.name,
       accountId: rule.accountId,
       kind: rule.kind,
-      amount: rule.amount,
+      amount: typeof exception?.amount === 'number' ? exception.amount : resolveAmount(rule, occurrenceDate),
       category: rule.category || '',
       tags: rule.tags || [],
       priority: rule.priority || 100,
       businessDayAdjustment: rule.businessDayAdjustment || 'none',
       toAccountId: rule.toAccountId // For transfers
-    }));
+    };
+    if (installment) {
+      occurrence.installment = installment;
+    }
+    if (exception) {
+      occurrence.exception = { ...exception };
+    }
+    return occurrence;
+  }
+
+  /**
+   * Resolve a rule's amount on a date from its amount schedule and escalation
+   * The latest scheduled step on or before the date replaces the base amount;
+   * annual escalation compounds per full year from the anchor date, or from
+   * that step's effective date if the step is later (a known new rate)
+   * @param {Object} rule - The rule
+   * @param {string} date - Occurrence date (YYYY-MM-DD)
+   * @returns {number} Amount
+   */
+  function resolveAmount(rule, date) {
+    let amount = rule.amount;
+    let escalateFrom = rule.escalation?.anchorDate || null;
+
+    const step = (rule.amountSchedule || [])
+      .filter(s => s.effectiveDate <= date)
+      .sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate))[0];
+    if (step) {
+      amount = step.amount;
+      if (escalateFrom && step.effectiveDate > escalateFrom) {
+        escalateFrom = step.effectiveDate;
+      }
+    }
+
+    const percent = rule.escalation?.percent || 0;
+    if (percent && escalateFrom && date >= escalateFrom) {
+      const years = Math.floor(DateTime.fromISO(date).diff(DateTime.fromISO(escalateFrom), 'years').years);
+      if (years > 0) {
+        amount = Math.round(amount * Math.pow(1 + percent / 100, years) * 100) / 100;
+      }
+    }
+
+    return amount;
+  }
+
+  /**
+   * Get the points where a rule's amount changes within a date range
+   * @param {Object} rule - The rule
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Array} Array of { date, amount, reason } in date order
+   */
+  function getAmountTimeline(rule, startDate, endDate) {
+    const points = [{ date: startDate, reason: 'Current amount' }];
+
+    (rule.amountSchedule || []).forEach(s => {
+      if (s.effectiveDate > startDate && s.effectiveDate <= endDate) {
+        points.push({ date: s.effectiveDate, reason: s.note || 'Scheduled change' });
+      }
+    });
+
+    if (rule.escalation?.percent && rule.escalation.anchorDate) {
+      // Escalation anniversaries of the anchor and of any later step
+      const anchors = [rule.escalation.anchorDate, ...(rule.amountSchedule || [])
+        .map(s => s.effectiveDate)
+        .filter(d => d > rule.escalation.anchorDate)];
+      const end = DateTime.fromISO(endDate);
+
+      anchors.forEach(anchor => {
+        let anniversary = DateTime.fromISO(anchor).plus({ years: 1 });
+        while (anniversary <= end) {
+          const iso = anniversary.toISODate();
+          if (iso > startDate) {
+            points.push({ date: iso, reason: `${rule.escalation.percent}% annual escalation` });
+          }
+          anniversary = anniversary.plus({ years: 1 });
+        }
+      });
+    }
+
+    // Step dates restart escalation, so re-resolve every point and drop no-op changes
+    const timeline = [];
+    points
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .forEach(point => {
+        const amount = resolveAmount(rule, point.date);
+        const last = timeline[timeline.length - 1];
+        if (!last || last.amount !== amount) {
+          timeline.push({ ...point, amount });
+        }
+      });
+
+    return timeline;
+  }
+
+  /**
+   * Get the recurrence a rule uses (its own, or the one at the end of its follow chain)
+   * @returns {Object|null} Recurrence, or null if there is none or the chain loops
+   */
+  function resolveRecurrence(rule, model = null, visited = new Set()) {
+    if (rule.followsRuleId && model) {
+      const followedRule = model.rules?.find(r => r.id === rule.followsRuleId);
+      if (followedRule) {
+        if (visited.has(rule.id)) return null;
+        visited.add(rule.id);
+        return resolveRecurrence(followedRule, model, visited);
+      }
+    }
+    return rule.recurrence || null;
+  }
+
+  /**
+   * Check if a rule ends after a fixed number of occurrences
+   */
+  function hasOccurrenceLimit(rule) {
+    return !!(rule && rule.maxOccurrences > 0 && rule.validFrom);
+  }
+
+  /**
+   * Expand a recurrence into unadjusted dates within a range
+   * @returns {Array<DateTime>} Sorted dates
+   */
+  function expandRecurrenceDates(recurrence, start, end, businessDaySettings = {}) {
+    switch (recurrence.type) {
+      case 'monthly_day':
+        return expandMonthlyDay(recurrence, start, end);
+      case 'semimonthly_days':
+        return expandSemimonthlyDays(recurrence, start, end);
+      case 'biweekly_anchor':
+        return expandBiweeklyAnchor(recurrence, start, end);
+      case 'weekly_dow':
+        return expandWeeklyDow(recurrence, start, end);
+      case 'yearly_date':
+        return expandYearlyDate(recurrence, start, end);
+      case 'quarterly':
+        return expandQuarterly(recurrence, start, end);
+      case 'every_n_months':
+        return expandEveryNMonths(recurrence, start, end);
+      case 'monthly_nth_weekday':
+        return expandMonthlyNthWeekday(recurrence, start, end);
+      case 'monthly_last_day':
+        return expandMonthlyLastDay(start, end);
+      case 'monthly_business_day':
+        return expandMonthlyBusinessDay(recurrence, start, end, businessDaySettings);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Get progress of a rule that ends after N occurrences
+   * @param {Object} rule - The rule
+   * @param {Object} model - The model (for followsRuleId and business day settings)
+   * @param {string} asOfDate - Date to count completed occurrences up to (default today)
+   * @returns {Object|null} { total, completed, remaining, finalDate, endsEarly } or null if unlimited
+   */
+  function getInstallmentStatus(rule, model = null, asOfDate = null) {
+    if (!hasOccurrenceLimit(rule)) return null;
+
+    if (!resolveRecurrence(rule, model)) return null;
+
+    const asOf = asOfDate || DateTime.now().toISODate();
+    const businessDaySettings = model?.settings?.businessDays || {};
+    const total = rule.maxOccurrences;
+    const from = DateTime.fromISO(rule.validFrom);
+    const limit = rule.validTo ? DateTime.fromISO(rule.validTo) : from.plus({ years: 100 });
+
+    // Grow the search window until all occurrences are found or the rule ends
+    let years = 1;
+    let dates = [];
+    while (true) {
+      const windowEnd = DateTime.min(from.plus({ years }), limit);
+      dates = expandRuleDates(rule, from, windowEnd, model);
+      if (dates.length >= total || windowEnd >= limit) break;
+      years *= 2;
+    }
+    dates = dates.slice(0, total);
+
+    const completed = dates.filter(d => d.toISODate() < asOf).length;
+    const lastDate = dates[dates.length - 1];
+    let finalDate = lastDate ? lastDate.toISODate() : null;
+    if (finalDate && FSS.BusinessDay) {
+      finalDate = FSS.BusinessDay.adjustDate(finalDate, rule.businessDayAdjustment || 'none', businessDaySettings);
+    }
+
+    return {
+      total,
+      completed,
+      remaining: dates.length - completed,
+      finalDate,
+      endsEarly: dates.length < total
+    };
   }
 
   /**
@@ -179,6 +459,99 @@ FSS.Recurrence = (function() {
     return dates;
   }
 
+  /**
+   * Yearly on a specific month and day (e.g., every March 15)
+   */
+  function expandYearlyDate(recurrence, start, end) {
+    const month = recurrence.month || 1;
+    return expandMonthCycle(start, end, recurrence.day || 1, current => current.month === month);
+  }
+
+  /**
+   * Quarterly on a day, in every third month counting from a starting month
+   */
+  function expandQuarterly(recurrence, start, end) {
+    const month = recurrence.month || 1;
+    return expandMonthCycle(start, end, recurrence.day || 1, current =>
+      (((current.month - month) % 3) + 3) % 3 === 0
+    );
+  }
+
+  /**
+   * Every N months on a day, counting from an anchor month (YYYY-MM)
+   */
+  function expandEveryNMonths(recurrence, start, end) {
+    const interval = Math.max(1, recurrence.interval || 1);
+    const anchor = DateTime.fromISO(recurrence.anchorMonth || '');
+    
+    if (!anchor.isValid) return [];
+    
+    const anchorIndex = anchor.year * 12 + anchor.month;
+    return expandMonthCycle(start, end, recurrence.day || 1, current => {
+      const diff = current.year * 12 + current.month - anchorIndex;
+      return ((diff % interval) + interval) % interval === 0;
+    });
+  }
+
+  /**
+   * Monthly on the nth weekday (e.g., second Tuesday, last Friday)
+   * Months without a matching weekday (e.g., no 5th Monday) are skipped
+   */
+  function expandMonthlyNthWeekday(recurrence, start, end) {
+    const nth = recurrence.nth || 1;
+    // Convert 0 = Monday to Luxon's 1 = Monday
+    const luxonDow = (recurrence.dayOfWeek ?? 0) + 1;
+    
+    return expandMonthDates(start, end, current =>
+      FSS.BusinessDay.nthWeekdayOfMonth(current.year, current.month, luxonDow, nth)
+    );
+  }
+
+  /**
+   * Monthly on the last calendar day
+   */
+  function expandMonthlyLastDay(start, end) {
+    return expandMonthDates(start, end, current => current.endOf('month').startOf('day'));
+  }
+
+  /**
+   * Monthly on the nth (or last) business day, honoring weekend and holiday settings
+   */
+  function expandMonthlyBusinessDay(recurrence, start, end, businessDaySettings) {
+    const nth = recurrence.nth || 1;
+    
+    return expandMonthDates(start, end, current =>
+      FSS.BusinessDay.nthBusinessDayOfMonth(current.year, current.month, nth, businessDaySettings)
+    );
+  }
+
+  /**
+   * Walk months in range, emitting the date resolved for each month (if any)
+   */
+  function expandMonthDates(start, end, resolveDate) {
+    const dates = [];
+    let current = start.startOf('month');
+    
+    while (current <= end) {
+      const targetDate = resolveDate(current);
+      if (targetDate && targetDate >= start && targetDate <= end) {
+        dates.push(targetDate);
+      }
+      current = current.plus({ months: 1 });
+    }
+    
+    return dates;
+  }
+
+  /**
+   * Walk months in range, emitting the (clamped) day for months accepted by the filter
+   */
+  function expandMonthCycle(start, end, day, includeMonth) {
+    return expandMonthDates(start, end, current =>
+      includeMonth(current) ? getValidDayOfMonth(current, day) : null
+    );
+  }
+
   /**
    * Get valid day of month, handling overflow
    * (e.g., day 31 in February becomes Feb 28/29)
@@ -206,6 +579,25 @@ FSS.Recurrence = (function() {
       case 'weekly_dow':
         const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
         return `Weekly on ${days[recurrence.dayOfWeek || 0]}`;
+      case 'yearly_date':
+        return `Yearly on ${monthName(recurrence.month)} ${recurrence.day || 1}`;
+      case 'quarterly':
+        const quarterMonths = [0, 3, 6, 9].map(offset =>
+          monthName(((recurrence.month || 1) - 1 + offset) % 12 + 1, 'short')
+        );
+        return `Quarterly on the ${ordinal(recurrence.day || 1)} (${quarterMonths.join(', ')})`;
+      case 'every_n_months':
+        const anchorMonth = DateTime.fromISO(recurrence.anchorMonth || '');
+        const interval = recurrence.interval || 1;
+        return `Every ${interval === 1 ? 'month' : `${interval} months`} on the ${ordinal(recurrence.day || 1)}` +
+          ` (from ${anchorMonth.isValid ? anchorMonth.toFormat('MMM yyyy') : 'anchor'})`;
+      case 'monthly_nth_weekday':
+        const weekdays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+        return `Monthly on the ${nthLabel(recurrence.nth)} ${weekdays[recurrence.dayOfWeek || 0]}`;
+      case 'monthly_last_day':
+        return 'Monthly on the last day';
+      case 'monthly_business_day':
+        return `Monthly on the ${nthLabel(recurrence.nth)} business day`;
       default:
         return 'Unknown recurrence';
     }
@@ -220,6 +612,20 @@ FSS.Recurrence = (function() {
     return n + (s[(v - 20) % 10] || s[v] || s[0]);
   }
 
+  /**
+   * Get label for an nth position (-1 = last)
+   */
+  function nthLabel(nth) {
+    return nth === -1 ? 'last' : ordinal(nth || 1);
+  }
+
+  /**
+   * Get month name for a month number (1-12)
+   */
+  function monthName(month, length = 'long') {
+    return DateTime.local(2000, month || 1, 1).toFormat(length === 'short' ? 'MMM' : 'MMMM');
+  }
+
   /**
    * Parse recurrence from form inputs
    */
@@ -246,11 +652,57 @@ FSS.Recurrence = (function() {
           type: 'weekly_dow',
           dayOfWeek: parseInt(params.dayOfWeek, 10) || 0
         };
+      case 'yearly_date':
+        return {
+          type: 'yearly_date',
+          month: parseInt(params.month, 10) || 1,
+          day: parseInt(params.day, 10) || 1
+        };
+      case 'quarterly':
+        return {
+          type: 'quarterly',
+          month: parseInt(params.month, 10) || 1,
+          day: parseInt(params.day, 10) || 1
+        };
+      case 'every_n_months':
+        return {
+          type: 'every_n_months',
+          interval: Math.max(1, parseInt(params.interval, 10) || 1),
+          anchorMonth: params.anchorMonth || DateTime.now().toFormat('yyyy-MM'),
+          day: parseInt(params.day, 10) || 1
+        };
+      case 'monthly_nth_weekday':
+        return {
+          type: 'monthly_nth_weekday',
+          nth: parseInt(params.nth, 10) || 1,
+          dayOfWeek: parseInt(params.dayOfWeek, 10) || 0
+        };
+      case 'monthly_last_day':
+        return {
+          type: 'monthly_last_day'
+        };
+      case 'monthly_business_day':
+        return {
+          type: 'monthly_business_day',
+          nth: parseInt(params.nth, 10) || 1
+        };
       default:
         return null;
     }
   }
 
+  /**
+   * Describe a following rule's offset
+   * @param {Object} offset - { days, unit }
+   * @returns {string} e.g. "1 business day after", or '' for no offset
+   */
+  function describeFollowOffset(offset) {
+    if (!offset || !offset.days) return '';
+    const count = Math.abs(offset.days);
+    const unit = offset.unit === 'business' ? 'business day' : 'day';
+    return `${count} ${unit}${count === 1 ? '' : 's'} ${offset.days > 0 ? 'after' : 'before'}`;
+  }
+
   /**
    * Get next occurrence date from today
    */
@@ -265,9 +717,14 @@ FSS.Recurrence = (function() {
   return {
     expandRule,
     describeRecurrence,
+    describeFollowOffset,
     parseRecurrence,
     getNextOccurrence,
-    ordinal
+    getInstallmentStatus,
+    resolveAmount,
+    getAmountTimeline,
+    ordinal,
+    monthName
   };
 })();
 
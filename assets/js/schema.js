@@ -13,6 +13,18 @@ FSS.Schema = (function() {
   const DEFAULT_TIMEZONE = 'America/Chicago';
   const DEFAULT_FORECAST_HORIZON_DAYS = 180;
 
+  const RECURRENCE_TYPES = [
+    'monthly_day', 'semimonthly_days', 'biweekly_anchor', 'weekly_dow',
+    'yearly_date', 'quarterly', 'every_n_months',
+    'monthly_nth_weekday', 'monthly_last_day', 'monthly_business_day'
+  ];
+
+  // Amount distributions a rule can declare for Monte Carlo forecasts
+  const VARIABILITY_TYPES = ['range', 'normal', 'samples'];
+
+  // Kinds a recorded actual transaction can have
+  const ACTUAL_KINDS = ['income', 'expense', 'transfer'];
+
   /**
    * Create a new empty base model with defaults
    */
@@ -39,6 +51,7 @@ FSS.Schema = (function() {
       rules: [],
       oneOffs: [],
       debts: [],
+      actuals: [],
       settings: {
         forecastHorizonDays: DEFAULT_FORECAST_HORIZON_DAYS,
         safeSurplus: {
@@ -47,7 +60,9 @@ FSS.Schema = (function() {
           floor: 2000
         },
         businessDays: {
-          weekendsAreNonBusinessDays: true
+          weekendsAreNonBusinessDays: true,
+          holidayCalendar: 'none',
+          customHolidays: []
         },
         display: {
           dateFormat: 'MMM d, yyyy',
@@ -86,8 +101,31 @@ FSS.Schema = (function() {
       name: data.name || 'New Account',
       type: data.type || 'checking',
       includeInSurplus: data.includeInSurplus !== false,
-      note: data.note || ''
+      note: data.note || '',
+      ...(data.interest && data.interest.apy > 0 ? {
+        interest: {
+          apy: data.interest.apy,
+          compounding: data.interest.compounding || 'monthly',
+          creditDay: data.interest.creditDay || 1
+        }
+      } : {}),
+      ...(data.type === 'credit_card' ? { card: createCardSettings(data.card) } : {})
+    };
+  }
+
+  /**
+   * Create credit card statement and autopay settings
+   */
+  function createCardSettings(data = {}) {
+    const card = {
+      closingDay: data.closingDay || 1,
+      dueDays: data.dueDays || 21,
+      apr: typeof data.apr === 'number' ? data.apr : 0,
+      autopay: data.autopay || 'statement'
     };
+    if (card.autopay === 'fixed') card.fixedAmount = data.fixedAmount || 0;
+    if (data.payFromAccountId) card.payFromAccountId = data.payFromAccountId;
+    return card;
   }
 
   /**
@@ -124,6 +162,12 @@ FSS.Schema = (function() {
       rule.recurrence = { ...data.recurrence };
     } else if (data.followsRuleId) {
       rule.followsRuleId = data.followsRuleId;
+      if (data.followOffset && data.followOffset.days) {
+        rule.followOffset = {
+          days: data.followOffset.days,
+          unit: data.followOffset.unit || 'calendar'
+        };
+      }
     } else {
       // Default recurrence
       rule.recurrence = {
@@ -136,6 +180,31 @@ FSS.Schema = (function() {
     if (data.validFrom) rule.validFrom = data.validFrom;
     if (data.validTo) rule.validTo = data.validTo;
 
+    // Optional installment count (counted from validFrom)
+    if (data.maxOccurrences > 0) rule.maxOccurrences = data.maxOccurrences;
+
+    // Effective-dated amount steps and optional annual escalation
+    if (Array.isArray(data.amountSchedule) && data.amountSchedule.length > 0) {
+      rule.amountSchedule = data.amountSchedule
+        .map(s => ({ effectiveDate: s.effectiveDate, amount: s.amount, ...(s.note ? { note: s.note } : {}) }))
+        .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+    }
+    if (data.escalation && data.escalation.percent) {
+      rule.escalation = {
+        percent: data.escalation.percent,
+        anchorDate: data.escalation.anchorDate || luxon.DateTime.now().toISODate()
+      };
+    }
+
+    // Per-occurrence exceptions keyed by original occurrence date
+    if (Array.isArray(data.exceptions) && data.exceptions.length > 0) {
+      rule.exceptions = data.exceptions.map(e => createRuleException(e));
+    }
+
+    // Optional amount distribution and date jitter, used only by Monte Carlo forecasts
+    const variability = createVariability(data.variability);
+    if (variability) rule.variability = variability;
+
     // Transfer-specific fields
     if (data.kind === 'transfer' && data.toAccountId) {
       rule.toAccountId = data.toAccountId;
@@ -144,11 +213,83 @@ FSS.Schema = (function() {
     return rule;
   }
 
+  /**
+   * Create a rule's variability: an amount distribution and/or date jitter
+   * - range: uniform between min and max
+   * - normal: around the rule's scheduled amount with a standard deviation
+   * - samples: one of a list of past amounts, picked at random
+   * @returns {Object|null} Variability, or null if it varies nothing
+   */
+  function createVariability(data) {
+    if (!data) return null;
+
+    const variability = {};
+    if (VARIABILITY_TYPES.includes(data.type)) {
+      variability.type = data.type;
+      if (data.type === 'range') {
+        variability.min = typeof data.min === 'number' ? data.min : 0;
+        variability.max = typeof data.max === 'number' ? data.max : variability.min;
+      } else if (data.type === 'normal') {
+        variability.stdDev = typeof data.stdDev === 'number' ? data.stdDev : 0;
+      } else {
+        variability.samples = Array.isArray(data.samples) ? data.samples.filter(n => typeof n === 'number' && !isNaN(n)) : [];
+      }
+    }
+    if (data.jitterDays > 0) variability.jitterDays = data.jitterDays;
+
+    return Object.keys(variability).length > 0 ? variability : null;
+  }
+
+  /**
+   * Check a rule's variability
+   * @returns {Array} Errors as { field, message }
+   */
+  function validateVariability(v) {
+    const errors = [];
+    if (v.type !== undefined && !VARIABILITY_TYPES.includes(v.type)) {
+      errors.push({ field: 'type', message: `Invalid distribution: ${v.type}` });
+    }
+    if (v.type === 'range' && !(typeof v.min === 'number' && typeof v.max === 'number' && v.min >= 0 && v.max >= v.min)) {
+      errors.push({ field: '', message: 'Range needs a minimum of 0 or more and a maximum at or above it' });
+    }
+    if (v.type === 'normal' && !(typeof v.stdDev === 'number' && v.stdDev > 0)) {
+      errors.push({ field: 'stdDev', message: 'Standard deviation must be greater than 0' });
+    }
+    if (v.type === 'samples' && !(Array.isArray(v.samples) && v.samples.length > 0 && v.samples.every(n => typeof n === 'number' && n >= 0))) {
+      errors.push({ field: 'samples', message: 'Past amounts must be a list of amounts of 0 or more' });
+    }
+    if (v.jitterDays !== undefined && !(Number.isInteger(v.jitterDays) && v.jitterDays >= 0)) {
+      errors.push({ field: 'jitterDays', message: 'Date jitter must be a whole number of days' });
+    }
+    return errors;
+  }
+
+  /**
+   * Create a rule exception for a single occurrence
+   * Either skips the occurrence, or moves it and/or overrides its amount
+   */
+  function createRuleException(data = {}) {
+    const exception = {
+      date: data.date || luxon.DateTime.now().toISODate()
+    };
+
+    if (data.skip) {
+      exception.skip = true;
+    } else {
+      if (data.moveTo && data.moveTo !== exception.date) exception.moveTo = data.moveTo;
+      if (typeof data.amount === 'number' && !isNaN(data.amount)) exception.amount = data.amount;
+    }
+
+    if (data.note) exception.note = data.note;
+
+    return exception;
+  }
+
   /**
    * Create a new one-off object
    */
   function createOneOff(data = {}) {
-    return {
+    const oneOff = {
       id: data.id || generateId('oneoff'),
       date: data.date || luxon.DateTime.now().toISODate(),
       name: data.name || 'One-time Transaction',
@@ -158,21 +299,117 @@ FSS.Schema = (function() {
       tags: Array.isArray(data.tags) ? data.tags : [],
       note: data.note || ''
     };
+    if (data.importId) oneOff.importId = data.importId; // Set by statement import, used to skip duplicates
+    return oneOff;
+  }
+
+  /**
+   * Create a recorded actual transaction
+   * An actual that clears a projected entry links to it by ruleId and the
+   * occurrence's original date, or by oneOffId; one with neither is an
+   * unexpected transaction. Amounts are positive; the kind sets the direction.
+   */
+  function createActual(data = {}) {
+    const actual = {
+      id: data.id || generateId('actual'),
+      date: data.date || luxon.DateTime.now().toISODate(),
+      name: data.name || 'Transaction',
+      accountId: data.accountId || 'checking',
+      kind: ACTUAL_KINDS.includes(data.kind) ? data.kind : 'expense',
+      amount: typeof data.amount === 'number' ? Math.abs(data.amount) : 0,
+      category: data.category || '',
+      note: data.note || ''
+    };
+
+    if (actual.kind === 'transfer' && data.toAccountId) actual.toAccountId = data.toAccountId;
+    if (data.ruleId) {
+      actual.ruleId = data.ruleId;
+      actual.occurrenceDate = data.occurrenceDate || actual.date;
+    } else if (data.oneOffId) {
+      actual.oneOffId = data.oneOffId;
+    }
+    if (data.importId) actual.importId = data.importId; // Set by statement import, used to skip duplicates
+
+    return actual;
   }
 
   /**
    * Create a new debt object
    */
   function createDebt(data = {}) {
-    return {
+    const debt = {
       id: data.id || generateId('debt'),
       name: data.name || 'New Debt',
+      type: data.type === 'installment' ? 'installment' : 'revolving',
       apr: typeof data.apr === 'number' ? data.apr : 0,
       principal: typeof data.principal === 'number' ? data.principal : 0,
       minPaymentRuleId: data.minPaymentRuleId || '',
       extraMonthlyPayment: typeof data.extraMonthlyPayment === 'number' ? data.extraMonthlyPayment : 0,
-      lumpSums: Array.isArray(data.lumpSums) ? data.lumpSums : []
+      lumpSums: Array.isArray(data.lumpSums) ? data.lumpSums : [],
+      generatePayments: data.generatePayments === true,
+      paymentAccountId: data.paymentAccountId || '',
+      paymentDay: Number.isInteger(data.paymentDay) ? data.paymentDay : 1
     };
+
+    if (debt.type === 'installment') {
+      debt.loan = createLoanSettings(data.loan);
+    }
+
+    // Average-daily-balance interest, charged on the statement closing day
+    if (data.interestMethod === 'daily_balance') {
+      debt.interestMethod = 'daily_balance';
+      debt.statementDay = Number.isInteger(data.statementDay) ? data.statementDay : 1;
+    }
+
+    // Promotional rate (e.g., 0% balance transfer), after which apr is the go-to rate
+    if (data.promo && data.promo.endDate) {
+      debt.promo = {
+        apr: typeof data.promo.apr === 'number' ? data.promo.apr : 0,
+        startDate: data.promo.startDate || luxon.DateTime.now().toISODate(),
+        endDate: data.promo.endDate,
+        transferFeePercent: typeof data.promo.transferFeePercent === 'number' ? data.promo.transferFeePercent : 0
+      };
+    }
+
+    // Recurring extra payments (e.g., a tax refund every April) using rule recurrences
+    if (Array.isArray(data.recurringExtras) && data.recurringExtras.length > 0) {
+      debt.recurringExtras = data.recurringExtras.map(extra => {
+        const result = {
+          id: extra.id || generateId('extra'),
+          name: extra.name || 'Extra payment',
+          amount: typeof extra.amount === 'number' ? extra.amount : 0,
+          recurrence: extra.recurrence || { type: 'yearly_date', month: 1, day: 1 }
+        };
+        if (extra.validFrom) result.validFrom = extra.validFrom;
+        if (extra.validTo) result.validTo = extra.validTo;
+        return result;
+      });
+    }
+
+    // Effective-dated APR changes (e.g., a variable-rate HELOC)
+    if (Array.isArray(data.aprSchedule) && data.aprSchedule.length > 0) {
+      debt.aprSchedule = [...data.aprSchedule].sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+    }
+
+    return debt;
+  }
+
+  /**
+   * Create installment loan settings with defaults
+   * principal on an installment debt is the original loan amount
+   */
+  function createLoanSettings(data = {}) {
+    const loan = {
+      termMonths: Number.isInteger(data.termMonths) ? data.termMonths : 360,
+      firstPaymentDate: data.firstPaymentDate || luxon.DateTime.now().toISODate(),
+      escrow: typeof data.escrow === 'number' ? data.escrow : 0
+    };
+
+    if (Array.isArray(data.recasts) && data.recasts.length > 0) {
+      loan.recasts = [...data.recasts].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    return loan;
   }
 
   /**
@@ -219,9 +456,57 @@ FSS.Schema = (function() {
           warnings.push({ path: `accounts[${i}].name`, message: 'Account name is empty' });
         }
 
-        if (!['checking', 'reserve', 'savings'].includes(acc.type)) {
+        if (!['checking', 'reserve', 'savings', 'credit_card'].includes(acc.type)) {
           errors.push({ path: `accounts[${i}].type`, message: `Invalid account type: ${acc.type}` });
         }
+
+        if (acc.interest) {
+          const { apy, compounding, creditDay } = acc.interest;
+          if (typeof apy !== 'number' || isNaN(apy) || apy < 0) {
+            errors.push({ path: `accounts[${i}].interest.apy`, message: 'APY must be a non-negative number' });
+          } else if (apy > 25) {
+            warnings.push({ path: `accounts[${i}].interest.apy`, message: `APY of ${apy}% looks unusually high` });
+          }
+          if (!['daily', 'monthly'].includes(compounding)) {
+            errors.push({ path: `accounts[${i}].interest.compounding`, message: `Invalid compounding: ${compounding}` });
+          }
+          if (!Number.isInteger(creditDay) || creditDay < 1 || creditDay > 31) {
+            errors.push({ path: `accounts[${i}].interest.creditDay`, message: 'Interest credit day must be between 1 and 31' });
+          }
+        }
+      });
+
+      // Validate credit card settings (needs the full account list for payFromAccountId)
+      model.accounts.forEach((acc, i) => {
+        if (acc.type !== 'credit_card') return;
+        const path = `accounts[${i}].card`;
+        const card = acc.card;
+        if (!card) {
+          errors.push({ path, message: 'Credit card accounts require statement settings' });
+          return;
+        }
+        if (!Number.isInteger(card.closingDay) || card.closingDay < 1 || card.closingDay > 31) {
+          errors.push({ path: `${path}.closingDay`, message: 'Statement closing day must be between 1 and 31' });
+        }
+        if (!Number.isInteger(card.dueDays) || card.dueDays < 1 || card.dueDays > 60) {
+          errors.push({ path: `${path}.dueDays`, message: 'Due date offset must be between 1 and 60 days' });
+        }
+        if (typeof card.apr !== 'number' || isNaN(card.apr) || card.apr < 0) {
+          errors.push({ path: `${path}.apr`, message: 'APR must be a non-negative number' });
+        }
+        if (!['statement', 'minimum', 'fixed'].includes(card.autopay)) {
+          errors.push({ path: `${path}.autopay`, message: `Invalid autopay mode: ${card.autopay}` });
+        } else if (card.autopay === 'fixed' && !(card.fixedAmount > 0)) {
+          errors.push({ path: `${path}.fixedAmount`, message: 'Fixed autopay requires an amount greater than zero' });
+        }
+        if (card.payFromAccountId) {
+          const payFrom = model.accounts.find(a => a.id === card.payFromAccountId);
+          if (!payFrom) {
+            errors.push({ path: `${path}.payFromAccountId`, message: `Referenced account not found: ${card.payFromAccountId}` });
+          } else if (payFrom.type === 'credit_card') {
+            errors.push({ path: `${path}.payFromAccountId`, message: 'A credit card cannot be paid from another credit card' });
+          }
+        }
       });
 
       // Validate references
@@ -259,21 +544,133 @@ FSS.Schema = (function() {
           errors.push({ path: `rules[${i}].amount`, message: 'Amount must be a valid number' });
         }
 
+        if (rule.maxOccurrences !== undefined) {
+          if (!Number.isInteger(rule.maxOccurrences) || rule.maxOccurrences < 1) {
+            errors.push({ path: `rules[${i}].maxOccurrences`, message: 'Number of occurrences must be a whole number (1 or more)' });
+          } else if (!rule.validFrom) {
+            errors.push({ path: `rules[${i}].validFrom`, message: 'A start date is required when a rule ends after a number of occurrences' });
+          }
+        }
+
+        if (rule.amountSchedule !== undefined) {
+          if (!Array.isArray(rule.amountSchedule)) {
+            errors.push({ path: `rules[${i}].amountSchedule`, message: 'Amount schedule must be an array' });
+          } else {
+            const stepDates = new Set();
+            rule.amountSchedule.forEach((step, j) => {
+              const path = `rules[${i}].amountSchedule[${j}]`;
+              if (!step.effectiveDate || !luxon.DateTime.fromISO(step.effectiveDate).isValid) {
+                errors.push({ path: `${path}.effectiveDate`, message: `Invalid effective date: ${step.effectiveDate}` });
+              } else if (stepDates.has(step.effectiveDate)) {
+                errors.push({ path: `${path}.effectiveDate`, message: `Duplicate amount change on ${step.effectiveDate}` });
+              } else {
+                stepDates.add(step.effectiveDate);
+              }
+              if (typeof step.amount !== 'number' || isNaN(step.amount)) {
+                errors.push({ path: `${path}.amount`, message: 'Amount must be a valid number' });
+              }
+            });
+          }
+        }
+
+        if (rule.escalation) {
+          if (typeof rule.escalation.percent !== 'number' || isNaN(rule.escalation.percent)) {
+            errors.push({ path: `rules[${i}].escalation.percent`, message: 'Escalation percent must be a valid number' });
+          }
+          if (!rule.escalation.anchorDate || !luxon.DateTime.fromISO(rule.escalation.anchorDate).isValid) {
+            errors.push({ path: `rules[${i}].escalation.anchorDate`, message: 'Escalation requires a valid anchor date' });
+          }
+        }
+
+        if (rule.exceptions !== undefined) {
+          if (!Array.isArray(rule.exceptions)) {
+            errors.push({ path: `rules[${i}].exceptions`, message: 'Exceptions must be an array' });
+          } else {
+            const exceptionDates = new Set();
+            rule.exceptions.forEach((exception, j) => {
+              const path = `rules[${i}].exceptions[${j}]`;
+              if (!exception.date || !luxon.DateTime.fromISO(exception.date).isValid) {
+                errors.push({ path: `${path}.date`, message: `Invalid exception date: ${exception.date}` });
+              } else if (exceptionDates.has(exception.date)) {
+                errors.push({ path: `${path}.date`, message: `Duplicate exception for ${exception.date}` });
+              } else {
+                exceptionDates.add(exception.date);
+              }
+              if (exception.moveTo && !luxon.DateTime.fromISO(exception.moveTo).isValid) {
+                errors.push({ path: `${path}.moveTo`, message: `Invalid move date: ${exception.moveTo}` });
+              }
+              if (exception.amount !== undefined && (typeof exception.amount !== 'number' || isNaN(exception.amount))) {
+                errors.push({ path: `${path}.amount`, message: 'Amount must be a valid number' });
+              }
+            });
+          }
+        }
+
+        if (rule.variability) {
+          validateVariability(rule.variability).forEach(e => {
+            errors.push({ path: `rules[${i}].variability${e.field ? `.${e.field}` : ''}`, message: e.message });
+          });
+        }
+
         // Validate recurrence or followsRuleId
         if (!rule.recurrence && !rule.followsRuleId) {
           errors.push({ path: `rules[${i}]`, message: 'Rule must have either recurrence or followsRuleId' });
         }
 
+        if (rule.followOffset) {
+          if (!Number.isInteger(rule.followOffset.days)) {
+            errors.push({ path: `rules[${i}].followOffset.days`, message: 'Offset days must be a whole number' });
+          }
+          if (!['calendar', 'business'].includes(rule.followOffset.unit)) {
+            errors.push({ path: `rules[${i}].followOffset.unit`, message: `Invalid offset unit: ${rule.followOffset.unit}` });
+          }
+          if (!rule.followsRuleId) {
+            warnings.push({ path: `rules[${i}].followOffset`, message: 'Offset is ignored because the rule does not follow another rule' });
+          }
+        }
+
         if (rule.recurrence) {
-          const validTypes = ['monthly_day', 'semimonthly_days', 'biweekly_anchor', 'weekly_dow'];
-          if (!validTypes.includes(rule.recurrence.type)) {
+          if (!RECURRENCE_TYPES.includes(rule.recurrence.type)) {
             errors.push({ path: `rules[${i}].recurrence.type`, message: `Invalid recurrence type: ${rule.recurrence.type}` });
           }
 
           // Validate day-of-month overflow
-          if (rule.recurrence.type === 'monthly_day' && rule.recurrence.day > 28) {
+          const monthBasedTypes = ['monthly_day', 'yearly_date', 'quarterly', 'every_n_months'];
+          if (monthBasedTypes.includes(rule.recurrence.type) && rule.recurrence.day > 28) {
             warnings.push({ path: `rules[${i}].recurrence.day`, message: `Day ${rule.recurrence.day} may shift to end of month in short months` });
           }
+
+          if (['yearly_date', 'quarterly'].includes(rule.recurrence.type)) {
+            const month = rule.recurrence.month;
+            if (!Number.isInteger(month) || month < 1 || month > 12) {
+              errors.push({ path: `rules[${i}].recurrence.month`, message: `Invalid month: ${month}` });
+            }
+          }
+
+          if (rule.recurrence.type === 'monthly_nth_weekday') {
+            const nth = rule.recurrence.nth;
+            if (nth !== -1 && !(Number.isInteger(nth) && nth >= 1 && nth <= 5)) {
+              errors.push({ path: `rules[${i}].recurrence.nth`, message: 'Weekday position must be 1-5 or -1 (last)' });
+            } else if (nth === 5) {
+              warnings.push({ path: `rules[${i}].recurrence.nth`, message: 'Months without a 5th matching weekday are skipped' });
+            }
+          }
+
+          if (rule.recurrence.type === 'monthly_business_day') {
+            const nth = rule.recurrence.nth;
+            if (nth !== -1 && !(Number.isInteger(nth) && nth >= 1 && nth <= 23)) {
+              errors.push({ path: `rules[${i}].recurrence.nth`, message: 'Business day position must be 1-23 or -1 (last)' });
+            }
+          }
+
+          if (rule.recurrence.type === 'every_n_months') {
+            if (!Number.isInteger(rule.recurrence.interval) || rule.recurrence.interval < 1) {
+              errors.push({ path: `rules[${i}].recurrence.interval`, message: 'Interval must be a whole number of months (1 or more)' });
+            }
+            if (!/^\d{4}-\d{2}$/.test(rule.recurrence.anchorMonth || '')) {
+              errors.push({ path: `rules[${i}].recurrence.anchorMonth`, message: 'Anchor month must be in YYYY-MM format' });
+            }
+          }
         }
       });
 
@@ -283,6 +680,26 @@ FSS.Schema = (function() {
           errors.push({ path: `rules[${i}].followsRuleId`, message: `Referenced rule not found: ${rule.followsRuleId}` });
         }
       });
+
+      // Detect follow cycles (e.g., A follows B, B follows A), reporting each cycle once
+      const rulesById = new Map(model.rules.map(r => [r.id, r]));
+      const reportedCycles = new Set();
+      model.rules.forEach((rule, i) => {
+        const chain = [];
+        let current = rule;
+        while (current && current.followsRuleId && !chain.includes(current.id)) {
+          chain.push(current.id);
+          current = rulesById.get(current.followsRuleId);
+        }
+        if (!current || chain[0] !== current.id) return;
+
+        const cycleKey = [...chain].sort().join('|');
+        if (reportedCycles.has(cycleKey)) return;
+        reportedCycles.add(cycleKey);
+
+        const names = [...chain, current.id].map(id => rulesById.get(id).name || id);
+        errors.push({ path: `rules[${i}].followsRuleId`, message: `Follow cycle: ${names.join(' → ')}` });
+      });
     }
 
     // One-offs validation
@@ -296,9 +713,206 @@ FSS.Schema = (function() {
       });
     }
 
+    // Actuals validation
+    if (model.actuals && !Array.isArray(model.actuals)) {
+      errors.push({ path: 'actuals', message: 'Actuals must be an array' });
+    } else if (model.actuals) {
+      const accountIds = new Set((Array.isArray(model.accounts) ? model.accounts : []).map(a => a.id));
+      const cleared = new Set();
+
+      model.actuals.forEach((actual, i) => {
+        const path = `actuals[${i}]`;
+        if (!actual.date || !luxon.DateTime.fromISO(actual.date).isValid) {
+          errors.push({ path: `${path}.date`, message: `Invalid date: ${actual.date}` });
+        }
+        if (typeof actual.amount !== 'number' || isNaN(actual.amount) || actual.amount < 0) {
+          errors.push({ path: `${path}.amount`, message: 'Amount must be a number of 0 or more' });
+        }
+        if (!ACTUAL_KINDS.includes(actual.kind)) {
+          errors.push({ path: `${path}.kind`, message: `Invalid kind: ${actual.kind}` });
+        }
+        if (!accountIds.has(actual.accountId)) {
+          errors.push({ path: `${path}.accountId`, message: `Referenced account not found: ${actual.accountId}` });
+        }
+        if (actual.toAccountId && !accountIds.has(actual.toAccountId)) {
+          errors.push({ path: `${path}.toAccountId`, message: `Referenced account not found: ${actual.toAccountId}` });
+        }
+        if (actual.ruleId && (!actual.occurrenceDate || !luxon.DateTime.fromISO(actual.occurrenceDate).isValid)) {
+          errors.push({ path: `${path}.occurrenceDate`, message: `Invalid occurrence date: ${actual.occurrenceDate}` });
+        }
+
+        const key = actual.ruleId ? `${actual.ruleId}:${actual.occurrenceDate}` : actual.oneOffId;
+        if (key && cleared.has(key)) {
+          errors.push({ path, message: `Entry is cleared more than once: ${key}` });
+        } else if (key) {
+          cleared.add(key);
+        }
+      });
+    }
+
     // Debts validation
     if (model.debts && !Array.isArray(model.debts)) {
       errors.push({ path: 'debts', message: 'Debts must be an array' });
+    } else if (model.debts) {
+      const accounts = Array.isArray(model.accounts) ? model.accounts : [];
+      const rules = Array.isArray(model.rules) ? model.rules : [];
+
+      model.debts.forEach((debt, i) => {
+        if (typeof debt.principal !== 'number' || isNaN(debt.principal) || debt.principal < 0) {
+          errors.push({ path: `debts[${i}].principal`, message: 'Principal must be a number of 0 or more' });
+        }
+        if (typeof debt.apr !== 'number' || isNaN(debt.apr) || debt.apr < 0) {
+          errors.push({ path: `debts[${i}].apr`, message: 'APR must be a number of 0 or more' });
+        }
+        if (debt.interestMethod !== undefined && !['monthly', 'daily_balance'].includes(debt.interestMethod)) {
+          errors.push({ path: `debts[${i}].interestMethod`, message: `Invalid interest method: ${debt.interestMethod}` });
+        }
+        if (debt.interestMethod === 'daily_balance' && !(Number.isInteger(debt.statementDay) && debt.statementDay >= 1 && debt.statementDay <= 31)) {
+          errors.push({ path: `debts[${i}].statementDay`, message: 'Statement closing day must be 1-31' });
+        }
+        if (debt.promo) {
+          const promo = debt.promo;
+          if (typeof promo.apr !== 'number' || isNaN(promo.apr) || promo.apr < 0) {
+            errors.push({ path: `debts[${i}].promo.apr`, message: 'Promo APR must be a number of 0 or more' });
+          }
+          if (!promo.endDate || !luxon.DateTime.fromISO(promo.endDate).isValid) {
+            errors.push({ path: `debts[${i}].promo.endDate`, message: `Invalid promo end date: ${promo.endDate}` });
+          }
+          if (promo.startDate && !luxon.DateTime.fromISO(promo.startDate).isValid) {
+            errors.push({ path: `debts[${i}].promo.startDate`, message: `Invalid promo start date: ${promo.startDate}` });
+          } else if (promo.startDate && promo.endDate && promo.startDate > promo.endDate) {
+            errors.push({ path: `debts[${i}].promo.endDate`, message: 'Promo end date must be on or after its start date' });
+          }
+          if (promo.transferFeePercent !== undefined && (typeof promo.transferFeePercent !== 'number' || promo.transferFeePercent < 0 || promo.transferFeePercent > 100)) {
+            errors.push({ path: `debts[${i}].promo.transferFeePercent`, message: 'Balance transfer fee must be 0-100%' });
+          }
+        }
+        if (debt.recurringExtras !== undefined) {
+          if (!Array.isArray(debt.recurringExtras)) {
+            errors.push({ path: `debts[${i}].recurringExtras`, message: 'Recurring extra payments must be an array' });
+          } else {
+            debt.recurringExtras.forEach((extra, j) => {
+              if (typeof extra.amount !== 'number' || isNaN(extra.amount) || extra.amount <= 0) {
+                errors.push({ path: `debts[${i}].recurringExtras[${j}].amount`, message: 'Extra payment amount must be greater than 0' });
+              }
+              if (!extra.recurrence || !RECURRENCE_TYPES.includes(extra.recurrence.type)) {
+                errors.push({ path: `debts[${i}].recurringExtras[${j}].recurrence`, message: `Invalid recurrence type: ${extra.recurrence?.type}` });
+              }
+              if (extra.validFrom && extra.validTo && extra.validFrom > extra.validTo) {
+                errors.push({ path: `debts[${i}].recurringExtras[${j}].validTo`, message: 'End date must be on or after start date' });
+              }
+            });
+          }
+        }
+        if (debt.aprSchedule !== undefined) {
+          if (!Array.isArray(debt.aprSchedule)) {
+            errors.push({ path: `debts[${i}].aprSchedule`, message: 'APR schedule must be an array' });
+          } else {
+            const seenDates = new Set();
+            debt.aprSchedule.forEach((step, j) => {
+              if (!step.effectiveDate || !luxon.DateTime.fromISO(step.effectiveDate).isValid) {
+                errors.push({ path: `debts[${i}].aprSchedule[${j}].effectiveDate`, message: `Invalid effective date: ${step.effectiveDate}` });
+              } else if (seenDates.has(step.effectiveDate)) {
+                errors.push({ path: `debts[${i}].aprSchedule[${j}].effectiveDate`, message: `Duplicate APR change on ${step.effectiveDate}` });
+              }
+              seenDates.add(step.effectiveDate);
+              if (typeof step.apr !== 'number' || isNaN(step.apr) || step.apr < 0) {
+                errors.push({ path: `debts[${i}].aprSchedule[${j}].apr`, message: 'APR must be a number of 0 or more' });
+              }
+            });
+          }
+        }
+        if (debt.type && !['revolving', 'installment'].includes(debt.type)) {
+          errors.push({ path: `debts[${i}].type`, message: `Invalid debt type: ${debt.type}` });
+        }
+        if (debt.type === 'installment') {
+          const loan = debt.loan;
+          if (!loan) {
+            errors.push({ path: `debts[${i}].loan`, message: 'Installment loans need loan settings' });
+          } else {
+            if (!Number.isInteger(loan.termMonths) || loan.termMonths < 1 || loan.termMonths > 600) {
+              errors.push({ path: `debts[${i}].loan.termMonths`, message: 'Term must be 1-600 months' });
+            }
+            if (!loan.firstPaymentDate || !luxon.DateTime.fromISO(loan.firstPaymentDate).isValid) {
+              errors.push({ path: `debts[${i}].loan.firstPaymentDate`, message: `Invalid first payment date: ${loan.firstPaymentDate}` });
+            }
+            if (loan.escrow !== undefined && (typeof loan.escrow !== 'number' || isNaN(loan.escrow) || loan.escrow < 0)) {
+              errors.push({ path: `debts[${i}].loan.escrow`, message: 'Escrow must be a number of 0 or more' });
+            }
+            if (loan.recasts !== undefined && !Array.isArray(loan.recasts)) {
+              errors.push({ path: `debts[${i}].loan.recasts`, message: 'Recasts must be an array' });
+            } else {
+              (loan.recasts || []).forEach((recast, j) => {
+                if (!recast.date || !luxon.DateTime.fromISO(recast.date).isValid) {
+                  errors.push({ path: `debts[${i}].loan.recasts[${j}].date`, message: `Invalid recast date: ${recast.date}` });
+                }
+              });
+            }
+            if (debt.minPaymentRuleId && debt.generatePayments) {
+              warnings.push({ path: `debts[${i}].minPaymentRuleId`, message: 'The loan schedule replaces the linked rule when payments are posted to the ledger' });
+            }
+          }
+        }
+        if (debt.minPaymentRuleId && !rules.some(r => r.id === debt.minPaymentRuleId)) {
+          errors.push({ path: `debts[${i}].minPaymentRuleId`, message: `Referenced rule not found: ${debt.minPaymentRuleId}` });
+        }
+        if (debt.paymentAccountId && !accounts.some(a => a.id === debt.paymentAccountId)) {
+          errors.push({ path: `debts[${i}].paymentAccountId`, message: `Account not found: ${debt.paymentAccountId}` });
+        }
+        if (debt.paymentDay !== undefined && !(Number.isInteger(debt.paymentDay) && debt.paymentDay >= 1 && debt.paymentDay <= 31)) {
+          errors.push({ path: `debts[${i}].paymentDay`, message: 'Payment day must be 1-31' });
+        }
+        (debt.lumpSums || []).forEach((lumpSum, j) => {
+          if (!lumpSum.date || !luxon.DateTime.fromISO(lumpSum.date).isValid) {
+            errors.push({ path: `debts[${i}].lumpSums[${j}].date`, message: `Invalid lump sum date: ${lumpSum.date}` });
+          }
+          if (typeof lumpSum.amount !== 'number' || isNaN(lumpSum.amount) || lumpSum.amount <= 0) {
+            errors.push({ path: `debts[${i}].lumpSums[${j}].amount`, message: 'Lump sum amount must be greater than 0' });
+          }
+        });
+        if (debt.generatePayments && debt.minPaymentRuleId) {
+          const rule = rules.find(r => r.id === debt.minPaymentRuleId);
+          if (rule && rule.kind !== 'expense') {
+            warnings.push({ path: `debts[${i}].minPaymentRuleId`, message: 'Minimum payment rule should be an expense rule' });
+          }
+        }
+      });
+    }
+
+    // Safe surplus settings validation
+    const safeSurplus = model.settings?.safeSurplus;
+    if (safeSurplus) {
+      if (safeSurplus.mode && !['next_month_trough', 'rolling_trough', 'confidence', 'floor'].includes(safeSurplus.mode)) {
+        errors.push({ path: 'settings.safeSurplus.mode', message: `Invalid safe surplus mode: ${safeSurplus.mode}` });
+      }
+      if (safeSurplus.lookAheadMonths !== undefined && !(Number.isInteger(safeSurplus.lookAheadMonths) && safeSurplus.lookAheadMonths >= 1)) {
+        errors.push({ path: 'settings.safeSurplus.lookAheadMonths', message: 'Look-ahead months must be a whole number (1 or more)' });
+      }
+      if (safeSurplus.lookAheadDays !== undefined && !(Number.isInteger(safeSurplus.lookAheadDays) && safeSurplus.lookAheadDays >= 1)) {
+        errors.push({ path: 'settings.safeSurplus.lookAheadDays', message: 'Look-ahead days must be a whole number (1 or more)' });
+      }
+      if (safeSurplus.confidence !== undefined && !(typeof safeSurplus.confidence === 'number' && safeSurplus.confidence > 0 && safeSurplus.confidence < 100)) {
+        errors.push({ path: 'settings.safeSurplus.confidence', message: 'Confidence must be a percentage between 0 and 100' });
+      }
+    }
+
+    // Business day settings validation
+    const businessDays = model.settings?.businessDays;
+    if (businessDays) {
+      const calendar = businessDays.holidayCalendar;
+      if (calendar && calendar !== 'none' && FSS.BusinessDay && !FSS.BusinessDay.HOLIDAY_CALENDARS[calendar]) {
+        warnings.push({ path: 'settings.businessDays.holidayCalendar', message: `Unknown holiday calendar: ${calendar}` });
+      }
+
+      if (businessDays.customHolidays && !Array.isArray(businessDays.customHolidays)) {
+        errors.push({ path: 'settings.businessDays.customHolidays', message: 'Custom holidays must be an array' });
+      } else if (businessDays.customHolidays) {
+        businessDays.customHolidays.forEach((holiday, i) => {
+          if (!holiday.date || !luxon.DateTime.fromISO(holiday.date).isValid) {
+            errors.push({ path: `settings.businessDays.customHolidays[${i}].date`, message: `Invalid holiday date: ${holiday.date}` });
+          }
+        });
+      }
     }
 
     return {
@@ -309,9 +923,12 @@ FSS.Schema = (function() {
   }
 
   /**
-   * Validate a scenario draft
+   * Validate a scenario
+   * When a model is given, ops that reference a missing rule, debt or account are warned about
+   * @param {Object} scenario - The scenario
+   * @param {Object} model - Optional base model the scenario applies to
    */
-  function validateScenario(scenario) {
+  function validateScenario(scenario, model = null) {
     const errors = [];
     const warnings = [];
 
@@ -329,12 +946,116 @@ FSS.Schema = (function() {
     } else {
       const validOps = [
         'rule_amount_set', 'rule_amount_delta', 'rule_disable',
-        'rule_recurrence_set', 'add_oneoff', 'remove_oneoff', 'settings_set'
+        'rule_recurrence_set', 'rule_amount_percent', 'rule_account_set', 'rule_validity_set',
+        'rule_date_shift', 'add_rule', 'delete_rule', 'add_oneoff', 'remove_oneoff',
+        'add_debt', 'debt_update', 'starting_balance_delta', 'settings_set'
+      ];
+      const ruleOps = [
+        'rule_amount_set', 'rule_amount_delta', 'rule_disable', 'rule_recurrence_set',
+        'rule_amount_percent', 'rule_account_set', 'rule_validity_set', 'rule_date_shift', 'delete_rule'
       ];
 
+      // Rules and debts added earlier in the scenario can be referenced by later ops
+      const ruleIds = new Set((model?.rules || []).map(r => r.id));
+      const debtIds = new Set((model?.debts || []).map(d => d.id));
+      const accountIds = new Set((model?.accounts || []).map(a => a.id));
+
       scenario.ops.forEach((op, i) => {
+        const path = `ops[${i}]`;
         if (!validOps.includes(op.op)) {
-          errors.push({ path: `ops[${i}].op`, message: `Invalid operation type: ${op.op}` });
+          errors.push({ path: `${path}.op`, message: `Invalid operation type: ${op.op}` });
+          return;
+        }
+
+        if (ruleOps.includes(op.op)) {
+          if (!op.ruleId) {
+            errors.push({ path: `${path}.ruleId`, message: 'Rule is required' });
+          } else if (model && !ruleIds.has(op.ruleId)) {
+            warnings.push({ path: `${path}.ruleId`, message: `Rule ${op.ruleId} not found` });
+          }
+        }
+
+        switch (op.op) {
+          case 'rule_amount_percent':
+            if (typeof op.percent !== 'number' || op.percent < -100) {
+              errors.push({ path: `${path}.percent`, message: 'Percentage must be a number of at least -100' });
+            }
+            break;
+          case 'rule_account_set':
+            if (!op.accountId) {
+              errors.push({ path: `${path}.accountId`, message: 'Account is required' });
+            } else if (model && !accountIds.has(op.accountId)) {
+              warnings.push({ path: `${path}.accountId`, message: `Account ${op.accountId} not found` });
+            }
+            if (op.toAccountId && model && !accountIds.has(op.toAccountId)) {
+              warnings.push({ path: `${path}.toAccountId`, message: `Account ${op.toAccountId} not found` });
+            }
+            break;
+          case 'rule_validity_set':
+            if (op.validFrom && op.validTo && op.validTo < op.validFrom) {
+              errors.push({ path: `${path}.validTo`, message: 'End date must be on or after start date' });
+            }
+            break;
+          case 'rule_date_shift':
+            if (!Number.isInteger(op.days) || op.days === 0) {
+              errors.push({ path: `${path}.days`, message: 'Shift must be a whole, non-zero number of days' });
+            }
+            break;
+          case 'add_rule':
+            if (!op.rule || !op.rule.name) {
+              errors.push({ path: `${path}.rule.name`, message: 'Rule name is required' });
+            }
+            if (!['income', 'expense', 'transfer'].includes(op.rule?.kind)) {
+              errors.push({ path: `${path}.rule.kind`, message: `Invalid rule kind: ${op.rule?.kind}` });
+            }
+            if (typeof op.rule?.amount !== 'number' || op.rule.amount < 0) {
+              errors.push({ path: `${path}.rule.amount`, message: 'Rule amount must be a non-negative number' });
+            }
+            if (op.rule?.recurrence && !RECURRENCE_TYPES.includes(op.rule.recurrence.type)) {
+              errors.push({ path: `${path}.rule.recurrence`, message: `Invalid recurrence type: ${op.rule.recurrence.type}` });
+            }
+            if (op.rule?.id) ruleIds.add(op.rule.id);
+            break;
+          case 'delete_rule':
+            ruleIds.delete(op.ruleId);
+            break;
+          case 'add_debt':
+            if (!op.debt || !op.debt.name) {
+              errors.push({ path: `${path}.debt.name`, message: 'Debt name is required' });
+            }
+            if (typeof op.debt?.principal !== 'number' || op.debt.principal < 0) {
+              errors.push({ path: `${path}.debt.principal`, message: 'Debt balance must be a non-negative number' });
+            }
+            if (typeof op.debt?.apr !== 'number' || op.debt.apr < 0) {
+              errors.push({ path: `${path}.debt.apr`, message: 'APR must be a non-negative number' });
+            }
+            if (op.debt?.id) debtIds.add(op.debt.id);
+            break;
+          case 'debt_update':
+            if (!op.debtId) {
+              errors.push({ path: `${path}.debtId`, message: 'Debt is required' });
+            } else if (model && !debtIds.has(op.debtId)) {
+              warnings.push({ path: `${path}.debtId`, message: `Debt ${op.debtId} not found` });
+            }
+            if (!op.changes || typeof op.changes !== 'object' || Object.keys(op.changes).length === 0) {
+              errors.push({ path: `${path}.changes`, message: 'At least one debt change is required' });
+            }
+            ['principal', 'apr', 'extraMonthlyPayment'].forEach(key => {
+              if (op.changes?.[key] !== undefined && !(typeof op.changes[key] === 'number' && op.changes[key] >= 0)) {
+                errors.push({ path: `${path}.changes.${key}`, message: `${key} must be a non-negative number` });
+              }
+            });
+            break;
+          case 'starting_balance_delta':
+            if (!op.accountId) {
+              errors.push({ path: `${path}.accountId`, message: 'Account is required' });
+            } else if (model && !accountIds.has(op.accountId)) {
+              warnings.push({ path: `${path}.accountId`, message: `Account ${op.accountId} not found` });
+            }
+            if (typeof op.delta !== 'number') {
+              errors.push({ path: `${path}.delta`, message: 'Adjustment must be a number' });
+            }
+            break;
         }
       });
     }
@@ -369,16 +1090,22 @@ FSS.Schema = (function() {
     DEFAULT_CURRENCY,
     DEFAULT_TIMEZONE,
     DEFAULT_FORECAST_HORIZON_DAYS,
+    VARIABILITY_TYPES,
+    ACTUAL_KINDS,
     createEmptyModel,
     createEmptyScenario,
     generateId,
     createAccount,
     createStartingBalance,
     createRule,
+    createRuleException,
+    createVariability,
     createOneOff,
+    createActual,
     createDebt,
     validateModel,
     validateScenario,
+    validateVariability,
     cloneModel,
     touchModel
   };
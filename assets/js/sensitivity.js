@@ -0,0 +1,114 @@
+/**
+ * Finance Scenario Simulator - Sensitivity Module
+ * Ranks rules by how much a change to each one moves the forecast ("tornado" analysis)
+ */
+
+var FSS = window.FSS || {};
+
+FSS.Sensitivity = (function() {
+  'use strict';
+
+  const { DateTime } = luxon;
+
+  /**
+   * Metrics each perturbation is measured on
+   */
+  const METRICS = ['minBalance', 'endBalance'];
+
+  /**
+   * Perturb each enabled rule one at a time and measure the effect
+   * Every rule's amount is moved down and up by a percentage, and optionally
+   * its dates earlier and later by a number of days, on top of the scenario.
+   * Results are changes from the unperturbed forecast. Rules that move
+   * neither metric (e.g., a transfer between accounts outside the ledger's
+   * account) are left out.
+   * @param {Object} baseModel - The base model
+   * @param {Object} scenario - Scenario to analyze (null for the base model)
+   * @param {Object} options - {
+   *   percent: amount change (default 10),
+   *   shiftDays: date change, 0 to skip (default 0),
+   *   accountId: account to measure (default checking),
+   *   startDate, endDate: range to analyze (default today through the forecast horizon),
+   *   rankBy: 'minBalance' | 'endBalance' (default 'minBalance')
+   * }
+   * @returns {Object} { baseline, percent, shiftDays, rankBy, rows: [{ ruleId, name, kind, amount, results, impact }] }
+   */
+  function analyze(baseModel, scenario, options = {}) {
+    const percent = options.percent ?? 10;
+    const shiftDays = options.shiftDays || 0;
+    const rankBy = METRICS.includes(options.rankBy) ? options.rankBy : 'minBalance';
+    const model = FSS.Overlay.applyScenario(baseModel, scenario);
+
+    // Date shifts move the occurrences within the range being measured
+    const horizonDays = model.settings?.forecastHorizonDays || 180;
+    const startDate = options.startDate || DateTime.now().toISODate();
+    const endDate = options.endDate || DateTime.fromISO(startDate).plus({ days: horizonDays }).toISODate();
+    const ledgerOptions = { startDate, endDate, ...(options.accountId ? { accountId: options.accountId } : {}) };
+
+    const measure = m => {
+      const summary = FSS.Ledger.runLedger(m, ledgerOptions).summary;
+      return Object.fromEntries(METRICS.map(key => [key, summary[key]]));
+    };
+    const baseline = measure(model);
+
+    // Measure one extra operation against the scenario's model, as a change from baseline
+    const perturb = op => {
+      const metrics = measure(FSS.Overlay.applyScenario(model, { ops: [op] }));
+      return Object.fromEntries(METRICS.map(key => [key, round(metrics[key] - baseline[key])]));
+    };
+
+    const createOp = FSS.Overlay.createOp;
+    const rows = (model.rules || [])
+      .filter(rule => rule.enabled)
+      .map(rule => {
+        const results = {
+          low: perturb(createOp.ruleAmountPercent(rule.id, -percent)),
+          high: perturb(createOp.ruleAmountPercent(rule.id, percent))
+        };
+        if (shiftDays) {
+          results.early = perturb(createOp.ruleDateShift(rule.id, -shiftDays, startDate, endDate));
+          results.late = perturb(createOp.ruleDateShift(rule.id, shiftDays, startDate, endDate));
+        }
+
+        const impact = Object.fromEntries(METRICS.map(key => [
+          key,
+          Math.max(...Object.values(results).map(r => Math.abs(r[key])))
+        ]));
+
+        return { ruleId: rule.id, name: rule.name, kind: rule.kind, amount: rule.amount, results, impact };
+      })
+      .filter(row => METRICS.some(key => row.impact[key] > 0));
+
+    return {
+      baseline,
+      percent,
+      shiftDays,
+      rankBy,
+      rows: rankRows(rows, rankBy)
+    };
+  }
+
+  /**
+   * Sort rows by impact on a metric, largest first
+   * Ties (often zero) fall back to the other metric
+   */
+  function rankRows(rows, rankBy = 'minBalance') {
+    const other = METRICS.find(key => key !== rankBy);
+    return [...rows].sort((a, b) =>
+      (b.impact[rankBy] - a.impact[rankBy]) || (b.impact[other] - a.impact[other])
+    );
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Public API
+  return {
+    METRICS,
+    analyze,
+    rankRows
+  };
+})();
+
+window.FSS = FSS;
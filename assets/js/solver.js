@@ -0,0 +1,238 @@
+/**
+ * Finance Scenario Simulator - Solver Module
+ * Goal seek: find the value of one scenario variable that meets a target
+ */
+
+var FSS = window.FSS || {};
+
+FSS.Solver = (function() {
+  'use strict';
+
+  const { DateTime } = luxon;
+
+  /**
+   * Metrics a target can be set on
+   */
+  const TARGETS = {
+    MIN_BALANCE: 'min_balance',   // Lowest balance stays at or above a value
+    END_BALANCE: 'end_balance',   // Balance at the end of the horizon is at or above a value
+    PAYOFF_DATE: 'payoff_date'    // A debt is paid off on or before a date
+  };
+
+  /**
+   * Variables the solver can adjust
+   */
+  const VARIABLES = {
+    RULE_AMOUNT: 'rule_amount',
+    DEBT_EXTRA: 'debt_extra',
+    ONEOFF_AMOUNT: 'oneoff_amount',
+    ONEOFF_DATE: 'oneoff_date'
+  };
+
+  const MAX_ITERATIONS = 50;
+
+  /**
+   * Return a copy of the scenario with the variable set to a value
+   * Existing ops for the same item are updated rather than duplicated, so
+   * solving again replaces the previous answer.
+   * @param {Object} baseModel - The base model
+   * @param {Object} scenario - The scenario to start from
+   * @param {Object} variable - { type, ruleId | debtId | oneOffId }
+   * @param {number|string} value - Amount, or ISO date for one-off dates
+   * @returns {Object} New scenario
+   */
+  function setVariable(baseModel, scenario, variable, value) {
+    const result = { ...scenario, ops: JSON.parse(JSON.stringify(scenario?.ops || [])) };
+    const OPS = FSS.Overlay.OPS;
+
+    switch (variable.type) {
+      case VARIABLES.RULE_AMOUNT:
+        FSS.Overlay.addOperation(result, FSS.Overlay.createOp.ruleAmountSet(variable.ruleId, value));
+        break;
+
+      case VARIABLES.DEBT_EXTRA: {
+        const index = result.ops.findIndex(o => o.op === OPS.DEBT_UPDATE && o.debtId === variable.debtId);
+        const changes = { ...(result.ops[index]?.changes || {}), extraMonthlyPayment: value };
+        FSS.Overlay.replaceOperation(result, index, FSS.Overlay.createOp.debtUpdate(variable.debtId, changes));
+        break;
+      }
+
+      case VARIABLES.ONEOFF_AMOUNT:
+      case VARIABLES.ONEOFF_DATE: {
+        const field = variable.type === VARIABLES.ONEOFF_AMOUNT ? 'amount' : 'date';
+        const index = result.ops.findIndex(o => o.op === OPS.ADD_ONEOFF && o.oneOffId === variable.oneOffId);
+        if (index >= 0) {
+          result.ops[index] = { ...result.ops[index], [field]: value };
+          break;
+        }
+
+        // A base one-off is removed and added back with the new value under the same ID
+        const oneOff = baseModel.oneOffs?.find(o => o.id === variable.oneOffId);
+        if (!oneOff) break;
+        if (!result.ops.some(o => o.op === OPS.REMOVE_ONEOFF && o.oneOffId === oneOff.id)) {
+          result.ops.push(FSS.Overlay.createOp.removeOneOff(oneOff.id));
+        }
+        result.ops.push({
+          ...FSS.Overlay.createOp.addOneOff(oneOff.date, oneOff.name, oneOff.amount, oneOff.accountId, oneOff.category),
+          oneOffId: oneOff.id,
+          [field]: value
+        });
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the current value of a variable in the effective model
+   */
+  function getCurrentValue(model, variable) {
+    switch (variable.type) {
+      case VARIABLES.RULE_AMOUNT:
+        return model.rules?.find(r => r.id === variable.ruleId)?.amount ?? null;
+      case VARIABLES.DEBT_EXTRA:
+        return model.debts?.find(d => d.id === variable.debtId)?.extraMonthlyPayment ?? null;
+      case VARIABLES.ONEOFF_AMOUNT:
+        return model.oneOffs?.find(o => o.id === variable.oneOffId)?.amount ?? null;
+      case VARIABLES.ONEOFF_DATE:
+        return model.oneOffs?.find(o => o.id === variable.oneOffId)?.date ?? null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Measure the target metric for an effective model
+   * @returns {number|string|null} Balance, or payoff date (null if never paid off)
+   */
+  function measure(model, target) {
+    if (target.metric === TARGETS.PAYOFF_DATE) {
+      const debt = model.debts?.find(d => d.id === target.debtId);
+      if (!debt || !FSS.Debt) return null;
+      return FSS.Debt.projectPayoff(debt, { model }).payoffDate;
+    }
+
+    const ledger = FSS.Ledger.runLedger(model, target.accountId ? { accountId: target.accountId } : {});
+    return target.metric === TARGETS.END_BALANCE ? ledger.summary.endBalance : ledger.summary.minBalance;
+  }
+
+  /**
+   * Check a measured metric against the target
+   */
+  function meetsTarget(actual, target) {
+    if (target.metric === TARGETS.PAYOFF_DATE) {
+      return !!actual && actual <= target.value;
+    }
+    return typeof actual === 'number' && actual >= target.value - 0.005;
+  }
+
+  /**
+   * Find the largest or smallest value of a variable that still meets a target
+   * Assumes the target is met on one side of the answer and missed on the
+   * other (e.g., a bigger transfer only ever lowers the minimum balance), and
+   * bisects the range between min and max.
+   * @param {Object} baseModel - The base model
+   * @param {Object} scenario - The scenario to solve within (ops are kept)
+   * @param {Object} options - {
+   *   target: { metric, value, accountId?, debtId? },
+   *   variable: { type, ruleId | debtId | oneOffId },
+   *   goal: 'max' | 'min',
+   *   min, max: range to search (amounts, or ISO dates for one-off dates),
+   *   precision: amount step (default 1; dates always use whole days)
+   * }
+   * @returns {Object} { found, value, actual, atLimit, scenario, iterations, message }
+   */
+  function solve(baseModel, scenario, options) {
+    const { target, variable, goal = 'max', precision = 1 } = options;
+    const isDate = variable.type === VARIABLES.ONEOFF_DATE;
+    const startDate = isDate ? DateTime.fromISO(options.min) : null;
+
+    // Dates are searched as whole days after the start of the range
+    const toValue = x => isDate ? startDate.plus({ days: x }).toISODate() : Math.round(x * 100) / 100;
+    const step = isDate ? 1 : precision;
+    let lo = isDate ? 0 : options.min;
+    let hi = isDate ? Math.round(DateTime.fromISO(options.max).diff(startDate, 'days').days) : options.max;
+
+    if (!(hi > lo)) {
+      return { found: false, message: 'The search range is empty' };
+    }
+
+    let iterations = 0;
+    const evaluate = x => {
+      iterations++;
+      const trial = setVariable(baseModel, scenario, variable, toValue(x));
+      const actual = measure(FSS.Overlay.applyScenario(baseModel, trial), target);
+      return { actual, ok: meetsTarget(actual, target), scenario: trial };
+    };
+
+    // The side of the range that must meet the target, and the side that must miss it
+    const wantMax = goal === 'max';
+    const good = evaluate(wantMax ? lo : hi);
+    if (!good.ok) {
+      return {
+        found: false,
+        iterations,
+        actual: good.actual,
+        message: `Target is not met even at ${wantMax ? 'the bottom' : 'the top'} of the range`
+      };
+    }
+    const bad = evaluate(wantMax ? hi : lo);
+    if (bad.ok) {
+      return buildResult(wantMax ? hi : lo, bad, true);
+    }
+
+    let best = good;
+    while (hi - lo > step && iterations < MAX_ITERATIONS) {
+      const mid = lo + Math.max(step, Math.round((hi - lo) / 2 / step) * step);
+      if (mid >= hi) break;
+
+      const trial = evaluate(mid);
+      const movesTowardGoal = wantMax ? trial.ok : !trial.ok;
+      if (movesTowardGoal) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+      if (trial.ok) best = trial;
+    }
+
+    return buildResult(wantMax ? lo : hi, best, false);
+
+    function buildResult(x, trial, atLimit) {
+      const value = toValue(x);
+      return {
+        found: true,
+        value,
+        actual: trial.actual,
+        atLimit,
+        scenario: trial.scenario,
+        iterations,
+        message: atLimit
+          ? `Target is met across the whole range; ${wantMax ? 'largest' : 'smallest'} value searched is ${formatValue(value, variable)}`
+          : `${wantMax ? 'Largest' : 'Smallest'} value that meets the target: ${formatValue(value, variable)}`
+      };
+    }
+  }
+
+  /**
+   * Format a variable value for display
+   */
+  function formatValue(value, variable) {
+    return variable.type === VARIABLES.ONEOFF_DATE ? FSS.App.formatDate(value) : FSS.App.formatCurrency(value);
+  }
+
+  // Public API
+  return {
+    TARGETS,
+    VARIABLES,
+    setVariable,
+    getCurrentValue,
+    measure,
+    meetsTarget,
+    solve,
+    formatValue
+  };
+})();
+
+window.FSS = FSS;
@@ -0,0 +1,605 @@
+/**
+ * Finance Scenario Simulator - Statement Import Module
+ * Parses bank and card exports (CSV, OFX/QFX, QIF) into actuals or one-offs
+ */
+
+var FSS = window.FSS || {};
+
+FSS.StatementImport = (function() {
+  'use strict';
+
+  const { DateTime } = luxon;
+
+  const FORMATS = {
+    CSV: 'csv',
+    OFX: 'ofx', // Also QFX, which is OFX with Quicken extensions
+    QIF: 'qif'
+  };
+
+  /**
+   * Date formats offered for CSV and QIF files (Luxon tokens)
+   * Two-digit years are tried automatically when a four-digit format fails
+   */
+  const DATE_FORMATS = ['yyyy-MM-dd', 'M/d/yyyy', 'd/M/yyyy', 'd.M.yyyy', 'yyyyMMdd'];
+
+  /**
+   * Columns a CSV profile can map
+   */
+  const COLUMNS = ['date', 'description', 'amount', 'debit', 'credit', 'category'];
+
+  // A statement row clears a planned entry this close in date and amount
+  const MATCH_DAYS = 5;
+  const MATCH_AMOUNT_PERCENT = 10;
+
+  /**
+   * Create a CSV column-mapping profile
+   * Columns are zero-based indexes, or null when not mapped. A profile maps
+   * either one signed amount column, or separate debit and credit columns.
+   */
+  function createProfile(data = {}) {
+    const column = value => Number.isInteger(value) && value >= 0 ? value : null;
+    return {
+      id: data.id || FSS.Schema.generateId('profile'),
+      name: data.name || 'New profile',
+      delimiter: [',', ';', '\t', '|'].includes(data.delimiter) ? data.delimiter : ',',
+      hasHeader: data.hasHeader !== false,
+      dateFormat: data.dateFormat || 'M/d/yyyy',
+      decimalComma: !!data.decimalComma,
+      invertAmounts: !!data.invertAmounts, // Card exports that list charges as positive
+      headers: Array.isArray(data.headers) ? data.headers : [],
+      columns: Object.fromEntries(COLUMNS.map(key => [key, column(data.columns?.[key])]))
+    };
+  }
+
+  /**
+   * Check a profile's column mapping
+   * @returns {Array<string>} Error messages
+   */
+  function validateProfile(profile) {
+    const errors = [];
+    const { columns } = profile;
+    if (columns.date === null) {
+      errors.push('Map a date column');
+    }
+    if (columns.amount === null && columns.debit === null && columns.credit === null) {
+      errors.push('Map an amount column, or debit and credit columns');
+    }
+    if (columns.description === null) {
+      errors.push('Map a description column');
+    }
+    return errors;
+  }
+
+  /**
+   * Detect a file's format from its name and content
+   * @returns {string|null} One of FORMATS, or null if unrecognized
+   */
+  function detectFormat(content, filename = '') {
+    const extension = filename.split('.').pop().toLowerCase();
+    const text = content.trimStart();
+    if (['ofx', 'qfx'].includes(extension) || /^OFXHEADER|<OFX>/i.test(text)) {
+      return FORMATS.OFX;
+    }
+    if (extension === 'qif' || /^!Type:/i.test(text)) {
+      return FORMATS.QIF;
+    }
+    if (['csv', 'txt'].includes(extension) || text.includes(',') || text.includes(';') || text.includes('\t')) {
+      return FORMATS.CSV;
+    }
+    return null;
+  }
+
+  /**
+   * Parse a statement file into rows
+   * @param {string} content - File content
+   * @param {Object} options - {
+   *   format: one of FORMATS (default detected),
+   *   filename: used to detect the format,
+   *   profile: CSV column mapping,
+   *   dateFormat: date format for QIF files (CSV files use the profile's)
+   * }
+   * @returns {Object} { format, headers, rows: [{ row, date, description, amount, category, note, fitId, error }], errors }
+   */
+  function parseStatement(content, options = {}) {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+    const format = options.format || detectFormat(text, options.filename);
+
+    switch (format) {
+      case FORMATS.OFX:
+        return withRowCheck({ format, headers: [], rows: parseOFX(text), errors: [] });
+
+      case FORMATS.QIF:
+        return withRowCheck({ format, headers: [], rows: parseQIF(text, options.dateFormat), errors: [] });
+
+      case FORMATS.CSV: {
+        const profile = createProfile(options.profile || {});
+        const table = parseCSV(text, profile.delimiter);
+        const width = Math.max(0, ...table.map(cells => cells.length));
+        const headers = Array.from({ length: width }, (_, i) =>
+          (profile.hasHeader && table[0]?.[i]?.trim()) || `Column ${i + 1}`
+        );
+        const errors = validateProfile(profile);
+        const rows = errors.length > 0 ? [] : mapCSVRows(table, profile);
+        return withRowCheck({ format, headers, rows, errors });
+      }
+
+      default:
+        return { format: null, headers: [], rows: [], errors: ['Unrecognized file format; expected CSV, OFX/QFX or QIF'] };
+    }
+  }
+
+  function withRowCheck(result) {
+    if (result.errors.length === 0 && result.rows.length === 0) {
+      result.errors.push('No transactions found in the file');
+    }
+    return result;
+  }
+
+  // === CSV ===
+
+  /**
+   * Split CSV text into rows of fields
+   * Handles quoted fields with embedded delimiters, quotes and line breaks;
+   * blank lines are dropped
+   */
+  function parseCSV(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (inQuotes) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          inQuotes = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  /**
+   * Guess the delimiter from the first line
+   */
+  function detectDelimiter(text) {
+    const firstLine = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+    const counts = [',', ';', '\t', '|'].map(d => [d, firstLine.split(d).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : ',';
+  }
+
+  /**
+   * Suggest a column mapping from header names
+   * @param {Array<string>} headers - Header row
+   * @returns {Object} Columns for createProfile()
+   */
+  function guessColumns(headers) {
+    const patterns = {
+      date: /^(transaction |posting |posted )?date|^posted/i,
+      description: /desc|payee|merchant|^name|details|narrative/i,
+      amount: /^amount|amount$/i,
+      debit: /debit|withdrawal|paid out|money out/i,
+      credit: /credit|deposit|paid in|money in/i,
+      category: /category/i
+    };
+    const columns = {};
+    COLUMNS.forEach(key => {
+      const index = headers.findIndex(h => patterns[key].test(String(h).trim()));
+      columns[key] = index >= 0 ? index : null;
+    });
+    // Separate debit and credit columns take the place of a single amount
+    if (columns.debit !== null && columns.credit !== null && columns.amount !== null &&
+        [columns.debit, columns.credit].includes(columns.amount)) {
+      columns.amount = null;
+    }
+    return columns;
+  }
+
+  /**
+   * Map CSV rows to statement rows with a profile
+   */
+  function mapCSVRows(table, profile) {
+    const { columns } = profile;
+    const offset = profile.hasHeader ? 1 : 0;
+    const cell = (cells, key) => columns[key] === null ? '' : String(cells[columns[key]] ?? '').trim();
+
+    return table.slice(offset).map((cells, i) => {
+      const row = {
+        row: i + offset + 1,
+        date: parseDate(cell(cells, 'date'), profile.dateFormat),
+        description: cell(cells, 'description'),
+        amount: null,
+        category: cell(cells, 'category'),
+        note: '',
+        fitId: null,
+        error: null
+      };
+
+      if (columns.amount !== null) {
+        row.amount = parseAmount(cell(cells, 'amount'), profile.decimalComma);
+      } else {
+        const debit = parseAmount(cell(cells, 'debit'), profile.decimalComma);
+        const credit = parseAmount(cell(cells, 'credit'), profile.decimalComma);
+        if (Number.isNaN(debit) || Number.isNaN(credit)) {
+          row.amount = NaN;
+        } else if (debit !== null || credit !== null) {
+          row.amount = round((credit ? Math.abs(credit) : 0) - (debit ? Math.abs(debit) : 0));
+        }
+      }
+      if (profile.invertAmounts && typeof row.amount === 'number') {
+        row.amount = -row.amount;
+      }
+
+      row.error = getRowError(row, cell(cells, 'date'));
+      return row;
+    });
+  }
+
+  // === OFX / QFX ===
+
+  /**
+   * Parse the transactions of an OFX or QFX file
+   * Works with both SGML (OFX 1.x, unclosed tags) and XML (OFX 2.x) files
+   */
+  function parseOFX(text) {
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>|$)/gi) || [];
+
+    return blocks.map((block, i) => {
+      const tag = name => {
+        const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+        return match ? decodeEntities(match[1].trim()) : '';
+      };
+      const rawDate = tag('DTPOSTED');
+      const rawAmount = tag('TRNAMT');
+      const name = tag('NAME') || tag('PAYEE');
+      const memo = tag('MEMO');
+
+      const row = {
+        row: i + 1,
+        date: /^\d{8}/.test(rawDate) ? parseDate(rawDate.slice(0, 8), 'yyyyMMdd') : null,
+        description: name || memo,
+        amount: parseAmount(rawAmount, rawAmount.includes(',') && !rawAmount.includes('.')),
+        category: '',
+        note: name && memo && memo !== name ? memo : '',
+        fitId: tag('FITID') || null,
+        error: null
+      };
+      row.error = getRowError(row, rawDate);
+      return row;
+    });
+  }
+
+  function decodeEntities(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  // === QIF ===
+
+  /**
+   * Parse the transactions of a QIF file
+   * Each record is a set of lines (D date, T amount, P payee, M memo,
+   * L category) ended by a ^ line
+   */
+  function parseQIF(text, dateFormat = 'M/d/yyyy') {
+    const rows = [];
+    let record = {};
+
+    const flush = () => {
+      if (Object.keys(record).length === 0) return;
+      const row = {
+        row: rows.length + 1,
+        date: parseDate(record.date, dateFormat),
+        description: record.payee || record.memo || '',
+        amount: parseAmount(record.amount),
+        // Bracketed categories name a transfer account rather than a category
+        category: record.category && !record.category.startsWith('[') ? record.category : '',
+        note: record.payee && record.memo ? record.memo : '',
+        fitId: null,
+        error: null
+      };
+      row.error = getRowError(row, record.date);
+      rows.push(row);
+      record = {};
+    };
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('!')) continue;
+
+      const value = line.slice(1).trim();
+      switch (line[0]) {
+        case '^':
+          flush();
+          break;
+        case 'D':
+          record.date = value;
+          break;
+        case 'T':
+        case 'U':
+          if (record.amount === undefined) record.amount = value;
+          break;
+        case 'P':
+          record.payee = value;
+          break;
+        case 'M':
+          record.memo = value;
+          break;
+        case 'L':
+          record.category = value;
+          break;
+      }
+    }
+    flush();
+
+    return rows;
+  }
+
+  // === Values ===
+
+  /**
+   * Parse a date in the given format
+   * QIF's apostrophe year separator (1/5'26) is accepted, and a two-digit
+   * year is tried when a four-digit format fails
+   * @returns {string|null} ISO date, or null if it cannot be read
+   */
+  function parseDate(value, format = 'M/d/yyyy') {
+    const text = String(value || '').trim().replace(/'/g, '/').replace(/\s+/g, '');
+    if (!text) return null;
+
+    const formats = [format];
+    if (format.includes('yyyy')) formats.push(format.replace('yyyy', 'yy'));
+
+    for (const f of formats) {
+      const date = DateTime.fromFormat(text, f);
+      if (date.isValid) return date.toISODate();
+    }
+    const iso = DateTime.fromISO(text);
+    return iso.isValid ? iso.toISODate() : null;
+  }
+
+  /**
+   * Parse an amount, allowing currency symbols, thousands separators,
+   * parentheses or a trailing minus for negatives, and a decimal comma
+   * @returns {number|null} Amount, null if blank, NaN if it cannot be read
+   */
+  function parseAmount(value, decimalComma = false) {
+    let text = String(value ?? '').trim();
+    if (!text) return null;
+
+    // Drop currency symbols, codes and spaces first so "$(12.00) USD" reads as negative
+    text = text.replace(/[^\d.,()-]/g, '');
+    const negative = /^\(.*\)$/.test(text) || text.includes('-');
+    text = text.replace(/[()-]/g, '');
+    text = decimalComma ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+
+    const number = parseFloat(text);
+    if (isNaN(number)) return NaN;
+    return round(negative ? -number : number);
+  }
+
+  function getRowError(row, rawDate) {
+    if (!row.date) return rawDate ? `Unrecognized date "${rawDate}"` : 'Missing date';
+    if (row.amount === null) return 'Missing amount';
+    if (Number.isNaN(row.amount)) return 'Unrecognized amount';
+    return null;
+  }
+
+  // === Import ===
+
+  /**
+   * Check parsed rows against the model before importing
+   * Each row gets an importId (from the bank's transaction ID when the file
+   * has one, otherwise from its date, amount, description and how many
+   * identical rows came before it in the file) and a status:
+   * 'new', 'duplicate' (imported before), 'possible_duplicate' (a record
+   * entered by hand with the same account, date and amount) or 'error'.
+   * When importing into actuals, a new row in the same direction as an
+   * uncleared planned entry within MATCH_DAYS days and MATCH_AMOUNT_PERCENT
+   * of its amount is matched to it, closest date first.
+   * @param {Object} model - The financial model
+   * @param {Array} rows - Rows from parseStatement()
+   * @param {Object} options - { accountId, target: 'actuals' | 'oneoffs' }
+   * @returns {Array} Rows with importId, status and match (the planned entry, or null)
+   */
+  function prepareImport(model, rows, options = {}) {
+    const accountId = options.accountId;
+    const toActuals = options.target !== 'oneoffs';
+    const records = toActuals ? (model.actuals || []) : (model.oneOffs || []);
+    const importedIds = new Set([...(model.actuals || []), ...(model.oneOffs || [])].map(r => r.importId).filter(Boolean));
+
+    const manual = records
+      .filter(r => !r.importId)
+      .map(r => ({ date: r.date, amount: toActuals ? getSignedAmount(r, accountId) : (r.accountId === accountId ? r.amount : null) }))
+      .filter(r => r.amount !== null);
+
+    const candidates = toActuals ? getMatchCandidates(model, rows, accountId) : [];
+    const used = new Set();
+    const seen = {};
+
+    return rows.map(row => {
+      if (row.error) return { ...row, importId: null, status: 'error', match: null };
+
+      const identity = row.fitId
+        ? `${accountId}|fitid|${row.fitId}`
+        : `${accountId}|${row.date}|${row.amount}|${normalizeText(row.description)}`;
+      seen[identity] = (seen[identity] || 0) + 1;
+      const importId = `imp_${hashString(`${identity}|${seen[identity]}`)}`;
+
+      if (importedIds.has(importId)) {
+        return { ...row, importId, status: 'duplicate', match: null };
+      }
+      if (manual.some(r => r.date === row.date && Math.abs(r.amount - row.amount) < 0.005)) {
+        return { ...row, importId, status: 'possible_duplicate', match: null };
+      }
+
+      const match = findMatch(row, candidates, used);
+      if (match) used.add(match);
+      return { ...row, importId, status: 'new', match: match ? match.planned : null };
+    });
+  }
+
+  /**
+   * Uncleared planned entries that touch the account around the statement's dates
+   */
+  function getMatchCandidates(model, rows, accountId) {
+    const dates = rows.filter(r => !r.error).map(r => r.date).sort();
+    if (dates.length === 0 || !FSS.Actuals) return [];
+
+    const startDate = DateTime.fromISO(dates[0]).minus({ days: MATCH_DAYS }).toISODate();
+    const endDate = DateTime.fromISO(dates[dates.length - 1]).plus({ days: MATCH_DAYS }).toISODate();
+
+    return FSS.Actuals.getReconciliation(model, startDate, endDate)
+      .filter(r => r.planned && !r.actual)
+      .map(r => ({ planned: r.planned, amount: getSignedAmount(r.planned, accountId) }))
+      .filter(c => c.amount !== null);
+  }
+
+  function findMatch(row, candidates, used) {
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const candidate of candidates) {
+      if (used.has(candidate) || Math.sign(candidate.amount) !== Math.sign(row.amount)) continue;
+
+      const days = Math.abs(DateTime.fromISO(row.date).diff(DateTime.fromISO(candidate.planned.date), 'days').days);
+      const difference = Math.abs(Math.abs(row.amount) - Math.abs(candidate.amount));
+      if (days > MATCH_DAYS || difference > Math.abs(candidate.amount) * MATCH_AMOUNT_PERCENT / 100) continue;
+
+      const score = days * 1000 + difference;
+      if (score < bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Signed effect of a planned entry or actual on an account, or null if it does not touch it
+   */
+  function getSignedAmount(entry, accountId) {
+    if (entry.kind === 'transfer' && entry.toAccountId === accountId) return entry.amount;
+    if (entry.accountId !== accountId) return null;
+    return entry.kind === 'income' ? entry.amount : -entry.amount;
+  }
+
+  /**
+   * Build the data for an actual from a prepared row
+   * A matched row clears its planned entry and takes its name, kind and category
+   */
+  function toActualData(row, accountId) {
+    const data = {
+      date: row.date,
+      name: row.description || 'Imported transaction',
+      accountId,
+      kind: row.amount >= 0 ? 'income' : 'expense',
+      amount: Math.abs(row.amount),
+      category: row.category || '',
+      note: row.note || '',
+      importId: row.importId
+    };
+
+    if (row.match) {
+      Object.assign(data, {
+        ruleId: row.match.ruleId,
+        occurrenceDate: row.match.occurrenceDate,
+        oneOffId: row.match.oneOffId,
+        name: row.match.name,
+        accountId: row.match.accountId,
+        toAccountId: row.match.toAccountId,
+        kind: row.match.kind,
+        category: row.match.category || data.category
+      });
+    }
+    return data;
+  }
+
+  /**
+   * Build the data for a one-off from a prepared row
+   */
+  function toOneOffData(row, accountId) {
+    return {
+      date: row.date,
+      name: row.description || 'Imported transaction',
+      accountId,
+      amount: row.amount,
+      category: row.category || '',
+      note: row.note || '',
+      importId: row.importId
+    };
+  }
+
+  function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * 53-bit string hash (cyrb53), as base 36
+   */
+  function hashString(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Public API
+  return {
+    FORMATS,
+    DATE_FORMATS,
+    COLUMNS,
+    createProfile,
+    validateProfile,
+    detectFormat,
+    detectDelimiter,
+    guessColumns,
+    parseStatement,
+    parseCSV,
+    parseDate,
+    parseAmount,
+    prepareImport,
+    toActualData,
+    toOneOffData
+  };
+})();
+
+window.FSS = FSS;
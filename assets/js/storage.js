@@ -1,6 +1,6 @@
 /**
  * Finance Scenario Simulator - Storage Module
- * localStorage wrapper for base model and scenario draft persistence
+ * localStorage wrapper for base model, scenario library and import profile persistence
  */
 
 var FSS = window.FSS || {};
@@ -8,9 +8,13 @@ var FSS = window.FSS || {};
 FSS.Storage = (function() {
   'use strict';
 
+  const { DateTime } = luxon;
+
   const KEYS = {
     BASE_MODEL: 'fss.baseModel.v1',
-    SCENARIO_DRAFT: 'fss.scenarioDraft.v1',
+    SCENARIOS: 'fss.scenarios.v1',
+    SCENARIO_DRAFT: 'fss.scenarioDraft.v1', // Legacy single draft, migrated into the library
+    IMPORT_PROFILES: 'fss.importProfiles.v1', // CSV column mappings for statement import
     UI_STATE: 'fss.ui.v1'
   };
 
@@ -136,36 +140,183 @@ FSS.Storage = (function() {
     return remove(KEYS.BASE_MODEL);
   }
 
-  // === Scenario Draft Operations ===
+  // === Scenario Library Operations ===
 
   /**
-   * Load the scenario draft from localStorage
+   * Load the scenario library
+   * A legacy single draft is moved into the library the first time it is loaded
+   * @returns {Object} { activeId, scenarios: [] }
    */
-  function loadScenarioDraft() {
-    return getJSON(KEYS.SCENARIO_DRAFT);
+  function loadScenarioLibrary() {
+    const library = getJSON(KEYS.SCENARIOS);
+    if (library && Array.isArray(library.scenarios)) {
+      return library;
+    }
+
+    const migrated = { activeId: null, scenarios: [] };
+    const draft = getJSON(KEYS.SCENARIO_DRAFT);
+    if (draft && Array.isArray(draft.ops)) {
+      const scenario = normalizeScenario(draft);
+      migrated.scenarios.push(scenario);
+      migrated.activeId = scenario.id;
+      if (saveScenarioLibrary(migrated)) {
+        remove(KEYS.SCENARIO_DRAFT);
+      }
+    }
+    return migrated;
   }
 
   /**
-   * Save the scenario draft to localStorage
+   * Save the scenario library
    */
-  function saveScenarioDraft(scenario) {
-    if (!scenario) return false;
-    return setJSON(KEYS.SCENARIO_DRAFT, scenario);
+  function saveScenarioLibrary(library) {
+    if (!library) return false;
+    return setJSON(KEYS.SCENARIOS, library);
   }
 
   /**
-   * Check if a scenario draft exists
+   * Give a scenario an id and name if it is missing them
    */
-  function hasScenarioDraft() {
-    const draft = getJSON(KEYS.SCENARIO_DRAFT);
-    return draft && draft.ops && draft.ops.length > 0;
+  function normalizeScenario(scenario) {
+    return {
+      ...scenario,
+      id: scenario.id || FSS.Schema.generateId('scenario'),
+      meta: { name: '', ...(scenario.meta || {}) },
+      ops: scenario.ops || []
+    };
+  }
+
+  /**
+   * Get all saved scenarios
+   */
+  function listScenarios() {
+    return loadScenarioLibrary().scenarios;
+  }
+
+  /**
+   * Get a saved scenario by ID
+   */
+  function getScenario(scenarioId) {
+    return listScenarios().find(s => s.id === scenarioId) || null;
+  }
+
+  /**
+   * Add or replace a scenario in the library
+   * @returns {Object|null} The saved scenario, or null on failure
+   */
+  function saveScenario(scenario) {
+    if (!scenario) return null;
+
+    const library = loadScenarioLibrary();
+    const saved = normalizeScenario(scenario);
+    saved.meta.updatedAt = DateTime.now().toISO();
+
+    const index = library.scenarios.findIndex(s => s.id === saved.id);
+    if (index >= 0) {
+      library.scenarios[index] = saved;
+    } else {
+      library.scenarios.push(saved);
+    }
+
+    return saveScenarioLibrary(library) ? saved : null;
+  }
+
+  /**
+   * Delete a scenario; the first remaining scenario becomes active if it was active
+   */
+  function deleteScenario(scenarioId) {
+    const library = loadScenarioLibrary();
+    library.scenarios = library.scenarios.filter(s => s.id !== scenarioId);
+    if (library.activeId === scenarioId) {
+      library.activeId = library.scenarios[0]?.id || null;
+    }
+    return saveScenarioLibrary(library);
+  }
+
+  /**
+   * Delete every saved scenario
+   */
+  function clearScenarios() {
+    remove(KEYS.SCENARIO_DRAFT);
+    return remove(KEYS.SCENARIOS);
+  }
+
+  // === Active Scenario Operations ===
+
+  /**
+   * Load the active scenario (the one being edited and applied to the Dashboard and Timeline)
+   */
+  function loadActiveScenario() {
+    const library = loadScenarioLibrary();
+    return library.scenarios.find(s => s.id === library.activeId) || null;
   }
 
   /**
-   * Clear the scenario draft
+   * Save a scenario and make it the active one
    */
-  function clearScenarioDraft() {
-    return remove(KEYS.SCENARIO_DRAFT);
+  function saveActiveScenario(scenario) {
+    const saved = saveScenario(scenario);
+    if (!saved) return null;
+    setActiveScenarioId(saved.id);
+    return saved;
+  }
+
+  /**
+   * Choose the active scenario (null for none)
+   */
+  function setActiveScenarioId(scenarioId) {
+    const library = loadScenarioLibrary();
+    library.activeId = scenarioId && library.scenarios.some(s => s.id === scenarioId) ? scenarioId : null;
+    return saveScenarioLibrary(library);
+  }
+
+  /**
+   * Check if the active scenario has any operations
+   */
+  function hasActiveScenario() {
+    const scenario = loadActiveScenario();
+    return !!(scenario && scenario.ops && scenario.ops.length > 0);
+  }
+
+  /**
+   * Clear the active scenario's operations, keeping it in the library
+   */
+  function clearActiveScenario() {
+    const scenario = loadActiveScenario();
+    if (!scenario) return true;
+    return !!saveScenario({ ...scenario, ops: [] });
+  }
+
+  // === Import Profile Operations ===
+
+  /**
+   * List saved CSV column-mapping profiles
+   */
+  function listImportProfiles() {
+    const profiles = getJSON(KEYS.IMPORT_PROFILES);
+    return Array.isArray(profiles) ? profiles : [];
+  }
+
+  /**
+   * Save a profile, replacing any with the same ID
+   * Returns the saved profile, or null on failure
+   */
+  function saveImportProfile(profile) {
+    if (!profile || !profile.id) return null;
+    const profiles = listImportProfiles().filter(p => p.id !== profile.id);
+    profiles.push(profile);
+    profiles.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    return setJSON(KEYS.IMPORT_PROFILES, profiles) ? profile : null;
+  }
+
+  /**
+   * Delete a profile by ID
+   */
+  function deleteImportProfile(profileId) {
+    const profiles = listImportProfiles();
+    const remaining = profiles.filter(p => p.id !== profileId);
+    if (remaining.length === profiles.length) return false;
+    return setJSON(KEYS.IMPORT_PROFILES, remaining);
   }
 
   // === UI State Operations ===
@@ -205,12 +356,13 @@ FSS.Storage = (function() {
   }
 
   /**
-   * Export base model + scenario as combined JSON
+   * Export base model + scenario library as combined JSON
    */
   function exportFullJSON() {
     const data = {
       baseModel: loadBaseModel(),
-      scenarioDraft: loadScenarioDraft()
+      scenarios: loadScenarioLibrary(),
+      importProfiles: listImportProfiles()
     };
     return JSON.stringify(data, null, 2);
   }
@@ -236,8 +388,18 @@ FSS.Storage = (function() {
         
         saveBaseModel(data.baseModel);
         
-        if (data.scenarioDraft) {
-          saveScenarioDraft(data.scenarioDraft);
+        if (data.scenarios && Array.isArray(data.scenarios.scenarios)) {
+          saveScenarioLibrary({
+            activeId: data.scenarios.activeId || null,
+            scenarios: data.scenarios.scenarios.map(normalizeScenario)
+          });
+        } else if (data.scenarioDraft) {
+          // Older exports carry a single draft
+          saveActiveScenario(data.scenarioDraft);
+        }
+
+        if (Array.isArray(data.importProfiles)) {
+          setJSON(KEYS.IMPORT_PROFILES, data.importProfiles);
         }
         
         return { success: true, message: 'Full export imported successfully', type: 'full' };
@@ -268,7 +430,8 @@ FSS.Storage = (function() {
    */
   function resetAll() {
     clearBaseModel();
-    clearScenarioDraft();
+    clearScenarios();
+    remove(KEYS.IMPORT_PROFILES);
     remove(KEYS.UI_STATE);
     return true;
   }
@@ -278,16 +441,18 @@ FSS.Storage = (function() {
    */
   function getStats() {
     const baseRaw = getRaw(KEYS.BASE_MODEL);
-    const scenarioRaw = getRaw(KEYS.SCENARIO_DRAFT);
+    const scenarioRaw = getRaw(KEYS.SCENARIOS) || getRaw(KEYS.SCENARIO_DRAFT);
     const uiRaw = getRaw(KEYS.UI_STATE);
+    const profilesRaw = getRaw(KEYS.IMPORT_PROFILES);
 
     return {
       hasBaseModel: !!baseRaw,
-      hasScenarioDraft: hasScenarioDraft(),
+      hasActiveScenario: hasActiveScenario(),
+      scenarioCount: listScenarios().length,
       baseModelSize: baseRaw ? baseRaw.length : 0,
       scenarioSize: scenarioRaw ? scenarioRaw.length : 0,
       uiStateSize: uiRaw ? uiRaw.length : 0,
-      totalSize: (baseRaw?.length || 0) + (scenarioRaw?.length || 0) + (uiRaw?.length || 0)
+      totalSize: (baseRaw?.length || 0) + (scenarioRaw?.length || 0) + (uiRaw?.length || 0) + (profilesRaw?.length || 0)
     };
   }
 
@@ -302,11 +467,26 @@ FSS.Storage = (function() {
     hasBaseModel,
     clearBaseModel,
     
-    // Scenario Draft
-    loadScenarioDraft,
-    saveScenarioDraft,
-    hasScenarioDraft,
-    clearScenarioDraft,
+    // Scenario Library
+    loadScenarioLibrary,
+    saveScenarioLibrary,
+    listScenarios,
+    getScenario,
+    saveScenario,
+    deleteScenario,
+    clearScenarios,
+    
+    // Active Scenario
+    loadActiveScenario,
+    saveActiveScenario,
+    setActiveScenarioId,
+    hasActiveScenario,
+    clearActiveScenario,
+    
+    // Import Profiles
+    listImportProfiles,
+    saveImportProfile,
+    deleteImportProfile,
     
     // UI State
     loadUIState,
@@ -28,6 +28,7 @@ FSS.Summary = (function() {
       const monthStart = DateTime.fromISO(month + '-01');
       
       let income = 0;
+      let interest = 0;
       let expenses = 0;
       let transfersIn = 0;
       let transfersOut = 0;
@@ -42,6 +43,10 @@ FSS.Summary = (function() {
         
         if (entry.kind === 'income') {
           income += entry.amount;
+        } else if (entry.kind === 'interest') {
+          // Interest is part of income, also reported separately
+          income += entry.amount;
+          interest += entry.amount;
         } else if (entry.kind === 'expense') {
           expenses += Math.abs(entry.amount);
         } else if (entry.kind === 'transfer') {
@@ -76,6 +81,7 @@ FSS.Summary = (function() {
         startBalance: prevEndBalance,
         endBalance,
         income,
+        interest,
         expenses,
         transfersIn,
         transfersOut,
@@ -93,15 +99,28 @@ FSS.Summary = (function() {
     return summaries;
   }
 
+  /**
+   * Safe surplus modes
+   */
+  const SAFE_SURPLUS_MODES = ['next_month_trough', 'rolling_trough', 'confidence', 'floor'];
+
+  // Last confidence simulation, reused while the model and options are unchanged
+  let confidenceCache = null;
+
   /**
    * Calculate safe surplus for a given month
-   * Uses next-month-trough + buffer algorithm
+   * Uses next-month-trough + buffer algorithm by default. Other modes:
+   * - floor: end balance above the floor
+   * - rolling_trough: like next month trough, over the next lookAheadMonths months
+   * - confidence: simulated so the balance stays above the floor for
+   *   lookAheadDays with the chosen probability (needs context.model)
    * @param {Array} summaries - Monthly summaries
    * @param {number} monthIndex - Index of target month
    * @param {Object} settings - Safe surplus settings
+   * @param {Object} context - { model, accountId, startDate } the summaries came from
    * @returns {Object} Safe surplus calculation
    */
-  function calculateSafeSurplus(summaries, monthIndex, settings = {}) {
+  function calculateSafeSurplus(summaries, monthIndex, settings = {}, context = {}) {
     const mode = settings.mode || 'next_month_trough';
     const buffer = settings.buffer || 300;
     const floor = settings.floor || 2000;
@@ -127,6 +146,14 @@ FSS.Summary = (function() {
       };
     }
 
+    if (mode === 'rolling_trough') {
+      return calculateRollingTroughSurplus(summaries, monthIndex, settings);
+    }
+
+    if (mode === 'confidence' && context.model && FSS.MonteCarlo) {
+      return calculateConfidenceSurplus(currentMonth, settings, context);
+    }
+
     // Default: next_month_trough mode
     const nextMonth = summaries[monthIndex + 1];
     
@@ -175,6 +202,118 @@ FSS.Summary = (function() {
     }
   }
 
+  /**
+   * Safe surplus that covers the lowest trough over the next N months plus the buffer
+   */
+  function calculateRollingTroughSurplus(summaries, monthIndex, settings) {
+    const buffer = settings.buffer || 300;
+    const floor = settings.floor || 2000;
+    const lookAheadMonths = settings.lookAheadMonths || 3;
+    const endBalance = summaries[monthIndex].endBalance;
+    const ahead = summaries.slice(monthIndex + 1, monthIndex + 1 + lookAheadMonths);
+
+    if (ahead.length === 0) {
+      return {
+        safeWithdrawable: Math.max(0, endBalance - floor - buffer),
+        endBalance,
+        floor,
+        buffer,
+        mode: 'rolling_trough',
+        message: 'No months ahead, using floor',
+        isEstimate: true
+      };
+    }
+
+    const troughMonth = ahead.reduce((lowest, s) => s.minBalance < lowest.minBalance ? s : lowest);
+    const trough = troughMonth.minBalance;
+    const required = trough + buffer;
+    const safeWithdrawable = endBalance - required;
+    const result = {
+      endBalance,
+      trough,
+      troughDate: troughMonth.minBalanceDate,
+      buffer,
+      required,
+      lookAheadMonths,
+      mode: 'rolling_trough',
+      isEstimate: ahead.length < lookAheadMonths
+    };
+
+    if (safeWithdrawable >= 0) {
+      return {
+        ...result,
+        safeWithdrawable,
+        message: `Safe to withdraw (covers the lowest trough in ${ahead.length} month${ahead.length === 1 ? '' : 's'} + $${buffer} buffer)`
+      };
+    }
+    return {
+      ...result,
+      safeWithdrawable: 0,
+      unsafeBy: Math.abs(safeWithdrawable),
+      message: `Unsafe by $${Math.abs(safeWithdrawable).toLocaleString()}`,
+      isUnsafe: true
+    };
+  }
+
+  /**
+   * Safe surplus that keeps the balance above the floor with a chosen probability
+   * Simulates the ledger with rule variability through the look-ahead window
+   * after the month ends. A withdrawal at month end lowers every later balance
+   * by the same amount, so each run allows its lowest balance in the window
+   * minus the floor; the safe amount is the one allowed by the chosen share of runs.
+   * Runs use a fixed seed, so the simulation is cached for re-renders of the same
+   * model, settings and account.
+   */
+  function calculateConfidenceSurplus(currentMonth, settings, context) {
+    const floor = settings.floor || 2000;
+    const confidence = settings.confidence || 90;
+    const lookAheadDays = settings.lookAheadDays || 90;
+    const { model } = context;
+
+    const monthEnd = DateTime.fromISO(currentMonth.month + '-01').endOf('month');
+    const options = {
+      accountId: context.accountId,
+      startDate: context.startDate,
+      endDate: monthEnd.plus({ days: lookAheadDays }).toISODate(),
+      minFrom: monthEnd.plus({ days: 1 }).toISODate(),
+      dates: [],
+      // Without variable rules every run is the same
+      runs: FSS.MonteCarlo.hasVariability(model) ? settings.runs : 1
+    };
+
+    const key = JSON.stringify({ model, options });
+    if (confidenceCache?.key !== key) {
+      confidenceCache = { key, simulation: FSS.MonteCarlo.simulate(model, options) };
+    }
+    const { simulation } = confidenceCache;
+
+    const allowed = simulation.minBalances.map(min => min - floor);
+    const safeWithdrawable = Math.round(FSS.MonteCarlo.percentile(allowed, 100 - confidence) * 100) / 100;
+    const result = {
+      endBalance: currentMonth.endBalance,
+      floor,
+      confidence,
+      lookAheadDays,
+      runs: simulation.runs,
+      mode: 'confidence'
+    };
+
+    if (safeWithdrawable >= 0) {
+      return {
+        ...result,
+        safeWithdrawable,
+        message: `${confidence}% chance of staying above $${floor.toLocaleString()} for ${lookAheadDays} days`
+      };
+    }
+    return {
+      ...result,
+      safeWithdrawable: 0,
+      unsafeBy: Math.abs(safeWithdrawable),
+      message: `Unsafe by $${Math.abs(safeWithdrawable).toLocaleString()}`,
+      isUnsafe: true
+    };
+  }
+
   /**
    * Get summary for a specific month
    * @param {Object} model - The financial model
@@ -204,7 +343,8 @@ FSS.Summary = (function() {
     const safeSurplus = calculateSafeSurplus(
       summaries, 
       monthIndex, 
-      settings.safeSurplus
+      settings.safeSurplus,
+      { model, startDate }
     );
 
     return {
@@ -217,9 +357,10 @@ FSS.Summary = (function() {
    * Get dashboard data for display
    * @param {Object} model - The financial model
    * @param {string} month - Target month (YYYY-MM)
+   * @param {Object} options - Options { accountId } ('all' for the consolidated view)
    * @returns {Object} Dashboard data
    */
-  function getDashboardData(model, month = null) {
+  function getDashboardData(model, month = null, options = {}) {
     const settings = model.settings || {};
     const horizonDays = settings.forecastHorizonDays || 180;
     
@@ -231,14 +372,14 @@ FSS.Summary = (function() {
     const startDate = DateTime.now().toISODate();
     const endDate = DateTime.now().plus({ days: horizonDays }).toISODate();
 
-    const ledger = FSS.Ledger.runLedger(model, { startDate, endDate });
+    const ledger = FSS.Ledger.runLedgerView(model, { startDate, endDate, accountId: options.accountId });
     const summaries = calculateMonthlySummaries(ledger);
     
     const monthIndex = summaries.findIndex(s => s.month === month);
     const currentMonthSummary = summaries[monthIndex] || summaries[0];
     
     const safeSurplus = monthIndex >= 0 
-      ? calculateSafeSurplus(summaries, monthIndex, settings.safeSurplus)
+      ? calculateSafeSurplus(summaries, monthIndex, settings.safeSurplus, { model, accountId: options.accountId, startDate })
       : { safeWithdrawable: 0, message: 'Select a month' };
 
     // Get available months for selector
@@ -247,8 +388,11 @@ FSS.Summary = (function() {
       label: s.monthName
     }));
 
+    // Projected credit card statements (card accounts are not in a checking-only ledger)
+    const cardStatements = ledger.cardStatements || [];
+
     // Prepare chart data
-    const balanceChartData = prepareBalanceChartData(ledger.entries);
+    const balanceChartData = prepareBalanceChartData(ledger.entries, ledger.accounts);
     const monthlyNetChartData = prepareMonthlyNetChartData(summaries);
 
     return {
@@ -258,6 +402,7 @@ FSS.Summary = (function() {
       availableMonths,
       ledger,
       summaries,
+      cardStatements,
       charts: {
         balance: balanceChartData,
         monthlyNet: monthlyNetChartData
@@ -267,28 +412,38 @@ FSS.Summary = (function() {
 
   /**
    * Prepare data for balance over time chart
+   * @param {Array} entries - Ledger entries
+   * @param {Object} accounts - Per-account info from a consolidated ledger, adds one series per account
    */
-  function prepareBalanceChartData(entries) {
+  function prepareBalanceChartData(entries, accounts = null) {
     // Sample data points (max ~60 for readability)
     const maxPoints = 60;
     const step = Math.max(1, Math.floor(entries.length / maxPoints));
     
-    const labels = [];
-    const data = [];
-    
+    const sampled = [];
     for (let i = 0; i < entries.length; i += step) {
-      const entry = entries[i];
-      labels.push(entry.date);
-      data.push(entry.balance);
+      sampled.push(entries[i]);
     }
     
     // Always include last entry
-    if (entries.length > 0 && labels[labels.length - 1] !== entries[entries.length - 1].date) {
-      labels.push(entries[entries.length - 1].date);
-      data.push(entries[entries.length - 1].balance);
+    if (entries.length > 0 && sampled[sampled.length - 1].date !== entries[entries.length - 1].date) {
+      sampled.push(entries[entries.length - 1]);
     }
 
-    return { labels, data };
+    const labels = sampled.map(e => e.date);
+    const data = sampled.map(e => e.balance);
+
+    if (!accounts) {
+      return { labels, data };
+    }
+
+    const accountSeries = Object.values(accounts).map(account => ({
+      accountId: account.accountId,
+      name: account.name,
+      data: sampled.map(e => e.balances?.[account.accountId] ?? account.startingBalance)
+    }));
+
+    return { labels, data, accounts: accountSeries };
   }
 
   /**
@@ -314,7 +469,7 @@ FSS.Summary = (function() {
    * Get income breakdown by category
    */
   function getIncomeBreakdown(ledgerResult) {
-    const incomeEntries = ledgerResult.entries.filter(e => e.kind === 'income');
+    const incomeEntries = ledgerResult.entries.filter(e => e.kind === 'income' || e.kind === 'interest');
     const byCategory = {};
     
     for (const entry of incomeEntries) {
@@ -347,6 +502,7 @@ FSS.Summary = (function() {
   // Public API
   return {
     calculateMonthlySummaries,
+    SAFE_SURPLUS_MODES,
     calculateSafeSurplus,
     getMonthSummary,
     getDashboardData,
@@ -62,7 +62,13 @@ FSS.UI.Builder = (function() {
     document.getElementById('setting-currency')?.addEventListener('change', handleSettingsChange);
     document.getElementById('setting-buffer')?.addEventListener('change', handleSettingsChange);
     document.getElementById('setting-floor')?.addEventListener('change', handleSettingsChange);
+    document.getElementById('setting-surplus-mode')?.addEventListener('change', handleSettingsChange);
+    document.getElementById('setting-lookahead-months')?.addEventListener('change', handleSettingsChange);
+    document.getElementById('setting-confidence')?.addEventListener('change', handleSettingsChange);
+    document.getElementById('setting-lookahead-days')?.addEventListener('change', handleSettingsChange);
     document.getElementById('setting-weekends')?.addEventListener('change', handleSettingsChange);
+    document.getElementById('setting-holiday-calendar')?.addEventListener('change', handleSettingsChange);
+    document.getElementById('setting-custom-holidays')?.addEventListener('change', handleSettingsChange);
     
     // Warn before leaving with unsaved changes
     window.addEventListener('beforeunload', (e) => {
@@ -122,7 +128,53 @@ FSS.UI.Builder = (function() {
     document.getElementById('setting-currency').value = meta.currency || 'USD';
     document.getElementById('setting-buffer').value = settings.safeSurplus?.buffer || 300;
     document.getElementById('setting-floor').value = settings.safeSurplus?.floor || 2000;
+    document.getElementById('setting-surplus-mode').value = settings.safeSurplus?.mode || 'next_month_trough';
+    document.getElementById('setting-lookahead-months').value = settings.safeSurplus?.lookAheadMonths || 3;
+    document.getElementById('setting-confidence').value = settings.safeSurplus?.confidence || 90;
+    document.getElementById('setting-lookahead-days').value = settings.safeSurplus?.lookAheadDays || 90;
+    showSurplusModeFields();
     document.getElementById('setting-weekends').checked = settings.businessDays?.weekendsAreNonBusinessDays !== false;
+    
+    const calendarSelect = document.getElementById('setting-holiday-calendar');
+    calendarSelect.innerHTML = FSS.BusinessDay.getCalendarOptions()
+      .map(c => `<option value="${c.value}">${c.label}</option>`)
+      .join('');
+    calendarSelect.value = settings.businessDays?.holidayCalendar || 'none';
+    
+    document.getElementById('setting-custom-holidays').value = (settings.businessDays?.customHolidays || [])
+      .map(h => h.name ? `${h.date} ${h.name}` : h.date)
+      .join('\n');
+    
+    renderUpcomingHolidays();
+  }
+
+  /**
+   * Render the next holidays produced by the current business day settings
+   */
+  function renderUpcomingHolidays() {
+    const container = document.getElementById('upcoming-holidays');
+    const businessDays = FSS.Model.getSettings().businessDays || {};
+    const today = DateTime.now();
+    const holidays = FSS.BusinessDay.getHolidaysInRange(
+      today.toISODate(),
+      today.plus({ years: 1 }).toISODate(),
+      businessDays
+    );
+    
+    if (holidays.length === 0) {
+      container.innerHTML = '<div class="text-muted">No holidays in the next 12 months</div>';
+      return;
+    }
+    
+    container.innerHTML = holidays.map(h => `
+      <div class="d-flex justify-content-between border-bottom py-1">
+        <span>
+          ${h.name}
+          ${h.custom ? '<span class="badge bg-secondary ms-1">custom</span>' : ''}
+        </span>
+        <span class="mono text-muted">${FSS.App.formatDate(h.date, 'EEE, MMM d, yyyy')}</span>
+      </div>
+    `).join('');
   }
 
   // === Event Handlers ===
@@ -208,12 +260,17 @@ FSS.UI.Builder = (function() {
     const settings = {
       forecastHorizonDays: parseInt(document.getElementById('setting-horizon').value, 10) || 180,
       safeSurplus: {
-        mode: 'next_month_trough',
+        mode: document.getElementById('setting-surplus-mode').value,
         buffer: parseInt(document.getElementById('setting-buffer').value, 10) || 300,
-        floor: parseInt(document.getElementById('setting-floor').value, 10) || 2000
+        floor: parseInt(document.getElementById('setting-floor').value, 10) || 2000,
+        lookAheadMonths: parseInt(document.getElementById('setting-lookahead-months').value, 10) || 3,
+        confidence: Math.min(99, Math.max(50, parseInt(document.getElementById('setting-confidence').value, 10) || 90)),
+        lookAheadDays: parseInt(document.getElementById('setting-lookahead-days').value, 10) || 90
       },
       businessDays: {
-        weekendsAreNonBusinessDays: document.getElementById('setting-weekends').checked
+        weekendsAreNonBusinessDays: document.getElementById('setting-weekends').checked,
+        holidayCalendar: document.getElementById('setting-holiday-calendar').value,
+        customHolidays: parseCustomHolidays(document.getElementById('setting-custom-holidays').value)
       }
     };
     
@@ -224,9 +281,44 @@ FSS.UI.Builder = (function() {
     model.meta.currency = document.getElementById('setting-currency').value;
     FSS.Model.markDirty();
     
+    showSurplusModeFields();
+    renderUpcomingHolidays();
     checkUnsavedChanges();
   }
 
+  /**
+   * Show only the settings used by the chosen safe surplus mode
+   */
+  function showSurplusModeFields() {
+    const mode = document.getElementById('setting-surplus-mode').value;
+    document.querySelectorAll('.surplus-mode-field').forEach(el => {
+      el.classList.toggle('d-none', !el.dataset.modes.split(' ').includes(mode));
+    });
+  }
+
+  /**
+   * Parse custom holiday lines ("YYYY-MM-DD Name"), skipping invalid dates
+   */
+  function parseCustomHolidays(text) {
+    const holidays = [];
+    const invalid = [];
+    
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      const [date, ...nameParts] = line.split(/\s+/);
+      if (!DateTime.fromISO(date).isValid) {
+        invalid.push(date);
+        return;
+      }
+      holidays.push({ date, name: nameParts.join(' ') });
+    });
+    
+    if (invalid.length > 0) {
+      FSS.App.showToast(`Ignored invalid holiday dates: ${invalid.join(', ')}`, 'warning');
+    }
+    
+    return holidays.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
   // === Validation Alert ===
 
   function showValidationAlert(validation, isError = false) {
@@ -269,7 +361,11 @@ FSS.UI.Builder = (function() {
             <span class="badge ${acc.type === 'checking' ? 'bg-primary' : 'bg-secondary'} me-2">${acc.type}</span>
             ${acc.name}
           </div>
-          <div class="item-meta">${acc.includeInSurplus ? 'Included in surplus' : 'Excluded'}</div>
+          <div class="item-meta">
+            ${acc.includeInSurplus ? 'Included in surplus' : 'Excluded'}
+            ${acc.interest?.apy ? `<div class="small">${acc.interest.apy}% APY, credited on day ${acc.interest.creditDay}</div>` : ''}
+            ${acc.card ? `<div class="small">${describeCard(acc.card)}</div>` : ''}
+          </div>
           <div class="item-actions">
             <button class="btn btn-sm btn-outline-secondary" onclick="FSS.UI.Builder.showAccountModal('${acc.id}')">
               <i class="bi bi-pencil"></i>
@@ -284,6 +380,20 @@ FSS.UI.Builder = (function() {
     `).join('');
   }
 
+  /**
+   * Describe a credit card's statement cycle and autopay
+   */
+  function describeCard(card) {
+    const autopay = {
+      statement: 'pays statement balance',
+      minimum: 'pays minimum',
+      fixed: `pays ${FSS.App.formatCurrency(card.fixedAmount || 0)}`
+    }[card.autopay] || '';
+    const payFrom = card.payFromAccountId ? FSS.Model.getAccount(card.payFromAccountId)?.name : null;
+    return `Closes on day ${card.closingDay}, due ${card.dueDays} days later, ${autopay}` +
+      `${payFrom ? ` from ${payFrom}` : ''}${card.apr ? ` (${card.apr}% APR)` : ''}`;
+  }
+
   function renderBalances() {
     const container = document.getElementById('balances-list');
     const balances = FSS.Model.getStartingBalances();
@@ -328,9 +438,12 @@ FSS.UI.Builder = (function() {
     const colorClass = kind === 'income' ? 'text-income' : kind === 'expense' ? 'text-expense' : 'text-transfer';
     
     container.innerHTML = rules.map(rule => {
+      const offsetDesc = FSS.Recurrence.describeFollowOffset(rule.followOffset);
       const recDesc = rule.followsRuleId 
-        ? `Follows: ${FSS.Model.getRule(rule.followsRuleId)?.name || rule.followsRuleId}`
+        ? `Follows: ${FSS.Model.getRule(rule.followsRuleId)?.name || rule.followsRuleId}${offsetDesc ? ` (${offsetDesc})` : ''}`
         : FSS.Recurrence.describeRecurrence(rule.recurrence);
+      const installmentDesc = describeInstallments(rule);
+      const amountDesc = describeAmountChanges(rule);
       
       return `
         <div class="item-list">
@@ -340,7 +453,11 @@ FSS.UI.Builder = (function() {
               ${rule.name}
               ${rule.category ? `<span class="badge bg-secondary ms-2">${rule.category}</span>` : ''}
             </div>
-            <div class="item-meta">${recDesc}</div>
+            <div class="item-meta">
+              ${recDesc}
+              ${installmentDesc ? `<div class="small">${installmentDesc}</div>` : ''}
+              ${amountDesc ? `<div class="small">${amountDesc}</div>` : ''}
+            </div>
             <div class="mono ${colorClass}">${FSS.App.formatCurrency(rule.amount)}</div>
             <div class="item-actions">
               <button class="btn btn-sm btn-outline-secondary" onclick="FSS.UI.Builder.showRuleModal('${kind}', '${rule.id}')">
@@ -356,6 +473,35 @@ FSS.UI.Builder = (function() {
     }).join('');
   }
 
+  /**
+   * Describe remaining payments for rules that end after N occurrences
+   */
+  function describeInstallments(rule) {
+    const status = FSS.Recurrence.getInstallmentStatus(rule, FSS.Model.get());
+    if (!status) return '';
+    
+    if (status.remaining === 0) {
+      return `All ${status.total} payments complete`;
+    }
+    
+    const finalDesc = status.finalDate ? `, final ${FSS.App.formatDate(status.finalDate)}` : '';
+    return `${status.remaining} of ${status.total} payments remaining${finalDesc}`;
+  }
+
+  /**
+   * Describe the next scheduled amount change or escalation
+   */
+  function describeAmountChanges(rule) {
+    if (!rule.amountSchedule?.length && !rule.escalation?.percent) return '';
+    
+    const today = DateTime.now();
+    const next = FSS.Recurrence.getAmountTimeline(rule, today.toISODate(), today.plus({ years: 2 }).toISODate())[1];
+    const escalationDesc = rule.escalation?.percent ? `+${rule.escalation.percent}%/yr` : '';
+    const nextDesc = next ? `${FSS.App.formatCurrency(next.amount)} from ${FSS.App.formatDate(next.date)}` : '';
+    
+    return [nextDesc, escalationDesc].filter(Boolean).join(', ');
+  }
+
   function renderOneOffs() {
     const container = document.getElementById('oneoff-list');
     const oneOffs = FSS.Model.getOneOffs();
@@ -393,6 +539,7 @@ FSS.UI.Builder = (function() {
     
     if (debts.length === 0) {
       container.innerHTML = '<div class="empty-state py-3"><p class="mb-0 text-muted">No debts</p></div>';
+      renderDebtPlanner();
       return;
     }
     
@@ -400,7 +547,12 @@ FSS.UI.Builder = (function() {
       <div class="item-list">
         <div class="item">
           <div class="item-name">${debt.name}</div>
-          <div class="item-meta">${debt.apr}% APR</div>
+          <div class="item-meta">
+            ${debt.apr}% APR
+            ${debt.type === 'installment' && debt.loan ? ` · ${debt.loan.termMonths}-month loan` : ''}
+            ${debt.generatePayments ? '<span class="badge bg-secondary ms-1">In ledger</span>' : ''}
+            ${describeDebtPayoff(debt)}
+          </div>
           <div class="mono text-expense">${FSS.App.formatCurrency(debt.principal)}</div>
           <div class="item-actions">
             <button class="btn btn-sm btn-outline-secondary" onclick="FSS.UI.Builder.showDebtModal('${debt.id}')">
@@ -413,6 +565,223 @@ FSS.UI.Builder = (function() {
         </div>
       </div>
     `).join('');
+    
+    renderDebtPlanner();
+  }
+
+  /**
+   * Render the multi-debt payoff planner
+   * Budget, strategy and custom order are kept in UI state, not the model
+   */
+  function renderDebtPlanner() {
+    const container = document.getElementById('debt-planner');
+    if (!container) return;
+    
+    const debts = FSS.Model.getDebts().filter(d => d.principal > 0);
+    if (!FSS.Debt || debts.length < 2) {
+      container.innerHTML = '';
+      return;
+    }
+    
+    const saved = FSS.Storage.loadUIState().debtPlanner || {};
+    const defaultBudget = FSS.Debt.getDefaultBudget(debts);
+    const monthlyBudget = saved.monthlyBudget > 0 ? saved.monthlyBudget : defaultBudget;
+    const strategy = saved.strategy || FSS.Debt.STRATEGIES.AVALANCHE;
+    const order = FSS.Debt.orderDebts(debts, FSS.Debt.STRATEGIES.CUSTOM, saved.order || []).map(d => d.id);
+    
+    const comparison = FSS.Debt.compareDebtStrategies(debts, { monthlyBudget, order });
+    const selected = comparison.find(c => c.strategy === strategy) || comparison[1];
+    const plan = selected.plan;
+    const debtNames = Object.fromEntries(debts.map(d => [d.id, d.name]));
+    
+    const formatDate = date => date ? DateTime.fromISO(date).toFormat('MMM yyyy') : 'Never';
+    const strategyOptions = [FSS.Debt.STRATEGIES.AVALANCHE, FSS.Debt.STRATEGIES.SNOWBALL, FSS.Debt.STRATEGIES.CUSTOM]
+      .map(s => `<option value="${s}" ${s === strategy ? 'selected' : ''}>${FSS.Debt.STRATEGY_LABELS[s]}</option>`)
+      .join('');
+    
+    container.innerHTML = `
+      <h6 class="mb-3"><i class="bi bi-signpost-split me-2"></i>Payoff Planner</h6>
+      <div class="row g-2 mb-3">
+        <div class="col-md-6">
+          <label class="form-label">Monthly Debt Budget</label>
+          <div class="input-group">
+            <span class="input-group-text">$</span>
+            <input type="number" step="0.01" min="0" class="form-control" id="planner-budget" value="${monthlyBudget}">
+          </div>
+          <div class="form-text">Minimums plus extra payments: ${FSS.App.formatCurrency(defaultBudget)}</div>
+        </div>
+        <div class="col-md-6">
+          <label class="form-label">Strategy</label>
+          <select class="form-select" id="planner-strategy">${strategyOptions}</select>
+        </div>
+      </div>
+      ${strategy === FSS.Debt.STRATEGIES.CUSTOM ? `
+        <div class="mb-3">
+          <label class="form-label">Payoff Order</label>
+          ${order.map((id, i) => `
+            <div class="d-flex justify-content-between align-items-center small border-bottom py-1">
+              <span>${i + 1}. ${debtNames[id]}</span>
+              <span>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-planner-move="${id}" data-direction="-1" ${i === 0 ? 'disabled' : ''}>
+                  <i class="bi bi-arrow-up"></i>
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-planner-move="${id}" data-direction="1" ${i === order.length - 1 ? 'disabled' : ''}>
+                  <i class="bi bi-arrow-down"></i>
+                </button>
+              </span>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+      ${plan.hasShortfall ? '<div class="alert alert-warning small py-2">The budget does not cover every minimum payment</div>' : ''}
+      <div class="small mb-2 ${plan.isPaidOff ? 'text-muted' : 'text-warning'}">${plan.message}</div>
+      <div class="table-responsive mb-3">
+        <table class="table table-sm mb-0">
+          <thead>
+            <tr>
+              <th>Strategy</th>
+              <th>Debt-Free</th>
+              <th class="text-end">Interest</th>
+              <th class="text-end">Interest Saved</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${comparison.map(c => `
+              <tr class="${c.strategy === selected.strategy ? 'table-active' : ''}">
+                <td>${c.name}</td>
+                <td>${formatDate(c.debtFreeDate)}${c.months ? ` <span class="text-muted small">(${c.months} mo)</span>` : ''}</td>
+                <td class="text-end mono">${FSS.App.formatCurrency(c.totalInterest)}</td>
+                <td class="text-end mono">${c.interestSaved ? FSS.App.formatCurrency(c.interestSaved) : '—'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div class="table-responsive mb-3">
+        <table class="table table-sm mb-0">
+          <thead>
+            <tr>
+              <th>Debt</th>
+              <th>Paid Off</th>
+              <th class="text-end">Interest</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${plan.debts.map(d => `
+              <tr>
+                <td>${d.name} <span class="text-muted small">${d.apr}% APR</span></td>
+                <td>${formatDate(d.payoffDate)}</td>
+                <td class="text-end mono">${FSS.App.formatCurrency(d.totalInterest)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <details>
+        <summary class="small">Combined schedule (${plan.schedule.length} months)</summary>
+        <div class="table-responsive mt-2" style="max-height: 320px;">
+          <table class="table table-sm mb-0">
+            <thead>
+              <tr>
+                <th>Month</th>
+                ${plan.order.map(id => `<th class="text-end">${debtNames[id]}</th>`).join('')}
+                <th class="text-end">Interest</th>
+                <th class="text-end">Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${plan.schedule.map(row => `
+                <tr>
+                  <td>${DateTime.fromISO(row.date).toFormat('MMM yyyy')}</td>
+                  ${plan.order.map(id => {
+                    const paid = row.byDebt[id].payment + (row.byDebt[id].lumpSum || 0);
+                    return `<td class="text-end mono">${paid ? FSS.App.formatCurrency(paid) : '—'}</td>`;
+                  }).join('')}
+                  <td class="text-end mono">${FSS.App.formatCurrency(row.interest)}</td>
+                  <td class="text-end mono">${FSS.App.formatCurrency(row.balance)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      </details>
+    `;
+    
+    const savePlanner = changes => {
+      FSS.Storage.updateUIState('debtPlanner', { monthlyBudget, strategy, order, ...changes });
+      renderDebtPlanner();
+    };
+    
+    document.getElementById('planner-budget').addEventListener('change', e => {
+      savePlanner({ monthlyBudget: parseFloat(e.target.value) || 0 });
+    });
+    document.getElementById('planner-strategy').addEventListener('change', e => {
+      savePlanner({ strategy: e.target.value });
+    });
+    container.querySelectorAll('[data-planner-move]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const newOrder = [...order];
+        const index = newOrder.indexOf(btn.dataset.plannerMove);
+        const target = index + parseInt(btn.dataset.direction, 10);
+        [newOrder[index], newOrder[target]] = [newOrder[target], newOrder[index]];
+        savePlanner({ order: newOrder });
+      });
+    });
+  }
+
+  /**
+   * Describe a debt's projected payoff for the debt list
+   */
+  function describeDebtPayoff(debt) {
+    if (!FSS.Debt || !(debt.principal > 0)) return '';
+    
+    const summary = FSS.Debt.getDebtSummary(debt);
+    const promo = summary.promo;
+    const promoLine = promo && !promo.paidOffBeforeExpiry
+      ? `<div class="small text-warning">${FSS.App.formatCurrency(promo.balanceAtExpiry)} left when the ${promo.apr}% promo ends ${FSS.App.formatDate(promo.endDate)} (then ${promo.goToApr}%)</div>`
+      : '';
+    
+    if (!summary.isPaidOff) {
+      return '<div class="small text-warning">Not paid off with current payments</div>' + promoLine + renderDebtSchedule(summary.schedule);
+    }
+    return `<div class="small text-muted">Paid off ${DateTime.fromISO(summary.payoffDate).toFormat('MMM yyyy')} · ${FSS.App.formatCurrency(summary.totalInterest)} interest</div>` + promoLine + renderDebtSchedule(summary.schedule);
+  }
+
+  /**
+   * Month-by-month payoff schedule, naming each lump sum and recurring extra payment
+   */
+  function renderDebtSchedule(schedule) {
+    if (!schedule || schedule.length === 0) return '';
+    
+    return `
+      <details class="small">
+        <summary>Payoff schedule (${schedule.length} months)</summary>
+        <div class="table-responsive mt-1" style="max-height: 240px;">
+          <table class="table table-sm mb-0">
+            <thead>
+              <tr>
+                <th>Month</th>
+                <th class="text-end">Payment</th>
+                <th>Extra payments</th>
+                <th class="text-end">Interest</th>
+                <th class="text-end">Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${schedule.map(row => `
+                <tr>
+                  <td>${DateTime.fromISO(row.date).toFormat('MMM yyyy')}</td>
+                  <td class="text-end mono">${FSS.App.formatCurrency(row.payment)}</td>
+                  <td>${(row.extraPayments || []).map(extra => `${extra.name} <span class="mono">${FSS.App.formatCurrency(extra.amount)}</span>`).join('<br>')}</td>
+                  <td class="text-end mono">${FSS.App.formatCurrency(row.interest)}</td>
+                  <td class="text-end mono">${FSS.App.formatCurrency(row.balance)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      </details>
+    `;
   }
 
   // === Modal Functions ===
@@ -462,6 +831,12 @@ FSS.UI.Builder = (function() {
   function showAccountModal(accountId = null) {
     const account = accountId ? FSS.Model.getAccount(accountId) : null;
     const isNew = !account;
+    const card = account?.card || {};
+    
+    const payFromOptions = FSS.Model.getAccountOptions()
+      .filter(a => a.type !== 'credit_card' && a.value !== accountId)
+      .map(a => `<option value="${a.value}" ${card.payFromAccountId === a.value ? 'selected' : ''}>${a.label}</option>`)
+      .join('');
     
     const bodyHTML = `
       <div class="mb-3">
@@ -474,14 +849,81 @@ FSS.UI.Builder = (function() {
           <option value="checking" ${account?.type === 'checking' ? 'selected' : ''}>Checking</option>
           <option value="savings" ${account?.type === 'savings' ? 'selected' : ''}>Savings</option>
           <option value="reserve" ${account?.type === 'reserve' ? 'selected' : ''}>Reserve</option>
+          <option value="credit_card" ${account?.type === 'credit_card' ? 'selected' : ''}>Credit Card</option>
         </select>
       </div>
+      <div id="modal-acc-card-fields" ${account?.type !== 'credit_card' ? 'style="display:none"' : ''}>
+        <div class="row mb-3">
+          <div class="col-4">
+            <label class="form-label">Statement closes</label>
+            <input type="number" class="form-control" id="modal-acc-closing-day" min="1" max="31" value="${card.closingDay || 1}">
+            <div class="form-text">Day of month</div>
+          </div>
+          <div class="col-4">
+            <label class="form-label">Due after</label>
+            <input type="number" class="form-control" id="modal-acc-due-days" min="1" max="60" value="${card.dueDays || 21}">
+            <div class="form-text">Days after closing</div>
+          </div>
+          <div class="col-4">
+            <label class="form-label">APR</label>
+            <div class="input-group">
+              <input type="number" step="0.01" min="0" class="form-control" id="modal-acc-apr" value="${card.apr || ''}" placeholder="0">
+              <span class="input-group-text">%</span>
+            </div>
+          </div>
+        </div>
+        <div class="row mb-3">
+          <div class="col-4">
+            <label class="form-label">Autopay</label>
+            <select class="form-select" id="modal-acc-autopay">
+              <option value="statement" ${!card.autopay || card.autopay === 'statement' ? 'selected' : ''}>Statement balance</option>
+              <option value="minimum" ${card.autopay === 'minimum' ? 'selected' : ''}>Minimum payment</option>
+              <option value="fixed" ${card.autopay === 'fixed' ? 'selected' : ''}>Fixed amount</option>
+            </select>
+          </div>
+          <div class="col-4" id="modal-acc-fixed-col" ${card.autopay !== 'fixed' ? 'style="display:none"' : ''}>
+            <label class="form-label">Fixed amount</label>
+            <div class="input-group">
+              <span class="input-group-text">$</span>
+              <input type="number" step="0.01" min="0" class="form-control" id="modal-acc-fixed-amount" value="${card.fixedAmount || ''}">
+            </div>
+          </div>
+          <div class="col-4">
+            <label class="form-label">Pay from</label>
+            <select class="form-select" id="modal-acc-pay-from">
+              <option value="">Default checking</option>
+              ${payFromOptions}
+            </select>
+          </div>
+        </div>
+      </div>
       <div class="mb-3">
         <div class="form-check">
           <input type="checkbox" class="form-check-input" id="modal-acc-surplus" ${account?.includeInSurplus !== false ? 'checked' : ''}>
           <label class="form-check-label" for="modal-acc-surplus">Include in surplus calculations</label>
         </div>
       </div>
+      <div class="row mb-3" id="modal-acc-interest-fields" ${account?.type === 'credit_card' ? 'style="display:none"' : ''}>
+        <div class="col-4">
+          <label class="form-label">APY</label>
+          <div class="input-group">
+            <input type="number" step="0.01" min="0" class="form-control" id="modal-acc-apy" value="${account?.interest?.apy || ''}" placeholder="0">
+            <span class="input-group-text">%</span>
+          </div>
+        </div>
+        <div class="col-4">
+          <label class="form-label">Compounding</label>
+          <select class="form-select" id="modal-acc-compounding">
+            <option value="monthly" ${account?.interest?.compounding !== 'daily' ? 'selected' : ''}>Monthly</option>
+            <option value="daily" ${account?.interest?.compounding === 'daily' ? 'selected' : ''}>Daily</option>
+          </select>
+        </div>
+        <div class="col-4">
+          <label class="form-label">Credited on day</label>
+          <input type="number" class="form-control" id="modal-acc-credit-day" min="1" max="31" value="${account?.interest?.creditDay || 1}">
+        </div>
+        <div class="form-text">Interest accrues on the daily balance and is credited monthly</div>
+      </div>
       <div class="mb-3">
         <label class="form-label">Note (optional)</label>
         <input type="text" class="form-control" id="modal-acc-note" value="${account?.note || ''}">
@@ -502,6 +944,17 @@ FSS.UI.Builder = (function() {
         note: document.getElementById('modal-acc-note').value.trim()
       };
       
+      if (data.type === 'credit_card') {
+        data.card = getCardFromForm();
+        if (!data.card) return false;
+        data.interest = undefined;
+      } else {
+        const interest = getInterestFromForm();
+        if (interest === false) return false;
+        data.interest = interest;
+        data.card = undefined;
+      }
+      
       if (isNew) {
         FSS.Model.addAccount(data);
         FSS.App.showToast('Account added', 'success');
@@ -512,6 +965,68 @@ FSS.UI.Builder = (function() {
       
       return true;
     });
+    
+    // Card settings replace interest settings for credit cards
+    document.getElementById('modal-acc-type').addEventListener('change', (e) => {
+      const isCard = e.target.value === 'credit_card';
+      document.getElementById('modal-acc-card-fields').style.display = isCard ? '' : 'none';
+      document.getElementById('modal-acc-interest-fields').style.display = isCard ? 'none' : '';
+    });
+    document.getElementById('modal-acc-autopay').addEventListener('change', (e) => {
+      document.getElementById('modal-acc-fixed-col').style.display = e.target.value === 'fixed' ? '' : 'none';
+    });
+  }
+
+  /**
+   * Read credit card settings from the account modal
+   * @returns {Object|null} Card settings, or null after showing a validation error
+   */
+  function getCardFromForm() {
+    const card = {
+      closingDay: parseInt(document.getElementById('modal-acc-closing-day').value, 10),
+      dueDays: parseInt(document.getElementById('modal-acc-due-days').value, 10),
+      apr: parseFloat(document.getElementById('modal-acc-apr').value) || 0,
+      autopay: document.getElementById('modal-acc-autopay').value,
+      payFromAccountId: document.getElementById('modal-acc-pay-from').value || undefined
+    };
+    
+    if (!(card.closingDay >= 1 && card.closingDay <= 31)) {
+      FSS.App.showToast('Statement closing day must be between 1 and 31', 'error');
+      return null;
+    }
+    if (!(card.dueDays >= 1 && card.dueDays <= 60)) {
+      FSS.App.showToast('Due date must be 1 to 60 days after closing', 'error');
+      return null;
+    }
+    if (card.autopay === 'fixed') {
+      card.fixedAmount = parseFloat(document.getElementById('modal-acc-fixed-amount').value) || 0;
+      if (card.fixedAmount <= 0) {
+        FSS.App.showToast('Enter a fixed autopay amount', 'error');
+        return null;
+      }
+    }
+    return card;
+  }
+
+  /**
+   * Read interest settings from the account modal
+   * @returns {Object|undefined|false} Interest settings, undefined for none, or false after a validation error
+   */
+  function getInterestFromForm() {
+    const apy = parseFloat(document.getElementById('modal-acc-apy').value) || 0;
+    const creditDay = parseInt(document.getElementById('modal-acc-credit-day').value, 10);
+    
+    if (apy < 0) {
+      FSS.App.showToast('APY cannot be negative', 'error');
+      return false;
+    }
+    if (apy > 0 && !(creditDay >= 1 && creditDay <= 31)) {
+      FSS.App.showToast('Interest credit day must be between 1 and 31', 'error');
+      return false;
+    }
+    return apy > 0
+      ? { apy, compounding: document.getElementById('modal-acc-compounding').value, creditDay }
+      : undefined;
   }
 
   function showBalanceModal(accountId = null, date = null) {
@@ -540,6 +1055,7 @@ FSS.UI.Builder = (function() {
           <span class="input-group-text">$</span>
           <input type="number" step="0.01" class="form-control" id="modal-bal-amount" value="${balance?.amount || 0}">
         </div>
+        <div class="form-text">The balance at the start of the day, before anything dated that day. For credit cards, enter the amount owed as a negative balance</div>
       </div>
       <div class="mb-3">
         <label class="form-label">Note (optional)</label>
@@ -582,6 +1098,9 @@ FSS.UI.Builder = (function() {
     
     const recType = rule?.recurrence?.type || 'monthly_day';
     const useFollows = !!rule?.followsRuleId;
+    const variability = rule?.variability || {};
+    let pendingExceptions = (rule?.exceptions || []).map(e => ({ ...e }));
+    let pendingSteps = (rule?.amountSchedule || []).map(s => ({ ...s }));
     
     const kindLabel = kind.charAt(0).toUpperCase() + kind.slice(1);
     
@@ -620,6 +1139,81 @@ FSS.UI.Builder = (function() {
         </div>
       </div>
       <hr>
+      <div class="mb-3">
+        <label class="form-label">Amount Changes</label>
+        <div id="modal-rule-amount-steps"></div>
+        <div class="row g-2 mt-1">
+          <div class="col-4">
+            <input type="date" class="form-control form-control-sm" id="modal-rule-step-date">
+          </div>
+          <div class="col-3">
+            <input type="number" step="0.01" class="form-control form-control-sm" id="modal-rule-step-amount" placeholder="Amount">
+          </div>
+          <div class="col-3">
+            <input type="text" class="form-control form-control-sm" id="modal-rule-step-note" placeholder="Note">
+          </div>
+          <div class="col-2">
+            <button type="button" class="btn btn-sm btn-outline-primary w-100" id="modal-rule-step-add">
+              <i class="bi bi-plus"></i>
+            </button>
+          </div>
+        </div>
+        <div class="form-text">Each change applies to occurrences on or after its date</div>
+      </div>
+      <div class="row mb-3">
+        <div class="col-6">
+          <label class="form-label">Annual Escalation</label>
+          <div class="input-group">
+            <input type="number" step="0.1" class="form-control" id="modal-rule-escalation-percent" value="${rule?.escalation?.percent || ''}" placeholder="0">
+            <span class="input-group-text">%</span>
+          </div>
+        </div>
+        <div class="col-6">
+          <label class="form-label">Escalates From</label>
+          <input type="date" class="form-control" id="modal-rule-escalation-anchor" value="${rule?.escalation?.anchorDate || ''}">
+        </div>
+        <div class="form-text">Compounds on each anniversary; a scheduled change restarts the count</div>
+      </div>
+      <div class="mb-3">
+        <label class="form-label">Amount Timeline</label>
+        <div id="modal-rule-amount-timeline"></div>
+      </div>
+      <hr>
+      <div class="row mb-3">
+        <div class="col-6">
+          <label class="form-label">Variability</label>
+          <select class="form-select" id="modal-rule-var-type">
+            <option value="" ${!variability.type ? 'selected' : ''}>Fixed amount</option>
+            <option value="range" ${variability.type === 'range' ? 'selected' : ''}>Range (min to max)</option>
+            <option value="normal" ${variability.type === 'normal' ? 'selected' : ''}>Spread (standard deviation)</option>
+            <option value="samples" ${variability.type === 'samples' ? 'selected' : ''}>Past amounts</option>
+          </select>
+        </div>
+        <div class="col-6">
+          <label class="form-label">Date Jitter</label>
+          <div class="input-group">
+            <span class="input-group-text">±</span>
+            <input type="number" min="0" step="1" class="form-control" id="modal-rule-var-jitter" value="${variability.jitterDays || ''}" placeholder="0">
+            <span class="input-group-text">days</span>
+          </div>
+        </div>
+      </div>
+      <div class="row g-2 mb-3 var-params" data-var-type="range">
+        <div class="col-6">
+          <input type="number" step="0.01" min="0" class="form-control" id="modal-rule-var-min" value="${variability.min ?? ''}" placeholder="Minimum">
+        </div>
+        <div class="col-6">
+          <input type="number" step="0.01" min="0" class="form-control" id="modal-rule-var-max" value="${variability.max ?? ''}" placeholder="Maximum">
+        </div>
+      </div>
+      <div class="mb-3 var-params" data-var-type="normal">
+        <input type="number" step="0.01" min="0" class="form-control" id="modal-rule-var-stddev" value="${variability.stdDev ?? ''}" placeholder="Standard deviation around the amount">
+      </div>
+      <div class="mb-3 var-params" data-var-type="samples">
+        <input type="text" class="form-control" id="modal-rule-var-samples" value="${(variability.samples || []).join(', ')}" placeholder="e.g., 480, 615, 552, 590">
+      </div>
+      <div class="form-text mb-3">Only used for the Dashboard's likely range; forecasts use the amount above</div>
+      <hr>
       <div class="mb-3">
         <label class="form-label">Recurrence</label>
         <div class="form-check mb-2">
@@ -634,10 +1228,7 @@ FSS.UI.Builder = (function() {
       <div id="own-schedule-fields" ${useFollows ? 'style="display:none"' : ''}>
         <div class="mb-3">
           <select class="form-select" id="modal-rule-rec-type">
-            <option value="monthly_day" ${recType === 'monthly_day' ? 'selected' : ''}>Monthly on day</option>
-            <option value="semimonthly_days" ${recType === 'semimonthly_days' ? 'selected' : ''}>Semi-monthly</option>
-            <option value="biweekly_anchor" ${recType === 'biweekly_anchor' ? 'selected' : ''}>Biweekly</option>
-            <option value="weekly_dow" ${recType === 'weekly_dow' ? 'selected' : ''}>Weekly</option>
+            ${FSS.UI.RecurrenceForm.getTypeOptions(recType)}
           </select>
         </div>
         <div id="rec-params"></div>
@@ -650,7 +1241,43 @@ FSS.UI.Builder = (function() {
             ${ruleOptions}
           </select>
         </div>
+        <div class="row mb-3">
+          <div class="col-6">
+            <label class="form-label">Offset</label>
+            <input type="number" step="1" class="form-control" id="modal-rule-follow-offset" value="${rule?.followOffset?.days || 0}">
+          </div>
+          <div class="col-6">
+            <label class="form-label">Offset Unit</label>
+            <select class="form-select" id="modal-rule-follow-unit">
+              <option value="calendar" ${rule?.followOffset?.unit !== 'business' ? 'selected' : ''}>Calendar days</option>
+              <option value="business" ${rule?.followOffset?.unit === 'business' ? 'selected' : ''}>Business days</option>
+            </select>
+          </div>
+          <div class="form-text">Days after (positive) or before (negative) the followed rule's adjusted date</div>
+        </div>
       </div>
+      <div class="row mb-3">
+        <div class="col-4">
+          <label class="form-label">Starts on</label>
+          <input type="date" class="form-control" id="modal-rule-valid-from" value="${rule?.validFrom || ''}">
+        </div>
+        <div class="col-4">
+          <label class="form-label">Ends on</label>
+          <input type="date" class="form-control" id="modal-rule-valid-to" value="${rule?.validTo || ''}">
+        </div>
+        <div class="col-4">
+          <label class="form-label">Payments</label>
+          <input type="number" class="form-control" id="modal-rule-max-occurrences" min="1" step="1" value="${rule?.maxOccurrences || ''}" placeholder="Unlimited">
+        </div>
+        <div class="form-text">Set a number of payments to stop after that many occurrences, counted from the start date</div>
+      </div>
+      ${rule?.exceptions?.length ? `
+      <div class="mb-3">
+        <label class="form-label">Occurrence Exceptions</label>
+        <div id="modal-rule-exceptions"></div>
+        <div class="form-text">Add exceptions from the Timeline page</div>
+      </div>
+      ` : ''}
       <hr>
       <div class="mb-3">
         <label class="form-label">Business Day Adjustment</label>
@@ -685,15 +1312,51 @@ FSS.UI.Builder = (function() {
         data.toAccountId = document.getElementById('modal-rule-to-account')?.value;
       }
       
+      data.exceptions = pendingExceptions.length > 0 ? pendingExceptions : undefined;
+      data.amountSchedule = pendingSteps.length > 0 ? pendingSteps : undefined;
+      data.escalation = getEscalationFromForm();
+      
+      if (data.escalation && !data.escalation.anchorDate) {
+        FSS.App.showToast('Escalation requires a start date', 'error');
+        return false;
+      }
+      
+      data.variability = getVariabilityFromForm();
+      const variabilityError = data.variability && FSS.Schema.validateVariability(data.variability)[0];
+      if (variabilityError) {
+        FSS.App.showToast(variabilityError.message, 'error');
+        return false;
+      }
+      data.validFrom = document.getElementById('modal-rule-valid-from').value || undefined;
+      data.validTo = document.getElementById('modal-rule-valid-to').value || undefined;
+      data.maxOccurrences = parseInt(document.getElementById('modal-rule-max-occurrences').value, 10) || undefined;
+      
+      if (data.validFrom && data.validTo && data.validTo < data.validFrom) {
+        FSS.App.showToast('End date must be on or after the start date', 'error');
+        return false;
+      }
+      
+      if (data.maxOccurrences && !data.validFrom) {
+        FSS.App.showToast('A start date is required to count payments', 'error');
+        return false;
+      }
+      
       if (usesFollows) {
         data.followsRuleId = document.getElementById('modal-rule-follows').value;
         if (!data.followsRuleId) {
           FSS.App.showToast('Please select a rule to follow', 'error');
           return false;
         }
+        
+        const offsetDays = parseInt(document.getElementById('modal-rule-follow-offset').value, 10) || 0;
+        data.followOffset = offsetDays
+          ? { days: offsetDays, unit: document.getElementById('modal-rule-follow-unit').value }
+          : undefined;
       } else {
         const recType = document.getElementById('modal-rule-rec-type').value;
-        data.recurrence = getRecurrenceFromForm(recType);
+        data.recurrence = FSS.UI.RecurrenceForm.readRecurrence(recType);
+        data.followsRuleId = undefined;
+        data.followOffset = undefined;
       }
       
       if (isNew) {
@@ -719,78 +1382,169 @@ FSS.UI.Builder = (function() {
     
     // Setup recurrence type change
     document.getElementById('modal-rule-rec-type').addEventListener('change', (e) => {
-      updateRecurrenceParams(e.target.value, rule?.recurrence);
+      FSS.UI.RecurrenceForm.renderParams(e.target.value, rule?.recurrence);
     });
     
     // Initial recurrence params
-    updateRecurrenceParams(recType, rule?.recurrence);
+    FSS.UI.RecurrenceForm.renderParams(recType, rule?.recurrence);
+    
+    // Show the inputs for the chosen distribution
+    const showVariabilityParams = () => {
+      const type = document.getElementById('modal-rule-var-type').value;
+      document.querySelectorAll('#rule-modal .var-params').forEach(el => {
+        el.style.display = el.dataset.varType === type ? '' : 'none';
+      });
+    };
+    document.getElementById('modal-rule-var-type').addEventListener('change', showVariabilityParams);
+    showVariabilityParams();
+    
+    // Exceptions list (removal takes effect when the rule is saved)
+    const renderExceptions = () => {
+      const container = document.getElementById('modal-rule-exceptions');
+      if (!container) return;
+      
+      if (pendingExceptions.length === 0) {
+        container.innerHTML = '<div class="text-muted small">No exceptions</div>';
+        return;
+      }
+      
+      container.innerHTML = pendingExceptions.map((e, i) => `
+        <div class="d-flex justify-content-between align-items-center small border-bottom py-1">
+          <span>
+            <span class="mono">${FSS.App.formatDate(e.date)}</span>
+            <span class="text-muted ms-2">${describeRuleException(e)}</span>
+          </span>
+          <button type="button" class="btn btn-sm btn-outline-danger" data-exception-index="${i}">
+            <i class="bi bi-x"></i>
+          </button>
+        </div>
+      `).join('');
+      
+      container.querySelectorAll('[data-exception-index]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          pendingExceptions.splice(parseInt(btn.dataset.exceptionIndex, 10), 1);
+          renderExceptions();
+        });
+      });
+    };
+    renderExceptions();
+    
+    // Amount schedule (steps take effect when the rule is saved)
+    const renderAmountSteps = () => {
+      const container = document.getElementById('modal-rule-amount-steps');
+      
+      if (pendingSteps.length === 0) {
+        container.innerHTML = '<div class="text-muted small">No scheduled changes</div>';
+      } else {
+        container.innerHTML = pendingSteps.map((step, i) => `
+          <div class="d-flex justify-content-between align-items-center small border-bottom py-1">
+            <span>
+              <span class="mono">${FSS.App.formatDate(step.effectiveDate)}</span>
+              <span class="mono ms-2">${FSS.App.formatCurrency(step.amount)}</span>
+              ${step.note ? `<span class="text-muted ms-2">${step.note}</span>` : ''}
+            </span>
+            <button type="button" class="btn btn-sm btn-outline-danger" data-step-index="${i}">
+              <i class="bi bi-x"></i>
+            </button>
+          </div>
+        `).join('');
+        
+        container.querySelectorAll('[data-step-index]').forEach(btn => {
+          btn.addEventListener('click', () => {
+            pendingSteps.splice(parseInt(btn.dataset.stepIndex, 10), 1);
+            renderAmountSteps();
+          });
+        });
+      }
+      
+      renderAmountTimeline();
+    };
+    
+    const renderAmountTimeline = () => {
+      const container = document.getElementById('modal-rule-amount-timeline');
+      const preview = {
+        amount: parseFloat(document.getElementById('modal-rule-amount').value) || 0,
+        amountSchedule: pendingSteps,
+        escalation: getEscalationFromForm()
+      };
+      
+      const today = DateTime.now();
+      const horizonDays = FSS.Model.getSettings().forecastHorizonDays || 365;
+      const timeline = FSS.Recurrence.getAmountTimeline(preview, today.toISODate(), today.plus({ days: horizonDays }).toISODate());
+      
+      container.innerHTML = timeline.map(point => `
+        <div class="d-flex justify-content-between small border-bottom py-1">
+          <span>
+            <span class="mono">${FSS.App.formatDate(point.date)}</span>
+            <span class="text-muted ms-2">${point.reason}</span>
+          </span>
+          <span class="mono">${FSS.App.formatCurrency(point.amount)}</span>
+        </div>
+      `).join('');
+    };
+    
+    document.getElementById('modal-rule-step-add').addEventListener('click', () => {
+      const effectiveDate = document.getElementById('modal-rule-step-date').value;
+      const amount = parseFloat(document.getElementById('modal-rule-step-amount').value);
+      const note = document.getElementById('modal-rule-step-note').value.trim();
+      
+      if (!effectiveDate || isNaN(amount)) {
+        FSS.App.showToast('Enter a date and amount for the change', 'error');
+        return;
+      }
+      
+      pendingSteps = pendingSteps.filter(step => step.effectiveDate !== effectiveDate);
+      pendingSteps.push({ effectiveDate, amount, ...(note ? { note } : {}) });
+      pendingSteps.sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+      
+      document.getElementById('modal-rule-step-date').value = '';
+      document.getElementById('modal-rule-step-amount').value = '';
+      document.getElementById('modal-rule-step-note').value = '';
+      renderAmountSteps();
+    });
+    
+    ['modal-rule-amount', 'modal-rule-escalation-percent', 'modal-rule-escalation-anchor'].forEach(id => {
+      document.getElementById(id).addEventListener('input', renderAmountTimeline);
+    });
+    
+    renderAmountSteps();
   }
 
-  function updateRecurrenceParams(type, currentRec = null) {
-    const container = document.getElementById('rec-params');
-    
-    switch (type) {
-      case 'monthly_day':
-        container.innerHTML = `
-          <label class="form-label">Day of month</label>
-          <input type="number" class="form-control" id="rec-day" min="1" max="31" value="${currentRec?.day || 1}">
-        `;
-        break;
-      case 'semimonthly_days':
-        container.innerHTML = `
-          <div class="row">
-            <div class="col-6">
-              <label class="form-label">First day</label>
-              <input type="number" class="form-control" id="rec-day1" min="1" max="31" value="${currentRec?.day1 || 1}">
-            </div>
-            <div class="col-6">
-              <label class="form-label">Second day</label>
-              <input type="number" class="form-control" id="rec-day2" min="1" max="31" value="${currentRec?.day2 || 15}">
-            </div>
-          </div>
-        `;
-        break;
-      case 'biweekly_anchor':
-        container.innerHTML = `
-          <label class="form-label">Anchor date</label>
-          <input type="date" class="form-control" id="rec-anchor" value="${currentRec?.anchorDate || DateTime.now().toISODate()}">
-          <div class="form-text">Every 2 weeks from this date</div>
-        `;
-        break;
-      case 'weekly_dow':
-        container.innerHTML = `
-          <label class="form-label">Day of week</label>
-          <select class="form-select" id="rec-dow">
-            <option value="0" ${currentRec?.dayOfWeek === 0 ? 'selected' : ''}>Monday</option>
-            <option value="1" ${currentRec?.dayOfWeek === 1 ? 'selected' : ''}>Tuesday</option>
-            <option value="2" ${currentRec?.dayOfWeek === 2 ? 'selected' : ''}>Wednesday</option>
-            <option value="3" ${currentRec?.dayOfWeek === 3 ? 'selected' : ''}>Thursday</option>
-            <option value="4" ${currentRec?.dayOfWeek === 4 ? 'selected' : ''}>Friday</option>
-            <option value="5" ${currentRec?.dayOfWeek === 5 ? 'selected' : ''}>Saturday</option>
-            <option value="6" ${currentRec?.dayOfWeek === 6 ? 'selected' : ''}>Sunday</option>
-          </select>
-        `;
-        break;
-    }
+  function getEscalationFromForm() {
+    const percent = parseFloat(document.getElementById('modal-rule-escalation-percent').value);
+    if (!percent) return undefined;
+    return {
+      percent,
+      anchorDate: document.getElementById('modal-rule-escalation-anchor').value || undefined
+    };
   }
 
-  function getRecurrenceFromForm(type) {
-    switch (type) {
-      case 'monthly_day':
-        return { type, day: parseInt(document.getElementById('rec-day').value, 10) || 1 };
-      case 'semimonthly_days':
-        return { 
-          type, 
-          day1: parseInt(document.getElementById('rec-day1').value, 10) || 1,
-          day2: parseInt(document.getElementById('rec-day2').value, 10) || 15
-        };
-      case 'biweekly_anchor':
-        return { type, anchorDate: document.getElementById('rec-anchor').value };
-      case 'weekly_dow':
-        return { type, dayOfWeek: parseInt(document.getElementById('rec-dow').value, 10) || 0 };
-      default:
-        return { type: 'monthly_day', day: 1 };
-    }
+  function getVariabilityFromForm() {
+    const type = document.getElementById('modal-rule-var-type').value;
+    const number = id => {
+      const value = parseFloat(document.getElementById(id).value);
+      return isNaN(value) ? undefined : value;
+    };
+    
+    return FSS.Schema.createVariability({
+      type: type || undefined,
+      min: number('modal-rule-var-min'),
+      max: number('modal-rule-var-max'),
+      stdDev: number('modal-rule-var-stddev'),
+      samples: document.getElementById('modal-rule-var-samples').value
+        .split(',')
+        .map(s => parseFloat(s.trim()))
+        .filter(n => !isNaN(n)),
+      jitterDays: parseInt(document.getElementById('modal-rule-var-jitter').value, 10) || 0
+    }) || undefined;
+  }
+
+  function describeRuleException(exception) {
+    if (exception.skip) return 'Skipped';
+    const parts = [];
+    if (exception.moveTo) parts.push(`Moved to ${FSS.App.formatDate(exception.moveTo)}`);
+    if (typeof exception.amount === 'number') parts.push(`Amount ${FSS.App.formatCurrency(exception.amount)}`);
+    return parts.join(', ');
   }
 
   function showOneOffModal(oneOffId = null) {
@@ -865,19 +1619,37 @@ FSS.UI.Builder = (function() {
   function showDebtModal(debtId = null) {
     const debt = debtId ? FSS.Model.getDebt(debtId) : null;
     const isNew = !debt;
+    let pendingLumpSums = (debt?.lumpSums || []).map(ls => ({ ...ls }));
+    let pendingRecasts = (debt?.loan?.recasts || []).map(r => ({ ...r }));
+    let pendingRates = (debt?.aprSchedule || []).map(step => ({ ...step }));
+    let pendingExtras = (debt?.recurringExtras || []).map(extra => ({ ...extra }));
+    const loan = debt?.loan || {};
+    const promo = debt?.promo || {};
     
     const ruleOptions = FSS.Model.getExpenseRules()
       .map(r => `<option value="${r.id}" ${debt?.minPaymentRuleId === r.id ? 'selected' : ''}>${r.name}</option>`)
       .join('');
     
+    const accountOptions = FSS.Model.getAccountOptions()
+      .filter(a => a.type !== 'credit_card')
+      .map(a => `<option value="${a.value}" ${debt?.paymentAccountId === a.value ? 'selected' : ''}>${a.label}</option>`)
+      .join('');
+    
     const bodyHTML = `
       <div class="mb-3">
         <label class="form-label">Debt Name</label>
         <input type="text" class="form-control" id="modal-debt-name" value="${debt?.name || ''}" required>
       </div>
+      <div class="mb-3">
+        <label class="form-label">Type</label>
+        <select class="form-select" id="modal-debt-type">
+          <option value="revolving" ${debt?.type !== 'installment' ? 'selected' : ''}>Revolving (credit card, line of credit)</option>
+          <option value="installment" ${debt?.type === 'installment' ? 'selected' : ''}>Installment loan (mortgage, auto, student)</option>
+        </select>
+      </div>
       <div class="row mb-3">
         <div class="col-6">
-          <label class="form-label">Principal Balance</label>
+          <label class="form-label" id="modal-debt-principal-label">Principal Balance</label>
           <div class="input-group">
             <span class="input-group-text">$</span>
             <input type="number" step="0.01" class="form-control" id="modal-debt-principal" value="${debt?.principal || 0}">
@@ -891,7 +1663,101 @@ FSS.UI.Builder = (function() {
           </div>
         </div>
       </div>
+      <div class="mb-2">
+        <div class="form-check">
+          <input type="checkbox" class="form-check-input" id="modal-debt-has-promo" ${debt?.promo ? 'checked' : ''}>
+          <label class="form-check-label" for="modal-debt-has-promo">Promotional rate</label>
+        </div>
+      </div>
+      <div class="mb-3 d-none" id="modal-debt-promo-fields">
+        <div class="row g-2">
+          <div class="col-3">
+            <label class="form-label small">Promo APR (%)</label>
+            <input type="number" step="0.1" min="0" class="form-control form-control-sm" id="modal-debt-promo-apr" value="${promo.apr || 0}">
+          </div>
+          <div class="col-3">
+            <label class="form-label small">Starts</label>
+            <input type="date" class="form-control form-control-sm" id="modal-debt-promo-start" value="${promo.startDate || DateTime.now().toISODate()}">
+          </div>
+          <div class="col-3">
+            <label class="form-label small">Ends</label>
+            <input type="date" class="form-control form-control-sm" id="modal-debt-promo-end" value="${promo.endDate || ''}">
+          </div>
+          <div class="col-3">
+            <label class="form-label small">Transfer fee (%)</label>
+            <input type="number" step="0.1" min="0" max="100" class="form-control form-control-sm" id="modal-debt-promo-fee" value="${promo.transferFeePercent || 0}">
+          </div>
+        </div>
+        <div class="form-text">The APR above is the go-to rate once the promo ends. The fee is added to the balance on the start date.</div>
+      </div>
       <div class="mb-3">
+        <label class="form-label">Rate Changes</label>
+        <div id="modal-debt-rate-steps"></div>
+        <div class="row g-2 mt-1">
+          <div class="col-5">
+            <input type="date" class="form-control form-control-sm" id="modal-debt-rate-date">
+          </div>
+          <div class="col-5">
+            <input type="number" step="0.01" min="0" class="form-control form-control-sm" id="modal-debt-rate-apr" placeholder="APR %">
+          </div>
+          <div class="col-2">
+            <button type="button" class="btn btn-sm btn-outline-primary w-100" id="modal-debt-rate-add">
+              <i class="bi bi-plus"></i>
+            </button>
+          </div>
+        </div>
+        <div class="form-text">Each new APR applies from its date (variable-rate debts)</div>
+      </div>
+      <div class="d-none" id="modal-debt-loan-fields">
+        <div class="row mb-3">
+          <div class="col-4">
+            <label class="form-label">Term (months)</label>
+            <input type="number" min="1" max="600" class="form-control" id="modal-debt-term" value="${loan.termMonths || 360}">
+          </div>
+          <div class="col-4">
+            <label class="form-label">First payment</label>
+            <input type="date" class="form-control" id="modal-debt-first-payment" value="${loan.firstPaymentDate || DateTime.now().toISODate()}">
+          </div>
+          <div class="col-4">
+            <label class="form-label">Escrow / month</label>
+            <div class="input-group">
+              <span class="input-group-text">$</span>
+              <input type="number" step="0.01" min="0" class="form-control" id="modal-debt-escrow" value="${loan.escrow || 0}">
+            </div>
+          </div>
+        </div>
+        <div class="mb-3">
+          <label class="form-label">Recasts</label>
+          <div id="modal-debt-recasts"></div>
+          <div class="row g-2 mt-1">
+            <div class="col-10">
+              <input type="date" class="form-control form-control-sm" id="modal-debt-recast-date">
+            </div>
+            <div class="col-2">
+              <button type="button" class="btn btn-sm btn-outline-primary w-100" id="modal-debt-recast-add">
+                <i class="bi bi-plus"></i>
+              </button>
+            </div>
+          </div>
+          <div class="form-text">The payment is recomputed from the remaining balance over the remaining term after the payment following each date</div>
+        </div>
+        <div class="small text-muted mb-3" id="modal-debt-loan-preview"></div>
+      </div>
+      <div class="row mb-3" id="modal-debt-interest-fields">
+        <div class="col-7">
+          <label class="form-label">Interest</label>
+          <select class="form-select" id="modal-debt-interest-method">
+            <option value="monthly" ${debt?.interestMethod !== 'daily_balance' ? 'selected' : ''}>Monthly on the balance</option>
+            <option value="daily_balance" ${debt?.interestMethod === 'daily_balance' ? 'selected' : ''}>Average daily balance</option>
+          </select>
+        </div>
+        <div class="col-5" id="modal-debt-statement-day-field">
+          <label class="form-label">Statement closes</label>
+          <input type="number" min="1" max="31" class="form-control" id="modal-debt-statement-day" value="${debt?.statementDay || 1}">
+        </div>
+        <div class="form-text">With average daily balance, money paid earlier in the statement cycle saves more interest</div>
+      </div>
+      <div class="mb-3" id="modal-debt-min-rule-field">
         <label class="form-label">Minimum Payment Rule</label>
         <select class="form-select" id="modal-debt-min-rule">
           <option value="">None (manual tracking)</option>
@@ -900,12 +1766,78 @@ FSS.UI.Builder = (function() {
         <div class="form-text">Link to an existing expense rule for minimum payment</div>
       </div>
       <div class="mb-3">
-        <label class="form-label">Extra Monthly Payment</label>
+        <label class="form-label" id="modal-debt-extra-label">Extra Monthly Payment</label>
         <div class="input-group">
           <span class="input-group-text">$</span>
           <input type="number" step="0.01" class="form-control" id="modal-debt-extra" value="${debt?.extraMonthlyPayment || 0}">
         </div>
       </div>
+      <div class="mb-3">
+        <label class="form-label">Lump Sum Payments</label>
+        <div id="modal-debt-lump-sums"></div>
+        <div class="row g-2 mt-1">
+          <div class="col-4">
+            <input type="date" class="form-control form-control-sm" id="modal-debt-lump-date">
+          </div>
+          <div class="col-3">
+            <input type="number" step="0.01" min="0" class="form-control form-control-sm" id="modal-debt-lump-amount" placeholder="Amount">
+          </div>
+          <div class="col-3">
+            <input type="text" class="form-control form-control-sm" id="modal-debt-lump-note" placeholder="Note">
+          </div>
+          <div class="col-2">
+            <button type="button" class="btn btn-sm btn-outline-primary w-100" id="modal-debt-lump-add">
+              <i class="bi bi-plus"></i>
+            </button>
+          </div>
+        </div>
+      </div>
+      <div class="mb-3">
+        <label class="form-label">Recurring Extra Payments</label>
+        <div id="modal-debt-recurring-extras"></div>
+        <div class="row g-2 mt-1">
+          <div class="col-5">
+            <input type="text" class="form-control form-control-sm" id="modal-debt-rx-name" placeholder="Name (e.g., Tax refund)">
+          </div>
+          <div class="col-4">
+            <input type="number" step="0.01" min="0" class="form-control form-control-sm" id="modal-debt-rx-amount" placeholder="Amount">
+          </div>
+          <div class="col-3">
+            <button type="button" class="btn btn-sm btn-outline-primary w-100" id="modal-debt-rx-add">
+              <i class="bi bi-plus"></i> Add
+            </button>
+          </div>
+          <div class="col-12">
+            <select class="form-select form-select-sm" id="modal-debt-rx-rec-type">
+              ${FSS.UI.RecurrenceForm.getTypeOptions('yearly_date')}
+            </select>
+          </div>
+          <div class="col-12 small" id="rec-params"></div>
+        </div>
+        <div class="form-text">Paid on every occurrence until the debt is paid off (e.g., a bonus each March)</div>
+      </div>
+      <hr>
+      <div class="mb-3">
+        <div class="form-check">
+          <input type="checkbox" class="form-check-input" id="modal-debt-generate" ${debt?.generatePayments ? 'checked' : ''}>
+          <label class="form-check-label" for="modal-debt-generate">Post payments to the ledger</label>
+        </div>
+        <div class="form-text">Minimum, extra, lump sum and recurring extra payments appear as outflows and drive the payoff schedule</div>
+      </div>
+      <div class="row mb-3" id="modal-debt-payment-fields">
+        <div class="col-6">
+          <label class="form-label">Pay from</label>
+          <select class="form-select" id="modal-debt-account">
+            <option value="">Default checking</option>
+            ${accountOptions}
+          </select>
+        </div>
+        <div class="col-6" id="modal-debt-payment-day-field">
+          <label class="form-label">Payment day</label>
+          <input type="number" min="1" max="31" class="form-control" id="modal-debt-payment-day" value="${debt?.paymentDay || 1}">
+          <div class="form-text">Extra payments, and the minimum if no rule is linked</div>
+        </div>
+      </div>
     `;
     
     createModal('debt-modal', isNew ? 'Add Debt' : 'Edit Debt', bodyHTML, () => {
@@ -915,12 +1847,43 @@ FSS.UI.Builder = (function() {
         return false;
       }
       
+      const paymentDay = parseInt(document.getElementById('modal-debt-payment-day').value, 10);
+      if (!(paymentDay >= 1 && paymentDay <= 31)) {
+        FSS.App.showToast('Payment day must be between 1 and 31', 'error');
+        return false;
+      }
+      
+      const type = document.getElementById('modal-debt-type').value;
+      const loanSettings = type === 'installment' ? getLoanFromForm() : undefined;
+      if (loanSettings === null) return false;
+      
+      const promoSettings = getPromoFromForm();
+      if (promoSettings === null) return false;
+      
+      const interestMethod = type === 'installment' ? 'monthly' : document.getElementById('modal-debt-interest-method').value;
+      const statementDay = parseInt(document.getElementById('modal-debt-statement-day').value, 10);
+      if (interestMethod === 'daily_balance' && !(statementDay >= 1 && statementDay <= 31)) {
+        FSS.App.showToast('Statement closing day must be between 1 and 31', 'error');
+        return false;
+      }
+      
       const data = {
         name,
+        type,
+        loan: loanSettings,
         principal: parseFloat(document.getElementById('modal-debt-principal').value) || 0,
         apr: parseFloat(document.getElementById('modal-debt-apr').value) || 0,
+        promo: promoSettings,
+        aprSchedule: pendingRates.length > 0 ? pendingRates : undefined,
+        interestMethod: interestMethod === 'daily_balance' ? interestMethod : undefined,
+        statementDay: interestMethod === 'daily_balance' ? statementDay : undefined,
         minPaymentRuleId: document.getElementById('modal-debt-min-rule').value || '',
-        extraMonthlyPayment: parseFloat(document.getElementById('modal-debt-extra').value) || 0
+        extraMonthlyPayment: parseFloat(document.getElementById('modal-debt-extra').value) || 0,
+        lumpSums: pendingLumpSums,
+        recurringExtras: pendingExtras.length > 0 ? pendingExtras : undefined,
+        generatePayments: document.getElementById('modal-debt-generate').checked,
+        paymentAccountId: document.getElementById('modal-debt-account').value || '',
+        paymentDay
       };
       
       if (isNew) {
@@ -933,6 +1896,318 @@ FSS.UI.Builder = (function() {
       
       return true;
     });
+    
+    // Lump sums (take effect when the debt is saved)
+    const renderLumpSums = () => {
+      const container = document.getElementById('modal-debt-lump-sums');
+      
+      if (pendingLumpSums.length === 0) {
+        container.innerHTML = '<div class="text-muted small">No lump sums</div>';
+        renderLoanPreview();
+        return;
+      }
+      
+      container.innerHTML = pendingLumpSums.map((lumpSum, i) => `
+        <div class="d-flex justify-content-between align-items-center small border-bottom py-1">
+          <span>
+            <span class="mono">${FSS.App.formatDate(lumpSum.date)}</span>
+            <span class="mono ms-2">${FSS.App.formatCurrency(lumpSum.amount)}</span>
+            ${lumpSum.note ? `<span class="text-muted ms-2">${lumpSum.note}</span>` : ''}
+          </span>
+          <button type="button" class="btn btn-sm btn-outline-danger" data-lump-index="${i}">
+            <i class="bi bi-x"></i>
+          </button>
+        </div>
+      `).join('');
+      
+      container.querySelectorAll('[data-lump-index]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          pendingLumpSums.splice(parseInt(btn.dataset.lumpIndex, 10), 1);
+          renderLumpSums();
+        });
+      });
+      
+      renderLoanPreview();
+    };
+    
+    document.getElementById('modal-debt-lump-add').addEventListener('click', () => {
+      const date = document.getElementById('modal-debt-lump-date').value;
+      const amount = parseFloat(document.getElementById('modal-debt-lump-amount').value);
+      const note = document.getElementById('modal-debt-lump-note').value.trim();
+      
+      if (!date || !(amount > 0)) {
+        FSS.App.showToast('Enter a date and a positive amount for the lump sum', 'error');
+        return;
+      }
+      
+      pendingLumpSums.push({ date, amount, ...(note ? { note } : {}) });
+      pendingLumpSums.sort((a, b) => a.date.localeCompare(b.date));
+      
+      document.getElementById('modal-debt-lump-date').value = '';
+      document.getElementById('modal-debt-lump-amount').value = '';
+      document.getElementById('modal-debt-lump-note').value = '';
+      renderLumpSums();
+    });
+    
+    // Recurring extra payments (take effect when the debt is saved)
+    const renderRecurringExtras = () => {
+      const container = document.getElementById('modal-debt-recurring-extras');
+      
+      if (pendingExtras.length === 0) {
+        container.innerHTML = '<div class="text-muted small">No recurring extra payments</div>';
+        renderLoanPreview();
+        return;
+      }
+      
+      container.innerHTML = pendingExtras.map((extra, i) => `
+        <div class="d-flex justify-content-between align-items-center small border-bottom py-1">
+          <span>
+            ${extra.name}
+            <span class="mono ms-2">${FSS.App.formatCurrency(extra.amount)}</span>
+            <span class="text-muted ms-2">${FSS.Recurrence.describeRecurrence(extra.recurrence)}</span>
+          </span>
+          <button type="button" class="btn btn-sm btn-outline-danger" data-extra-index="${i}">
+            <i class="bi bi-x"></i>
+          </button>
+        </div>
+      `).join('');
+      
+      container.querySelectorAll('[data-extra-index]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          pendingExtras.splice(parseInt(btn.dataset.extraIndex, 10), 1);
+          renderRecurringExtras();
+        });
+      });
+      
+      renderLoanPreview();
+    };
+    
+    document.getElementById('modal-debt-rx-rec-type').addEventListener('change', (e) => {
+      FSS.UI.RecurrenceForm.renderParams(e.target.value);
+    });
+    
+    document.getElementById('modal-debt-rx-add').addEventListener('click', () => {
+      const name = document.getElementById('modal-debt-rx-name').value.trim();
+      const amount = parseFloat(document.getElementById('modal-debt-rx-amount').value);
+      if (!name || !(amount > 0)) {
+        FSS.App.showToast('Enter a name and an amount greater than 0', 'error');
+        return;
+      }
+      
+      const recType = document.getElementById('modal-debt-rx-rec-type').value;
+      pendingExtras.push({ name, amount, recurrence: FSS.UI.RecurrenceForm.readRecurrence(recType) });
+      document.getElementById('modal-debt-rx-name').value = '';
+      document.getElementById('modal-debt-rx-amount').value = '';
+      renderRecurringExtras();
+    });
+    
+    // Promotional rate and rate changes
+    const getPromoFromForm = () => {
+      if (!document.getElementById('modal-debt-has-promo').checked) return undefined;
+      
+      const startDate = document.getElementById('modal-debt-promo-start').value;
+      const endDate = document.getElementById('modal-debt-promo-end').value;
+      if (!endDate) {
+        FSS.App.showToast('Promo end date is required', 'error');
+        return null;
+      }
+      if (startDate && startDate > endDate) {
+        FSS.App.showToast('Promo end date must be on or after its start date', 'error');
+        return null;
+      }
+      
+      return {
+        apr: parseFloat(document.getElementById('modal-debt-promo-apr').value) || 0,
+        startDate,
+        endDate,
+        transferFeePercent: parseFloat(document.getElementById('modal-debt-promo-fee').value) || 0
+      };
+    };
+    
+    const renderRateSteps = () => {
+      const container = document.getElementById('modal-debt-rate-steps');
+      
+      if (pendingRates.length === 0) {
+        container.innerHTML = '<div class="text-muted small">No scheduled rate changes</div>';
+      } else {
+        container.innerHTML = pendingRates.map((step, i) => `
+          <div class="d-flex justify-content-between align-items-center small border-bottom py-1">
+            <span>
+              <span class="mono">${FSS.App.formatDate(step.effectiveDate)}</span>
+              <span class="mono ms-2">${step.apr}%</span>
+            </span>
+            <button type="button" class="btn btn-sm btn-outline-danger" data-rate-index="${i}">
+              <i class="bi bi-x"></i>
+            </button>
+          </div>
+        `).join('');
+        
+        container.querySelectorAll('[data-rate-index]').forEach(btn => {
+          btn.addEventListener('click', () => {
+            pendingRates.splice(parseInt(btn.dataset.rateIndex, 10), 1);
+            renderRateSteps();
+          });
+        });
+      }
+      
+      renderLoanPreview();
+    };
+    
+    document.getElementById('modal-debt-rate-add').addEventListener('click', () => {
+      const effectiveDate = document.getElementById('modal-debt-rate-date').value;
+      const apr = parseFloat(document.getElementById('modal-debt-rate-apr').value);
+      
+      if (!effectiveDate || !(apr >= 0)) {
+        FSS.App.showToast('Enter a date and APR for the rate change', 'error');
+        return;
+      }
+      
+      pendingRates = pendingRates.filter(step => step.effectiveDate !== effectiveDate);
+      pendingRates.push({ effectiveDate, apr });
+      pendingRates.sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+      
+      document.getElementById('modal-debt-rate-date').value = '';
+      document.getElementById('modal-debt-rate-apr').value = '';
+      renderRateSteps();
+    });
+    
+    const toggleStatementDay = () => {
+      const dailyBalance = document.getElementById('modal-debt-interest-method').value === 'daily_balance';
+      document.getElementById('modal-debt-statement-day-field').classList.toggle('d-none', !dailyBalance);
+    };
+    document.getElementById('modal-debt-interest-method').addEventListener('change', toggleStatementDay);
+    
+    const togglePromoFields = () => {
+      const hasPromo = document.getElementById('modal-debt-has-promo').checked;
+      document.getElementById('modal-debt-promo-fields').classList.toggle('d-none', !hasPromo);
+    };
+    document.getElementById('modal-debt-has-promo').addEventListener('change', togglePromoFields);
+    
+    const togglePaymentFields = () => {
+      const generate = document.getElementById('modal-debt-generate').checked;
+      document.getElementById('modal-debt-payment-fields').classList.toggle('d-none', !generate);
+    };
+    document.getElementById('modal-debt-generate').addEventListener('change', togglePaymentFields);
+    
+    // Installment loan fields
+    const renderRecasts = () => {
+      const container = document.getElementById('modal-debt-recasts');
+      
+      if (pendingRecasts.length === 0) {
+        container.innerHTML = '<div class="text-muted small">No recasts</div>';
+      } else {
+        container.innerHTML = pendingRecasts.map((recast, i) => `
+          <div class="d-flex justify-content-between align-items-center small border-bottom py-1">
+            <span class="mono">${FSS.App.formatDate(recast.date)}</span>
+            <button type="button" class="btn btn-sm btn-outline-danger" data-recast-index="${i}">
+              <i class="bi bi-x"></i>
+            </button>
+          </div>
+        `).join('');
+        
+        container.querySelectorAll('[data-recast-index]').forEach(btn => {
+          btn.addEventListener('click', () => {
+            pendingRecasts.splice(parseInt(btn.dataset.recastIndex, 10), 1);
+            renderRecasts();
+          });
+        });
+      }
+      
+      renderLoanPreview();
+    };
+    
+    const renderLoanPreview = () => {
+      const container = document.getElementById('modal-debt-loan-preview');
+      const loanSettings = getLoanFromForm(false);
+      if (!loanSettings) {
+        container.textContent = '';
+        return;
+      }
+      
+      const preview = {
+        type: 'installment',
+        principal: parseFloat(document.getElementById('modal-debt-principal').value) || 0,
+        apr: parseFloat(document.getElementById('modal-debt-apr').value) || 0,
+        aprSchedule: pendingRates,
+        extraMonthlyPayment: parseFloat(document.getElementById('modal-debt-extra').value) || 0,
+        lumpSums: pendingLumpSums,
+        recurringExtras: pendingExtras,
+        loan: loanSettings
+      };
+      const projection = FSS.Debt.projectPayoff(preview);
+      if (!projection.isPaidOff) {
+        container.textContent = projection.message;
+        return;
+      }
+      
+      const escrowText = loanSettings.escrow > 0 ? ` + ${FSS.App.formatCurrency(loanSettings.escrow)} escrow` : '';
+      container.innerHTML = `
+        Payment: <span class="mono">${FSS.App.formatCurrency(projection.monthlyPayment)}</span> principal &amp; interest${escrowText}<br>
+        ${projection.message} · <span class="mono">${FSS.App.formatCurrency(projection.totalInterest)}</span> interest
+      `;
+    };
+    
+    // Read loan settings; shows errors and returns null when invalid (quietly for previews)
+    const getLoanFromForm = (showErrors = true) => {
+      const termMonths = parseInt(document.getElementById('modal-debt-term').value, 10);
+      const firstPaymentDate = document.getElementById('modal-debt-first-payment').value;
+      
+      if (!(termMonths >= 1 && termMonths <= 600)) {
+        if (showErrors) FSS.App.showToast('Term must be between 1 and 600 months', 'error');
+        return null;
+      }
+      if (!firstPaymentDate) {
+        if (showErrors) FSS.App.showToast('First payment date is required', 'error');
+        return null;
+      }
+      
+      return {
+        termMonths,
+        firstPaymentDate,
+        escrow: parseFloat(document.getElementById('modal-debt-escrow').value) || 0,
+        recasts: pendingRecasts.length > 0 ? pendingRecasts : undefined
+      };
+    };
+    
+    document.getElementById('modal-debt-recast-add').addEventListener('click', () => {
+      const date = document.getElementById('modal-debt-recast-date').value;
+      if (!date) {
+        FSS.App.showToast('Enter a recast date', 'error');
+        return;
+      }
+      
+      pendingRecasts = pendingRecasts.filter(r => r.date !== date);
+      pendingRecasts.push({ date });
+      pendingRecasts.sort((a, b) => a.date.localeCompare(b.date));
+      document.getElementById('modal-debt-recast-date').value = '';
+      renderRecasts();
+    });
+    
+    ['modal-debt-principal', 'modal-debt-apr', 'modal-debt-extra', 'modal-debt-term', 'modal-debt-first-payment', 'modal-debt-escrow'].forEach(id => {
+      document.getElementById(id).addEventListener('input', renderLoanPreview);
+    });
+    
+    const toggleTypeFields = () => {
+      const isInstallment = document.getElementById('modal-debt-type').value === 'installment';
+      document.getElementById('modal-debt-loan-fields').classList.toggle('d-none', !isInstallment);
+      document.getElementById('modal-debt-min-rule-field').classList.toggle('d-none', isInstallment);
+      document.getElementById('modal-debt-interest-fields').classList.toggle('d-none', isInstallment);
+      document.getElementById('modal-debt-payment-day-field').classList.toggle('d-none', isInstallment);
+      document.getElementById('modal-debt-principal-label').textContent = isInstallment ? 'Original Loan Amount' : 'Principal Balance';
+      document.getElementById('modal-debt-extra-label').textContent = isInstallment ? 'Extra Principal per Payment' : 'Extra Monthly Payment';
+      if (isInstallment) renderLoanPreview();
+    };
+    document.getElementById('modal-debt-type').addEventListener('change', toggleTypeFields);
+    
+    togglePaymentFields();
+    toggleStatementDay();
+    togglePromoFields();
+    toggleTypeFields();
+    FSS.UI.RecurrenceForm.renderParams(document.getElementById('modal-debt-rx-rec-type').value);
+    renderLumpSums();
+    renderRecurringExtras();
+    renderRecasts();
+    renderRateSteps();
   }
 
   // === Delete Functions ===
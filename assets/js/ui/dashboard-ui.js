@@ -18,6 +18,12 @@ FSS.UI.Dashboard = (function() {
   // State
   let dashboardData = null;
   let selectedMonth = null;
+  let accountView = null;
+  let monteCarlo = null; // Simulated balance bands for the current model and account view
+  let varianceMonth = null; // Past month shown in the planned vs actual table
+
+  // Line colors for per-account series in the all-accounts view
+  const ACCOUNT_COLORS = ['#3fb950', '#a371f7', '#f0883e', '#db61a2', '#39c5cf', '#e3b341'];
 
   /**
    * Initialize the dashboard UI
@@ -34,6 +40,9 @@ FSS.UI.Dashboard = (function() {
    */
   function setupEventListeners() {
     document.getElementById('month-selector')?.addEventListener('change', handleMonthChange);
+    document.getElementById('account-selector')?.addEventListener('change', handleAccountChange);
+    document.getElementById('toggle-monte-carlo')?.addEventListener('change', handleMonteCarloToggle);
+    document.getElementById('variance-month')?.addEventListener('change', handleVarianceMonthChange);
   }
 
   /**
@@ -53,19 +62,24 @@ FSS.UI.Dashboard = (function() {
 
     // Check for scenario and apply if exists
     let effectiveModel = model;
-    if (FSS.Storage.hasScenarioDraft() && FSS.Overlay) {
-      const scenario = FSS.Storage.loadScenarioDraft();
+    if (FSS.Storage.hasActiveScenario() && FSS.Overlay) {
+      const scenario = FSS.Storage.loadActiveScenario();
       effectiveModel = FSS.Overlay.applyScenario(model, scenario);
     }
 
-    // Get dashboard data
-    dashboardData = FSS.Summary.getDashboardData(effectiveModel, selectedMonth);
+    // Get dashboard data for the selected account (or all accounts)
+    accountView = FSS.App.getAccountView(effectiveModel);
+    dashboardData = FSS.Summary.getDashboardData(effectiveModel, selectedMonth, { accountId: accountView });
+    updateMonteCarlo(effectiveModel);
     
-    // Populate month selector
+    // Populate selectors
+    populateAccountSelector(effectiveModel);
     populateMonthSelector();
     
     // Render all components
     renderSummaryCards();
+    renderCardStatements();
+    renderVariance(model);
     renderIncomeExpenseBreakdown();
     renderCharts();
     
@@ -73,6 +87,72 @@ FSS.UI.Dashboard = (function() {
     document.getElementById('empty-state')?.classList.add('d-none');
   }
 
+  /**
+   * Simulate balance bands when the likely range is switched on
+   * Switching months reuses the last simulation; the chart does not change
+   */
+  function updateMonteCarlo(model) {
+    const enabled = !!FSS.Storage.loadUIState().showMonteCarlo;
+    const toggle = document.getElementById('toggle-monte-carlo');
+    if (toggle) toggle.checked = enabled;
+    
+    if (!enabled || !FSS.MonteCarlo) {
+      monteCarlo = null;
+      return;
+    }
+    if (monteCarlo && monteCarlo.accountView === accountView) return;
+    
+    if (!FSS.MonteCarlo.hasVariability(model)) {
+      monteCarlo = { accountView, result: null };
+      return;
+    }
+    
+    monteCarlo = {
+      accountView,
+      result: FSS.MonteCarlo.simulate(model, {
+        accountId: accountView,
+        dates: dashboardData.charts.balance.labels
+      })
+    };
+  }
+
+  /**
+   * Handle switching the likely range on or off
+   */
+  function handleMonteCarloToggle(e) {
+    FSS.Storage.updateUIState('showMonteCarlo', e.target.checked);
+    monteCarlo = null;
+    loadDashboard();
+  }
+
+  /**
+   * Show the chance of dropping below the floor under the chart
+   */
+  function renderMonteCarloSummary() {
+    const el = document.getElementById('monte-carlo-summary');
+    if (!el) return;
+    
+    if (!monteCarlo) {
+      el.classList.add('d-none');
+      return;
+    }
+    
+    el.classList.remove('d-none');
+    const result = monteCarlo.result;
+    if (!result) {
+      el.textContent = 'No rule varies yet. Add a range, spread or past amounts to rules in the Builder to see a likely range.';
+      return;
+    }
+    
+    const chance = Math.round(result.probabilityBelowFloor * 100);
+    el.innerHTML = `
+      <span class="${chance > 0 ? 'text-warning' : 'text-income'}">${chance}% chance</span>
+      of dropping below the ${FSS.App.formatCurrency(result.floor)} floor
+      · lowest balance ${FSS.App.formatCurrency(result.minBalance.p10)} (P10) to ${FSS.App.formatCurrency(result.minBalance.p90)} (P90)
+      · ${result.runs} simulations
+    `;
+  }
+
   /**
    * Populate month selector dropdown
    */
@@ -85,6 +165,23 @@ FSS.UI.Dashboard = (function() {
       .join('');
   }
 
+  /**
+   * Populate account view selector
+   */
+  function populateAccountSelector(model) {
+    const selector = document.getElementById('account-selector');
+    if (!selector) return;
+    selector.innerHTML = FSS.App.getAccountViewOptions(model, accountView);
+  }
+
+  /**
+   * Handle account view change
+   */
+  function handleAccountChange(e) {
+    FSS.App.setAccountView(e.target.value);
+    loadDashboard();
+  }
+
   /**
    * Handle month selection change
    */
@@ -140,6 +237,96 @@ FSS.UI.Dashboard = (function() {
     }
   }
 
+  /**
+   * Render credit card statements closing in the selected month
+   */
+  function renderCardStatements() {
+    const section = document.getElementById('card-statements-section');
+    if (!section || !dashboardData) return;
+
+    const statements = dashboardData.cardStatements || [];
+    if (statements.length === 0) {
+      section.classList.add('d-none');
+      return;
+    }
+    section.classList.remove('d-none');
+
+    const monthStatements = statements.filter(s => s.date.startsWith(selectedMonth));
+    const tbody = document.getElementById('card-statements-body');
+
+    if (monthStatements.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No statements close this month</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = monthStatements.map(s => `
+      <tr>
+        <td>${s.accountName}</td>
+        <td class="mono">${FSS.App.formatDate(s.date)}</td>
+        <td class="text-end mono text-expense">${FSS.App.formatCurrency(s.statementBalance)}</td>
+        <td class="mono">${FSS.App.formatDate(s.dueDate)}</td>
+        <td class="text-end mono">
+          ${FSS.App.formatCurrency(s.paymentAmount)}
+          <div class="small text-muted">${s.autopay === 'minimum' ? 'Minimum' : s.autopay === 'fixed' ? 'Fixed' : 'Statement balance'}</div>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * Render planned vs actual amounts by category for a past month
+   * Compares against the base model, since a scenario's changes were never planned
+   */
+  function renderVariance(model) {
+    const section = document.getElementById('variance-section');
+    if (!section || !FSS.Actuals) return;
+
+    const months = FSS.Actuals.getPastMonths(model);
+    if (months.length === 0) {
+      section.classList.add('d-none');
+      return;
+    }
+    section.classList.remove('d-none');
+
+    if (!months.includes(varianceMonth)) {
+      varianceMonth = months[0];
+    }
+    document.getElementById('variance-month').innerHTML = months.map(m => {
+      const dt = DateTime.fromISO(m + '-01');
+      return `<option value="${m}" ${m === varianceMonth ? 'selected' : ''}>${dt.toFormat('MMMM yyyy')}</option>`;
+    }).join('');
+
+    const variance = FSS.Actuals.getVarianceByCategory(model, varianceMonth, { accountId: accountView });
+    const tbody = document.getElementById('variance-body');
+
+    if (variance.rows.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="4" class="text-center text-muted">Nothing planned or recorded this month</td></tr>';
+      return;
+    }
+
+    const formatSigned = amount => `${amount > 0 ? '+' : ''}${FSS.App.formatCurrency(amount)}`;
+    const varianceClass = amount => amount > 0 ? 'text-income' : amount < 0 ? 'text-expense' : 'text-muted';
+    const renderRow = (label, row, rowClass = '') => `
+      <tr class="${rowClass}">
+        <td>${label}</td>
+        <td class="text-end mono">${formatSigned(row.planned)}</td>
+        <td class="text-end mono">${formatSigned(row.actual)}</td>
+        <td class="text-end mono ${varianceClass(row.variance)}">${formatSigned(row.variance)}</td>
+      </tr>
+    `;
+
+    tbody.innerHTML = variance.rows.map(row => renderRow(row.category, row)).join('') +
+      renderRow('Net', variance.totals, 'fw-bold');
+  }
+
+  /**
+   * Handle planned vs actual month selection
+   */
+  function handleVarianceMonthChange(e) {
+    varianceMonth = e.target.value;
+    renderVariance(FSS.Model.get());
+  }
+
   /**
    * Render income and expense breakdowns
    */
@@ -202,7 +389,7 @@ FSS.UI.Dashboard = (function() {
     const ctx = document.getElementById('balance-chart')?.getContext('2d');
     if (!ctx) return;
 
-    const { labels, data } = dashboardData.charts.balance;
+    const { labels, data, accounts } = dashboardData.charts.balance;
 
     // Destroy existing chart
     if (balanceChart) {
@@ -216,13 +403,60 @@ FSS.UI.Dashboard = (function() {
     const settings = FSS.Model.getSettings();
     const floor = settings.safeSurplus?.floor || 2000;
 
+    // P10-P90 band with the median, drawn behind the forecast line
+    const bands = monteCarlo?.result?.bands;
+    const bandDatasets = bands ? [
+      {
+        label: 'P90',
+        data: bands.p90,
+        borderColor: 'rgba(163, 113, 247, 0.5)',
+        borderWidth: 1,
+        pointRadius: 0,
+        tension: 0.3,
+        fill: false
+      },
+      {
+        label: 'P10',
+        data: bands.p10,
+        borderColor: 'rgba(163, 113, 247, 0.5)',
+        backgroundColor: 'rgba(163, 113, 247, 0.15)',
+        borderWidth: 1,
+        pointRadius: 0,
+        tension: 0.3,
+        fill: '-1'
+      },
+      {
+        label: 'P50',
+        data: bands.p50,
+        borderColor: '#a371f7',
+        borderDash: [4, 4],
+        borderWidth: 1.5,
+        pointRadius: 0,
+        tension: 0.3,
+        fill: false
+      }
+    ] : [];
+    renderMonteCarloSummary();
+
+    // Per-account lines under the combined total in the all-accounts view
+    const accountDatasets = (accounts || []).map((account, i) => ({
+      label: account.name,
+      data: account.data,
+      borderColor: ACCOUNT_COLORS[i % ACCOUNT_COLORS.length],
+      borderWidth: 1.5,
+      tension: 0.3,
+      pointRadius: 0,
+      pointHoverRadius: 4,
+      fill: false
+    }));
+
     balanceChart = new Chart(ctx, {
       type: 'line',
       data: {
         labels: formattedLabels,
         datasets: [
           {
-            label: 'Balance',
+            label: accounts ? 'Total' : 'Balance',
             data: data,
             borderColor: '#58a6ff',
             backgroundColor: 'rgba(88, 166, 255, 0.1)',
@@ -239,7 +473,9 @@ FSS.UI.Dashboard = (function() {
             borderWidth: 1,
             pointRadius: 0,
             fill: false
-          }
+          },
+          ...bandDatasets,
+          ...accountDatasets
         ]
       },
       options: {
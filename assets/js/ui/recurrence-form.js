@@ -0,0 +1,238 @@
+/**
+ * Finance Scenario Simulator - Recurrence Form
+ * Recurrence type picker and parameter fields shared by the Builder and Scenario Lab
+ */
+
+var FSS = window.FSS || {};
+FSS.UI = FSS.UI || {};
+
+FSS.UI.RecurrenceForm = (function() {
+  'use strict';
+
+  const { DateTime } = luxon;
+
+  const TYPE_LABELS = {
+    monthly_day: 'Monthly on day',
+    semimonthly_days: 'Semi-monthly',
+    biweekly_anchor: 'Biweekly',
+    weekly_dow: 'Weekly',
+    quarterly: 'Quarterly',
+    yearly_date: 'Yearly on date',
+    every_n_months: 'Every N months',
+    monthly_nth_weekday: 'Monthly on nth weekday',
+    monthly_last_day: 'Monthly on last day',
+    monthly_business_day: 'Monthly on nth business day'
+  };
+
+  /**
+   * Options for a recurrence type select
+   */
+  function getTypeOptions(selected = 'monthly_day') {
+    return Object.entries(TYPE_LABELS)
+      .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+      .join('');
+  }
+
+  /**
+   * Render the parameter fields for a recurrence type
+   * @param {string} type - Recurrence type
+   * @param {Object} currentRec - Recurrence to prefill from
+   * @param {string} containerId - Element that holds the fields
+   */
+  function renderParams(type, currentRec = null, containerId = 'rec-params') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    switch (type) {
+      case 'monthly_day':
+        container.innerHTML = `
+          <label class="form-label">Day of month</label>
+          <input type="number" class="form-control" id="rec-day" min="1" max="31" value="${currentRec?.day || 1}">
+        `;
+        break;
+      case 'semimonthly_days':
+        container.innerHTML = `
+          <div class="row">
+            <div class="col-6">
+              <label class="form-label">First day</label>
+              <input type="number" class="form-control" id="rec-day1" min="1" max="31" value="${currentRec?.day1 || 1}">
+            </div>
+            <div class="col-6">
+              <label class="form-label">Second day</label>
+              <input type="number" class="form-control" id="rec-day2" min="1" max="31" value="${currentRec?.day2 || 15}">
+            </div>
+          </div>
+        `;
+        break;
+      case 'biweekly_anchor':
+        container.innerHTML = `
+          <label class="form-label">Anchor date</label>
+          <input type="date" class="form-control" id="rec-anchor" value="${currentRec?.anchorDate || DateTime.now().toISODate()}">
+          <div class="form-text">Every 2 weeks from this date</div>
+        `;
+        break;
+      case 'weekly_dow':
+        container.innerHTML = `
+          <label class="form-label">Day of week</label>
+          <select class="form-select" id="rec-dow">
+            <option value="0" ${currentRec?.dayOfWeek === 0 ? 'selected' : ''}>Monday</option>
+            <option value="1" ${currentRec?.dayOfWeek === 1 ? 'selected' : ''}>Tuesday</option>
+            <option value="2" ${currentRec?.dayOfWeek === 2 ? 'selected' : ''}>Wednesday</option>
+            <option value="3" ${currentRec?.dayOfWeek === 3 ? 'selected' : ''}>Thursday</option>
+            <option value="4" ${currentRec?.dayOfWeek === 4 ? 'selected' : ''}>Friday</option>
+            <option value="5" ${currentRec?.dayOfWeek === 5 ? 'selected' : ''}>Saturday</option>
+            <option value="6" ${currentRec?.dayOfWeek === 6 ? 'selected' : ''}>Sunday</option>
+          </select>
+        `;
+        break;
+      case 'yearly_date':
+        container.innerHTML = `
+          <div class="row">
+            <div class="col-6">
+              <label class="form-label">Month</label>
+              <select class="form-select" id="rec-month">${getMonthOptions(currentRec?.month)}</select>
+            </div>
+            <div class="col-6">
+              <label class="form-label">Day</label>
+              <input type="number" class="form-control" id="rec-day" min="1" max="31" value="${currentRec?.day || 1}">
+            </div>
+          </div>
+        `;
+        break;
+      case 'quarterly':
+        container.innerHTML = `
+          <div class="row">
+            <div class="col-6">
+              <label class="form-label">First month</label>
+              <select class="form-select" id="rec-month">${getMonthOptions(currentRec?.month)}</select>
+            </div>
+            <div class="col-6">
+              <label class="form-label">Day</label>
+              <input type="number" class="form-control" id="rec-day" min="1" max="31" value="${currentRec?.day || 1}">
+            </div>
+          </div>
+          <div class="form-text">Repeats every 3 months from this month</div>
+        `;
+        break;
+      case 'every_n_months':
+        container.innerHTML = `
+          <div class="row">
+            <div class="col-4">
+              <label class="form-label">Every</label>
+              <div class="input-group">
+                <input type="number" class="form-control" id="rec-interval" min="1" max="120" value="${currentRec?.interval || 6}">
+                <span class="input-group-text">mo</span>
+              </div>
+            </div>
+            <div class="col-5">
+              <label class="form-label">Starting month</label>
+              <input type="month" class="form-control" id="rec-anchor-month" value="${currentRec?.anchorMonth || DateTime.now().toFormat('yyyy-MM')}">
+            </div>
+            <div class="col-3">
+              <label class="form-label">Day</label>
+              <input type="number" class="form-control" id="rec-day" min="1" max="31" value="${currentRec?.day || 1}">
+            </div>
+          </div>
+        `;
+        break;
+      case 'monthly_nth_weekday':
+        container.innerHTML = `
+          <div class="row">
+            <div class="col-6">
+              <label class="form-label">Which</label>
+              <select class="form-select" id="rec-nth">${getNthOptions([1, 2, 3, 4, 5, -1], currentRec?.nth)}</select>
+            </div>
+            <div class="col-6">
+              <label class="form-label">Day of week</label>
+              <select class="form-select" id="rec-dow">
+                ${['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+                  .map((d, i) => `<option value="${i}" ${currentRec?.dayOfWeek === i ? 'selected' : ''}>${d}</option>`)
+                  .join('')}
+              </select>
+            </div>
+          </div>
+          <div class="form-text">Months without a 5th matching weekday are skipped</div>
+        `;
+        break;
+      case 'monthly_last_day':
+        container.innerHTML = `
+          <div class="form-text">Occurs on the last calendar day of every month</div>
+        `;
+        break;
+      case 'monthly_business_day':
+        container.innerHTML = `
+          <label class="form-label">Which business day</label>
+          <select class="form-select" id="rec-nth">${getNthOptions([1, 2, 3, 4, 5, 10, 15, -1], currentRec?.nth)}</select>
+          <div class="form-text">Counts business days using the weekend and holiday settings</div>
+        `;
+        break;
+    }
+  }
+
+  function getNthOptions(values, selected = 1) {
+    return values
+      .map(n => `<option value="${n}" ${n === (selected || 1) ? 'selected' : ''}>${n === -1 ? 'Last' : FSS.Recurrence.ordinal(n)}</option>`)
+      .join('');
+  }
+
+  function getMonthOptions(selectedMonth = 1) {
+    return Array.from({ length: 12 }, (_, i) => i + 1)
+      .map(m => `<option value="${m}" ${m === (selectedMonth || 1) ? 'selected' : ''}>${FSS.Recurrence.monthName(m)}</option>`)
+      .join('');
+  }
+
+  /**
+   * Read a recurrence of the given type from the rendered fields
+   */
+  function readRecurrence(type) {
+    switch (type) {
+      case 'monthly_day':
+        return { type, day: parseInt(document.getElementById('rec-day').value, 10) || 1 };
+      case 'semimonthly_days':
+        return { 
+          type, 
+          day1: parseInt(document.getElementById('rec-day1').value, 10) || 1,
+          day2: parseInt(document.getElementById('rec-day2').value, 10) || 15
+        };
+      case 'biweekly_anchor':
+        return { type, anchorDate: document.getElementById('rec-anchor').value };
+      case 'weekly_dow':
+        return { type, dayOfWeek: parseInt(document.getElementById('rec-dow').value, 10) || 0 };
+      case 'yearly_date':
+      case 'quarterly':
+        return FSS.Recurrence.parseRecurrence(type, {
+          month: document.getElementById('rec-month').value,
+          day: document.getElementById('rec-day').value
+        });
+      case 'every_n_months':
+        return FSS.Recurrence.parseRecurrence(type, {
+          interval: document.getElementById('rec-interval').value,
+          anchorMonth: document.getElementById('rec-anchor-month').value,
+          day: document.getElementById('rec-day').value
+        });
+      case 'monthly_nth_weekday':
+        return FSS.Recurrence.parseRecurrence(type, {
+          nth: document.getElementById('rec-nth').value,
+          dayOfWeek: document.getElementById('rec-dow').value
+        });
+      case 'monthly_last_day':
+        return FSS.Recurrence.parseRecurrence(type, {});
+      case 'monthly_business_day':
+        return FSS.Recurrence.parseRecurrence(type, {
+          nth: document.getElementById('rec-nth').value
+        });
+      default:
+        return { type: 'monthly_day', day: 1 };
+    }
+  }
+
+  // Public API
+  return {
+    TYPE_LABELS,
+    getTypeOptions,
+    renderParams,
+    readRecurrence
+  };
+})();
+
+window.FSS = FSS;
@@ -11,9 +11,32 @@ FSS.UI.Scenarios = (function() {
 
   const { DateTime } = luxon;
 
+  // Base model first, then one color per compared scenario
+  const SERIES_COLORS = ['#58a6ff', '#3fb950', '#a371f7', '#f0883e', '#db61a2', '#39c5cf', '#e3b341'];
+
+  const METRIC_LABELS = {
+    endBalance: 'End Balance',
+    minBalance: 'Minimum Balance',
+    totalIncome: 'Total Income',
+    totalExpenses: 'Total Expenses',
+    netSurplus: 'Net Surplus'
+  };
+
+  // Settings a scenario can change, by path under model.settings
+  const SETTING_OPTIONS = [
+    { path: 'forecastHorizonDays', label: 'Forecast horizon (days)' },
+    { path: 'safeSurplus.buffer', label: 'Safe surplus buffer' },
+    { path: 'safeSurplus.floor', label: 'Balance floor' }
+  ];
+
   // State
   let scenario = null;
   let baseModel = null;
+  let compareChart = null;
+  let editingIndex = null; // Operation being edited in place, if any
+  let solveResult = null; // Last goal seek answer, until it is added or the scenario changes
+  let sensitivityChart = null;
+  let sensitivityResult = null;
 
   /**
    * Initialize the scenarios UI
@@ -22,44 +45,90 @@ FSS.UI.Scenarios = (function() {
     baseModel = FSS.Model.load();
     loadScenario();
     setupEventListeners();
-    populateRuleSelects();
+    populateSelects();
     renderOperations();
     updateComparison();
     updateStatus();
   }
 
   /**
-   * Load or create scenario
+   * Load the active scenario, falling back to the first saved one or a new unsaved one
    */
   function loadScenario() {
-    scenario = FSS.Storage.loadScenarioDraft();
+    scenario = FSS.Storage.loadActiveScenario();
     if (!scenario) {
-      scenario = FSS.Overlay.createScenario('');
+      scenario = FSS.Storage.listScenarios()[0] || null;
+      if (scenario) {
+        FSS.Storage.setActiveScenarioId(scenario.id);
+      } else {
+        scenario = FSS.Overlay.createScenario('');
+      }
     }
     
     // Update name field
     document.getElementById('scenario-name').value = scenario.meta?.name || '';
+    renderScenarioSelect();
   }
 
   /**
-   * Save scenario to storage
+   * Save scenario to the library as the active scenario
    */
   function saveScenario() {
     scenario.meta.name = document.getElementById('scenario-name').value.trim();
-    FSS.Storage.saveScenarioDraft(scenario);
+    scenario = FSS.Storage.saveActiveScenario(scenario) || scenario;
+    renderScenarioSelect();
+    updateStatus();
+  }
+
+  /**
+   * Reload everything after switching scenarios
+   */
+  function refresh() {
+    cancelEdit();
+    loadScenario();
+    renderOperations();
+    updateComparison();
     updateStatus();
   }
 
+  /**
+   * Render the scenario picker
+   */
+  function renderScenarioSelect() {
+    const select = document.getElementById('scenario-select');
+    if (!select) return;
+    
+    const scenarios = FSS.Storage.listScenarios();
+    const options = scenarios.map(s => 
+      `<option value="${s.id}" ${s.id === scenario.id ? 'selected' : ''}>${s.meta?.name || 'Unnamed'} (${s.ops?.length || 0})</option>`
+    );
+    if (!scenarios.some(s => s.id === scenario.id)) {
+      options.unshift(`<option value="${scenario.id}" selected>${scenario.meta?.name || 'Unnamed'} (unsaved)</option>`);
+    }
+    select.innerHTML = options.join('');
+  }
+
   /**
    * Setup event listeners
    */
   function setupEventListeners() {
     // Operation type selector
     document.getElementById('op-type')?.addEventListener('change', handleOpTypeChange);
+    document.getElementById('btn-cancel-edit')?.addEventListener('click', cancelEdit);
+    document.getElementById('recurrence-type')?.addEventListener('change', (e) => {
+      FSS.UI.RecurrenceForm.renderParams(e.target.value);
+    });
+    document.getElementById('settings-path')?.addEventListener('change', showCurrentSetting);
     
     // Scenario name change
     document.getElementById('scenario-name')?.addEventListener('change', saveScenario);
     
+    // Scenario library
+    document.getElementById('scenario-select')?.addEventListener('change', handleSelectScenario);
+    document.getElementById('btn-new-scenario')?.addEventListener('click', handleNewScenario);
+    document.getElementById('btn-duplicate-scenario')?.addEventListener('click', handleDuplicateScenario);
+    document.getElementById('btn-delete-scenario')?.addEventListener('click', handleDeleteScenario);
+    
     // Reset button
     document.getElementById('btn-reset-scenario')?.addEventListener('click', handleReset);
     
@@ -70,27 +139,92 @@ FSS.UI.Scenarios = (function() {
     document.getElementById('btn-add-delta')?.addEventListener('click', handleAddDelta);
     document.getElementById('btn-add-disable')?.addEventListener('click', handleAddDisable);
     document.getElementById('btn-add-oneoff')?.addEventListener('click', handleAddOneOff);
+    document.getElementById('btn-add-percent')?.addEventListener('click', handleAddPercent);
+    document.getElementById('btn-add-account')?.addEventListener('click', handleAddAccount);
+    document.getElementById('btn-add-validity')?.addEventListener('click', handleAddValidity);
+    document.getElementById('btn-add-dateshift')?.addEventListener('click', handleAddDateShift);
+    document.getElementById('btn-add-rule')?.addEventListener('click', handleAddRule);
+    document.getElementById('btn-delete-rule')?.addEventListener('click', handleDeleteRule);
+    document.getElementById('btn-add-debt')?.addEventListener('click', handleAddDebt);
+    document.getElementById('btn-update-debt')?.addEventListener('click', handleUpdateDebt);
+    document.getElementById('btn-add-balance')?.addEventListener('click', handleAddBalance);
+    document.getElementById('btn-add-set')?.addEventListener('click', handleAddSet);
+    document.getElementById('btn-add-recurrence')?.addEventListener('click', handleAddRecurrence);
+    document.getElementById('btn-remove-oneoff')?.addEventListener('click', handleRemoveOneOff);
+    document.getElementById('btn-add-setting')?.addEventListener('click', handleAddSetting);
+    
+    // Goal seek
+    document.getElementById('solve-variable-type')?.addEventListener('change', () => {
+      renderSolveItems();
+      setSolveRange();
+    });
+    document.getElementById('solve-item-id')?.addEventListener('change', setSolveRange);
+    document.getElementById('solve-target-metric')?.addEventListener('change', updateSolveTarget);
+    document.getElementById('btn-solve')?.addEventListener('click', handleSolve);
+    document.getElementById('btn-apply-solve')?.addEventListener('click', handleApplySolve);
+    
+    // Sensitivity
+    document.getElementById('btn-run-sensitivity')?.addEventListener('click', handleRunSensitivity);
+    document.getElementById('sensitivity-metric')?.addEventListener('change', renderSensitivityChart);
   }
 
   /**
-   * Populate rule select dropdowns
+   * Populate rule, account and debt select dropdowns
    */
-  function populateRuleSelects() {
+  function populateSelects() {
     const rules = FSS.Model.getRules();
     const ruleOptions = rules.map(r => 
       `<option value="${r.id}">${r.name} (${r.kind}: ${FSS.App.formatCurrency(r.amount)})</option>`
     ).join('');
 
-    // Delta rule select
-    const deltaSelect = document.getElementById('delta-rule-id');
-    if (deltaSelect) {
-      deltaSelect.innerHTML = '<option value="">Select a rule...</option>' + ruleOptions;
+    // Rule selects
+    ['set-rule-id', 'delta-rule-id', 'disable-rule-id', 'recurrence-rule-id', 'percent-rule-id', 'account-rule-id', 'validity-rule-id', 'dateshift-rule-id', 'deleterule-rule-id']
+      .forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+          select.innerHTML = '<option value="">Select a rule...</option>' + ruleOptions;
+        }
+      });
+
+    // Account selects
+    const accountOptions = FSS.Model.getAccountOptions()
+      .map(a => `<option value="${a.value}">${a.label}</option>`)
+      .join('');
+    ['account-account-id', 'account-to-account-id', 'addrule-account', 'balance-account-id'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.innerHTML = accountOptions;
+      }
+    });
+
+    // Debt select
+    const debtSelect = document.getElementById('debtupdate-debt-id');
+    if (debtSelect) {
+      debtSelect.innerHTML = '<option value="">Select a debt...</option>' + FSS.Model.getDebts()
+        .map(d => `<option value="${d.id}">${d.name} (${FSS.App.formatCurrency(d.principal)} at ${d.apr}%)</option>`)
+        .join('');
     }
 
-    // Disable rule select
-    const disableSelect = document.getElementById('disable-rule-id');
-    if (disableSelect) {
-      disableSelect.innerHTML = '<option value="">Select a rule...</option>' + ruleOptions;
+    // Base one-offs that a scenario can remove
+    const oneOffSelect = document.getElementById('removeoneoff-id');
+    if (oneOffSelect) {
+      oneOffSelect.innerHTML = '<option value="">Select a one-off...</option>' + FSS.Model.getOneOffs()
+        .map(o => `<option value="${o.id}">${o.name} (${FSS.App.formatCurrency(o.amount)} on ${FSS.App.formatDate(o.date)})</option>`)
+        .join('');
+    }
+
+    // Recurrence form shared with the Builder
+    const recurrenceType = document.getElementById('recurrence-type');
+    if (recurrenceType) {
+      recurrenceType.innerHTML = FSS.UI.RecurrenceForm.getTypeOptions();
+      FSS.UI.RecurrenceForm.renderParams(recurrenceType.value);
+    }
+
+    // Settings
+    const settingsPath = document.getElementById('settings-path');
+    if (settingsPath) {
+      settingsPath.innerHTML = SETTING_OPTIONS.map(s => `<option value="${s.path}">${s.label}</option>`).join('');
+      showCurrentSetting();
     }
 
     // Set default date for one-off
@@ -98,13 +232,36 @@ FSS.UI.Scenarios = (function() {
     if (oneoffDate) {
       oneoffDate.value = DateTime.now().plus({ days: 7 }).toISODate();
     }
+
+    // Goal seek target account and date
+    const solveAccount = document.getElementById('solve-target-account');
+    if (solveAccount) {
+      solveAccount.innerHTML = '<option value="">Default account</option>' + accountOptions;
+    }
+    const sensitivityAccount = document.getElementById('sensitivity-account');
+    if (sensitivityAccount) {
+      sensitivityAccount.innerHTML = '<option value="">Default account</option>' + accountOptions;
+    }
+    const solveDate = document.getElementById('solve-target-date');
+    if (solveDate) {
+      solveDate.value = DateTime.now().plus({ years: 1 }).toISODate();
+    }
   }
 
   /**
    * Handle operation type change
+   * Picking another type abandons any in-place edit
    */
   function handleOpTypeChange(e) {
-    const opType = e.target.value;
+    cancelEdit();
+    showOpForm(e.target.value);
+  }
+
+  /**
+   * Show the form for an operation type
+   */
+  function showOpForm(opType) {
+    document.getElementById('op-type').value = opType || '';
     
     // Hide all forms
     document.querySelectorAll('.op-form').forEach(form => {
@@ -135,17 +292,11 @@ FSS.UI.Scenarios = (function() {
       return;
     }
 
-    const op = FSS.Overlay.createOp.ruleAmountDelta(ruleId, delta);
-    FSS.Overlay.addOperation(scenario, op);
-    saveScenario();
+    addOperation(FSS.Overlay.createOp.ruleAmountDelta(ruleId, delta), 'Amount adjustment added');
     
     // Reset form
     document.getElementById('delta-rule-id').value = '';
     document.getElementById('delta-amount').value = '';
-    
-    renderOperations();
-    updateComparison();
-    FSS.App.showToast('Amount adjustment added', 'success');
   }
 
   /**
@@ -160,17 +311,11 @@ FSS.UI.Scenarios = (function() {
       return;
     }
 
-    const op = FSS.Overlay.createOp.ruleDisable(ruleId, disabled);
-    FSS.Overlay.addOperation(scenario, op);
-    saveScenario();
+    addOperation(FSS.Overlay.createOp.ruleDisable(ruleId, disabled), disabled ? 'Rule disabled' : 'Rule enabled');
     
     // Reset form
     document.getElementById('disable-rule-id').value = '';
     document.getElementById('disable-checked').checked = true;
-    
-    renderOperations();
-    updateComparison();
-    FSS.App.showToast(disabled ? 'Rule disabled' : 'Rule enabled', 'success');
   }
 
   /**
@@ -196,22 +341,549 @@ FSS.UI.Scenarios = (function() {
       return;
     }
 
-    const op = FSS.Overlay.createOp.addOneOff(date, name, amount);
-    FSS.Overlay.addOperation(scenario, op);
-    saveScenario();
+    addOperation(FSS.Overlay.createOp.addOneOff(date, name, amount), 'One-off transaction added');
     
     // Reset form
     document.getElementById('oneoff-date').value = DateTime.now().plus({ days: 7 }).toISODate();
     document.getElementById('oneoff-amount').value = '';
     document.getElementById('oneoff-name').value = '';
+  }
+
+  /**
+   * Handle adding percentage change operation
+   */
+  function handleAddPercent() {
+    const ruleId = document.getElementById('percent-rule-id').value;
+    const percent = parseFloat(document.getElementById('percent-value').value);
+    
+    if (!ruleId) {
+      FSS.App.showToast('Please select a rule', 'error');
+      return;
+    }
+    
+    if (isNaN(percent) || percent === 0 || percent < -100) {
+      FSS.App.showToast('Please enter a percentage of at least -100', 'error');
+      return;
+    }
+
+    addOperation(FSS.Overlay.createOp.ruleAmountPercent(ruleId, percent), 'Percentage change added');
+    
+    // Reset form
+    document.getElementById('percent-rule-id').value = '';
+    document.getElementById('percent-value').value = '';
+  }
+
+  /**
+   * Handle adding account change operation
+   */
+  function handleAddAccount() {
+    const ruleId = document.getElementById('account-rule-id').value;
+    const accountId = document.getElementById('account-account-id').value;
+    const toAccountId = document.getElementById('account-to-account-id').value;
+    const rule = FSS.Model.getRule(ruleId);
+    
+    if (!rule) {
+      FSS.App.showToast('Please select a rule', 'error');
+      return;
+    }
+    
+    if (rule.kind === 'transfer' && accountId === toAccountId) {
+      FSS.App.showToast('Transfer accounts must be different', 'error');
+      return;
+    }
+
+    const op = FSS.Overlay.createOp.ruleAccountSet(ruleId, accountId, rule.kind === 'transfer' ? toAccountId : null);
+    addOperation(op, 'Account change added');
+    
+    // Reset form
+    document.getElementById('account-rule-id').value = '';
+  }
+
+  /**
+   * Handle adding start/end date change operation
+   */
+  function handleAddValidity() {
+    const ruleId = document.getElementById('validity-rule-id').value;
+    const validFrom = document.getElementById('validity-from').value || null;
+    const validTo = document.getElementById('validity-to').value || null;
+    
+    if (!ruleId) {
+      FSS.App.showToast('Please select a rule', 'error');
+      return;
+    }
+    
+    if (validFrom && validTo && validTo < validFrom) {
+      FSS.App.showToast('End date must be on or after start date', 'error');
+      return;
+    }
+
+    addOperation(FSS.Overlay.createOp.ruleValiditySet(ruleId, validFrom, validTo), 'Date change added');
+    
+    // Reset form
+    document.getElementById('validity-rule-id').value = '';
+    document.getElementById('validity-from').value = '';
+    document.getElementById('validity-to').value = '';
+  }
+
+  /**
+   * Handle adding rule date shift operation
+   */
+  function handleAddDateShift() {
+    const ruleId = document.getElementById('dateshift-rule-id').value;
+    const days = parseInt(document.getElementById('dateshift-days').value, 10);
+    
+    if (!ruleId) {
+      FSS.App.showToast('Please select a rule', 'error');
+      return;
+    }
+    
+    if (isNaN(days) || days === 0) {
+      FSS.App.showToast('Please enter a number of days', 'error');
+      return;
+    }
+
+    addOperation(FSS.Overlay.createOp.ruleDateShift(ruleId, days), 'Date shift added');
+    
+    // Reset form
+    document.getElementById('dateshift-rule-id').value = '';
+    document.getElementById('dateshift-days').value = '';
+  }
+
+  /**
+   * Handle adding new rule operation
+   */
+  function handleAddRule() {
+    const name = document.getElementById('addrule-name').value.trim();
+    const amount = parseFloat(document.getElementById('addrule-amount').value);
+    const day = parseInt(document.getElementById('addrule-day').value, 10);
+    const count = parseInt(document.getElementById('addrule-count').value, 10);
+    
+    if (!name) {
+      FSS.App.showToast('Please enter a name', 'error');
+      return;
+    }
+    
+    if (isNaN(amount) || amount <= 0) {
+      FSS.App.showToast('Please enter a valid amount', 'error');
+      return;
+    }
+    
+    if (!(day >= 1 && day <= 31)) {
+      FSS.App.showToast('Day of month must be between 1 and 31', 'error');
+      return;
+    }
+
+    const op = FSS.Overlay.createOp.addRule({
+      name,
+      kind: document.getElementById('addrule-kind').value,
+      amount,
+      accountId: document.getElementById('addrule-account').value,
+      recurrence: { type: 'monthly_day', day },
+      validFrom: document.getElementById('addrule-from').value || undefined,
+      maxOccurrences: count > 0 ? count : undefined
+    });
+    addOperation(op, 'Rule added');
+    
+    // Reset form
+    document.getElementById('addrule-name').value = '';
+    document.getElementById('addrule-amount').value = '';
+    document.getElementById('addrule-count').value = '';
+  }
+
+  /**
+   * Handle adding delete rule operation
+   */
+  function handleDeleteRule() {
+    const ruleId = document.getElementById('deleterule-rule-id').value;
+    
+    if (!ruleId) {
+      FSS.App.showToast('Please select a rule', 'error');
+      return;
+    }
+
+    addOperation(FSS.Overlay.createOp.deleteRule(ruleId), 'Rule deleted');
+    
+    // Reset form
+    document.getElementById('deleterule-rule-id').value = '';
+  }
+
+  /**
+   * Handle adding new debt operation
+   */
+  function handleAddDebt() {
+    const name = document.getElementById('adddebt-name').value.trim();
+    const principal = parseFloat(document.getElementById('adddebt-principal').value);
+    const apr = parseFloat(document.getElementById('adddebt-apr').value) || 0;
+    const paymentDay = parseInt(document.getElementById('adddebt-day').value, 10);
+    
+    if (!name) {
+      FSS.App.showToast('Please enter a name', 'error');
+      return;
+    }
+    
+    if (isNaN(principal) || principal <= 0) {
+      FSS.App.showToast('Please enter a valid balance', 'error');
+      return;
+    }
+    
+    if (!(paymentDay >= 1 && paymentDay <= 31)) {
+      FSS.App.showToast('Payment day must be between 1 and 31', 'error');
+      return;
+    }
+
+    const op = FSS.Overlay.createOp.addDebt({
+      name,
+      principal,
+      apr,
+      extraMonthlyPayment: parseFloat(document.getElementById('adddebt-extra').value) || 0,
+      generatePayments: true,
+      paymentDay
+    });
+    addOperation(op, 'Debt added');
+    
+    // Reset form
+    document.getElementById('adddebt-name').value = '';
+    document.getElementById('adddebt-principal').value = '';
+    document.getElementById('adddebt-apr').value = '';
+  }
+
+  /**
+   * Handle adding debt change operation
+   * Empty fields keep the debt's current value
+   */
+  function handleUpdateDebt() {
+    const debtId = document.getElementById('debtupdate-debt-id').value;
+    
+    if (!debtId) {
+      FSS.App.showToast('Please select a debt', 'error');
+      return;
+    }
+    
+    const changes = {};
+    [['principal', 'debtupdate-principal'], ['apr', 'debtupdate-apr'], ['extraMonthlyPayment', 'debtupdate-extra']]
+      .forEach(([key, id]) => {
+        const value = parseFloat(document.getElementById(id).value);
+        if (!isNaN(value) && value >= 0) changes[key] = value;
+      });
+    
+    if (Object.keys(changes).length === 0) {
+      FSS.App.showToast('Enter at least one new value', 'error');
+      return;
+    }
+
+    addOperation(FSS.Overlay.createOp.debtUpdate(debtId, changes), 'Debt change added');
+    
+    // Reset form
+    document.getElementById('debtupdate-debt-id').value = '';
+    ['debtupdate-principal', 'debtupdate-apr', 'debtupdate-extra'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+  }
+
+  /**
+   * Handle adding starting balance adjustment
+   */
+  function handleAddBalance() {
+    const accountId = document.getElementById('balance-account-id').value;
+    const delta = parseFloat(document.getElementById('balance-delta').value);
+    
+    if (isNaN(delta) || delta === 0) {
+      FSS.App.showToast('Please enter a valid adjustment amount', 'error');
+      return;
+    }
+
+    addOperation(FSS.Overlay.createOp.startingBalanceDelta(accountId, delta), 'Balance adjustment added');
+    
+    // Reset form
+    document.getElementById('balance-delta').value = '';
+  }
+
+  /**
+   * Handle adding set amount operation
+   */
+  function handleAddSet() {
+    const ruleId = document.getElementById('set-rule-id').value;
+    const amount = parseFloat(document.getElementById('set-amount').value);
+    
+    if (!ruleId) {
+      FSS.App.showToast('Please select a rule', 'error');
+      return;
+    }
+    
+    if (isNaN(amount) || amount < 0) {
+      FSS.App.showToast('Please enter a valid amount', 'error');
+      return;
+    }
+
+    addOperation(FSS.Overlay.createOp.ruleAmountSet(ruleId, amount), 'Amount change added');
+    
+    // Reset form
+    document.getElementById('set-rule-id').value = '';
+    document.getElementById('set-amount').value = '';
+  }
+
+  /**
+   * Handle adding schedule change operation
+   */
+  function handleAddRecurrence() {
+    const ruleId = document.getElementById('recurrence-rule-id').value;
+    
+    if (!ruleId) {
+      FSS.App.showToast('Please select a rule', 'error');
+      return;
+    }
+
+    const recurrence = FSS.UI.RecurrenceForm.readRecurrence(document.getElementById('recurrence-type').value);
+    if (recurrence.type === 'biweekly_anchor' && !recurrence.anchorDate) {
+      FSS.App.showToast('Please select an anchor date', 'error');
+      return;
+    }
+
+    addOperation(FSS.Overlay.createOp.ruleRecurrenceSet(ruleId, recurrence), 'Schedule change added');
+    
+    // Reset form
+    document.getElementById('recurrence-rule-id').value = '';
+  }
+
+  /**
+   * Handle adding remove one-off operation
+   */
+  function handleRemoveOneOff() {
+    const oneOffId = document.getElementById('removeoneoff-id').value;
     
+    if (!oneOffId) {
+      FSS.App.showToast('Please select a one-off', 'error');
+      return;
+    }
+
+    addOperation(FSS.Overlay.createOp.removeOneOff(oneOffId), 'One-off removed');
+    
+    // Reset form
+    document.getElementById('removeoneoff-id').value = '';
+  }
+
+  /**
+   * Handle adding setting change operation
+   */
+  function handleAddSetting() {
+    const path = document.getElementById('settings-path').value;
+    const value = parseFloat(document.getElementById('settings-value').value);
+    
+    if (isNaN(value) || value < 0) {
+      FSS.App.showToast('Please enter a valid value', 'error');
+      return;
+    }
+    
+    if (path === 'forecastHorizonDays' && !(value >= 1 && Number.isInteger(value))) {
+      FSS.App.showToast('Forecast horizon must be a whole number of days', 'error');
+      return;
+    }
+
+    addOperation(FSS.Overlay.createOp.settingsSet(path, value), 'Setting change added');
+  }
+
+  /**
+   * Show the base model's value for the selected setting
+   */
+  function showCurrentSetting() {
+    const path = document.getElementById('settings-path').value;
+    const value = path.split('.').reduce((obj, key) => obj?.[key], baseModel?.settings);
+    document.getElementById('settings-value').value = value ?? '';
+  }
+
+  /**
+   * Add an operation to the active scenario and refresh the views
+   * While an operation is being edited, it is replaced in place instead
+   */
+  function addOperation(op, message) {
+    if (editingIndex !== null) {
+      const existing = scenario.ops[editingIndex];
+      // Keep IDs of added items so later operations still refer to them
+      if (existing?.oneOffId && op.op === existing.op) op.oneOffId = existing.oneOffId;
+      if (existing?.rule?.id && op.rule) op.rule.id = existing.rule.id;
+      if (existing?.debt?.id && op.debt) op.debt.id = existing.debt.id;
+      
+      FSS.Overlay.replaceOperation(scenario, editingIndex, op);
+      message = 'Operation updated';
+      cancelEdit();
+    } else {
+      FSS.Overlay.addOperation(scenario, op);
+    }
+    
+    saveScenario();
     renderOperations();
     updateComparison();
-    FSS.App.showToast('One-off transaction added', 'success');
+    FSS.App.showToast(message, 'success');
+  }
+
+  /**
+   * Load an operation into its form so it can be changed in place
+   */
+  function editOperation(index) {
+    const op = scenario.ops?.[index];
+    if (!op) return;
+    
+    showOpForm(op.op);
+    fillOpForm(op);
+    
+    editingIndex = index;
+    document.getElementById('op-edit-text').textContent = `Editing: ${FSS.Overlay.describeOperation(op, baseModel)}`;
+    document.getElementById('op-edit-banner').classList.remove('d-none');
+    renderOperations();
+  }
+
+  /**
+   * Stop editing an operation in place
+   */
+  function cancelEdit() {
+    if (editingIndex === null) return;
+    
+    editingIndex = null;
+    document.getElementById('op-edit-banner')?.classList.add('d-none');
+    renderOperations();
+  }
+
+  /**
+   * Fill an operation's form with its current values
+   */
+  function fillOpForm(op) {
+    const set = (id, value) => {
+      const el = document.getElementById(id);
+      if (el) el.value = value ?? '';
+    };
+    
+    switch (op.op) {
+      case FSS.Overlay.OPS.RULE_AMOUNT_SET:
+        set('set-rule-id', op.ruleId);
+        set('set-amount', op.amount);
+        break;
+      case FSS.Overlay.OPS.RULE_AMOUNT_DELTA:
+        set('delta-rule-id', op.ruleId);
+        set('delta-amount', op.delta);
+        break;
+      case FSS.Overlay.OPS.RULE_AMOUNT_PERCENT:
+        set('percent-rule-id', op.ruleId);
+        set('percent-value', op.percent);
+        break;
+      case FSS.Overlay.OPS.RULE_DISABLE:
+        set('disable-rule-id', op.ruleId);
+        document.getElementById('disable-checked').checked = op.disabled !== false;
+        break;
+      case FSS.Overlay.OPS.RULE_RECURRENCE_SET:
+        set('recurrence-rule-id', op.ruleId);
+        set('recurrence-type', op.recurrence?.type || 'monthly_day');
+        FSS.UI.RecurrenceForm.renderParams(op.recurrence?.type || 'monthly_day', op.recurrence);
+        break;
+      case FSS.Overlay.OPS.RULE_ACCOUNT_SET:
+        set('account-rule-id', op.ruleId);
+        set('account-account-id', op.accountId);
+        if (op.toAccountId) set('account-to-account-id', op.toAccountId);
+        break;
+      case FSS.Overlay.OPS.RULE_VALIDITY_SET:
+        set('validity-rule-id', op.ruleId);
+        set('validity-from', op.validFrom);
+        set('validity-to', op.validTo);
+        break;
+      case FSS.Overlay.OPS.RULE_DATE_SHIFT:
+        set('dateshift-rule-id', op.ruleId);
+        set('dateshift-days', op.days);
+        break;
+      case FSS.Overlay.OPS.ADD_RULE:
+        set('addrule-name', op.rule?.name);
+        set('addrule-kind', op.rule?.kind);
+        set('addrule-amount', op.rule?.amount);
+        set('addrule-account', op.rule?.accountId);
+        set('addrule-day', op.rule?.recurrence?.day || 1);
+        set('addrule-from', op.rule?.validFrom);
+        set('addrule-count', op.rule?.maxOccurrences);
+        break;
+      case FSS.Overlay.OPS.DELETE_RULE:
+        set('deleterule-rule-id', op.ruleId);
+        break;
+      case FSS.Overlay.OPS.ADD_ONEOFF:
+        set('oneoff-date', op.date);
+        set('oneoff-amount', op.amount);
+        set('oneoff-name', op.name);
+        break;
+      case FSS.Overlay.OPS.REMOVE_ONEOFF:
+        set('removeoneoff-id', op.oneOffId);
+        break;
+      case FSS.Overlay.OPS.ADD_DEBT:
+        set('adddebt-name', op.debt?.name);
+        set('adddebt-principal', op.debt?.principal);
+        set('adddebt-apr', op.debt?.apr);
+        set('adddebt-extra', op.debt?.extraMonthlyPayment || 0);
+        set('adddebt-day', op.debt?.paymentDay || 1);
+        break;
+      case FSS.Overlay.OPS.DEBT_UPDATE:
+        set('debtupdate-debt-id', op.debtId);
+        set('debtupdate-principal', op.changes?.principal);
+        set('debtupdate-apr', op.changes?.apr);
+        set('debtupdate-extra', op.changes?.extraMonthlyPayment);
+        break;
+      case FSS.Overlay.OPS.STARTING_BALANCE_DELTA:
+        set('balance-account-id', op.accountId);
+        set('balance-delta', op.delta);
+        break;
+      case FSS.Overlay.OPS.SETTINGS_SET:
+        set('settings-path', op.path);
+        set('settings-value', op.value);
+        break;
+    }
+  }
+
+  /**
+   * Handle switching the active scenario
+   */
+  function handleSelectScenario(e) {
+    FSS.Storage.setActiveScenarioId(e.target.value);
+    refresh();
+  }
+
+  /**
+   * Handle creating a new empty scenario
+   */
+  function handleNewScenario() {
+    const count = FSS.Storage.listScenarios().length;
+    FSS.Storage.saveActiveScenario(FSS.Overlay.createScenario(`Scenario ${count + 1}`));
+    refresh();
+    FSS.App.showToast('Scenario created', 'success');
+  }
+
+  /**
+   * Handle duplicating the active scenario
+   */
+  function handleDuplicateScenario() {
+    saveScenario();
+    FSS.Storage.saveActiveScenario(FSS.Overlay.duplicateScenario(scenario));
+    refresh();
+    FSS.App.showToast('Scenario duplicated', 'success');
+  }
+
+  /**
+   * Handle deleting the active scenario
+   */
+  async function handleDeleteScenario() {
+    if (!FSS.Storage.getScenario(scenario.id)) {
+      FSS.App.showToast('Scenario has not been saved', 'info');
+      return;
+    }
+
+    const confirmed = await FSS.App.confirm(
+      `Delete scenario "${scenario.meta?.name || 'Unnamed'}"?`,
+      'Delete Scenario'
+    );
+    
+    if (confirmed) {
+      FSS.Storage.deleteScenario(scenario.id);
+      refresh();
+      FSS.App.showToast('Scenario deleted', 'info');
+    }
   }
 
   /**
    * Handle reset scenario
+   * Clears the active scenario's operations, keeping it in the library
    */
   async function handleReset() {
     if (!scenario.ops || scenario.ops.length === 0) {
@@ -220,14 +892,13 @@ FSS.UI.Scenarios = (function() {
     }
 
     const confirmed = await FSS.App.confirm(
-      'Are you sure you want to reset all scenario changes?',
+      'Are you sure you want to reset all changes in this scenario?',
       'Reset Scenario'
     );
     
     if (confirmed) {
-      scenario = FSS.Overlay.createScenario('');
-      FSS.Storage.clearScenarioDraft();
-      document.getElementById('scenario-name').value = '';
+      scenario.ops = [];
+      saveScenario();
       
       renderOperations();
       updateComparison();
@@ -238,6 +909,7 @@ FSS.UI.Scenarios = (function() {
 
   /**
    * Handle commit to base
+   * The committed scenario is removed from the library
    */
   async function handleCommit() {
     if (!scenario.ops || scenario.ops.length === 0) {
@@ -253,16 +925,11 @@ FSS.UI.Scenarios = (function() {
     if (confirmed) {
       const effectiveModel = FSS.Overlay.commitToBase(baseModel, scenario);
       FSS.Storage.saveBaseModel(effectiveModel);
-      FSS.Storage.clearScenarioDraft();
+      FSS.Storage.deleteScenario(scenario.id);
       
       // Reload
       baseModel = FSS.Model.load();
-      scenario = FSS.Overlay.createScenario('');
-      document.getElementById('scenario-name').value = '';
-      
-      renderOperations();
-      updateComparison();
-      updateStatus();
+      refresh();
       FSS.App.showToast('Changes committed to base model', 'success');
     }
   }
@@ -271,6 +938,7 @@ FSS.UI.Scenarios = (function() {
    * Remove an operation
    */
   function removeOperation(index) {
+    cancelEdit();
     FSS.Overlay.removeOperation(scenario, index);
     saveScenario();
     renderOperations();
@@ -293,14 +961,23 @@ FSS.UI.Scenarios = (function() {
     
     empty.classList.add('d-none');
     
+    // Flag ops whose rule, debt or account no longer exists in the base model
+    const validation = FSS.Schema.validateScenario(scenario, baseModel);
+    const problems = [...validation.errors, ...validation.warnings];
+    
     container.innerHTML = scenario.ops.map((op, index) => {
       const description = FSS.Overlay.describeOperation(op, baseModel);
       const iconClass = getOpIcon(op.op);
+      const opProblems = problems.filter(p => p.path.startsWith(`ops[${index}]`)).map(p => p.message);
       
       return `
-        <div class="d-flex align-items-center gap-2 p-2 mb-2 rounded" style="background: var(--bg-tertiary);">
+        <div class="d-flex align-items-center gap-2 p-2 mb-2 rounded ${index === editingIndex ? 'border border-info' : ''}" style="background: var(--bg-tertiary);">
           <i class="bi ${iconClass} text-muted"></i>
           <span class="flex-grow-1 small">${description}</span>
+          ${opProblems.length > 0 ? `<i class="bi bi-exclamation-triangle text-warning" title="${opProblems.join('; ')}"></i>` : ''}
+          <button class="btn btn-sm btn-outline-secondary" title="Edit" onclick="FSS.UI.Scenarios.editOperation(${index})">
+            <i class="bi bi-pencil"></i>
+          </button>
           <button class="btn btn-sm btn-outline-danger" onclick="FSS.UI.Scenarios.removeOperation(${index})">
             <i class="bi bi-x"></i>
           </button>
@@ -317,12 +994,30 @@ FSS.UI.Scenarios = (function() {
       case FSS.Overlay.OPS.RULE_AMOUNT_SET:
       case FSS.Overlay.OPS.RULE_AMOUNT_DELTA:
         return 'bi-currency-dollar';
+      case FSS.Overlay.OPS.RULE_AMOUNT_PERCENT:
+        return 'bi-percent';
       case FSS.Overlay.OPS.RULE_DISABLE:
         return 'bi-pause-circle';
+      case FSS.Overlay.OPS.RULE_ACCOUNT_SET:
+        return 'bi-bank';
+      case FSS.Overlay.OPS.RULE_VALIDITY_SET:
+      case FSS.Overlay.OPS.RULE_RECURRENCE_SET:
+        return 'bi-calendar-range';
+      case FSS.Overlay.OPS.RULE_DATE_SHIFT:
+        return 'bi-calendar-event';
+      case FSS.Overlay.OPS.ADD_RULE:
+        return 'bi-plus-circle';
+      case FSS.Overlay.OPS.DELETE_RULE:
+        return 'bi-trash';
       case FSS.Overlay.OPS.ADD_ONEOFF:
         return 'bi-calendar-plus';
       case FSS.Overlay.OPS.REMOVE_ONEOFF:
         return 'bi-calendar-minus';
+      case FSS.Overlay.OPS.ADD_DEBT:
+      case FSS.Overlay.OPS.DEBT_UPDATE:
+        return 'bi-credit-card';
+      case FSS.Overlay.OPS.STARTING_BALANCE_DELTA:
+        return 'bi-wallet2';
       default:
         return 'bi-gear';
     }
@@ -352,6 +1047,492 @@ FSS.UI.Scenarios = (function() {
     const netDiffEl = document.getElementById('net-difference');
     netDiffEl.textContent = `${netDiff >= 0 ? '+' : ''}${FSS.App.formatCurrency(netDiff)}`;
     netDiffEl.className = `h4 mono mb-0 ${netDiff >= 0 ? 'text-income' : 'text-expense'}`;
+    
+    renderScenarioComparison();
+    renderSolveItems();
+  }
+
+  /**
+   * IDs of the scenarios picked for comparison (all saved scenarios by default)
+   */
+  function getCompareIds(scenarios) {
+    const saved = FSS.Storage.loadUIState().compareScenarioIds;
+    if (!Array.isArray(saved)) return scenarios.map(s => s.id);
+    return saved.filter(id => scenarios.some(s => s.id === id));
+  }
+
+  /**
+   * Render the base model against every selected scenario
+   */
+  function renderScenarioComparison() {
+    const list = document.getElementById('compare-scenario-list');
+    if (!list) return;
+    
+    const scenarios = FSS.Storage.listScenarios();
+    const selectedIds = getCompareIds(scenarios);
+    
+    list.innerHTML = scenarios.length === 0
+      ? '<span class="text-muted small">Save a scenario to compare it with the base model</span>'
+      : scenarios.map(s => `
+        <div class="form-check">
+          <input type="checkbox" class="form-check-input" id="compare-${s.id}" data-compare-id="${s.id}" ${selectedIds.includes(s.id) ? 'checked' : ''}>
+          <label class="form-check-label" for="compare-${s.id}">${s.meta?.name || 'Unnamed'}</label>
+        </div>
+      `).join('');
+    
+    list.querySelectorAll('[data-compare-id]').forEach(input => {
+      input.addEventListener('change', () => {
+        const ids = [...list.querySelectorAll('[data-compare-id]:checked')].map(el => el.dataset.compareId);
+        FSS.Storage.updateUIState('compareScenarioIds', ids);
+        renderScenarioComparison();
+      });
+    });
+    
+    const selected = scenarios.filter(s => selectedIds.includes(s.id));
+    const comparison = FSS.Overlay.compareScenarios(baseModel, selected);
+    
+    renderCompareTable(comparison);
+    renderCompareChart(comparison);
+  }
+
+  /**
+   * Metrics table: one column per model, scenario cells show the change from base
+   */
+  function renderCompareTable(comparison) {
+    const table = document.getElementById('compare-table');
+    const formatDiff = value => {
+      if (Math.abs(value) < 0.005) return '';
+      const cls = value >= 0 ? 'text-income' : 'text-expense';
+      return `<div class="small ${cls}">${value >= 0 ? '+' : ''}${FSS.App.formatCurrency(value)}</div>`;
+    };
+    
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th></th>
+          <th class="text-end">Base</th>
+          ${comparison.scenarios.map(s => `<th class="text-end">${s.name}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${FSS.Overlay.METRICS.map(key => `
+          <tr>
+            <td class="text-muted">${METRIC_LABELS[key]}</td>
+            <td class="text-end mono">${FSS.App.formatCurrency(comparison.base.metrics[key])}</td>
+            ${comparison.scenarios.map(s => `
+              <td class="text-end mono">
+                ${FSS.App.formatCurrency(s.metrics[key])}
+                ${formatDiff(s.difference[key])}
+              </td>
+            `).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    `;
+  }
+
+  /**
+   * Overlaid balance chart for the base model and each selected scenario
+   */
+  function renderCompareChart(comparison) {
+    const ctx = document.getElementById('compare-chart')?.getContext('2d');
+    if (!ctx || typeof Chart === 'undefined') return;
+    
+    if (compareChart) {
+      compareChart.destroy();
+    }
+    
+    const series = [comparison.base, ...comparison.scenarios];
+    const datasets = series.map((s, i) => ({
+      label: s.name,
+      data: s.balances,
+      borderColor: SERIES_COLORS[i % SERIES_COLORS.length],
+      borderWidth: i === 0 ? 2 : 1.5,
+      borderDash: i === 0 ? [] : [6, 3],
+      tension: 0.3,
+      pointRadius: 0,
+      pointHoverRadius: 4,
+      fill: false
+    }));
+    
+    compareChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: comparison.labels.map(d => DateTime.fromISO(d).toFormat('MMM d')),
+        datasets
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+          intersect: false,
+          mode: 'index'
+        },
+        plugins: {
+          legend: {
+            display: true,
+            position: 'top',
+            labels: {
+              color: '#8b949e',
+              usePointStyle: true
+            }
+          },
+          tooltip: {
+            backgroundColor: '#161b22',
+            borderColor: '#30363d',
+            borderWidth: 1,
+            titleColor: '#e6edf3',
+            bodyColor: '#e6edf3',
+            callbacks: {
+              label: function(context) {
+                return `${context.dataset.label}: ${FSS.App.formatCurrency(context.raw)}`;
+              }
+            }
+          }
+        },
+        scales: {
+          x: {
+            grid: {
+              color: '#21262d'
+            },
+            ticks: {
+              color: '#8b949e',
+              maxTicksLimit: 10
+            }
+          },
+          y: {
+            grid: {
+              color: '#21262d'
+            },
+            ticks: {
+              color: '#8b949e',
+              callback: function(value) {
+                return '$' + value.toLocaleString();
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Fill the goal seek selects from the scenario's effective model
+   * Items the scenario added can be solved for too. The current picks are
+   * kept, and any previous answer is dropped because the scenario changed.
+   */
+  function renderSolveItems() {
+    const typeSelect = document.getElementById('solve-variable-type');
+    const itemSelect = document.getElementById('solve-item-id');
+    const debtSelect = document.getElementById('solve-target-debt');
+    if (!typeSelect || !itemSelect || !debtSelect) return;
+    
+    const model = FSS.Overlay.applyScenario(baseModel, scenario);
+    const VARIABLES = FSS.Solver.VARIABLES;
+    const type = typeSelect.value;
+    const selectedItem = itemSelect.value;
+    const selectedDebt = debtSelect.value;
+    
+    let items;
+    if (type === VARIABLES.RULE_AMOUNT) {
+      items = (model.rules || []).map(r => ({ id: r.id, label: `${r.name} (${FSS.App.formatCurrency(r.amount)})` }));
+    } else if (type === VARIABLES.DEBT_EXTRA) {
+      items = (model.debts || []).map(d => ({ id: d.id, label: `${d.name} (${FSS.App.formatCurrency(d.extraMonthlyPayment || 0)} extra)` }));
+    } else {
+      items = (model.oneOffs || []).map(o => ({ id: o.id, label: `${o.name} (${FSS.App.formatCurrency(o.amount)} on ${FSS.App.formatDate(o.date)})` }));
+    }
+    
+    itemSelect.innerHTML = items.length > 0
+      ? items.map(i => `<option value="${i.id}" ${i.id === selectedItem ? 'selected' : ''}>${i.label}</option>`).join('')
+      : '<option value="">Nothing to adjust</option>';
+    
+    debtSelect.innerHTML = (model.debts || []).length > 0
+      ? model.debts.map(d => `<option value="${d.id}" ${d.id === selectedDebt ? 'selected' : ''}>${d.name}</option>`).join('')
+      : '<option value="">No debts</option>';
+    
+    // First render, or the picked item went away
+    if (!selectedItem || itemSelect.value !== selectedItem) {
+      setSolveRange();
+    }
+    
+    clearSolveResult();
+  }
+
+  /**
+   * Default the search range around the picked item's current value
+   */
+  function setSolveRange() {
+    const type = document.getElementById('solve-variable-type').value;
+    const variable = getSolveVariable();
+    const minInput = document.getElementById('solve-min');
+    const maxInput = document.getElementById('solve-max');
+    const current = variable ? FSS.Solver.getCurrentValue(FSS.Overlay.applyScenario(baseModel, scenario), variable) : null;
+    
+    if (type === FSS.Solver.VARIABLES.ONEOFF_DATE) {
+      minInput.type = 'date';
+      maxInput.type = 'date';
+      minInput.value = DateTime.now().toISODate();
+      maxInput.value = DateTime.now().plus({ days: baseModel.settings?.forecastHorizonDays || 365 }).toISODate();
+      return;
+    }
+    
+    minInput.type = 'number';
+    maxInput.type = 'number';
+    const size = Math.max(1000, Math.abs(current || 0) * 3);
+    if (type === FSS.Solver.VARIABLES.ONEOFF_AMOUNT) {
+      // One-off amounts are signed, so search both spending and income
+      minInput.value = current < 0 ? -size : 0;
+      maxInput.value = current < 0 ? 0 : size;
+    } else {
+      minInput.value = 0;
+      maxInput.value = size;
+    }
+  }
+
+  /**
+   * Show the inputs for the picked target metric
+   */
+  function updateSolveTarget() {
+    const isPayoff = document.getElementById('solve-target-metric').value === FSS.Solver.TARGETS.PAYOFF_DATE;
+    document.getElementById('solve-target-value-group').classList.toggle('d-none', isPayoff);
+    document.getElementById('solve-target-account-group').classList.toggle('d-none', isPayoff);
+    document.getElementById('solve-target-date-group').classList.toggle('d-none', !isPayoff);
+    document.getElementById('solve-target-debt-group').classList.toggle('d-none', !isPayoff);
+    clearSolveResult();
+  }
+
+  /**
+   * Read the goal seek variable from the form
+   */
+  function getSolveVariable() {
+    const type = document.getElementById('solve-variable-type').value;
+    const id = document.getElementById('solve-item-id').value;
+    if (!id) return null;
+    
+    const VARIABLES = FSS.Solver.VARIABLES;
+    if (type === VARIABLES.RULE_AMOUNT) return { type, ruleId: id };
+    if (type === VARIABLES.DEBT_EXTRA) return { type, debtId: id };
+    return { type, oneOffId: id };
+  }
+
+  /**
+   * Handle running goal seek
+   */
+  function handleSolve() {
+    const variable = getSolveVariable();
+    if (!variable) {
+      FSS.App.showToast('Please select an item to adjust', 'error');
+      return;
+    }
+    
+    const metric = document.getElementById('solve-target-metric').value;
+    const target = { metric };
+    if (metric === FSS.Solver.TARGETS.PAYOFF_DATE) {
+      target.debtId = document.getElementById('solve-target-debt').value;
+      target.value = document.getElementById('solve-target-date').value;
+      if (!target.debtId || !target.value) {
+        FSS.App.showToast('Please select a debt and a payoff date', 'error');
+        return;
+      }
+    } else {
+      target.value = parseFloat(document.getElementById('solve-target-value').value);
+      target.accountId = document.getElementById('solve-target-account').value || undefined;
+      if (isNaN(target.value)) {
+        FSS.App.showToast('Please enter a target amount', 'error');
+        return;
+      }
+    }
+    
+    const isDate = variable.type === FSS.Solver.VARIABLES.ONEOFF_DATE;
+    const readBound = id => {
+      const value = document.getElementById(id).value;
+      return isDate ? value : parseFloat(value);
+    };
+    const min = readBound('solve-min');
+    const max = readBound('solve-max');
+    if (isDate ? (!min || !max) : (isNaN(min) || isNaN(max))) {
+      FSS.App.showToast('Please enter a search range', 'error');
+      return;
+    }
+    
+    const result = FSS.Solver.solve(baseModel, scenario, {
+      target,
+      variable,
+      goal: document.getElementById('solve-goal').value,
+      min,
+      max
+    });
+    
+    const resultEl = document.getElementById('solve-result');
+    resultEl.textContent = result.message;
+    resultEl.className = `small ${result.found ? 'text-income' : 'text-expense'}`;
+    
+    solveResult = result.found ? result : null;
+    document.getElementById('btn-apply-solve').classList.toggle('d-none', !solveResult);
+  }
+
+  /**
+   * Handle adding the goal seek answer to the scenario
+   */
+  function handleApplySolve() {
+    if (!solveResult) return;
+    
+    cancelEdit();
+    scenario = solveResult.scenario;
+    saveScenario();
+    renderOperations();
+    updateComparison();
+    FSS.App.showToast('Goal seek result added to scenario', 'success');
+  }
+
+  /**
+   * Drop the last goal seek answer
+   */
+  function clearSolveResult() {
+    solveResult = null;
+    const resultEl = document.getElementById('solve-result');
+    if (resultEl) resultEl.textContent = '';
+    document.getElementById('btn-apply-solve')?.classList.add('d-none');
+  }
+
+  /**
+   * Handle running the sensitivity analysis on the active scenario
+   */
+  function handleRunSensitivity() {
+    const percent = parseFloat(document.getElementById('sensitivity-percent').value);
+    const shiftDays = parseInt(document.getElementById('sensitivity-days').value, 10) || 0;
+    
+    if (isNaN(percent) || percent <= 0 || percent > 100) {
+      FSS.App.showToast('Please enter a change between 1 and 100%', 'error');
+      return;
+    }
+    
+    if (shiftDays < 0) {
+      FSS.App.showToast('Date change must be zero or more days', 'error');
+      return;
+    }
+    
+    sensitivityResult = FSS.Sensitivity.analyze(baseModel, scenario, {
+      percent,
+      shiftDays,
+      accountId: document.getElementById('sensitivity-account').value || undefined
+    });
+    renderSensitivityChart();
+  }
+
+  /**
+   * Render the tornado chart: one row per rule, ranked by impact on the
+   * picked metric, with bars for each change measured from the forecast
+   */
+  function renderSensitivityChart() {
+    if (!sensitivityResult) return;
+    
+    const container = document.getElementById('sensitivity-chart-container');
+    const empty = document.getElementById('sensitivity-empty');
+    const metric = document.getElementById('sensitivity-metric').value;
+    const rows = FSS.Sensitivity.rankRows(sensitivityResult.rows, metric)
+      .filter(row => row.impact[metric] > 0);
+    
+    if (sensitivityChart) {
+      sensitivityChart.destroy();
+      sensitivityChart = null;
+    }
+    
+    if (rows.length === 0) {
+      container.classList.add('d-none');
+      empty.classList.remove('d-none');
+      empty.querySelector('p').textContent = 'No rule changes this metric';
+      return;
+    }
+    
+    empty.classList.add('d-none');
+    container.classList.remove('d-none');
+    container.style.height = `${Math.max(200, rows.length * 32 + 80)}px`;
+    
+    const { percent, shiftDays } = sensitivityResult;
+    const series = [
+      { key: 'low', label: `-${percent}% amount`, color: '#f85149' },
+      { key: 'high', label: `+${percent}% amount`, color: '#3fb950' }
+    ];
+    if (shiftDays) {
+      series.push(
+        { key: 'early', label: `${shiftDays} days earlier`, color: '#a371f7' },
+        { key: 'late', label: `${shiftDays} days later`, color: '#f0883e' }
+      );
+    }
+    
+    // Floating bars from zero, so increases and decreases spread either side of the axis.
+    // Amount bars overlap like a tornado; date bars get their own row
+    const datasets = series.map(s => ({
+      label: s.label,
+      data: rows.map(row => [0, row.results[s.key][metric]]),
+      backgroundColor: s.color,
+      borderRadius: 2,
+      grouped: !!shiftDays
+    }));
+    
+    const ctx = document.getElementById('sensitivity-chart').getContext('2d');
+    sensitivityChart = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: rows.map(row => row.name),
+        datasets
+      },
+      options: {
+        indexAxis: 'y',
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            display: true,
+            position: 'top',
+            labels: {
+              color: '#8b949e',
+              usePointStyle: true
+            }
+          },
+          tooltip: {
+            backgroundColor: '#161b22',
+            borderColor: '#30363d',
+            borderWidth: 1,
+            titleColor: '#e6edf3',
+            bodyColor: '#e6edf3',
+            callbacks: {
+              label: function(context) {
+                const change = context.raw[1];
+                return `${context.dataset.label}: ${change >= 0 ? '+' : ''}${FSS.App.formatCurrency(change)}`;
+              }
+            }
+          }
+        },
+        scales: {
+          x: {
+            grid: {
+              color: '#21262d'
+            },
+            ticks: {
+              color: '#8b949e',
+              callback: function(value) {
+                return '$' + value.toLocaleString();
+              }
+            },
+            title: {
+              display: true,
+              text: `Change in ${METRIC_LABELS[metric].toLowerCase()} (from ${FSS.App.formatCurrency(sensitivityResult.baseline[metric])})`,
+              color: '#8b949e'
+            }
+          },
+          y: {
+            grid: {
+              display: false
+            },
+            ticks: {
+              color: '#8b949e'
+            }
+          }
+        }
+      }
+    });
   }
 
   /**
@@ -366,7 +1547,7 @@ FSS.UI.Scenarios = (function() {
     
     if (opsCount > 0) {
       statusDot.className = 'status-dot warning';
-      statusText.textContent = 'Unsaved changes';
+      statusText.textContent = 'Uncommitted changes';
     } else {
       statusDot.className = 'status-dot inactive';
       statusText.textContent = 'No changes';
@@ -376,6 +1557,7 @@ FSS.UI.Scenarios = (function() {
   // Public API
   return {
     init,
+    editOperation,
     removeOperation
   };
 })();
@@ -1,6 +1,6 @@
 /**
  * Finance Scenario Simulator - Storage UI Module
- * Export/import/reset controls
+ * Export/import/reset controls and bank statement import
  */
 
 var FSS = window.FSS || {};
@@ -14,12 +14,19 @@ FSS.UI.Storage = (function() {
   // State
   let pendingImport = null;
 
+  // Statement import state
+  let statement = null; // { content, filename, format, parsed, prepared }
+  let statementProfile = null; // CSV column mapping in use
+  let statementDateFormat = 'M/d/yyyy'; // Date format for QIF files
+  let selectedRows = new Set(); // importIds of rows to import
+
   /**
    * Initialize the storage UI
    */
   function init() {
     setupEventListeners();
     updateStats();
+    populateStatementOptions();
   }
 
   /**
@@ -34,6 +41,25 @@ FSS.UI.Storage = (function() {
     document.getElementById('import-file')?.addEventListener('change', handleFileSelect);
     document.getElementById('btn-import')?.addEventListener('click', handleImport);
     
+    // Statement import
+    document.getElementById('statement-file')?.addEventListener('change', handleStatementFileSelect);
+    document.getElementById('statement-account')?.addEventListener('change', refreshStatementPreview);
+    document.getElementById('statement-target')?.addEventListener('change', refreshStatementPreview);
+    document.getElementById('statement-profile')?.addEventListener('change', handleProfileChange);
+    document.getElementById('statement-date-format')?.addEventListener('change', handleMappingChange);
+    document.getElementById('statement-delimiter')?.addEventListener('change', handleMappingChange);
+    document.getElementById('statement-has-header')?.addEventListener('change', handleMappingChange);
+    document.getElementById('statement-decimal-comma')?.addEventListener('change', handleMappingChange);
+    document.getElementById('statement-invert')?.addEventListener('change', handleMappingChange);
+    document.querySelectorAll('.statement-column').forEach(el => {
+      el.addEventListener('change', handleMappingChange);
+    });
+    document.getElementById('btn-save-profile')?.addEventListener('click', handleSaveProfile);
+    document.getElementById('btn-delete-profile')?.addEventListener('click', handleDeleteProfile);
+    document.getElementById('statement-preview-body')?.addEventListener('change', handleRowToggle);
+    document.getElementById('statement-select-all')?.addEventListener('change', handleSelectAllRows);
+    document.getElementById('btn-import-statement')?.addEventListener('click', handleImportStatement);
+    
     // Reset buttons
     document.getElementById('btn-reset-scenario')?.addEventListener('click', handleResetScenario);
     document.getElementById('btn-reset-base')?.addEventListener('click', handleResetBase);
@@ -72,14 +98,17 @@ FSS.UI.Storage = (function() {
     
     // Scenario stats
     document.getElementById('stat-scenario-size').textContent = formatBytes(stats.scenarioSize);
-    if (stats.hasScenarioDraft) {
-      const scenario = FSS.Storage.loadScenarioDraft();
+    if (stats.hasActiveScenario) {
+      const scenario = FSS.Storage.loadActiveScenario();
       const opsCount = scenario?.ops?.length || 0;
       document.getElementById('stat-scenario-status').textContent = 
-        `${opsCount} pending operations`;
+        `${stats.scenarioCount} saved, ${opsCount} pending operations in active`;
       document.getElementById('stat-scenario-status').className = 'small text-warning';
+    } else if (stats.scenarioCount > 0) {
+      document.getElementById('stat-scenario-status').textContent = `${stats.scenarioCount} saved, none active`;
+      document.getElementById('stat-scenario-status').className = 'small text-muted';
     } else {
-      document.getElementById('stat-scenario-status').textContent = 'No active scenario';
+      document.getElementById('stat-scenario-status').textContent = 'No saved scenarios';
       document.getElementById('stat-scenario-status').className = 'small text-muted';
     }
     
@@ -148,12 +177,12 @@ FSS.UI.Storage = (function() {
         if (validation.valid) {
           const accounts = data.baseModel.accounts?.length || 0;
           const rules = data.baseModel.rules?.length || 0;
-          const hasScenario = data.scenarioDraft?.ops?.length > 0;
+          const scenarioCount = data.scenarios?.scenarios?.length || (data.scenarioDraft?.ops?.length > 0 ? 1 : 0);
           
           preview = `
             <strong>Full Export Detected</strong><br>
             <span class="text-success"><i class="bi bi-check-circle me-1"></i>Valid structure</span><br>
-            ${accounts} accounts, ${rules} rules${hasScenario ? ', includes scenario' : ''}
+            ${accounts} accounts, ${rules} rules${scenarioCount > 0 ? `, ${scenarioCount} scenario${scenarioCount !== 1 ? 's' : ''}` : ''}
           `;
           isValid = true;
         } else {
@@ -240,23 +269,440 @@ FSS.UI.Storage = (function() {
     }
   }
 
+  // === Statement Import ===
+
+  /**
+   * Fill the account and date format selectors
+   */
+  function populateStatementOptions() {
+    const accountSelect = document.getElementById('statement-account');
+    if (!accountSelect) return;
+
+    const selected = accountSelect.value;
+    const accounts = FSS.Model.load().accounts || [];
+    accountSelect.innerHTML = accounts.map(a =>
+      `<option value="${a.id}" ${a.id === selected ? 'selected' : ''}>${a.name}</option>`
+    ).join('');
+
+    document.getElementById('statement-date-format').innerHTML = FSS.StatementImport.DATE_FORMATS.map(f => {
+      const example = DateTime.fromISO('2026-01-31').toFormat(f);
+      return `<option value="${f}">${example} (${f})</option>`;
+    }).join('');
+  }
+
+  /**
+   * Handle statement file selection
+   */
+  async function handleStatementFileSelect(e) {
+    const file = e.target.files[0];
+    if (!file) {
+      resetStatementImport();
+      return;
+    }
+
+    try {
+      const content = await FSS.App.readFile(file);
+      const format = FSS.StatementImport.detectFormat(content, file.name);
+      statement = { content, filename: file.name, format };
+      statementProfile = format === FSS.StatementImport.FORMATS.CSV ? pickProfile(content) : null;
+
+      populateStatementOptions();
+      refreshStatementPreview();
+    } catch (err) {
+      resetStatementImport();
+      showStatementSummary(`<strong>Error Reading File</strong><br>${escapeHTML(err.message)}`, 'danger');
+    }
+  }
+
+  /**
+   * Use the saved profile whose header row matches the file, or guess a new mapping
+   */
+  function pickProfile(content) {
+    const delimiter = FSS.StatementImport.detectDelimiter(content);
+    const headers = getHeaderRow(content, delimiter);
+    const signature = headers.join('|');
+
+    const saved = FSS.Storage.listImportProfiles().find(p => p.hasHeader && (p.headers || []).join('|') === signature);
+    if (saved) return FSS.StatementImport.createProfile(saved);
+
+    return createGuessedProfile(content, delimiter);
+  }
+
+  function createGuessedProfile(content, delimiter) {
+    const headers = getHeaderRow(content, delimiter);
+    return FSS.StatementImport.createProfile({
+      name: '',
+      delimiter,
+      headers,
+      columns: FSS.StatementImport.guessColumns(headers)
+    });
+  }
+
+  function getHeaderRow(content, delimiter) {
+    const firstRow = FSS.StatementImport.parseCSV(content.replace(/^\uFEFF/, ''), delimiter)[0] || [];
+    return firstRow.map(h => h.trim());
+  }
+
+  function isSavedProfile(profile) {
+    return !!profile && FSS.Storage.listImportProfiles().some(p => p.id === profile.id);
+  }
+
+  /**
+   * Parse the file with the current mapping and check it against the model
+   * Nothing is written until the selected rows are imported
+   */
+  function refreshStatementPreview() {
+    if (!statement) return;
+
+    const isCSV = statement.format === FSS.StatementImport.FORMATS.CSV;
+    const isQIF = statement.format === FSS.StatementImport.FORMATS.QIF;
+
+    statement.parsed = FSS.StatementImport.parseStatement(statement.content, {
+      format: statement.format,
+      profile: statementProfile,
+      dateFormat: statementDateFormat
+    });
+
+    document.getElementById('statement-mapping').classList.toggle('d-none', !isCSV);
+    document.getElementById('statement-date-format-group').classList.toggle('d-none', !isCSV && !isQIF);
+    document.getElementById('statement-date-format').value = isCSV ? statementProfile.dateFormat : statementDateFormat;
+    if (isCSV) {
+      renderMappingForm(statement.parsed.headers);
+    }
+
+    statement.prepared = FSS.StatementImport.prepareImport(FSS.Model.load(), statement.parsed.rows, {
+      accountId: document.getElementById('statement-account').value,
+      target: document.getElementById('statement-target').value
+    });
+    selectedRows = new Set(statement.prepared.filter(r => r.status === 'new').map(r => r.importId));
+
+    renderStatementPreview();
+  }
+
+  /**
+   * Show the profile selector and column mapping for the current profile
+   */
+  function renderMappingForm(headers) {
+    const profiles = FSS.Storage.listImportProfiles();
+    const saved = isSavedProfile(statementProfile);
+
+    document.getElementById('statement-profile').innerHTML =
+      `<option value="" ${saved ? '' : 'selected'}>New mapping</option>` +
+      profiles.map(p => `<option value="${p.id}" ${saved && p.id === statementProfile.id ? 'selected' : ''}>${escapeHTML(p.name)}</option>`).join('');
+    document.getElementById('statement-profile-name').value = saved ? statementProfile.name : '';
+    document.getElementById('btn-delete-profile').disabled = !saved;
+
+    const options = ['<option value="">—</option>']
+      .concat(headers.map((h, i) => `<option value="${i}">${escapeHTML(h)}</option>`))
+      .join('');
+    document.querySelectorAll('.statement-column').forEach(select => {
+      const index = statementProfile.columns[select.dataset.column];
+      select.innerHTML = options;
+      select.value = index === null ? '' : String(index);
+    });
+
+    document.getElementById('statement-delimiter').value = statementProfile.delimiter;
+    document.getElementById('statement-has-header').checked = statementProfile.hasHeader;
+    document.getElementById('statement-decimal-comma').checked = statementProfile.decimalComma;
+    document.getElementById('statement-invert').checked = statementProfile.invertAmounts;
+  }
+
+  /**
+   * Render the parse summary and preview rows
+   */
+  function renderStatementPreview() {
+    const { parsed, prepared } = statement;
+    const preview = document.getElementById('statement-preview');
+    const importBtn = document.getElementById('btn-import-statement');
+
+    if (parsed.errors.length > 0) {
+      showStatementSummary(`
+        <strong>Cannot Import Yet</strong>
+        <ul class="mb-0 mt-1">${parsed.errors.map(e => `<li>${escapeHTML(e)}</li>`).join('')}</ul>
+      `, 'danger');
+      preview.classList.add('d-none');
+      importBtn.disabled = true;
+      return;
+    }
+
+    const count = status => prepared.filter(r => r.status === status).length;
+    const matched = prepared.filter(r => r.match).length;
+    const formatLabel = { csv: 'CSV', ofx: 'OFX/QFX', qif: 'QIF' }[parsed.format];
+    const parts = [`${count('new')} new`];
+    if (count('duplicate')) parts.push(`${count('duplicate')} already imported`);
+    if (count('possible_duplicate')) parts.push(`${count('possible_duplicate')} possible duplicates (unselected)`);
+    if (count('error')) parts.push(`<span class="text-danger">${count('error')} with errors</span>`);
+    const isActuals = document.getElementById('statement-target').value !== 'oneoffs';
+
+    showStatementSummary(`
+      <strong>${formatLabel} file: ${prepared.length} row${prepared.length !== 1 ? 's' : ''}</strong><br>
+      ${parts.join(', ')}${isActuals && matched ? `; ${matched} clear${matched === 1 ? 's' : ''} a planned entry` : ''}
+    `, count('error') ? 'warning' : 'info');
+
+    document.getElementById('statement-preview-body').innerHTML = prepared.map(row => {
+      const importable = row.status === 'new' || row.status === 'possible_duplicate';
+      const hasAmount = typeof row.amount === 'number' && !isNaN(row.amount);
+      return `
+        <tr class="${importable ? '' : 'text-muted'}">
+          <td>
+            <input type="checkbox" class="form-check-input statement-row" data-import-id="${row.importId || ''}"
+              ${selectedRows.has(row.importId) ? 'checked' : ''} ${importable ? '' : 'disabled'}>
+          </td>
+          <td class="small">${row.row}</td>
+          <td class="mono">${row.date ? FSS.App.formatDate(row.date) : '—'}</td>
+          <td>
+            ${escapeHTML(row.description)}
+            ${row.category ? `<span class="badge bg-secondary ms-1">${escapeHTML(row.category)}</span>` : ''}
+          </td>
+          <td class="text-end mono ${hasAmount ? (row.amount >= 0 ? 'text-income' : 'text-expense') : ''}">
+            ${hasAmount ? `${row.amount >= 0 ? '+' : ''}${FSS.App.formatCurrency(row.amount)}` : '—'}
+          </td>
+          <td class="small">${describeRowStatus(row, isActuals)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    preview.classList.remove('d-none');
+    updateImportButton();
+  }
+
+  function describeRowStatus(row, isActuals) {
+    switch (row.status) {
+      case 'new':
+        return isActuals && row.match
+          ? `<span class="text-success">Clears "${escapeHTML(row.match.name)}"</span> <span class="text-muted">planned ${FSS.App.formatDate(row.match.date)}</span>`
+          : '<span class="text-success">New</span>';
+      case 'duplicate':
+        return 'Already imported';
+      case 'possible_duplicate':
+        return '<span class="text-warning">Possible duplicate of a recorded transaction</span>';
+      default:
+        return `<span class="text-danger">${escapeHTML(row.error)}</span>`;
+    }
+  }
+
+  function showStatementSummary(html, type) {
+    const summary = document.getElementById('statement-summary');
+    summary.innerHTML = html;
+    summary.classList.remove('d-none', 'alert-info', 'alert-warning', 'alert-danger');
+    summary.classList.add(`alert-${type}`);
+  }
+
+  function updateImportButton() {
+    const importBtn = document.getElementById('btn-import-statement');
+    importBtn.disabled = selectedRows.size === 0;
+    importBtn.innerHTML = `<i class="bi bi-upload me-1"></i>Import ${selectedRows.size} Selected`;
+  }
+
+  /**
+   * Handle checking or unchecking a preview row
+   */
+  function handleRowToggle(e) {
+    if (!e.target.classList.contains('statement-row')) return;
+    const importId = e.target.dataset.importId;
+    if (e.target.checked) {
+      selectedRows.add(importId);
+    } else {
+      selectedRows.delete(importId);
+    }
+    updateImportButton();
+  }
+
+  /**
+   * Select or clear every importable row
+   */
+  function handleSelectAllRows(e) {
+    document.querySelectorAll('.statement-row:not(:disabled)').forEach(box => {
+      box.checked = e.target.checked;
+      if (box.checked) {
+        selectedRows.add(box.dataset.importId);
+      } else {
+        selectedRows.delete(box.dataset.importId);
+      }
+    });
+    updateImportButton();
+  }
+
+  /**
+   * Read the mapping form into the current profile and re-parse
+   */
+  function handleMappingChange(e) {
+    if (!statement) return;
+
+    const dateFormat = document.getElementById('statement-date-format').value;
+    if (statement.format !== FSS.StatementImport.FORMATS.CSV) {
+      statementDateFormat = dateFormat;
+      refreshStatementPreview();
+      return;
+    }
+
+    const delimiter = document.getElementById('statement-delimiter').value;
+    const columns = {};
+    document.querySelectorAll('.statement-column').forEach(select => {
+      columns[select.dataset.column] = select.value === '' ? null : parseInt(select.value);
+    });
+
+    // A new delimiter changes the columns, so the mapping is guessed again
+    if (e?.target.id === 'statement-delimiter' && delimiter !== statementProfile.delimiter) {
+      statementProfile = { ...createGuessedProfile(statement.content, delimiter), id: statementProfile.id, name: statementProfile.name };
+    } else {
+      statementProfile = FSS.StatementImport.createProfile({
+        ...statementProfile,
+        dateFormat,
+        hasHeader: document.getElementById('statement-has-header').checked,
+        decimalComma: document.getElementById('statement-decimal-comma').checked,
+        invertAmounts: document.getElementById('statement-invert').checked,
+        columns
+      });
+    }
+    refreshStatementPreview();
+  }
+
+  /**
+   * Switch to a saved profile, or back to a guessed mapping
+   */
+  function handleProfileChange(e) {
+    if (!statement) return;
+    const saved = FSS.Storage.listImportProfiles().find(p => p.id === e.target.value);
+    statementProfile = saved
+      ? FSS.StatementImport.createProfile(saved)
+      : createGuessedProfile(statement.content, FSS.StatementImport.detectDelimiter(statement.content));
+    refreshStatementPreview();
+  }
+
+  /**
+   * Save the current mapping under a name for this bank's files
+   */
+  function handleSaveProfile() {
+    if (!statementProfile) return;
+
+    const name = document.getElementById('statement-profile-name').value.trim();
+    if (!name) {
+      FSS.App.showToast('Please enter a profile name', 'error');
+      return;
+    }
+
+    const errors = FSS.StatementImport.validateProfile(statementProfile);
+    if (errors.length > 0) {
+      FSS.App.showToast(errors[0], 'error');
+      return;
+    }
+
+    const profile = FSS.StatementImport.createProfile({
+      ...statementProfile,
+      name,
+      headers: statementProfile.hasHeader ? getHeaderRow(statement.content, statementProfile.delimiter) : []
+    });
+
+    if (FSS.Storage.saveImportProfile(profile)) {
+      statementProfile = profile;
+      renderMappingForm(statement.parsed.headers);
+      updateStats();
+      FSS.App.showToast(`Profile "${name}" saved`, 'success');
+    } else {
+      FSS.App.showToast('Failed to save profile', 'error');
+    }
+  }
+
+  /**
+   * Delete the selected saved profile (the mapping stays in use)
+   */
+  async function handleDeleteProfile() {
+    if (!isSavedProfile(statementProfile)) return;
+
+    const confirmed = await FSS.App.confirm(
+      `Delete the mapping profile "${statementProfile.name}"?`,
+      'Delete Profile'
+    );
+
+    if (confirmed) {
+      FSS.Storage.deleteImportProfile(statementProfile.id);
+      statementProfile = FSS.StatementImport.createProfile({ ...statementProfile, id: null, name: '' });
+      renderMappingForm(statement.parsed.headers);
+      updateStats();
+      FSS.App.showToast('Profile deleted', 'success');
+    }
+  }
+
+  /**
+   * Write the selected rows to the base model as actuals or one-offs
+   */
+  function handleImportStatement() {
+    if (!statement || selectedRows.size === 0) return;
+
+    const accountId = document.getElementById('statement-account').value;
+    const toOneOffs = document.getElementById('statement-target').value === 'oneoffs';
+    const rows = statement.prepared.filter(r => selectedRows.has(r.importId));
+
+    FSS.Model.load();
+    rows.forEach(row => {
+      if (toOneOffs) {
+        FSS.Model.addOneOff(FSS.StatementImport.toOneOffData(row, accountId));
+      } else {
+        FSS.Model.addActual(FSS.StatementImport.toActualData(row, accountId));
+      }
+    });
+
+    if (!FSS.Model.save()) {
+      FSS.Model.discard();
+      FSS.App.showToast('Failed to save model', 'error');
+      return;
+    }
+
+    const cleared = toOneOffs ? 0 : rows.filter(r => r.match).length;
+    FSS.App.showToast(
+      `Imported ${rows.length} transaction${rows.length !== 1 ? 's' : ''}${cleared ? `, clearing ${cleared} planned` : ''}`,
+      'success'
+    );
+
+    // Re-check the file so the imported rows now show as already imported
+    refreshStatementPreview();
+    updateStats();
+    updatePreview();
+  }
+
+  /**
+   * Clear the statement import form
+   */
+  function resetStatementImport() {
+    statement = null;
+    statementProfile = null;
+    selectedRows = new Set();
+    document.getElementById('statement-mapping').classList.add('d-none');
+    document.getElementById('statement-date-format-group').classList.add('d-none');
+    document.getElementById('statement-summary').classList.add('d-none');
+    document.getElementById('statement-preview').classList.add('d-none');
+    document.getElementById('btn-import-statement').disabled = true;
+  }
+
+  /**
+   * Escape text from imported files before inserting it as HTML
+   */
+  function escapeHTML(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   /**
-   * Handle reset scenario only
+   * Handle reset scenarios only
    */
   async function handleResetScenario() {
-    if (!FSS.Storage.hasScenarioDraft()) {
-      FSS.App.showToast('No scenario to reset', 'info');
+    if (FSS.Storage.listScenarios().length === 0) {
+      FSS.App.showToast('No scenarios to reset', 'info');
       return;
     }
     
     const confirmed = await FSS.App.confirm(
-      'This will clear your active scenario draft. Continue?',
-      'Reset Scenario'
+      'This will delete every saved scenario. Continue?',
+      'Reset Scenarios'
     );
     
     if (confirmed) {
-      FSS.Storage.clearScenarioDraft();
-      FSS.App.showToast('Scenario cleared', 'success');
+      FSS.Storage.clearScenarios();
+      FSS.App.showToast('Scenarios cleared', 'success');
       updateStats();
       updatePreview();
     }
@@ -328,13 +774,13 @@ FSS.UI.Storage = (function() {
    */
   function updatePreview() {
     const baseModel = FSS.Storage.loadBaseModel();
-    const scenario = FSS.Storage.loadScenarioDraft();
+    const scenarios = FSS.Storage.listScenarios();
     
     document.getElementById('preview-base-code').textContent = 
       baseModel ? JSON.stringify(baseModel, null, 2) : 'No base model';
     
     document.getElementById('preview-scenario-code').textContent = 
-      scenario ? JSON.stringify(scenario, null, 2) : 'No active scenario';
+      scenarios.length > 0 ? JSON.stringify(scenarios, null, 2) : 'No saved scenarios';
   }
 
   // Public API
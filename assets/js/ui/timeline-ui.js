@@ -1,6 +1,6 @@
 /**
  * Finance Scenario Simulator - Timeline UI Module
- * Ledger table with filters and CSV export
+ * Ledger table with filters, CSV export and reconciliation against actuals
  */
 
 var FSS = window.FSS || {};
@@ -16,13 +16,14 @@ FSS.UI.Timeline = (function() {
   let filteredEntries = [];
   let currentPage = 1;
   const pageSize = 50;
+  let accountView = null;
+  let reconcileDays = 30;
 
-  // Filter state
+  // Filter state (the account selector switches ledger views instead of filtering)
   let filters = {
     month: '',
     category: '',
-    type: '',
-    accountId: ''
+    type: ''
   };
 
   /**
@@ -40,8 +41,10 @@ FSS.UI.Timeline = (function() {
     document.getElementById('filter-month')?.addEventListener('change', handleFilterChange);
     document.getElementById('filter-category')?.addEventListener('change', handleFilterChange);
     document.getElementById('filter-type')?.addEventListener('change', handleFilterChange);
-    document.getElementById('filter-account')?.addEventListener('change', handleFilterChange);
+    document.getElementById('filter-account')?.addEventListener('change', handleAccountChange);
     document.getElementById('btn-export-csv')?.addEventListener('click', handleExportCSV);
+    document.getElementById('reconcile-days')?.addEventListener('change', handleReconcileDaysChange);
+    document.getElementById('btn-log-actual')?.addEventListener('click', () => showActualModal());
   }
 
   /**
@@ -61,25 +64,27 @@ FSS.UI.Timeline = (function() {
 
     // Check for scenario and apply if exists
     let effectiveModel = model;
-    if (FSS.Storage.hasScenarioDraft() && FSS.Overlay) {
-      const scenario = FSS.Storage.loadScenarioDraft();
+    if (FSS.Storage.hasActiveScenario() && FSS.Overlay) {
+      const scenario = FSS.Storage.loadActiveScenario();
       effectiveModel = FSS.Overlay.applyScenario(model, scenario);
     }
 
-    // Run ledger
-    ledgerResult = FSS.Ledger.runLedger(effectiveModel);
+    // Run ledger for the selected account, or all accounts combined
+    accountView = FSS.App.getAccountView(effectiveModel);
+    ledgerResult = FSS.Ledger.runLedgerView(effectiveModel, { accountId: accountView });
     
     // Populate filter options
-    populateFilterOptions();
+    populateFilterOptions(effectiveModel);
     
     // Apply filters and render
     applyFilters();
+    renderReconcile();
   }
 
   /**
    * Populate filter dropdowns
    */
-  function populateFilterOptions() {
+  function populateFilterOptions(model) {
     if (!ledgerResult) return;
 
     // Month options
@@ -97,11 +102,12 @@ FSS.UI.Timeline = (function() {
     categorySelect.innerHTML = '<option value="">All Categories</option>' + 
       categories.map(c => `<option value="${c}">${c}</option>`).join('');
 
-    // Account options
-    const accounts = FSS.Model.getAccountOptions();
-    const accountSelect = document.getElementById('filter-account');
-    accountSelect.innerHTML = '<option value="">All Accounts</option>' + 
-      accounts.map(a => `<option value="${a.value}">${a.label}</option>`).join('');
+    // Account view options
+    document.getElementById('filter-account').innerHTML = FSS.App.getAccountViewOptions(model, accountView);
+
+    // Keep current selections when the ledger is reloaded
+    monthSelect.value = filters.month || '';
+    categorySelect.value = filters.category || '';
   }
 
   /**
@@ -111,14 +117,22 @@ FSS.UI.Timeline = (function() {
     filters = {
       month: document.getElementById('filter-month').value,
       category: document.getElementById('filter-category').value,
-      kind: document.getElementById('filter-type').value,
-      accountId: document.getElementById('filter-account').value
+      kind: document.getElementById('filter-type').value
     };
     
     currentPage = 1;
     applyFilters();
   }
 
+  /**
+   * Switch between a single account and the all-accounts view
+   */
+  function handleAccountChange(e) {
+    FSS.App.setAccountView(e.target.value);
+    currentPage = 1;
+    loadLedger();
+  }
+
   /**
    * Apply filters and render
    */
@@ -183,32 +197,580 @@ FSS.UI.Timeline = (function() {
           <td class="mono">${FSS.App.formatDate(entry.date)}</td>
           <td>
             ${entry.name}
+            ${ledgerResult.isConsolidated ? renderAccountBadge(entry) : ''}
+            ${entry.installment ? `<span class="badge bg-tertiary ms-1">payment ${entry.installment.number} of ${entry.installment.total}</span>` : ''}
+            ${entry.exception ? `<i class="bi bi-pencil-square text-warning ms-1" title="${describeException(entry)}"></i>` : ''}
+            ${entry.isActual ? `<span class="badge ${entry.planned ? 'bg-income' : 'bg-transfer'} ms-1">${entry.planned ? 'cleared' : 'actual'}</span>` : ''}
+            ${entry.isInterest ? '<span class="badge bg-interest ms-1">interest</span>' : ''}
+            ${entry.isStatement ? `<div class="small text-muted">Due ${FSS.App.formatDate(entry.dueDate)}: ${FSS.App.formatCurrency(entry.paymentAmount)} autopay</div>` : ''}
+            ${entry.isCardPayment ? `<div class="small text-muted">Statement of ${FSS.App.formatDate(entry.statementDate)} (${FSS.App.formatCurrency(entry.statementBalance)})</div>` : ''}
+            ${entry.isDebtPayment ? `<div class="small text-muted">Debt balance after payment: ${FSS.App.formatCurrency(entry.debtBalance)}</div>` : ''}
             ${entry.wasAdjusted ? '<i class="bi bi-calendar-check text-muted ms-1" title="Business day adjusted"></i>' : ''}
           </td>
           <td>
             ${entry.category ? `<span class="badge bg-secondary">${entry.category}</span>` : ''}
           </td>
           <td class="text-end mono ${amountClass}">
-            ${entry.amount >= 0 ? '+' : ''}${FSS.App.formatCurrency(entry.amount)}
+            ${entry.isStatement
+              ? `<span class="text-muted" title="Statement balance">${FSS.App.formatCurrency(entry.statementBalance)}</span>`
+              : `${entry.amount >= 0 ? '+' : ''}${FSS.App.formatCurrency(entry.amount)}`}
+            ${entry.planned ? `<div class="small text-muted">${describePlanned(entry)}</div>` : ''}
           </td>
           <td class="text-end mono ${balanceClass}">
             ${FSS.App.formatCurrency(entry.balance)}
             ${isDanger ? '<i class="bi bi-exclamation-triangle text-warning ms-1"></i>' : ''}
+            ${ledgerResult.isConsolidated ? `<div class="small text-muted">${entry.accountName}: ${FSS.App.formatCurrency(entry.accountBalance)}</div>` : ''}
           </td>
           <td class="text-muted small">
             ${entry.ruleId ? `<span class="badge bg-tertiary">${entry.ruleId}</span>` : ''}
             ${entry.isOneOff ? '<span class="badge bg-tertiary">one-off</span>' : ''}
+            ${renderEntryActions(entry)}
           </td>
         </tr>
       `;
     }).join('');
   }
 
+  /**
+   * Render the account an entry posts to, with the other side of a transfer
+   */
+  function renderAccountBadge(entry) {
+    let label = entry.accountName;
+    if (entry.transferSide === 'debit' && entry.toAccountId) {
+      label += ` <i class="bi bi-arrow-right"></i> ${ledgerResult.accounts[entry.toAccountId]?.name || entry.toAccountId}`;
+    } else if (entry.transferSide === 'credit') {
+      label += ` <i class="bi bi-arrow-left"></i> ${ledgerResult.accounts[entry.fromAccountId]?.name || entry.fromAccountId}`;
+    }
+    return `<span class="badge bg-tertiary ms-1">${label}</span>`;
+  }
+
+  /**
+   * Render actions for a row (shown once per transfer, on the debit side)
+   * Recorded actuals can be edited or removed; projected rows from the base
+   * model can be cleared, and rule occurrences skipped, moved or changed
+   */
+  function renderEntryActions(entry) {
+    if (entry.transferSide === 'credit') return '';
+    if (entry.isActual) return renderActualActions(entry.actualId);
+    return renderClearAction(entry) + renderOccurrenceActions(entry);
+  }
+
+  /**
+   * Render skip / move / change actions for rows generated by a base model rule
+   */
+  function renderOccurrenceActions(entry) {
+    if (!entry.ruleId || !entry.occurrenceDate || !FSS.Model.getRule(entry.ruleId)) return '';
+    
+    const args = `'${entry.ruleId}', '${entry.occurrenceDate}'`;
+    return `
+      <span class="btn-group btn-group-sm ms-1">
+        <button class="btn btn-sm btn-outline-secondary" title="Skip this occurrence" onclick="FSS.UI.Timeline.skipOccurrence(${args})">
+          <i class="bi bi-skip-forward"></i>
+        </button>
+        <button class="btn btn-sm btn-outline-secondary" title="Move or change this occurrence" onclick="FSS.UI.Timeline.showOccurrenceModal(${args})">
+          <i class="bi bi-pencil"></i>
+        </button>
+        ${entry.exception ? `
+        <button class="btn btn-sm btn-outline-secondary" title="Restore scheduled occurrence" onclick="FSS.UI.Timeline.restoreOccurrence(${args})">
+          <i class="bi bi-arrow-counterclockwise"></i>
+        </button>
+        ` : ''}
+      </span>
+    `;
+  }
+
+  /**
+   * Render the action that records a projected row as cleared
+   */
+  function renderClearAction(entry) {
+    const args = getClearArgs(entry);
+    if (!args) return '';
+    return `
+      <span class="btn-group btn-group-sm ms-1">
+        <button class="btn btn-sm btn-outline-success" title="Mark as cleared" onclick="FSS.UI.Timeline.clearEntry(${args})">
+          <i class="bi bi-check2"></i>
+        </button>
+      </span>
+    `;
+  }
+
+  /**
+   * Arguments for clearEntry(), or null if the row is not a base model rule occurrence or one-off
+   */
+  function getClearArgs(entry) {
+    if (entry.ruleId && entry.occurrenceDate && FSS.Model.getRule(entry.ruleId)) {
+      return `'${entry.ruleId}', '${entry.occurrenceDate}'`;
+    }
+    if (entry.oneOffId && FSS.Model.getOneOff(entry.oneOffId)) {
+      return `null, null, '${entry.oneOffId}'`;
+    }
+    return null;
+  }
+
+  /**
+   * Render edit / remove actions for a recorded actual
+   */
+  function renderActualActions(actualId) {
+    if (!FSS.Model.getActual(actualId)) return '';
+    return `
+      <span class="btn-group btn-group-sm ms-1">
+        <button class="btn btn-sm btn-outline-secondary" title="Edit recorded transaction" onclick="FSS.UI.Timeline.editActual('${actualId}')">
+          <i class="bi bi-pencil"></i>
+        </button>
+        <button class="btn btn-sm btn-outline-secondary" title="Remove recorded transaction" onclick="FSS.UI.Timeline.deleteActual('${actualId}')">
+          <i class="bi bi-arrow-counterclockwise"></i>
+        </button>
+      </span>
+    `;
+  }
+
+  /**
+   * Describe the planned amount and date behind a cleared row
+   */
+  function describePlanned(entry) {
+    const sign = entry.kind === 'income' || entry.transferSide === 'credit' ? 1 : -1;
+    const amount = sign * entry.planned.amount;
+    let text = `Planned ${amount >= 0 ? '+' : ''}${FSS.App.formatCurrency(amount)}`;
+    if (entry.planned.date !== entry.date) {
+      text += ` on ${FSS.App.formatDate(entry.planned.date)}`;
+    }
+    return text;
+  }
+
+  /**
+   * Describe an occurrence exception for tooltips
+   */
+  function describeException(entry) {
+    const parts = [];
+    if (entry.exception.moveTo) {
+      parts.push(`Moved from ${FSS.App.formatDate(entry.occurrenceDate)}`);
+    }
+    if (typeof entry.exception.amount === 'number') {
+      parts.push(`Amount changed to ${FSS.App.formatCurrency(entry.exception.amount)}`);
+    }
+    return parts.join('; ') || 'Occurrence changed';
+  }
+
+  /**
+   * Skip a single occurrence of a rule
+   */
+  async function skipOccurrence(ruleId, occurrenceDate) {
+    const rule = FSS.Model.getRule(ruleId);
+    const confirmed = await FSS.App.confirm(
+      `Skip "${rule?.name}" scheduled for ${FSS.App.formatDate(occurrenceDate)}?`,
+      'Skip Occurrence'
+    );
+    
+    if (confirmed) {
+      FSS.Model.setRuleException(ruleId, { date: occurrenceDate, skip: true });
+      saveAndReload('Occurrence skipped');
+    }
+  }
+
+  /**
+   * Restore a single occurrence to its scheduled date and amount
+   */
+  function restoreOccurrence(ruleId, occurrenceDate) {
+    FSS.Model.clearRuleException(ruleId, occurrenceDate);
+    saveAndReload('Occurrence restored');
+  }
+
+  /**
+   * Show modal to move a single occurrence and/or change its amount
+   */
+  function showOccurrenceModal(ruleId, occurrenceDate) {
+    const rule = FSS.Model.getRule(ruleId);
+    if (!rule) return;
+    
+    const exception = (rule.exceptions || []).find(e => e.date === occurrenceDate);
+    const scheduledAmount = FSS.Recurrence.resolveAmount(rule, occurrenceDate);
+    const id = 'occurrence-modal';
+    document.getElementById(id)?.remove();
+    
+    const modalHTML = `
+      <div class="modal fade" id="${id}" tabindex="-1">
+        <div class="modal-dialog modal-dialog-centered">
+          <div class="modal-content">
+            <div class="modal-header">
+              <h5 class="modal-title">Change Occurrence</h5>
+              <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+            </div>
+            <div class="modal-body">
+              <p class="text-muted small mb-3">
+                ${rule.name} — scheduled for ${FSS.App.formatDate(occurrenceDate)}.
+                Changes apply to this occurrence only.
+              </p>
+              <div class="mb-3">
+                <label class="form-label">Date</label>
+                <input type="date" class="form-control" id="occurrence-date" value="${exception?.moveTo || occurrenceDate}">
+              </div>
+              <div class="mb-3">
+                <label class="form-label">Amount</label>
+                <div class="input-group">
+                  <span class="input-group-text">$</span>
+                  <input type="number" step="0.01" class="form-control" id="occurrence-amount" value="${exception?.amount ?? scheduledAmount}">
+                </div>
+              </div>
+              <div class="mb-3">
+                <label class="form-label">Note (optional)</label>
+                <input type="text" class="form-control" id="occurrence-note" value="${exception?.note || ''}">
+              </div>
+            </div>
+            <div class="modal-footer">
+              <button type="button" class="btn btn-outline-secondary" data-bs-dismiss="modal">Cancel</button>
+              <button type="button" class="btn btn-primary" id="${id}-save">Save</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    
+    const modal = document.getElementById(id);
+    const bsModal = new bootstrap.Modal(modal);
+    
+    document.getElementById(`${id}-save`).addEventListener('click', () => {
+      const moveTo = document.getElementById('occurrence-date').value;
+      const amount = parseFloat(document.getElementById('occurrence-amount').value);
+      
+      if (!moveTo) {
+        FSS.App.showToast('Please select a date', 'error');
+        return;
+      }
+      if (isNaN(amount)) {
+        FSS.App.showToast('Please enter a valid amount', 'error');
+        return;
+      }
+      
+      const data = {
+        date: occurrenceDate,
+        moveTo,
+        amount: amount !== scheduledAmount ? amount : undefined,
+        note: document.getElementById('occurrence-note').value.trim()
+      };
+      
+      if (data.moveTo === occurrenceDate && data.amount === undefined) {
+        FSS.Model.clearRuleException(ruleId, occurrenceDate);
+      } else {
+        FSS.Model.setRuleException(ruleId, data);
+      }
+      
+      bsModal.hide();
+      saveAndReload('Occurrence updated');
+    });
+    
+    modal.addEventListener('hidden.bs.modal', () => modal.remove());
+    
+    bsModal.show();
+  }
+
+  /**
+   * Render projected entries from recent days alongside the actuals that cleared them
+   * Uses the base model, since actuals record what happened whatever the scenario
+   */
+  function renderReconcile() {
+    const tbody = document.getElementById('reconcile-body');
+    if (!tbody || !FSS.Actuals) return;
+
+    const model = FSS.Model.get();
+    const today = DateTime.now().toISODate();
+    const startDate = DateTime.now().minus({ days: reconcileDays }).toISODate();
+    const rows = FSS.Actuals.getReconciliation(model, startDate, today).reverse();
+
+    renderReconcileBalance(model, today);
+
+    if (rows.length === 0) {
+      tbody.innerHTML = `
+        <tr>
+          <td colspan="6" class="text-center text-muted py-3">
+            Nothing was planned or recorded in the last ${reconcileDays} days
+          </td>
+        </tr>
+      `;
+      return;
+    }
+
+    tbody.innerHTML = rows.map(row => {
+      const sign = row.kind === 'income' ? 1 : -1;
+      const formatSigned = amount => `${amount >= 0 ? '+' : ''}${FSS.App.formatCurrency(amount)}`;
+      const varianceClass = row.variance > 0 ? 'text-income' : row.variance < 0 ? 'text-expense' : 'text-muted';
+      
+      return `
+        <tr>
+          <td class="mono">
+            ${FSS.App.formatDate(row.date)}
+            ${row.actual && row.actual.date !== row.date ? `<div class="small text-muted">Cleared ${FSS.App.formatDate(row.actual.date)}</div>` : ''}
+          </td>
+          <td>
+            ${row.name}
+            ${row.category ? `<span class="badge bg-secondary ms-1">${row.category}</span>` : ''}
+            ${!row.planned ? '<span class="badge bg-transfer ms-1">unexpected</span>' : ''}
+            ${row.actual?.note ? `<div class="small text-muted">${row.actual.note}</div>` : ''}
+          </td>
+          <td class="text-end mono">${row.planned ? formatSigned(sign * row.planned.amount) : '<span class="text-muted">—</span>'}</td>
+          <td class="text-end mono">${row.actual ? formatSigned(sign * row.actual.amount) : '<span class="text-muted">—</span>'}</td>
+          <td class="text-end mono ${varianceClass}">${row.variance !== null ? formatSigned(row.variance) : ''}</td>
+          <td class="text-end text-nowrap">
+            ${row.actual ? renderActualActions(row.actual.id) : renderClearAction(row)}
+          </td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Show today's balance for the selected account(s), rolled forward from the
+   * latest starting balance by the actuals recorded since
+   */
+  function renderReconcileBalance(model, today) {
+    const el = document.getElementById('reconcile-balance');
+    if (!el) return;
+
+    const accounts = (model.accounts || []).filter(a =>
+      accountView === FSS.Ledger.ALL_ACCOUNTS || a.id === accountView
+    );
+
+    // End of today: the balance at the start of tomorrow
+    const tomorrow = DateTime.fromISO(today).plus({ days: 1 }).toISODate();
+
+    el.innerHTML = accounts.map(account => {
+      const anchor = FSS.Model.getStartingBalance(account.id, today);
+      const balance = FSS.Ledger.getStartingBalanceForAccount(model, account.id, tomorrow);
+      const change = Math.round((balance - (anchor?.amount || 0)) * 100) / 100;
+      const source = anchor
+        ? `from ${FSS.App.formatCurrency(anchor.amount)} on ${FSS.App.formatDate(anchor.date)}`
+        : 'no starting balance';
+      const rolled = change ? `, ${change > 0 ? '+' : ''}${FSS.App.formatCurrency(change)} recorded since` : '';
+      return `<div>${account.name} today: <span class="mono">${FSS.App.formatCurrency(balance)}</span> (${source}${rolled})</div>`;
+    }).join('');
+  }
+
+  /**
+   * Handle reconcile period selection
+   */
+  function handleReconcileDaysChange(e) {
+    reconcileDays = parseInt(e.target.value) || 30;
+    renderReconcile();
+  }
+
+  /**
+   * Open the clear modal for a rule occurrence or one-off in the base model
+   */
+  function clearEntry(ruleId, occurrenceDate, oneOffId) {
+    const planned = FSS.Actuals.getPlannedEntry(FSS.Model.get(), { ruleId, occurrenceDate, oneOffId });
+    if (!planned) {
+      FSS.App.showToast('This entry is no longer scheduled', 'error');
+      return;
+    }
+    showActualModal(null, planned);
+  }
+
+  /**
+   * Open the modal for a recorded actual
+   */
+  function editActual(id) {
+    const actual = FSS.Model.getActual(id);
+    if (!actual) return;
+    const planned = FSS.Actuals.getEntryKey(actual) ? FSS.Actuals.getPlannedEntry(FSS.Model.get(), actual) : null;
+    showActualModal(actual, planned);
+  }
+
+  /**
+   * Remove a recorded actual; a cleared entry returns to the forecast
+   */
+  async function deleteActual(id) {
+    const actual = FSS.Model.getActual(id);
+    if (!actual) return;
+
+    const linked = !!FSS.Actuals.getEntryKey(actual);
+    const confirmed = await FSS.App.confirm(
+      `Remove the recorded transaction "${actual.name}"?${linked ? ' The planned entry returns to the forecast.' : ''}`,
+      'Remove Transaction'
+    );
+
+    if (confirmed) {
+      FSS.Model.deleteActual(id);
+      saveAndReload('Recorded transaction removed');
+    }
+  }
+
+  /**
+   * Show modal to clear a projected entry, log an unexpected transaction, or edit either
+   * @param {Object} actual - Recorded actual to edit (null to record a new one)
+   * @param {Object} planned - Projected entry being cleared (null for unexpected transactions)
+   */
+  function showActualModal(actual = null, planned = null) {
+    const today = DateTime.now().toISODate();
+    const linked = !!planned || !!(actual && FSS.Actuals.getEntryKey(actual));
+    const source = actual || planned || {};
+    const id = 'actual-modal';
+    document.getElementById(id)?.remove();
+
+    const title = actual ? 'Edit Recorded Transaction' : planned ? 'Mark as Cleared' : 'Log Transaction';
+    const date = actual?.date || (planned && planned.date <= today ? planned.date : today);
+    const amount = actual?.amount ?? planned?.amount ?? '';
+    const accountOptions = selected => FSS.Model.getAccountOptions().map(a =>
+      `<option value="${a.value}" ${a.value === selected ? 'selected' : ''}>${a.label}</option>`
+    ).join('');
+
+    const detailsHTML = linked ? `
+              <p class="text-muted small mb-3">
+                ${source.name}${planned ? ` — planned ${FSS.App.formatCurrency(planned.amount)} on ${FSS.App.formatDate(planned.date)}` : ''}.
+                Record what actually cleared.
+              </p>
+    ` : `
+              <div class="mb-3">
+                <label class="form-label">Description</label>
+                <input type="text" class="form-control" id="actual-name" value="${source.name || ''}">
+              </div>
+              <div class="row g-3 mb-3">
+                <div class="col-6">
+                  <label class="form-label">Type</label>
+                  <select class="form-select" id="actual-kind">
+                    <option value="expense" ${source.kind === 'expense' ? 'selected' : ''}>Expense</option>
+                    <option value="income" ${source.kind === 'income' ? 'selected' : ''}>Income</option>
+                    <option value="transfer" ${source.kind === 'transfer' ? 'selected' : ''}>Transfer</option>
+                  </select>
+                </div>
+                <div class="col-6">
+                  <label class="form-label">Category</label>
+                  <input type="text" class="form-control" id="actual-category" value="${source.category || ''}">
+                </div>
+              </div>
+              <div class="row g-3 mb-3">
+                <div class="col-6">
+                  <label class="form-label">Account</label>
+                  <select class="form-select" id="actual-account">${accountOptions(source.accountId)}</select>
+                </div>
+                <div class="col-6" id="actual-to-account-group">
+                  <label class="form-label">To Account</label>
+                  <select class="form-select" id="actual-to-account">${accountOptions(source.toAccountId)}</select>
+                </div>
+              </div>
+    `;
+
+    const modalHTML = `
+      <div class="modal fade" id="${id}" tabindex="-1">
+        <div class="modal-dialog modal-dialog-centered">
+          <div class="modal-content">
+            <div class="modal-header">
+              <h5 class="modal-title">${title}</h5>
+              <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+            </div>
+            <div class="modal-body">
+              ${detailsHTML}
+              <div class="row g-3 mb-3">
+                <div class="col-6">
+                  <label class="form-label">Date</label>
+                  <input type="date" class="form-control" id="actual-date" value="${date}">
+                </div>
+                <div class="col-6">
+                  <label class="form-label">Amount</label>
+                  <div class="input-group">
+                    <span class="input-group-text">$</span>
+                    <input type="number" step="0.01" min="0" class="form-control" id="actual-amount" value="${amount}">
+                  </div>
+                </div>
+              </div>
+              <div class="mb-3">
+                <label class="form-label">Note (optional)</label>
+                <input type="text" class="form-control" id="actual-note" value="${actual?.note || ''}">
+              </div>
+            </div>
+            <div class="modal-footer">
+              <button type="button" class="btn btn-outline-secondary" data-bs-dismiss="modal">Cancel</button>
+              <button type="button" class="btn btn-primary" id="${id}-save">Save</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+
+    const modal = document.getElementById(id);
+    const bsModal = new bootstrap.Modal(modal);
+
+    // The destination account only applies to transfers
+    const kindSelect = document.getElementById('actual-kind');
+    const showToAccount = () => {
+      document.getElementById('actual-to-account-group')?.classList.toggle('d-none', kindSelect.value !== 'transfer');
+    };
+    kindSelect?.addEventListener('change', showToAccount);
+    if (kindSelect) showToAccount();
+
+    document.getElementById(`${id}-save`).addEventListener('click', () => {
+      const data = {
+        date: document.getElementById('actual-date').value,
+        amount: parseFloat(document.getElementById('actual-amount').value),
+        note: document.getElementById('actual-note').value.trim()
+      };
+
+      if (!data.date) {
+        FSS.App.showToast('Please select a date', 'error');
+        return;
+      }
+      if (isNaN(data.amount) || data.amount < 0) {
+        FSS.App.showToast('Please enter a valid amount', 'error');
+        return;
+      }
+
+      if (!linked) {
+        data.name = document.getElementById('actual-name').value.trim() || 'Transaction';
+        data.kind = kindSelect.value;
+        data.category = document.getElementById('actual-category').value.trim();
+        data.accountId = document.getElementById('actual-account').value;
+        data.toAccountId = data.kind === 'transfer' ? document.getElementById('actual-to-account').value : undefined;
+        if (data.kind === 'transfer' && data.toAccountId === data.accountId) {
+          FSS.App.showToast('Transfer accounts must differ', 'error');
+          return;
+        }
+      }
+
+      if (actual) {
+        FSS.Model.updateActual(actual.id, data);
+      } else {
+        FSS.Model.addActual({
+          ruleId: planned?.ruleId,
+          occurrenceDate: planned?.occurrenceDate,
+          oneOffId: planned?.oneOffId,
+          name: planned?.name,
+          accountId: planned?.accountId,
+          toAccountId: planned?.toAccountId,
+          kind: planned?.kind,
+          category: planned?.category,
+          ...data
+        });
+      }
+
+      bsModal.hide();
+      saveAndReload(actual ? 'Recorded transaction updated' : planned ? 'Entry cleared' : 'Transaction logged');
+    });
+
+    modal.addEventListener('hidden.bs.modal', () => modal.remove());
+
+    bsModal.show();
+  }
+
+  /**
+   * Persist exception and actual changes to the base model and rerun the ledger
+   */
+  function saveAndReload(message) {
+    if (FSS.Model.save()) {
+      loadLedger();
+      FSS.App.showToast(message, 'success');
+    } else {
+      FSS.App.showToast('Failed to save model', 'error');
+    }
+  }
+
   /**
    * Get CSS class for row based on transaction type
    */
   function getRowClass(entry) {
     if (entry.kind === 'income') return 'row-income';
+    if (entry.kind === 'interest') return 'row-interest';
     if (entry.kind === 'expense') return 'row-expense';
     if (entry.kind === 'transfer') return 'row-transfer';
     return '';
@@ -333,7 +895,8 @@ FSS.UI.Timeline = (function() {
    */
   function showEmptyState() {
     document.getElementById('empty-state')?.classList.remove('d-none');
-    document.querySelector('.card')?.classList.add('d-none');
+    document.getElementById('reconcile-card')?.classList.add('d-none');
+    document.querySelector('.card:not(#reconcile-card)')?.classList.add('d-none');
     document.getElementById('pagination-nav')?.classList.add('d-none');
   }
 
@@ -346,7 +909,10 @@ FSS.UI.Timeline = (function() {
       return;
     }
 
-    const csv = FSS.Ledger.exportToCSV(filteredEntries, { includeStartingBalance: false });
+    const csv = FSS.Ledger.exportToCSV(filteredEntries, {
+      includeStartingBalance: false,
+      includeAccount: ledgerResult.isConsolidated
+    });
     const filename = `fss-ledger-${DateTime.now().toFormat('yyyy-MM-dd')}.csv`;
     
     FSS.App.downloadFile(csv, filename, 'text/csv');
@@ -356,7 +922,13 @@ FSS.UI.Timeline = (function() {
   // Public API
   return {
     init,
-    goToPage
+    goToPage,
+    skipOccurrence,
+    restoreOccurrence,
+    showOccurrenceModal,
+    clearEntry,
+    editActual,
+    deleteActual
   };
 })();
 